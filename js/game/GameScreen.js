@@ -0,0 +1,50 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * The 'Game' screen, where the student sets two of the quantities in the formula to hit a target value of the third.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Color = require( 'SCENERY/util/Color' );
+  var ColorIO = require( 'SCENERY/util/ColorIO' );
+  var GameModel = require( 'OHMS_LAW/game/model/GameModel' );
+  var GameScreenView = require( 'OHMS_LAW/game/view/GameScreenView' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawScreen = require( 'OHMS_LAW/ohms-law/OhmsLawScreen' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var Screen = require( 'JOIST/Screen' );
+
+  // strings
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var screenGameString = require( 'string!OHMS_LAW/screen.game' );
+
+  /**
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function GameScreen( tandem ) {
+    Screen.call( this,
+      function() { return new GameModel( tandem.createTandem( 'model' ) ); },
+      function( model ) { return new GameScreenView( model, tandem.createTandem( 'view' ) ); },
+      {
+        name: screenGameString,
+        homeScreenIcon: OhmsLawScreen.createScreenIcon( currentSymbolString + ' = ?' ),
+        backgroundColorProperty: new Property( new Color( '#ffffdf' ), {
+          tandem: tandem.createTandem( 'backgroundColorProperty' ),
+          phetioType: PropertyIO( ColorIO )
+        } ),
+        tandem: tandem
+      }
+    );
+  }
+
+  ohmsLaw.register( 'GameScreen', GameScreen );
+
+  return inherit( Screen, GameScreen );
+} );
@@ -0,0 +1,53 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * A challenge of the game, a target value of one of the quantities in the formula that is hit by setting the other two.
+ * The quantity of the target is solved for in the circuit, so the sliders are for the other two quantities.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+
+  /**
+   * @param {string} quantity - the quantity of the target, one of SolveFor.VALUES
+   * @param {number} targetValue - in the units of the model, volts, milliamps or ohms
+   * @param {number} tolerance - how far the value can be from the target, as a fraction of the target
+   * @param {boolean} readoutVisible - whether the readout of the quantity of the target is shown
+   * @param {Object} initialValues - values that the circuit starts with, keyed by the values of SolveFor
+   * @param {Object} answerValues - values that hit the target, keyed by the values of SolveFor
+   * @constructor
+   */
+  function Challenge( quantity, targetValue, tolerance, readoutVisible, initialValues, answerValues ) {
+    assert && assert( SolveFor.VALUES.indexOf( quantity ) >= 0, 'invalid quantity: ' + quantity );
+
+    // @public (read-only)
+    this.quantity = quantity;
+    this.targetValue = targetValue;
+    this.tolerance = tolerance;
+    this.readoutVisible = readoutVisible;
+    this.initialValues = initialValues;
+    this.answerValues = answerValues;
+  }
+
+  ohmsLaw.register( 'Challenge', Challenge );
+
+  return inherit( Object, Challenge, {
+
+    /**
+     * Whether a value of the quantity of the target is close enough to hit it.
+     * @public
+     *
+     * @param {number} value - in the units of the model
+     * @returns {boolean}
+     */
+    isHit: function( value ) {
+      return Math.abs( value - this.targetValue ) <= this.tolerance * this.targetValue;
+    }
+  } );
+} );
@@ -0,0 +1,116 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Creates the challenges of a level of the game. The challenges are made from a seed, so that the same level and seed
+ * always give the same challenges and a student's session can be played again.
+ *
+ * The answer of a challenge is a voltage and a resistance with two significant figures, somewhere in their ranges, and
+ * the target is one of the quantities for that answer. The circuit starts from another voltage and resistance that are
+ * far enough from the answer that the target has to be looked for.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Challenge = require( 'OHMS_LAW/game/model/Challenge' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Random = require( 'DOT/Random' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+  var Util = require( 'DOT/Util' );
+
+  // constants
+  var TARGET_SIGNIFICANT_FIGURES = 3; // as many as the readouts show
+  var MIN_DISTANCE = 3; // the initial value is at least this many tolerances from the target
+  var MAX_TRIES = 100; // for an initial value that is far enough from the target
+
+  // The tolerance gets tighter from level to level, and the readout of the target quantity is hidden in the last levels,
+  // so that the target is found with the formula instead of by watching the readout.
+  var LEVELS = [
+    { quantities: [ SolveFor.CURRENT ], tolerance: 0.1, readoutVisible: true },
+    { quantities: SolveFor.VALUES, tolerance: 0.05, readoutVisible: true },
+    { quantities: SolveFor.VALUES, tolerance: 0.02, readoutVisible: false },
+    { quantities: SolveFor.VALUES, tolerance: 0.01, readoutVisible: false }
+  ];
+
+  /**
+   * Pick a value in a range, with two significant figures.
+   * @param {Random} random
+   * @param {Range} range
+   * @returns {number}
+   */
+  function nextValue( random, range ) {
+    var value = Number( ( range.min + random.nextDouble() * range.getLength() ).toPrecision( 2 ) );
+    return Util.clamp( value, range.min, range.max );
+  }
+
+  /**
+   * Pick the values of a circuit, keyed by the values of SolveFor.
+   * @param {Random} random
+   * @returns {Object}
+   */
+  function nextValues( random ) {
+    var values = {};
+    values[ SolveFor.VOLTAGE ] = nextValue( random, OhmsLawConstants.VOLTAGE_RANGE );
+    values[ SolveFor.RESISTANCE ] = nextValue( random, OhmsLawConstants.RESISTANCE_RANGE );
+    values[ SolveFor.CURRENT ] = 1000 * values[ SolveFor.VOLTAGE ] / values[ SolveFor.RESISTANCE ];
+    return values;
+  }
+
+  var ChallengeFactory = {
+
+    // @public {number}
+    NUMBER_OF_LEVELS: LEVELS.length,
+    CHALLENGES_PER_LEVEL: 5,
+
+    /**
+     * Get how far a value can be from the target in a level.
+     * @public
+     *
+     * @param {number} level - starting from 0
+     * @returns {number} - as a fraction of the target
+     */
+    getTolerance: function( level ) {
+      return LEVELS[ level ].tolerance;
+    },
+
+    /**
+     * Create the challenges of a level.
+     * @public
+     *
+     * @param {number} level - starting from 0
+     * @param {number} seed
+     * @returns {Challenge[]}
+     */
+    createChallenges: function( level, seed ) {
+      assert && assert( level >= 0 && level < LEVELS.length, 'invalid level: ' + level );
+
+      var levelInfo = LEVELS[ level ];
+      var random = new Random( { seed: seed } );
+      var challenges = [];
+      for ( var i = 0; i < ChallengeFactory.CHALLENGES_PER_LEVEL; i++ ) {
+        var quantity = levelInfo.quantities[ Math.floor( random.nextDouble() * levelInfo.quantities.length ) ];
+        var answerValues = nextValues( random );
+        var targetValue = Number( answerValues[ quantity ].toPrecision( TARGET_SIGNIFICANT_FIGURES ) );
+
+        var initialValues;
+        var tries = 0;
+        do {
+          initialValues = nextValues( random );
+          tries++;
+        } while ( Math.abs( initialValues[ quantity ] - targetValue ) < MIN_DISTANCE * levelInfo.tolerance * targetValue &&
+                  tries < MAX_TRIES );
+
+        challenges.push( new Challenge( quantity, targetValue, levelInfo.tolerance, levelInfo.readoutVisible,
+          initialValues, answerValues ) );
+      }
+      return challenges;
+    }
+  };
+
+  ohmsLaw.register( 'ChallengeFactory', ChallengeFactory );
+
+  return ChallengeFactory;
+} );
@@ -0,0 +1,260 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Model for the game screen, where the student sets two of the quantities in the formula to hit a target value of the
+ * third. The challenges are played on the same circuit as the first screen, see doc/model.md for more information.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ChallengeFactory = require( 'OHMS_LAW/game/model/ChallengeFactory' );
+  var DerivedProperty = require( 'AXON/DerivedProperty' );
+  var GameState = require( 'OHMS_LAW/game/model/GameState' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NumberProperty = require( 'AXON/NumberProperty' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawModel = require( 'OHMS_LAW/ohms-law/model/OhmsLawModel' );
+  var OhmsLawQueryParameters = require( 'OHMS_LAW/ohms-law/OhmsLawQueryParameters' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var Random = require( 'DOT/Random' );
+  var Range = require( 'DOT/Range' );
+  var StringIO = require( 'ifphetio!PHET_IO/types/StringIO' );
+
+  // constants
+  var MAX_SEED = 1E6;
+  var POINTS_FIRST_CHECK = 2;
+  var POINTS_SECOND_CHECK = 1;
+  var MAX_CHECKS = 2; // the answer can be shown after this many wrong checks
+
+  /**
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function GameModel( tandem ) {
+
+    // @public (read-only) {OhmsLawModel} - the circuit that the challenges are played on
+    this.circuitModel = new OhmsLawModel( tandem.createTandem( 'circuitModel' ) );
+
+    // @public (read-only) {number} - the seeds of the levels are drawn from it, so that the session can be played again
+    this.gameSeed = OhmsLawQueryParameters.gameSeed;
+
+    // @private {Random}
+    this.random = new Random( { seed: this.gameSeed } );
+
+    // @public {Property.<string>} - one of GameState.VALUES
+    this.stateProperty = new Property( GameState.CHOOSING_LEVEL, {
+      tandem: tandem.createTandem( 'stateProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: GameState.VALUES
+    } );
+
+    // @public (read-only) {Property.<number>} - the level being played, starting from 0
+    this.levelProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'levelProperty' ),
+      numberType: 'Integer',
+      range: new Range( 0, ChallengeFactory.NUMBER_OF_LEVELS - 1 )
+    } );
+
+    // @public (read-only) {Property.<number>} - seed of the challenges of the level being played
+    this.seedProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'seedProperty' ),
+      numberType: 'Integer'
+    } );
+
+    // @public (read-only) {Property.<number>} - index of the challenge being played, starting from 0
+    this.challengeIndexProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'challengeIndexProperty' ),
+      numberType: 'Integer'
+    } );
+
+    // @public (read-only) {Property.<Challenge|null>} - the challenge being played, null while choosing a level
+    this.challengeProperty = new Property( null );
+
+    // @public (read-only) {Property.<number>} - score in the level being played
+    this.scoreProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'scoreProperty' ),
+      numberType: 'Integer'
+    } );
+
+    // @public (read-only) {Property.<number>} - points earned by the last check of the challenge
+    this.pointsEarnedProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'pointsEarnedProperty' ),
+      numberType: 'Integer'
+    } );
+
+    // @public (read-only) {Property.<number>[]} - best score in each level
+    this.bestScoreProperties = _.range( ChallengeFactory.NUMBER_OF_LEVELS ).map( function( level ) {
+      return new NumberProperty( 0, {
+        tandem: tandem.createTandem( 'bestScore' + ( level + 1 ) + 'Property' ),
+        numberType: 'Integer'
+      } );
+    } );
+
+    // @public {Property.<boolean>} - whether the readout of the target quantity is shown in the circuit
+    this.readoutVisibleProperty = new DerivedProperty( [ this.challengeProperty ], function( challenge ) {
+      return !challenge || challenge.readoutVisible;
+    } );
+
+    // @private {Challenge[]} - challenges of the level being played
+    this.challenges = [];
+
+    // @private {number} - wrong checks of the challenge being played
+    this.wrongChecks = 0;
+  }
+
+  ohmsLaw.register( 'GameModel', GameModel );
+
+  return inherit( Object, GameModel, {
+
+    /**
+     * Resets the game, which forgets the best scores and starts drawing the seeds of the levels from the beginning.
+     * @public
+     */
+    reset: function() {
+      this.random = new Random( { seed: this.gameSeed } );
+      this.stateProperty.reset();
+      this.levelProperty.reset();
+      this.seedProperty.reset();
+      this.challengeIndexProperty.reset();
+      this.challengeProperty.reset();
+      this.scoreProperty.reset();
+      this.pointsEarnedProperty.reset();
+      this.bestScoreProperties.forEach( function( bestScoreProperty ) {
+        bestScoreProperty.reset();
+      } );
+      this.challenges = [];
+      this.wrongChecks = 0;
+      this.circuitModel.reset();
+    },
+
+    /**
+     * Step the circuit in time, for the charge carriers.
+     * @public
+     *
+     * @param {number} dt - in seconds
+     */
+    step: function( dt ) {
+      if ( this.stateProperty.get() !== GameState.CHOOSING_LEVEL ) {
+        this.circuitModel.step( dt );
+      }
+    },
+
+    /**
+     * Start playing a level, with challenges from the next seed.
+     * @public
+     *
+     * @param {number} level - starting from 0
+     */
+    startLevel: function( level ) {
+      this.levelProperty.set( level );
+      this.seedProperty.set( Math.floor( this.random.nextDouble() * MAX_SEED ) );
+      this.challenges = ChallengeFactory.createChallenges( level, this.seedProperty.get() );
+      this.scoreProperty.set( 0 );
+      this.setChallenge( 0 );
+    },
+
+    /**
+     * Leave the level being played, and go back to choosing a level.
+     * @public
+     */
+    chooseLevel: function() {
+      this.challengeProperty.set( null );
+      this.stateProperty.set( GameState.CHOOSING_LEVEL );
+    },
+
+    /**
+     * Check whether the circuit hits the target of the challenge. The first check earns more points than the second.
+     * @public
+     */
+    check: function() {
+      assert && assert( this.stateProperty.get() === GameState.SOLVING, 'not solving a challenge' );
+
+      var challenge = this.challengeProperty.get();
+      if ( challenge.isHit( this.circuitModel.getProperty( challenge.quantity ).get() ) ) {
+        var points = this.wrongChecks === 0 ? POINTS_FIRST_CHECK : POINTS_SECOND_CHECK;
+        this.pointsEarnedProperty.set( points );
+        this.scoreProperty.set( this.scoreProperty.get() + points );
+        this.stateProperty.set( GameState.CORRECT );
+      }
+      else {
+        this.wrongChecks++;
+        this.stateProperty.set( this.wrongChecks < MAX_CHECKS ? GameState.TRY_AGAIN : GameState.WRONG );
+      }
+    },
+
+    /**
+     * Go back to solving the challenge after a wrong check.
+     * @public
+     */
+    tryAgain: function() {
+      assert && assert( this.stateProperty.get() === GameState.TRY_AGAIN, 'no wrong check to try again after' );
+      this.stateProperty.set( GameState.SOLVING );
+    },
+
+    /**
+     * Set the circuit to the answer of the challenge, after the last wrong check.
+     * @public
+     */
+    showAnswer: function() {
+      assert && assert( this.stateProperty.get() === GameState.WRONG, 'the answer is only shown after the last check' );
+      this.setCircuitValues( this.challengeProperty.get().answerValues );
+      this.stateProperty.set( GameState.SHOWING_ANSWER );
+    },
+
+    /**
+     * Go on to the next challenge, or finish the level after the last challenge.
+     * @public
+     */
+    next: function() {
+      var nextIndex = this.challengeIndexProperty.get() + 1;
+      if ( nextIndex < this.challenges.length ) {
+        this.setChallenge( nextIndex );
+      }
+      else {
+        var bestScoreProperty = this.bestScoreProperties[ this.levelProperty.get() ];
+        bestScoreProperty.set( Math.max( bestScoreProperty.get(), this.scoreProperty.get() ) );
+        this.stateProperty.set( GameState.LEVEL_COMPLETED );
+      }
+    },
+
+    /**
+     * Play a challenge of the level, solving for the quantity of its target from its initial values.
+     * @private
+     *
+     * @param {number} index
+     */
+    setChallenge: function( index ) {
+      var challenge = this.challenges[ index ];
+      this.challengeIndexProperty.set( index );
+      this.challengeProperty.set( challenge );
+      this.pointsEarnedProperty.set( 0 );
+      this.wrongChecks = 0;
+
+      this.circuitModel.reset();
+      this.circuitModel.solveForProperty.set( challenge.quantity );
+      this.setCircuitValues( challenge.initialValues );
+      this.stateProperty.set( GameState.SOLVING );
+    },
+
+    /**
+     * Set the quantities that are not solved for in the circuit.
+     * @private
+     *
+     * @param {Object} values - keyed by the values of SolveFor
+     */
+    setCircuitValues: function( values ) {
+      var circuitModel = this.circuitModel;
+      circuitModel.getSettableQuantities().forEach( function( quantity ) {
+        circuitModel.getProperty( quantity ).set( values[ quantity ] );
+      } );
+    }
+  }, {
+
+    // @public {number} - score for a level with every challenge right on the first check
+    PERFECT_SCORE: ChallengeFactory.CHALLENGES_PER_LEVEL * POINTS_FIRST_CHECK
+  } );
+} );
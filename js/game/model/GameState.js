@@ -0,0 +1,42 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the states of the game. A challenge is checked from SOLVING, and a wrong answer goes to TRY_AGAIN the
+ * first time and to WRONG the second time, where the answer can be shown before going on to the next challenge.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var GameState = {
+    CHOOSING_LEVEL: 'choosingLevel',
+    SOLVING: 'solving',
+    CORRECT: 'correct',
+    TRY_AGAIN: 'tryAgain',
+    WRONG: 'wrong',
+    SHOWING_ANSWER: 'showingAnswer',
+    LEVEL_COMPLETED: 'levelCompleted'
+  };
+
+  // @public {string[]} - all values of the enumeration
+  GameState.VALUES = [
+    GameState.CHOOSING_LEVEL,
+    GameState.SOLVING,
+    GameState.CORRECT,
+    GameState.TRY_AGAIN,
+    GameState.WRONG,
+    GameState.SHOWING_ANSWER,
+    GameState.LEVEL_COMPLETED
+  ];
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( GameState ); }
+
+  ohmsLaw.register( 'GameState', GameState );
+
+  return GameState;
+} );
@@ -0,0 +1,346 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Screen view for the game screen, where the student sets two of the quantities in the formula to hit a target value
+ * of the third. The circuit and the sliders are the ones of the first screen.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var AccessibleSectionNode = require( 'SCENERY_PHET/accessibility/AccessibleSectionNode' );
+  var BooleanProperty = require( 'AXON/BooleanProperty' );
+  var ControlPanel = require( 'OHMS_LAW/ohms-law/view/ControlPanel' );
+  var FaceNode = require( 'SCENERY_PHET/FaceNode' );
+  var GameAudioPlayer = require( 'VEGAS/GameAudioPlayer' );
+  var GameModel = require( 'OHMS_LAW/game/model/GameModel' );
+  var GameState = require( 'OHMS_LAW/game/model/GameState' );
+  var GameStatusBar = require( 'OHMS_LAW/game/view/GameStatusBar' );
+  var HBox = require( 'SCENERY/nodes/HBox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var JoistA11yStrings = require( 'JOIST/JoistA11yStrings' );
+  var LevelCompletedNode = require( 'VEGAS/LevelCompletedNode' );
+  var LevelSelectionNode = require( 'OHMS_LAW/game/view/LevelSelectionNode' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var ResetAllButton = require( 'SCENERY_PHET/buttons/ResetAllButton' );
+  var RewardNode = require( 'VEGAS/RewardNode' );
+  var ScreenView = require( 'JOIST/ScreenView' );
+  var SoundToggleButton = require( 'SCENERY_PHET/buttons/SoundToggleButton' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var TargetPanel = require( 'OHMS_LAW/game/view/TargetPanel' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  var WireBox = require( 'OHMS_LAW/ohms-law/view/WireBox' );
+
+  // strings
+  var checkString = require( 'string!OHMS_LAW/check' );
+  var nextString = require( 'string!OHMS_LAW/next' );
+  var pointsPatternString = require( 'string!OHMS_LAW/pointsPattern' );
+  var showAnswerString = require( 'string!OHMS_LAW/showAnswer' );
+  var tryAgainString = require( 'string!OHMS_LAW/tryAgain' );
+
+  // a11y strings
+  var gameTitleString = OhmsLawA11yStrings.gameTitleString;
+  var playAreaString = JoistA11yStrings.playAreaString;
+  var controlPanelString = JoistA11yStrings.controlPanelString;
+  var correctAlertPatternString = OhmsLawA11yStrings.correctAlertPatternString;
+  var tryAgainAlertString = OhmsLawA11yStrings.tryAgainAlertString;
+  var wrongAlertString = OhmsLawA11yStrings.wrongAlertString;
+  var answerShownAlertPatternString = OhmsLawA11yStrings.answerShownAlertPatternString;
+  var levelCompletedAlertPatternString = OhmsLawA11yStrings.levelCompletedAlertPatternString;
+
+  // constants
+  var BUTTON_FONT = new PhetFont( 22 );
+  var POINTS_FONT = new PhetFont( { size: 36, weight: 'bold' } );
+  var BUTTON_BASE_COLOR = PhetColorScheme.BUTTON_YELLOW;
+  var MAX_BUTTON_TEXT_WIDTH = 180;
+  var CIRCUIT_SCALE = 0.8;
+  var NUMBER_OF_STARS = 5;
+
+  /**
+   * @param {GameModel} model
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function GameScreenView( model, tandem ) {
+
+    var self = this;
+
+    // {Property.<boolean>}
+    var soundActiveProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'soundActiveProperty' )
+    } );
+
+    ScreenView.call( this, {
+      accessibleLabel: gameTitleString,
+      tandem: tandem
+    } );
+
+    var gameAudioPlayer = new GameAudioPlayer( soundActiveProperty );
+
+    var levelSelectionNode = new LevelSelectionNode( model, tandem.createTandem( 'levelSelectionNode' ) );
+
+    var statusBar = new GameStatusBar( model, tandem.createTandem( 'statusBar' ) );
+
+    var targetPanel = new TargetPanel( model, tandem.createTandem( 'targetPanel' ) );
+
+    // The circuit of the first screen, without the readout of the target quantity in the last levels
+    var wireBox = new WireBox( model.circuitModel, tandem.createTandem( 'wireBox' ), {
+      scale: CIRCUIT_SCALE,
+      pickable: false,
+      readoutVisibleProperty: model.readoutVisibleProperty
+    } );
+
+    // The sliders of the first screen, the quantity that is solved for is set by the challenge
+    var controlPanel = new ControlPanel( model.circuitModel, tandem.createTandem( 'controlPanel' ), {
+      includeSolveFor: false,
+      includeStandardValues: false,
+      readoutVisibleProperty: model.readoutVisibleProperty
+    } );
+
+    // Buttons for the steps of a challenge, only the ones for the state of the game are shown
+    var createButton = function( labelString, listener, tandemName ) {
+      return new TextPushButton( labelString, {
+        font: BUTTON_FONT,
+        baseColor: BUTTON_BASE_COLOR,
+        maxTextWidth: MAX_BUTTON_TEXT_WIDTH,
+        listener: listener,
+        tandem: tandem.createTandem( tandemName )
+      } );
+    };
+    var checkButton = createButton( checkString, function() { model.check(); }, 'checkButton' );
+    var tryAgainButton = createButton( tryAgainString, function() { model.tryAgain(); }, 'tryAgainButton' );
+    var showAnswerButton = createButton( showAnswerString, function() { model.showAnswer(); }, 'showAnswerButton' );
+    var nextButton = createButton( nextString, function() { model.next(); }, 'nextButton' );
+    var actionButtons = [ checkButton, tryAgainButton, showAnswerButton, nextButton ];
+
+    // Feedback for a check, a smile with the points earned or a frown
+    var faceNode = new FaceNode( 100 );
+    var pointsText = new Text( '', {
+      font: POINTS_FONT,
+      fill: PhetColorScheme.GREEN_COLORBLIND,
+      tandem: tandem.createTandem( 'pointsText' )
+    } );
+    var feedbackNode = new HBox( {
+      spacing: 15,
+      children: [ faceNode, pointsText ]
+    } );
+
+    // Sound on/off toggle button
+    var soundToggleButton = new SoundToggleButton( soundActiveProperty, {
+      stroke: 'gray',
+      lineWidth: 0.5,
+      tandem: tandem.createTandem( 'soundToggleButton' )
+    } );
+
+    var resetAllButton = new ResetAllButton( {
+      radius: 28,
+      listener: function() {
+        model.reset();
+        soundActiveProperty.reset();
+      },
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+
+    // the challenge that is being played, hidden while a level is chosen and after it is completed
+    var challengeNode = new Node( {
+      children: [ statusBar, targetPanel, wireBox, controlPanel, feedbackNode ].concat( actionButtons )
+    } );
+
+    // level selection and challenges are contained in a "Play Area", structure available to assistive technology
+    var playAreaNode = new AccessibleSectionNode( playAreaString );
+    this.addChild( playAreaNode );
+
+    // sound and reset all buttons contained in a "Control Panel", structure available to assistive technology
+    var controlPanelSectionNode = new AccessibleSectionNode( controlPanelString );
+    this.addChild( controlPanelSectionNode );
+
+    var buttons = new HBox( {
+      spacing: 40, // empirically determined
+      children: [ soundToggleButton, resetAllButton ]
+    } );
+
+    // children
+    playAreaNode.addChild( levelSelectionNode );
+    playAreaNode.addChild( challengeNode );
+    controlPanelSectionNode.addChild( buttons );
+
+    // layout for the screen
+    levelSelectionNode.center = this.layoutBounds.center;
+    buttons.rightBottom = this.layoutBounds.rightBottom.plusXY( -20, -15 ); // empirically determined
+
+    statusBar.leftTop = this.layoutBounds.leftTop.plusXY( 20, 15 ); // empirically determined
+
+    controlPanel.right = this.layoutBounds.width - 50; // empirically determined
+    controlPanel.top = statusBar.bottom + 20; // empirically determined
+
+    wireBox.centerX = ( this.layoutBounds.left + controlPanel.left ) / 2;
+    wireBox.bottom = this.layoutBounds.bottom - 40; // empirically determined
+    targetPanel.centerX = wireBox.centerX;
+    targetPanel.top = statusBar.bottom + 25; // empirically determined
+
+    feedbackNode.centerX = controlPanel.centerX;
+    feedbackNode.top = controlPanel.bottom + 15; // empirically determined
+
+    actionButtons.forEach( function( button ) {
+      button.centerX = controlPanel.centerX;
+      button.top = feedbackNode.bottom + 15; // empirically determined
+    } );
+    showAnswerButton.right = controlPanel.centerX - 8; // beside the Next button, see below
+
+    // @private {LevelCompletedNode|null} - shown when the level is completed, created for its score
+    this.levelCompletedNode = null;
+
+    // @private {RewardNode|null} - shown behind the LevelCompletedNode for a perfect score
+    this.rewardNode = null;
+
+    // Show the parts of the game for its state. Present for the lifetime of the sim; no need to unlink.
+    model.stateProperty.link( function( state ) {
+      levelSelectionNode.visible = ( state === GameState.CHOOSING_LEVEL );
+      challengeNode.visible = ( state !== GameState.CHOOSING_LEVEL && state !== GameState.LEVEL_COMPLETED );
+
+      // the values can only be changed while solving the challenge
+      controlPanel.pickable = ( state === GameState.SOLVING );
+
+      checkButton.visible = ( state === GameState.SOLVING );
+      tryAgainButton.visible = ( state === GameState.TRY_AGAIN );
+      showAnswerButton.visible = ( state === GameState.WRONG );
+      nextButton.visible = ( state === GameState.CORRECT || state === GameState.WRONG ||
+                             state === GameState.SHOWING_ANSWER );
+
+      // Show Answer and Next are side by side after the last wrong check
+      if ( state === GameState.WRONG ) {
+        nextButton.left = showAnswerButton.right + 16;
+      }
+      else {
+        nextButton.centerX = controlPanel.centerX;
+      }
+
+      feedbackNode.visible = ( state === GameState.CORRECT || state === GameState.TRY_AGAIN ||
+                               state === GameState.WRONG );
+      pointsText.visible = ( state === GameState.CORRECT );
+      if ( state === GameState.CORRECT ) {
+        faceNode.smile();
+        pointsText.text = StringUtils.fillIn( pointsPatternString, { points: model.pointsEarnedProperty.get() } );
+      }
+      else {
+        faceNode.frown();
+      }
+
+      if ( state === GameState.LEVEL_COMPLETED ) {
+        self.showLevelCompleted( model );
+      }
+      else {
+        self.hideLevelCompleted();
+      }
+    } );
+
+    // Sounds and alerts for the steps of a challenge. Present for the lifetime of the sim; no need to unlink.
+    model.stateProperty.lazyLink( function( state ) {
+      var alert = null;
+      var challenge = model.challengeProperty.get();
+      if ( state === GameState.CORRECT ) {
+        gameAudioPlayer.correctAnswer();
+        alert = StringUtils.fillIn( correctAlertPatternString, { score: model.scoreProperty.get() } );
+      }
+      else if ( state === GameState.TRY_AGAIN ) {
+        gameAudioPlayer.wrongAnswer();
+        alert = tryAgainAlertString;
+      }
+      else if ( state === GameState.WRONG ) {
+        gameAudioPlayer.wrongAnswer();
+        alert = wrongAlertString;
+      }
+      else if ( state === GameState.SHOWING_ANSWER ) {
+        alert = StringUtils.fillIn( answerShownAlertPatternString, {
+          quantity: TargetPanel.getQuantityString( challenge.quantity ),
+          value: TargetPanel.getFormatter( challenge.quantity ).formatAccessible(
+            model.circuitModel.getProperty( challenge.quantity ).get() )
+        } );
+      }
+      else if ( state === GameState.LEVEL_COMPLETED ) {
+        var score = model.scoreProperty.get();
+        if ( score === GameModel.PERFECT_SCORE ) {
+          gameAudioPlayer.gameOverPerfectScore();
+        }
+        else if ( score === 0 ) {
+          gameAudioPlayer.gameOverZeroScore();
+        }
+        else {
+          gameAudioPlayer.gameOverImperfectScore();
+        }
+        alert = StringUtils.fillIn( levelCompletedAlertPatternString, {
+          level: model.levelProperty.get() + 1,
+          score: score,
+          perfectScore: GameModel.PERFECT_SCORE
+        } );
+      }
+
+      // a11y
+      if ( alert ) {
+        utteranceQueue.addToBack( new Utterance( alert, { typeId: 'gameAlert' } ) );
+      }
+    } );
+  }
+
+  ohmsLaw.register( 'GameScreenView', GameScreenView );
+
+  return inherit( ScreenView, GameScreenView, {
+
+    /**
+     * Step the view in time, for the reward.
+     * @public
+     *
+     * @param {number} dt - in seconds
+     */
+    step: function( dt ) {
+      this.rewardNode && this.rewardNode.step( dt );
+    },
+
+    /**
+     * Show the score of the completed level, with a reward for a perfect score.
+     * @private
+     *
+     * @param {GameModel} model
+     */
+    showLevelCompleted: function( model ) {
+      var score = model.scoreProperty.get();
+      if ( score === GameModel.PERFECT_SCORE ) {
+        this.rewardNode = new RewardNode();
+        this.addChild( this.rewardNode );
+      }
+
+      // The level has no timer.
+      this.levelCompletedNode = new LevelCompletedNode( model.levelProperty.get() + 1, score, GameModel.PERFECT_SCORE,
+        NUMBER_OF_STARS, false, 0, null, false, function() { model.chooseLevel(); }, {
+          center: this.layoutBounds.center
+        } );
+      this.addChild( this.levelCompletedNode );
+    },
+
+    /**
+     * Remove the score of the completed level and its reward, if they are shown.
+     * @private
+     */
+    hideLevelCompleted: function() {
+      if ( this.rewardNode ) {
+        this.removeChild( this.rewardNode );
+        this.rewardNode.dispose();
+        this.rewardNode = null;
+      }
+      if ( this.levelCompletedNode ) {
+        this.removeChild( this.levelCompletedNode );
+        this.levelCompletedNode.dispose();
+        this.levelCompletedNode = null;
+      }
+    }
+  } );
+} );
@@ -0,0 +1,93 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Bar along the top of the game while a level is played, with the level, the challenge, the score and a button to go
+ * back to choosing a level.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ChallengeFactory = require( 'OHMS_LAW/game/model/ChallengeFactory' );
+  var HBox = require( 'SCENERY/nodes/HBox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var TextPushButton = require( 'SUN/buttons/TextPushButton' );
+
+  // strings
+  var challengePatternString = require( 'string!OHMS_LAW/challengePattern' );
+  var levelPatternString = require( 'string!OHMS_LAW/levelPattern' );
+  var scorePatternString = require( 'string!OHMS_LAW/scorePattern' );
+  var startOverString = require( 'string!OHMS_LAW/startOver' );
+
+  // constants
+  var FONT = new PhetFont( 20 );
+  var MAX_TEXT_WIDTH = 200;
+
+  /**
+   * @param {GameModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function GameStatusBar( model, tandem, options ) {
+
+    options = _.extend( {
+      spacing: 40,
+      tandem: tandem
+    }, options );
+
+    var levelText = new Text( '', {
+      font: FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'levelText' )
+    } );
+
+    var challengeText = new Text( '', {
+      font: FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'challengeText' )
+    } );
+
+    var scoreText = new Text( '', {
+      font: FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'scoreText' )
+    } );
+
+    var startOverButton = new TextPushButton( startOverString, {
+      font: FONT,
+      baseColor: 'rgb( 229, 243, 255 )',
+      maxTextWidth: MAX_TEXT_WIDTH,
+      listener: function() { model.chooseLevel(); },
+      tandem: tandem.createTandem( 'startOverButton' )
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    model.levelProperty.link( function( level ) {
+      levelText.text = StringUtils.fillIn( levelPatternString, { level: level + 1 } );
+    } );
+    model.challengeIndexProperty.link( function( challengeIndex ) {
+      challengeText.text = StringUtils.fillIn( challengePatternString, {
+        number: challengeIndex + 1,
+        total: ChallengeFactory.CHALLENGES_PER_LEVEL
+      } );
+    } );
+    model.scoreProperty.link( function( score ) {
+      scoreText.text = StringUtils.fillIn( scorePatternString, { score: score } );
+    } );
+
+    options.children = [ levelText, challengeText, scoreText, startOverButton ];
+
+    HBox.call( this, options );
+  }
+
+  ohmsLaw.register( 'GameStatusBar', GameStatusBar );
+
+  return inherit( HBox, GameStatusBar );
+} );
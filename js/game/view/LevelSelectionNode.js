@@ -0,0 +1,113 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * The buttons for choosing a level of the game, with the best score of each level and the seed of the game, so that a
+ * student's session can be played again.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ChallengeFactory = require( 'OHMS_LAW/game/model/ChallengeFactory' );
+  var GameModel = require( 'OHMS_LAW/game/model/GameModel' );
+  var HBox = require( 'SCENERY/nodes/HBox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var LevelSelectionButton = require( 'VEGAS/LevelSelectionButton' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  var chooseYourLevelString = require( 'string!OHMS_LAW/chooseYourLevel' );
+  var gameSeedPatternString = require( 'string!OHMS_LAW/gameSeedPattern' );
+  var levelPatternString = require( 'string!OHMS_LAW/levelPattern' );
+  var tolerancePatternString = require( 'string!OHMS_LAW/tolerancePattern' );
+
+  // a11y strings
+  var chooseLevelDescriptionString = OhmsLawA11yStrings.chooseLevelDescriptionString;
+  var levelButtonPatternString = OhmsLawA11yStrings.levelButtonPatternString;
+
+  // constants
+  var TITLE_FONT = new PhetFont( { size: 40, weight: 'bold' } );
+  var LEVEL_FONT = new PhetFont( { size: 24, weight: 'bold' } );
+  var TOLERANCE_FONT = new PhetFont( 18 );
+  var SEED_FONT = new PhetFont( 14 );
+  var BUTTON_WIDTH = 150;
+  var NUMBER_OF_STARS = 5;
+
+  /**
+   * @param {GameModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function LevelSelectionNode( model, tandem, options ) {
+
+    options = _.extend( {
+      spacing: 40,
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      accessibleDescription: chooseLevelDescriptionString
+    }, options );
+
+    var titleText = new Text( chooseYourLevelString, {
+      font: TITLE_FONT,
+      maxWidth: 700,
+      tandem: tandem.createTandem( 'titleText' )
+    } );
+
+    var levelButtons = _.range( ChallengeFactory.NUMBER_OF_LEVELS ).map( function( level ) {
+      var levelString = StringUtils.fillIn( levelPatternString, { level: level + 1 } );
+      var percent = 100 * ChallengeFactory.getTolerance( level );
+      var icon = new VBox( {
+        spacing: 8,
+        children: [
+          new Text( levelString, { font: LEVEL_FONT, maxWidth: BUTTON_WIDTH - 20 } ),
+          new Text( StringUtils.fillIn( tolerancePatternString, { percent: percent } ), {
+            font: TOLERANCE_FONT,
+            fill: OhmsLawConstants.BLUE_COLOR,
+            maxWidth: BUTTON_WIDTH - 20
+          } )
+        ]
+      } );
+      return new LevelSelectionButton( icon, NUMBER_OF_STARS,
+        function() { model.startLevel( level ); },
+        model.bestScoreProperties[ level ],
+        GameModel.PERFECT_SCORE, {
+          baseColor: '#ffffdf',
+          buttonWidth: BUTTON_WIDTH,
+          tandem: tandem.createTandem( 'level' + ( level + 1 ) + 'Button' ),
+
+          // a11y
+          accessibleLabel: StringUtils.fillIn( levelButtonPatternString, { level: level + 1, percent: percent } )
+        } );
+    } );
+
+    // The seed is shown so that a session can be played again with ?gameSeed
+    var seedText = new Text( StringUtils.fillIn( gameSeedPatternString, { seed: model.gameSeed } ), {
+      font: SEED_FONT,
+      fill: 'gray',
+      tandem: tandem.createTandem( 'seedText' )
+    } );
+
+    options.children = [
+      titleText,
+      new HBox( { spacing: 25, children: levelButtons } ),
+      seedText
+    ];
+
+    VBox.call( this, options );
+  }
+
+  ohmsLaw.register( 'LevelSelectionNode', LevelSelectionNode );
+
+  return inherit( VBox, LevelSelectionNode );
+} );
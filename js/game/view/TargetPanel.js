@@ -0,0 +1,161 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Panel that shows the target of the challenge being played, like "Target: I = 25.0 mA" above how close to the target
+ * the value has to be.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ChallengeFactory = require( 'OHMS_LAW/game/model/ChallengeFactory' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Panel = require( 'SUN/Panel' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Util = require( 'DOT/Util' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
+  var targetPatternString = require( 'string!OHMS_LAW/targetPattern' );
+  var tolerancePatternString = require( 'string!OHMS_LAW/tolerancePattern' );
+  var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
+
+  // a11y strings
+  var targetDescriptionPatternString = OhmsLawA11yStrings.targetDescriptionPatternString;
+  var voltageQuantityString = OhmsLawA11yStrings.voltageQuantityString;
+  var currentQuantityString = OhmsLawA11yStrings.currentQuantityString;
+  var resistanceQuantityString = OhmsLawA11yStrings.resistanceQuantityString;
+
+  // constants
+  var TARGET_FONT = new PhetFont( { size: 26, weight: 'bold' } );
+  var TOLERANCE_FONT = new PhetFont( 18 );
+  var MAX_TEXT_WIDTH = 300;
+
+  // what the target is shown with, for each quantity
+  var QUANTITIES = {};
+  QUANTITIES[ SolveFor.VOLTAGE ] = {
+    symbolString: voltageSymbolString,
+    quantityString: voltageQuantityString,
+    formatter: UnitFormatter.VOLTAGE
+  };
+  QUANTITIES[ SolveFor.CURRENT ] = {
+    symbolString: currentSymbolString,
+    quantityString: currentQuantityString,
+    formatter: UnitFormatter.CURRENT
+  };
+  QUANTITIES[ SolveFor.RESISTANCE ] = {
+    symbolString: resistanceSymbolString,
+    quantityString: resistanceQuantityString,
+    formatter: UnitFormatter.RESISTANCE
+  };
+
+  /**
+   * @param {GameModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function TargetPanel( model, tandem, options ) {
+
+    options = _.extend( {
+      xMargin: 15,
+      yMargin: 10,
+      fill: 'white',
+      lineWidth: 2,
+      align: 'left',
+      tandem: tandem,
+
+      // a11y
+      tagName: 'p'
+    }, options );
+
+    var targetText = new Text( '', {
+      font: TARGET_FONT,
+      fill: OhmsLawConstants.BLUE_COLOR,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'targetText' )
+    } );
+
+    var toleranceText = new Text( '', {
+      font: TOLERANCE_FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'toleranceText' )
+    } );
+
+    Panel.call( this, new VBox( {
+      spacing: 4,
+      align: 'left',
+      children: [ targetText, toleranceText ]
+    } ), options );
+    var self = this;
+
+    // Present for the lifetime of the sim; no need to dispose.
+    Property.multilink( [
+      model.challengeProperty,
+      UnitFormatter.VOLTAGE.prefixProperty,
+      UnitFormatter.CURRENT.prefixProperty,
+      UnitFormatter.RESISTANCE.prefixProperty,
+      UnitFormatter.VOLTAGE.precisionProperty
+    ], function( challenge ) {
+      if ( challenge ) {
+        var quantityInfo = QUANTITIES[ challenge.quantity ];
+        var formatter = quantityInfo.formatter;
+        var percent = Util.toFixed( 100 * challenge.tolerance, 0 );
+        targetText.text = StringUtils.fillIn( targetPatternString, {
+          symbol: quantityInfo.symbolString,
+          value: formatter.formatValue( challenge.targetValue ),
+          units: formatter.getUnits( challenge.targetValue )
+        } );
+        toleranceText.text = StringUtils.fillIn( tolerancePatternString, { percent: percent } );
+
+        // a11y
+        self.accessibleLabelAsHTML = StringUtils.fillIn( targetDescriptionPatternString, {
+          number: model.challengeIndexProperty.get() + 1,
+          total: ChallengeFactory.CHALLENGES_PER_LEVEL,
+          quantity: quantityInfo.quantityString,
+          value: formatter.formatAccessible( challenge.targetValue ),
+          percent: percent
+        } );
+      }
+    } );
+  }
+
+  ohmsLaw.register( 'TargetPanel', TargetPanel );
+
+  return inherit( Panel, TargetPanel, {}, {
+
+    /**
+     * Get the name of a quantity as read by a screen reader, like 'current'.
+     * @public
+     *
+     * @param {string} quantity - one of SolveFor.VALUES
+     * @returns {string}
+     */
+    getQuantityString: function( quantity ) {
+      return QUANTITIES[ quantity ].quantityString;
+    },
+
+    /**
+     * Get the formatter of a quantity.
+     * @public
+     *
+     * @param {string} quantity - one of SolveFor.VALUES
+     * @returns {UnitFormatter}
+     */
+    getFormatter: function( quantity ) {
+      return QUANTITIES[ quantity ].formatter;
+    }
+  } );
+} );
@@ -0,0 +1,52 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * The 'Series and Parallel' screen, where two or three resistors are connected in series or in parallel.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Color = require( 'SCENERY/util/Color' );
+  var ColorIO = require( 'SCENERY/util/ColorIO' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NetworkModel = require( 'OHMS_LAW/network/model/NetworkModel' );
+  var NetworkScreenView = require( 'OHMS_LAW/network/view/NetworkScreenView' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawScreen = require( 'OHMS_LAW/ohms-law/OhmsLawScreen' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var Screen = require( 'JOIST/Screen' );
+
+  // strings
+  var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
+  var screenNetworkString = require( 'string!OHMS_LAW/screen.network' );
+
+  /**
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function NetworkScreen( tandem ) {
+    Screen.call( this,
+      function() { return new NetworkModel( tandem.createTandem( 'model' ) ); },
+      function( model ) { return new NetworkScreenView( model, tandem.createTandem( 'view' ) ); },
+      {
+        name: screenNetworkString,
+        homeScreenIcon: OhmsLawScreen.createScreenIcon(
+          resistanceSymbolString + '\u2081 + ' + resistanceSymbolString + '\u2082' // subscripts are not translated
+        ),
+        backgroundColorProperty: new Property( new Color( '#ffffdf' ), {
+          tandem: tandem.createTandem( 'backgroundColorProperty' ),
+          phetioType: PropertyIO( ColorIO )
+        } ),
+        tandem: tandem
+      }
+    );
+  }
+
+  ohmsLaw.register( 'NetworkScreen', NetworkScreen );
+
+  return inherit( Screen, NetworkScreen );
+} );
@@ -0,0 +1,28 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the ways that the resistors in the network can be connected.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var ConnectionType = {
+    SERIES: 'series',
+    PARALLEL: 'parallel'
+  };
+
+  // @public {string[]} - all values of the enumeration
+  ConnectionType.VALUES = [ ConnectionType.SERIES, ConnectionType.PARALLEL ];
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( ConnectionType ); }
+
+  ohmsLaw.register( 'ConnectionType', ConnectionType );
+
+  return ConnectionType;
+} );
@@ -0,0 +1,191 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Model for the network screen, where two or three resistors are connected in series or in parallel to the batteries.
+ * See doc/model.md for more information.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ConnectionType = require( 'OHMS_LAW/network/model/ConnectionType' );
+  var DerivedProperty = require( 'AXON/DerivedProperty' );
+  var DerivedPropertyIO = require( 'AXON/DerivedPropertyIO' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NumberIO = require( 'ifphetio!PHET_IO/types/NumberIO' );
+  var NumberProperty = require( 'AXON/NumberProperty' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var RangeWithValue = require( 'DOT/RangeWithValue' );
+  var StringIO = require( 'ifphetio!PHET_IO/types/StringIO' );
+
+  // constants
+  var MAX_NUMBER_OF_RESISTORS = 3;
+  var INITIAL_RESISTANCES = [ 100, 200, 300 ]; // in ohms, different so that the branches are easy to tell apart
+
+  /**
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function NetworkModel( tandem ) {
+
+    var self = this;
+
+    // @public {Property.<number>} in volts
+    this.voltageProperty = new NumberProperty( OhmsLawConstants.VOLTAGE_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'voltageProperty' ),
+      units: 'volts',
+      range: OhmsLawConstants.VOLTAGE_RANGE
+    } );
+
+    // @public {Property.<string>} - how the resistors are connected, one of ConnectionType.VALUES
+    this.connectionTypeProperty = new Property( ConnectionType.SERIES, {
+      tandem: tandem.createTandem( 'connectionTypeProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: ConnectionType.VALUES
+    } );
+
+    // @public {Property.<number>} - number of resistors in the network
+    this.numberOfResistorsProperty = new NumberProperty( 2, {
+      tandem: tandem.createTandem( 'numberOfResistorsProperty' ),
+      numberType: 'Integer',
+      range: NetworkModel.NUMBER_OF_RESISTORS_RANGE
+    } );
+
+    // @public {Property.<number>[]} - resistance of each resistor in ohms, including those not in the network
+    this.resistanceProperties = INITIAL_RESISTANCES.map( function( resistance, index ) {
+      return new NumberProperty( resistance, {
+        tandem: tandem.createTandem( 'resistance' + ( index + 1 ) + 'Property' ),
+        units: 'ohms',
+        range: OhmsLawConstants.RESISTANCE_RANGE
+      } );
+    } );
+
+    // everything that the derived quantities depend on
+    var dependencies = [ this.voltageProperty, this.connectionTypeProperty, this.numberOfResistorsProperty ]
+      .concat( this.resistanceProperties );
+
+    // @public {Property.<number>} - resistance of the single resistor that could replace the network, in ohms
+    this.equivalentResistanceProperty = new DerivedProperty( dependencies, function() {
+      return self.computeEquivalentResistance();
+    }, {
+      tandem: tandem.createTandem( 'equivalentResistanceProperty' ),
+      units: 'ohms',
+      phetioType: DerivedPropertyIO( NumberIO )
+    } );
+
+    // @public {Property.<number>} - current through the batteries, in milliamps
+    this.totalCurrentProperty = new DerivedProperty( [ this.voltageProperty, this.equivalentResistanceProperty ],
+      function( voltage, equivalentResistance ) {
+        return 1000 * voltage / equivalentResistance;
+      }, {
+        tandem: tandem.createTandem( 'totalCurrentProperty' ),
+        units: 'milliamperes',
+        phetioType: DerivedPropertyIO( NumberIO )
+      } );
+
+    // @public {Property.<number>[]} - current through each resistor in milliamps, zero for those not in the network
+    this.currentProperties = this.resistanceProperties.map( function( resistanceProperty, index ) {
+      return new DerivedProperty( dependencies, function() {
+        return self.computeCurrent( index );
+      }, {
+        tandem: tandem.createTandem( 'current' + ( index + 1 ) + 'Property' ),
+        units: 'milliamperes',
+        phetioType: DerivedPropertyIO( NumberIO )
+      } );
+    } );
+
+    // @public {Property.<number>[]} - voltage drop across each resistor in volts, zero for those not in the network
+    this.voltageDropProperties = this.resistanceProperties.map( function( resistanceProperty, index ) {
+      return new DerivedProperty( [ self.currentProperties[ index ], resistanceProperty ], function( current, resistance ) {
+        return current * resistance / 1000;
+      }, {
+        tandem: tandem.createTandem( 'voltageDrop' + ( index + 1 ) + 'Property' ),
+        units: 'volts',
+        phetioType: DerivedPropertyIO( NumberIO )
+      } );
+    } );
+  }
+
+  ohmsLaw.register( 'NetworkModel', NetworkModel );
+
+  return inherit( Object, NetworkModel, {
+
+    /**
+     * resets the properties of the model
+     * @public
+     */
+    reset: function() {
+      this.voltageProperty.reset();
+      this.connectionTypeProperty.reset();
+      this.numberOfResistorsProperty.reset();
+      this.resistanceProperties.forEach( function( resistanceProperty ) {
+        resistanceProperty.reset();
+      } );
+    },
+
+    /**
+     * Get the resistances of the resistors that are in the network.
+     * @public
+     *
+     * @returns {number[]} - in ohms
+     */
+    getResistances: function() {
+      return this.resistanceProperties.slice( 0, this.numberOfResistorsProperty.get() ).map( function( property ) {
+        return property.get();
+      } );
+    },
+
+    /**
+     * Whether a resistor is in the network.
+     * @public
+     *
+     * @param {number} index - of the resistor
+     * @returns {boolean}
+     */
+    isResistorInNetwork: function( index ) {
+      return index < this.numberOfResistorsProperty.get();
+    },
+
+    /**
+     * Series resistances add, and for parallel resistances the reciprocals add.
+     * @private
+     *
+     * @returns {number} - in ohms
+     */
+    computeEquivalentResistance: function() {
+      var resistances = this.getResistances();
+      if ( this.connectionTypeProperty.get() === ConnectionType.SERIES ) {
+        return _.sum( resistances );
+      }
+      return 1 / _.sum( resistances.map( function( resistance ) { return 1 / resistance; } ) );
+    },
+
+    /**
+     * Every resistor in series carries the whole current, and every resistor in parallel has the whole voltage across
+     * it.
+     * @private
+     *
+     * @param {number} index - of the resistor
+     * @returns {number} - in milliamps
+     */
+    computeCurrent: function( index ) {
+      if ( !this.isResistorInNetwork( index ) ) {
+        return 0;
+      }
+      var voltage = this.voltageProperty.get();
+      var resistance = this.connectionTypeProperty.get() === ConnectionType.SERIES ?
+                       this.computeEquivalentResistance() :
+                       this.resistanceProperties[ index ].get();
+      return 1000 * voltage / resistance;
+    }
+  }, {
+
+    // @public (read-only) {RangeWithValue}
+    NUMBER_OF_RESISTORS_RANGE: new RangeWithValue( 2, MAX_NUMBER_OF_RESISTORS, 2 )
+  } );
+} );
@@ -0,0 +1,230 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the network circuit, with the batteries along the top wire and the resistors either in a row along the
+ * bottom wire (series) or on branches between the two side wires (parallel). Each resistor is labeled with the current
+ * through it and the voltage across it.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var BatteriesView = require( 'OHMS_LAW/ohms-law/view/BatteriesView' );
+  var ConnectionType = require( 'OHMS_LAW/network/model/ConnectionType' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Path = require( 'SCENERY/nodes/Path' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var ResistorNode = require( 'OHMS_LAW/ohms-law/view/ResistorNode' );
+  var RightAngleArrow = require( 'OHMS_LAW/ohms-law/view/RightAngleArrow' );
+  var Shape = require( 'KITE/Shape' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+  var Vector2 = require( 'DOT/Vector2' );
+
+  // strings
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
+  var resistorSymbolPatternString = require( 'string!OHMS_LAW/resistorSymbolPattern' );
+  var valueUnitsPatternString = require( 'string!OHMS_LAW/valueUnitsPattern' );
+  var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
+
+  // a11y strings
+  var circuitLabelString = OhmsLawA11yStrings.circuitLabelString;
+  var networkCircuitDescriptionPatternString = OhmsLawA11yStrings.networkCircuitDescriptionPatternString;
+  var seriesString = OhmsLawA11yStrings.seriesString;
+  var parallelString = OhmsLawA11yStrings.parallelString;
+  var equivalentResistanceDescriptionPatternString = OhmsLawA11yStrings.equivalentResistanceDescriptionPatternString;
+  var resistorBranchDescriptionPatternString = OhmsLawA11yStrings.resistorBranchDescriptionPatternString;
+
+  // constants
+  var WIDTH = OhmsLawConstants.WIRE_WIDTH;
+  var HEIGHT = OhmsLawConstants.WIRE_HEIGHT;
+  var WIRE_THICKNESS = 10;
+  var OFFSET = 10; // position offset for the RightAngleArrow
+  var RESISTOR_SCALE = 0.45; // resistors are smaller than on the first screen so that three fit on a wire
+  var BRANCH_SPACING = 55; // vertical distance between parallel branches, empirically determined
+  var LABEL_FONT = new PhetFont( 14 );
+
+  /**
+   * @param {NetworkModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function NetworkCircuitNode( model, tandem, options ) {
+
+    Node.call( this, {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'ul',
+      labelTagName: 'h3',
+      accessibleLabel: circuitLabelString,
+      prependLabels: true
+    } );
+    var self = this;
+
+    // The wires are redrawn when the network changes, the top left corner of the frame is defined as 0,0
+    var wiresPath = new Path( null, {
+      stroke: '#000',
+      lineWidth: WIRE_THICKNESS,
+      lineJoin: 'round',
+      tandem: tandem.createTandem( 'wiresPath' )
+    } );
+    this.addChild( wiresPath );
+
+    var batteriesView = new BatteriesView( model.voltageProperty, tandem.createTandem( 'batteriesView' ), {
+      left: OhmsLawConstants.BATTERIES_OFFSET, // Slightly to the right of the wire
+      centerY: 0
+    } );
+    this.addChild( batteriesView );
+
+    // a11y - description of the equivalent resistance and the total current
+    var accessibleEquivalentResistanceNode = new Node( { tagName: 'li' } );
+    this.addChild( accessibleEquivalentResistanceNode );
+
+    // a resistor with labels for each resistor that can be in the network
+    var resistorsGroupTandem = tandem.createGroupTandem( 'resistorNode' );
+    var labelsGroupTandem = tandem.createGroupTandem( 'resistorLabel' );
+    var resistorNodes = [];
+    var labelNodes = [];
+    model.resistanceProperties.forEach( function( resistanceProperty, index ) {
+
+      // the resistor itself is not in the PDOM, its label describes the whole branch
+      var resistorNode = new ResistorNode( resistanceProperty, resistorsGroupTandem.createNextTandem(), {
+        scale: RESISTOR_SCALE
+      } );
+      resistorNodes.push( resistorNode );
+      self.addChild( resistorNode );
+
+      var symbolText = new Text( StringUtils.fillIn( resistorSymbolPatternString, {
+        symbol: resistanceSymbolString,
+        number: index + 1
+      } ), { font: LABEL_FONT, fill: OhmsLawConstants.BLUE_COLOR } );
+      var currentText = new Text( '', { font: LABEL_FONT, fill: PhetColorScheme.RED_COLORBLIND } );
+      var voltageText = new Text( '', { font: LABEL_FONT, fill: OhmsLawConstants.BLUE_COLOR } );
+      var labelNode = new VBox( {
+        align: 'left',
+        children: [ symbolText, currentText, voltageText ],
+        tandem: labelsGroupTandem.createNextTandem(),
+
+        // a11y
+        tagName: 'li'
+      } );
+      labelNodes.push( labelNode );
+      self.addChild( labelNode );
+
+      // Present for the lifetime of the sim; no need to dispose.
+      Property.multilink( [ resistanceProperty, model.currentProperties[ index ], model.voltageDropProperties[ index ],
+          UnitFormatter.RESISTANCE.prefixProperty, UnitFormatter.CURRENT.prefixProperty,
+          UnitFormatter.VOLTAGE.prefixProperty, OhmsLawGlobalOptions.precisionProperty ],
+        function( resistance, current, voltage ) {
+          currentText.text = StringUtils.fillIn( valueUnitsPatternString, {
+            symbol: currentSymbolString,
+            value: UnitFormatter.CURRENT.formatValue( current ),
+            units: UnitFormatter.CURRENT.getUnits( current )
+          } );
+          voltageText.text = StringUtils.fillIn( valueUnitsPatternString, {
+            symbol: voltageSymbolString,
+            value: UnitFormatter.VOLTAGE.formatValue( voltage ),
+            units: UnitFormatter.VOLTAGE.getUnits( voltage )
+          } );
+
+          // a11y
+          labelNode.accessibleLabelAsHTML = StringUtils.fillIn( resistorBranchDescriptionPatternString, {
+            number: index + 1,
+            resistance: UnitFormatter.RESISTANCE.formatAccessible( resistance ),
+            current: UnitFormatter.CURRENT.formatAccessible( current ),
+            voltage: UnitFormatter.VOLTAGE.formatAccessible( voltage )
+          } );
+        } );
+    } );
+
+    // the arrows show the total current through the batteries
+    var bottomLeftArrow = new RightAngleArrow( model.totalCurrentProperty, tandem.createTandem( 'bottomLeftArrow' ), {
+      x: -OFFSET,
+      y: HEIGHT + OFFSET,
+      rotation: Math.PI / 2
+    } );
+    this.addChild( bottomLeftArrow );
+
+    var bottomRightArrow = new RightAngleArrow( model.totalCurrentProperty, tandem.createTandem( 'bottomRightArrow' ), {
+      x: WIDTH + OFFSET,
+      y: HEIGHT + OFFSET,
+      rotation: 0
+    } );
+    this.addChild( bottomRightArrow );
+
+    // Lay out the wires and the resistors for the network. Present for the lifetime of the sim; no need to dispose.
+    Property.multilink( [ model.connectionTypeProperty, model.numberOfResistorsProperty ],
+      function( connectionType, numberOfResistors ) {
+
+        // the frame around the batteries is always present
+        var shape = new Shape().rect( 0, 0, WIDTH, HEIGHT );
+
+        resistorNodes.forEach( function( resistorNode, index ) {
+          var inNetwork = model.isResistorInNetwork( index );
+          resistorNode.visible = inNetwork;
+          labelNodes[ index ].visible = inNetwork;
+          if ( !inNetwork ) {
+            return;
+          }
+
+          if ( connectionType === ConnectionType.SERIES ) {
+
+            // evenly spaced along the bottom wire, with labels below
+            resistorNode.center = new Vector2( WIDTH * ( index + 1 ) / ( numberOfResistors + 1 ), HEIGHT );
+            labelNodes[ index ].centerTop = resistorNode.centerBottom.plusXY( 0, 8 );
+          }
+          else {
+
+            // each resistor on its own branch, going up from the bottom wire, with labels to the right
+            var branchY = HEIGHT - index * BRANCH_SPACING;
+            shape.moveTo( 0, branchY ).horizontalLineTo( WIDTH );
+            resistorNode.center = new Vector2( WIDTH / 2, branchY );
+            labelNodes[ index ].leftCenter = resistorNode.rightCenter.plusXY( 15, 0 );
+          }
+        } );
+
+        wiresPath.shape = shape;
+
+        // a11y
+        self.accessibleDescriptionAsHTML = StringUtils.fillIn( networkCircuitDescriptionPatternString, {
+          numberOfResistors: numberOfResistors,
+          connectionType: connectionType === ConnectionType.SERIES ? seriesString : parallelString
+        } );
+      } );
+
+    // a11y - Present for the lifetime of the sim; no need to dispose.
+    Property.multilink( [ model.equivalentResistanceProperty, model.totalCurrentProperty,
+        UnitFormatter.RESISTANCE.prefixProperty, UnitFormatter.CURRENT.prefixProperty,
+        OhmsLawGlobalOptions.precisionProperty ],
+      function( equivalentResistance, totalCurrent ) {
+        accessibleEquivalentResistanceNode.accessibleLabelAsHTML = StringUtils.fillIn(
+          equivalentResistanceDescriptionPatternString, {
+            resistance: UnitFormatter.RESISTANCE.formatAccessible( equivalentResistance ),
+            current: UnitFormatter.CURRENT.formatAccessible( totalCurrent )
+          } );
+      } );
+
+    // a11y - the order of descriptions should be batteries, resistors, then the network as a whole
+    this.accessibleOrder = [ batteriesView ].concat( labelNodes ).concat( [ accessibleEquivalentResistanceNode ] );
+
+    this.mutate( options );
+  }
+
+  ohmsLaw.register( 'NetworkCircuitNode', NetworkCircuitNode );
+
+  return inherit( Node, NetworkCircuitNode );
+} );
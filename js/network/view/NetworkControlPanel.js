@@ -0,0 +1,209 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Control panel for the network screen, with sliders for the voltage and the resistance of each resistor in the
+ * network, and radio buttons to choose how many resistors there are and how they are connected.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var AccessiblePeer = require( 'SCENERY/accessibility/AccessiblePeer' );
+  var ConnectionType = require( 'OHMS_LAW/network/model/ConnectionType' );
+  var HBox = require( 'SCENERY/nodes/HBox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NetworkModel = require( 'OHMS_LAW/network/model/NetworkModel' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Panel = require( 'SUN/Panel' );
+  var SliderUnit = require( 'OHMS_LAW/ohms-law/view/SliderUnit' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+  var VerticalAquaRadioButtonGroup = require( 'SUN/VerticalAquaRadioButtonGroup' );
+
+  // strings
+  var parallelString = require( 'string!OHMS_LAW/parallel' );
+  var resistanceString = require( 'string!OHMS_LAW/resistance' );
+  var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
+  var resistanceUnitsString = require( 'string!OHMS_LAW/resistanceUnits' );
+  var resistorsString = require( 'string!OHMS_LAW/resistors' );
+  var resistorSymbolPatternString = require( 'string!OHMS_LAW/resistorSymbolPattern' );
+  var seriesString = require( 'string!OHMS_LAW/series' );
+  var voltageString = require( 'string!OHMS_LAW/voltage' );
+  var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
+  var voltageUnitsString = require( 'string!OHMS_LAW/voltageUnits' );
+
+  // a11y strings
+  var voltageSliderLabelString = OhmsLawA11yStrings.voltageSliderLabelString;
+  var resistorSliderLabelPatternString = OhmsLawA11yStrings.resistorSliderLabelPatternString;
+  var sliderControlsString = OhmsLawA11yStrings.sliderControlsString;
+  var networkChangeAlertPatternString = OhmsLawA11yStrings.networkChangeAlertPatternString;
+  var connectionTypeLabelString = OhmsLawA11yStrings.connectionTypeLabelString;
+  var connectionTypeDescriptionString = OhmsLawA11yStrings.connectionTypeDescriptionString;
+  var numberOfResistorsLabelString = OhmsLawA11yStrings.numberOfResistorsLabelString;
+  var twoResistorsString = OhmsLawA11yStrings.twoResistorsString;
+  var threeResistorsString = OhmsLawA11yStrings.threeResistorsString;
+
+  // constants
+  var CONNECTION_TYPE_STRINGS = {};
+  CONNECTION_TYPE_STRINGS[ ConnectionType.SERIES ] = seriesString;
+  CONNECTION_TYPE_STRINGS[ ConnectionType.PARALLEL ] = parallelString;
+  var NUMBER_OF_RESISTORS_STRINGS = [ twoResistorsString, threeResistorsString ]; // a11y, indexed from the range min
+
+  /**
+   * @param {NetworkModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function NetworkControlPanel( model, tandem, options ) {
+
+    options = _.extend( {
+      xMargin: 30,
+      yMargin: 10,
+      lineWidth: 3,
+      tandem: tandem
+    }, options );
+
+    // a11y - when a slider is released, announce the new state of the network as a whole
+    var sliderOptions = {
+      endDrag: function() {
+        var alert = StringUtils.fillIn( networkChangeAlertPatternString, {
+          resistance: UnitFormatter.RESISTANCE.formatAccessible( model.equivalentResistanceProperty.get() ),
+          current: UnitFormatter.CURRENT.formatAccessible( model.totalCurrentProperty.get() )
+        } );
+        utteranceQueue.addToBack( new Utterance( alert, { typeId: 'networkAlert' } ) );
+      }
+    };
+
+    var voltageSlider = new SliderUnit(
+      model.voltageProperty,
+      OhmsLawConstants.VOLTAGE_RANGE,
+      voltageSymbolString,
+      voltageString,
+      voltageUnitsString,
+      voltageSliderLabelString,
+      tandem.createTandem( 'voltageSlider' ),
+      _.extend( {
+        keyboardStep: 0.5, // volts
+        shiftKeyboardStep: 0.1, // volts
+        formatter: UnitFormatter.VOLTAGE
+      }, sliderOptions ) );
+
+    var resistanceSliders = model.resistanceProperties.map( function( resistanceProperty, index ) {
+      return new SliderUnit(
+        resistanceProperty,
+        OhmsLawConstants.RESISTANCE_RANGE,
+        StringUtils.fillIn( resistorSymbolPatternString, { symbol: resistanceSymbolString, number: index + 1 } ),
+        resistanceString,
+        resistanceUnitsString,
+        StringUtils.fillIn( resistorSliderLabelPatternString, { number: index + 1 } ),
+        tandem.createTandem( 'resistance' + ( index + 1 ) + 'Slider' ),
+        _.extend( {
+          keyboardStep: 20, // ohms
+          shiftKeyboardStep: 1, // ohms
+          formatter: UnitFormatter.RESISTANCE
+        }, sliderOptions ) );
+    } );
+
+    var slidersBox = new HBox( {
+      spacing: 15, // empirically determined, tighter than ControlPanel so that four sliders fit beside the circuit
+      align: 'top',
+
+      // a11y - contain the sliders in a list
+      labelTagName: 'h3',
+      prependLabels: true,
+      tagName: 'ul',
+      accessibleLabel: sliderControlsString
+    } );
+
+    slidersBox.setAriaLabelledByNode( slidersBox );
+    slidersBox.ariaLabelContent = AccessiblePeer.LABEL;
+
+    // Only show the sliders for resistors that are in the network. Present for the lifetime of the sim; no need to
+    // unlink.
+    model.numberOfResistorsProperty.link( function() {
+      slidersBox.children = [ voltageSlider ].concat( resistanceSliders.filter( function( slider, index ) {
+        return model.isResistorInNetwork( index );
+      } ) );
+    } );
+
+    var connectionTypeRadioButtonGroup = new VerticalAquaRadioButtonGroup( ConnectionType.VALUES.map( function( connectionType ) {
+      return {
+        node: new Text( CONNECTION_TYPE_STRINGS[ connectionType ], {
+          font: OhmsLawConstants.NAME_FONT,
+          maxWidth: 2 * OhmsLawConstants.SLIDER_WIDTH
+        } ),
+        property: model.connectionTypeProperty,
+        value: connectionType,
+        tandemName: connectionType + 'RadioButton',
+        accessibleLabel: CONNECTION_TYPE_STRINGS[ connectionType ]
+      };
+    } ), {
+      radius: 8,
+      spacing: 6,
+      tandem: tandem.createTandem( 'connectionTypeRadioButtonGroup' ),
+
+      // a11y
+      labelTagName: 'h3',
+      accessibleLabel: connectionTypeLabelString,
+      accessibleDescription: connectionTypeDescriptionString
+    } );
+
+    var range = NetworkModel.NUMBER_OF_RESISTORS_RANGE;
+    var numberOfResistorsRadioButtonGroup = new VerticalAquaRadioButtonGroup( _.range( range.min, range.max + 1 )
+      .map( function( numberOfResistors ) {
+        return {
+          node: new Text( '' + numberOfResistors, { font: OhmsLawConstants.NAME_FONT } ), // numbers are not translated
+          property: model.numberOfResistorsProperty,
+          value: numberOfResistors,
+          tandemName: 'resistors' + numberOfResistors + 'RadioButton',
+          accessibleLabel: NUMBER_OF_RESISTORS_STRINGS[ numberOfResistors - range.min ]
+        };
+      } ), {
+      radius: 8,
+      spacing: 6,
+      tandem: tandem.createTandem( 'numberOfResistorsRadioButtonGroup' ),
+
+      // a11y
+      labelTagName: 'h3',
+      accessibleLabel: numberOfResistorsLabelString
+    } );
+
+    var numberOfResistorsBox = new HBox( {
+      spacing: 10, // empirically determined
+      align: 'top',
+      children: [
+        new Text( resistorsString, {
+          font: OhmsLawConstants.NAME_FONT,
+          maxWidth: OhmsLawConstants.SLIDER_WIDTH
+        } ),
+        numberOfResistorsRadioButtonGroup
+      ]
+    } );
+
+    var radioButtonsBox = new HBox( {
+      spacing: 50, // empirically determined
+      align: 'top',
+      children: [ connectionTypeRadioButtonGroup, numberOfResistorsBox ]
+    } );
+
+    var content = new VBox( {
+      spacing: 12, // empirically determined
+      children: [ slidersBox, radioButtonsBox ]
+    } );
+
+    Panel.call( this, content, options );
+  }
+
+  ohmsLaw.register( 'NetworkControlPanel', NetworkControlPanel );
+
+  return inherit( Panel, NetworkControlPanel );
+} );
@@ -0,0 +1,103 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Panel that displays the equivalent resistance of the network and the total current supplied by the batteries.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var HBox = require( 'SCENERY/nodes/HBox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Panel = require( 'SUN/Panel' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  var currentString = require( 'string!OHMS_LAW/current' );
+  var equivalentResistanceString = require( 'string!OHMS_LAW/equivalentResistance' );
+
+  // constants
+  var FONT = new PhetFont( 24 );
+  var MAX_READOUT_WIDTH = 0.63 * OhmsLawConstants.WIRE_WIDTH;
+
+  /**
+   * Creates a row like "current = 15.0 mA" that updates with the value of the Property.
+   *
+   * @param {Property.<number>} property
+   * @param {string} nameString
+   * @param {UnitFormatter} formatter
+   * @param {string} fill - for the name and units
+   * @param {Tandem} tandem
+   * @returns {Node}
+   */
+  function createReadout( property, nameString, formatter, fill, tandem ) {
+    var valueText = new Text( '', {
+      font: FONT,
+      fill: 'black',
+      tandem: tandem.createTandem( 'valueText' )
+    } );
+
+    var unitsText = new Text( '', { font: FONT, fill: fill, tandem: tandem.createTandem( 'unitsText' ) } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    var updateReadout = function() {
+      valueText.text = formatter.formatValue( property.get() );
+      unitsText.text = formatter.getUnits( property.get() );
+    };
+    property.link( updateReadout );
+    formatter.prefixProperty.lazyLink( updateReadout );
+    formatter.precisionProperty.lazyLink( updateReadout );
+
+    return new HBox( {
+      spacing: 8, // empirically determined
+      children: [
+        new Text( nameString, { font: FONT, fill: fill, tandem: tandem.createTandem( 'nameText' ) } ),
+        new Text( '=', { font: FONT, fill: 'black' } ), // We never internationalize the '=' sign
+        valueText,
+        unitsText
+      ],
+      maxWidth: MAX_READOUT_WIDTH
+    } );
+  }
+
+  /**
+   * @param {NetworkModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function NetworkReadoutPanel( model, tandem, options ) {
+
+    options = _.extend( {
+      xMargin: 30,
+      yMargin: 8,
+      lineWidth: 3,
+      tandem: tandem
+    }, options );
+
+    var content = new VBox( {
+      spacing: 4,
+      align: 'left',
+      children: [
+        createReadout( model.equivalentResistanceProperty, equivalentResistanceString, UnitFormatter.RESISTANCE,
+          OhmsLawConstants.BLUE_COLOR, tandem.createTandem( 'equivalentResistanceReadout' ) ),
+        createReadout( model.totalCurrentProperty, currentString, UnitFormatter.CURRENT,
+          PhetColorScheme.RED_COLORBLIND, tandem.createTandem( 'currentReadout' ) )
+      ]
+    } );
+
+    Panel.call( this, content, options );
+  }
+
+  ohmsLaw.register( 'NetworkReadoutPanel', NetworkReadoutPanel );
+
+  return inherit( Panel, NetworkReadoutPanel );
+} );
@@ -0,0 +1,131 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Screen view for the network screen, where two or three resistors are connected in series or in parallel.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var AccessibleSectionNode = require( 'SCENERY_PHET/accessibility/AccessibleSectionNode' );
+  var BooleanProperty = require( 'AXON/BooleanProperty' );
+  var HBox = require( 'SCENERY/nodes/HBox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var JoistA11yStrings = require( 'JOIST/JoistA11yStrings' );
+  var NetworkCircuitNode = require( 'OHMS_LAW/network/view/NetworkCircuitNode' );
+  var NetworkControlPanel = require( 'OHMS_LAW/network/view/NetworkControlPanel' );
+  var NetworkReadoutPanel = require( 'OHMS_LAW/network/view/NetworkReadoutPanel' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var ResetAllButton = require( 'SCENERY_PHET/buttons/ResetAllButton' );
+  var ScreenView = require( 'JOIST/ScreenView' );
+  var Sound = require( 'VIBE/Sound' );
+  var SoundToggleButton = require( 'SCENERY_PHET/buttons/SoundToggleButton' );
+
+  // audio
+  // The sounds themselves can be constants because there is only every one instance of NetworkScreenView.
+  var ADD_BATTERY_SOUND = new Sound( require( 'audio!OHMS_LAW/add-battery' ) );
+  var REMOVE_BATTERY_SOUND = new Sound( require( 'audio!OHMS_LAW/remove-battery' ) );
+
+  // a11y strings
+  var networkTitleString = OhmsLawA11yStrings.networkTitleString;
+  var playAreaString = JoistA11yStrings.playAreaString;
+  var controlPanelString = JoistA11yStrings.controlPanelString;
+
+  // constants
+  var CIRCUIT_SCALE = 0.85;
+
+  /**
+   * @param {NetworkModel} model
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function NetworkScreenView( model, tandem ) {
+
+    // {Property.<boolean>}
+    var soundActiveProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'soundActiveProperty' )
+    } );
+
+    ScreenView.call( this, {
+      accessibleLabel: networkTitleString,
+      tandem: tandem
+    } );
+
+    var readoutPanel = new NetworkReadoutPanel( model, tandem.createTandem( 'readoutPanel' ) );
+
+    // The circuit is smaller than the WireBox on the first screen to leave room for up to four sliders
+    var circuitNode = new NetworkCircuitNode( model, tandem.createTandem( 'circuitNode' ), {
+      scale: CIRCUIT_SCALE,
+      pickable: false
+    } );
+
+    var controlPanel = new NetworkControlPanel( model, tandem.createTandem( 'controlPanel' ) );
+
+    // Sound on/off toggle button
+    var soundToggleButton = new SoundToggleButton( soundActiveProperty, {
+      stroke: 'gray',
+      lineWidth: 0.5,
+      tandem: tandem.createTandem( 'soundToggleButton' )
+    } );
+
+    var resetAllButton = new ResetAllButton( {
+      radius: 28,
+      listener: function() {
+        model.reset();
+        soundActiveProperty.reset();
+      },
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+
+    // readout and circuit are contained in a "Play Area", structure available to assistive technology
+    var playAreaNode = new AccessibleSectionNode( playAreaString );
+    this.addChild( playAreaNode );
+
+    // sound and reset all buttons contained in a "Control Panel", structure available to assistive technology
+    var controlPanelSectionNode = new AccessibleSectionNode( controlPanelString );
+    this.addChild( controlPanelSectionNode );
+
+    var buttons = new HBox( {
+      spacing: 60, // empirically determined
+      children: [ soundToggleButton, resetAllButton ]
+    } );
+
+    // children
+    playAreaNode.addChild( readoutPanel );
+    playAreaNode.addChild( circuitNode );
+    playAreaNode.addChild( controlPanel );
+    controlPanelSectionNode.addChild( buttons );
+
+    // layout for the screen, the circuit is positioned by its wire frame so that it doesn't move with the labels
+    circuitNode.x = 50; // empirically determined
+    circuitNode.y = this.layoutBounds.bottom * 0.4; // empirically determined
+    readoutPanel.centerX = circuitNode.x + CIRCUIT_SCALE * OhmsLawConstants.WIRE_WIDTH / 2;
+    readoutPanel.top = 40; // empirically determined
+
+    controlPanel.right = this.layoutBounds.width - 30; // empirically determined
+    controlPanel.centerY = this.layoutBounds.centerY - buttons.height / 2;
+    buttons.centerTop = controlPanel.centerBottom.plusXY( 0, 15 );
+
+    // Play sounds when adding or removing a battery
+    model.voltageProperty.lazyLink( function( voltage, oldVoltage ) {
+      var newNumberBatteries = Math.floor( voltage / OhmsLawConstants.AA_VOLTAGE );
+      var oldNumberBatteries = Math.floor( oldVoltage / OhmsLawConstants.AA_VOLTAGE );
+      if ( soundActiveProperty.value ) {
+        if ( newNumberBatteries > oldNumberBatteries ) {
+          ADD_BATTERY_SOUND.play();
+        }
+        else if ( newNumberBatteries < oldNumberBatteries ) {
+          REMOVE_BATTERY_SOUND.play();
+        }
+      }
+    } );
+  }
+
+  ohmsLaw.register( 'NetworkScreenView', NetworkScreenView );
+
+  return inherit( ScreenView, NetworkScreenView );
+} );
@@ -9,6 +9,9 @@ define( function( require ) {
   'use strict';
 
   // modules
+  var GameScreen = require( 'OHMS_LAW/game/GameScreen' );
+  var NetworkScreen = require( 'OHMS_LAW/network/NetworkScreen' );
+  var OhmsLawGlobalOptionsNode = require( 'OHMS_LAW/ohms-law/view/OhmsLawGlobalOptionsNode' );
   var OhmsLawKeyboardHelpContent = require( 'OHMS_LAW/ohms-law/view/OhmsLawKeyboardHelpContent' );
   var OhmsLawScreen = require( 'OHMS_LAW/ohms-law/OhmsLawScreen' );
   var Sim = require( 'JOIST/Sim' );
@@ -33,13 +36,20 @@ define( function( require ) {
       thanks: 'Thanks to Mobile Learner Labs for working with the PhET development team to convert this ' +
               'simulation to HTML5.'
     },
-    keyboardHelpNode: keyboardHelpContent
+    keyboardHelpNode: keyboardHelpContent,
+
+    // options that apply to all screens, in the Options dialog of the PhET menu
+    optionsNode: new OhmsLawGlobalOptionsNode( tandem.createTandem( 'globalOptionsNode' ) )
   };
 
   SimLauncher.launch( function() {
 
     // Create and start the sim
-    var sim = new Sim( ohmsLawTitleString, [ new OhmsLawScreen( tandem.createTandem( 'ohmsLawScreen' ) ) ], simOptions );
+    var sim = new Sim( ohmsLawTitleString, [
+      new OhmsLawScreen( tandem.createTandem( 'ohmsLawScreen' ) ),
+      new NetworkScreen( tandem.createTandem( 'networkScreen' ) ),
+      new GameScreen( tandem.createTandem( 'gameScreen' ) )
+    ], simOptions );
     sim.start();
   } );
 
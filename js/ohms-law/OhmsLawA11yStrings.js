@@ -15,8 +15,10 @@ define( function( require ) {
   var OhmsLawA11yStrings = {
     resistanceUnitsPatternString: '{{value}} Ohms',
     voltageUnitsPatternString: '{{value}} Volts',
+    currentUnitsPatternString: '{{value}} Milliamps',
     resistanceSliderLabelString: 'R, Resistance',
     voltageSliderLabelString: 'V, Voltage',
+    currentSliderLabelString: 'I, Current',
 
     // accessible title for Ohms Law
     ohmsLawTitleString: 'Ohm\'s Law',
@@ -53,6 +55,19 @@ define( function( require ) {
     //--------------------------------------------------------------------------
     ohmsLawEquationString: 'Ohm\'s Law Equation',
     ohmsLawDefinitionString: 'Voltage, <strong>V</strong>, is equal to Current, <strong>I</strong>, times Resistance, <strong>R</strong>.',
+    powerEquationString: 'Power Equation',
+    powerCurrentVoltageDefinitionString: 'Power, <strong>P</strong>, is equal to Current, <strong>I</strong>, times Voltage, <strong>V</strong>.',
+    powerCurrentResistanceDefinitionString: 'Power, <strong>P</strong>, is equal to Current, <strong>I</strong>, squared, times Resistance, <strong>R</strong>.',
+
+    // pattern for the description of relative letter size in the power equations
+    powerRelativeSizePatternString: 'In equation, <strong>letter P</strong> is <em>{{iComparison}}</em> <strong>letter I</strong> and <em>{{otherComparison}}</em> <strong>letter {{otherLetter}}</strong>.',
+
+    // choice of equation
+    equationChoiceLabelString: 'Equation',
+    equationChoiceDescriptionString: 'Choose the equation that is shown.',
+    ohmsLawEquationChoiceString: 'V equals I times R',
+    powerCurrentVoltageEquationChoiceString: 'P equals I times V',
+    powerCurrentResistanceEquationChoiceString: 'P equals I squared times R',
 
     //--------------------------------------------------------------------------
     // Circuit strings
@@ -64,12 +79,77 @@ define( function( require ) {
     // Battery strings
     //--------------------------------------------------------------------------
 
-    batteriesSupplyPatternString: 'batteries supply <em>{{voltage}} volts</em>',
+    batteriesSupplyPatternString: '{{number}} {{batteries}} supply <em>{{voltage}} volts</em>',
+    oneBatterySupplyPatternString: 'one {{battery}} supplies <em>{{voltage}} volts</em>',
+    benchSupplyPatternString: 'bench power supply supplies <em>{{voltage}} volts</em>',
+
+    // kinds of source
+    sourceTypeLabelString: 'Source',
+    sourceTypeDescriptionString: 'Choose the kind of battery that is stacked to make up the voltage, or a bench power supply that can be set to any voltage.',
+    aaBatteryString: 'AA battery',
+    aaBatteriesString: 'AA batteries',
+    cBatteryString: 'C battery',
+    cBatteriesString: 'C batteries',
+    dBatteryString: 'D battery',
+    dBatteriesString: 'D batteries',
+    lanternBatteryString: '6 volt lantern battery',
+    lanternBatteriesString: '6 volt lantern batteries',
+    nineVoltBatteryString: '9 volt battery',
+    nineVoltBatteriesString: '9 volt batteries',
+
+    // internal resistance of the batteries
+    terminalVoltagePatternString: 'batteries have an internal resistance of {{internalResistance}} ohms, so the voltage across the resistor is <em>{{terminalVoltage}} volts</em>, {{drop}} volts less than the {{emf}} volt EMF',
+    terminalVoltageSagPatternString: 'batteries have an internal resistance of {{internalResistance}} ohms and the resistor is small, so the voltage across the resistor sags to <em>{{terminalVoltage}} volts</em>, {{drop}} volts less than the {{emf}} volt EMF',
+    internalResistanceLabelString: 'Internal resistance',
+    internalResistanceDescriptionString: 'Give the batteries internal resistance, so that the voltage across the resistor is less than the EMF of the batteries.',
+    internalResistanceSliderLabelString: 'r, Internal resistance',
+
+    // running down of the batteries
+    batteriesChargePatternString: 'with <em>{{percent}} percent</em> of their charge left',
+    batteryDepletionLabelString: 'Batteries run down',
+    batteryDepletionDescriptionString: 'Drain the batteries with the current through the circuit, so that their voltage drops as their charge is used up. A larger current drains them faster.',
+    replaceBatteriesLabelString: 'Replace batteries',
+    replaceBatteriesDescriptionString: 'Replace the batteries with fully charged ones.',
+    batteriesReplacedAlertString: 'Batteries replaced, fully charged.',
+
+    // AC source, which takes the place of the batteries
+    acSourcePatternString: 'AC source alternates with an amplitude of <em>{{amplitude}} volts</em> at {{frequency}} hertz',
+    acModeLabelString: 'AC source',
+    acModeDescriptionString: 'Replace the batteries with an AC source, whose voltage swings back and forth like a sine wave so that the current reverses every half cycle.',
+    amplitudeSliderLabelString: 'V, Amplitude',
+    acFrequencySliderLabelString: 'f, Frequency',
+    frequencyUnitsPatternString: '{{value}} hertz',
+
+    // fuse, which blows when the current is more than its rating
+    fuseLabelString: 'Fuse',
+    fuseDescriptionString: 'Put a fuse in the circuit. It blows and stops the current when the current is more than its rating.',
+    fuseRatingLabelString: 'Fuse rating',
+    fuseIntactPatternString: 'fuse rated <em>{{rating}}</em> is intact',
+    fuseBlownPatternString: 'fuse rated <em>{{rating}}</em> has blown, so the circuit is open and no current flows',
+    fuseBlownAlertString: 'Fuse blown! The current was more than its rating, so the circuit is open and no current flows.',
+    replaceFuseLabelString: 'Replace fuse',
+    replaceFuseDescriptionString: 'Replace the blown fuse with a new one of the same rating.',
+    fuseReplacedAlertString: 'Fuse replaced.',
 
     //--------------------------------------------------------------------------
     // Current strings
     //--------------------------------------------------------------------------
-    currentDescriptionPatternString: '<em>{{arrowSize}} arrows</em> indicate a current flowing clockwise at <em>{{value}} milliamps</em>',
+    currentDescriptionPatternString: '<em>{{arrowSize}} arrows</em> indicate a current flowing clockwise at <em>{{value}}</em>',
+    alternatingCurrentDescriptionPatternString: 'arrows grow, shrink and reverse with a current that alternates with an amplitude of <em>{{value}}</em>, <em>{{rms}}</em> RMS',
+
+    // charges that move around the circuit
+    electronsFlowDescriptionString: 'electrons drift counterclockwise around the circuit, against the current, crowding together and slowing down in the load',
+    conventionalChargesFlowDescriptionString: 'positive charges drift clockwise around the circuit, with the current, crowding together and slowing down in the load',
+    chargesLabelString: 'Show charges',
+    chargesDescriptionString: 'Show charges moving around the circuit, faster for a larger current.',
+    chargeTypeLabelString: 'Charges',
+    electronsString: 'Electrons',
+    conventionalChargesString: 'Conventional, positive charges',
+
+    //--------------------------------------------------------------------------
+    // Power strings
+    //--------------------------------------------------------------------------
+    powerDescriptionPatternString: 'resistor uses power at <em>{{value}} milliwatts</em>',
 
     //--------------------------------------------------------------------------
     // Resistance strings
@@ -84,6 +164,57 @@ define( function( require ) {
     hugeAmountOfImpuritiesString: 'a huge amount of impurities',
 
     resistanceDotsPatternString: 'resistor shows <em>{{impurities}}</em>',
+    resistanceDotsTemperaturePatternString: 'resistor shows <em>{{impurities}}</em> and has heated up to <em>{{temperature}} degrees Celsius</em>',
+
+    // color bands of the resistor color code, read from left to right
+    colorBandsPatternString: 'resistor has color bands <em>{{bands}}</em>',
+    colorBandsTemperaturePatternString: 'resistor has color bands <em>{{bands}}</em> and has heated up to <em>{{temperature}} degrees Celsius</em>',
+    colorBandsSeparatorString: ', ',
+    blackBandString: 'black',
+    brownBandString: 'brown',
+    redBandString: 'red',
+    orangeBandString: 'orange',
+    yellowBandString: 'yellow',
+    greenBandString: 'green',
+    blueBandString: 'blue',
+    violetBandString: 'violet',
+    greyBandString: 'grey',
+    whiteBandString: 'white',
+    goldBandString: 'gold',
+    silverBandString: 'silver',
+    colorBandsLabelString: 'Color bands',
+    colorBandsDescriptionString: 'Show the resistance with the resistor color code instead of dots. The first bands are the digits of the resistance, the next band is the power of ten that they are multiplied by, and the last band is the tolerance.',
+    noColorBandsString: 'No color bands',
+    fourBandsString: 'Four bands, two digits',
+    fiveBandsString: 'Five bands, three digits',
+    standardValuesLabelString: 'Standard values',
+    standardValuesDescriptionString: 'Snap the resistance slider to standard resistor values.',
+    anyValueString: 'Any value',
+    e12SeriesString: 'E12 series, 12 values in each decade',
+    e24SeriesString: 'E24 series, 24 values in each decade',
+
+    // heating of the resistor
+    resistorHeatingLabelString: 'Resistor heating',
+    resistorHeatingDescriptionString: 'Let the resistor heat up from the power it uses. Its resistance changes as its temperature changes.',
+    resistorMaterialLabelString: 'Resistor material',
+
+    // resistor builder
+    resistorBuilderLabelString: 'Resistor builder',
+    resistorBuilderDescriptionString: 'Build the resistor from its length, cross-sectional area and the resistivity of its material. Resistance R equals rho times L divided by A.',
+    resistorLengthSliderLabelString: 'L, Length',
+    resistorAreaSliderLabelString: 'A, Cross-sectional area',
+    resistivitySliderLabelString: 'rho, Resistivity',
+    lengthUnitsPatternString: '{{value}} centimeters',
+    areaUnitsPatternString: '{{value}} square millimeters',
+    resistivityUnitsPatternString: '{{value}} milliohm meters',
+
+    // loads that are not ohmic
+    loadTypeLabelString: 'Load',
+    loadTypeDescriptionString: 'Replace the resistor with a filament lamp or a diode, which do not follow Ohm\'s law.',
+    filamentLampString: 'Filament lamp',
+    diodeString: 'Diode',
+    nonOhmicLoadDescriptionPatternString: '{{load}} has a resistance of <em>{{resistance}} ohms</em> at this voltage',
+    nonOhmicFormulaDescriptionPatternString: 'With a {{load}}, <strong>letter R</strong> is not constant. It is the voltage divided by the current, which changes as the voltage changes.',
 
     //--------------------------------------------------------------------------
     // Scene summary strings
@@ -100,9 +231,10 @@ define( function( require ) {
     stateOfSimString: 'State of Sim',
     rightNowString: 'Right now,',
 
-    voltageSummaryPatternString: 'voltage, <strong>V</strong>, is <em>{{value}} volts</em>',
-    resistanceSummaryPatternString: 'resistance, <strong>R</strong>, is <em>{{value}} ohms</em>',
-    currentSummaryPatternString: 'current, <strong>I</strong>, is <em>{{value}} milliamps</em>',
+    voltageSummaryPatternString: 'voltage, <strong>V</strong>, is <em>{{value}}</em>',
+    resistanceSummaryPatternString: 'resistance, <strong>R</strong>, is <em>{{value}}</em>',
+    currentSummaryPatternString: 'current, <strong>I</strong>, is <em>{{value}}</em>',
+    powerSummaryPatternString: 'power, <strong>P</strong>, is <em>{{value}} milliwatts</em>',
 
 
     //--------------------------------------------------------------------------
@@ -111,12 +243,218 @@ define( function( require ) {
     sliderControlsString: 'Slider Controls',
     slidersDescriptionString: 'Voltage and resistance sliders allow changes to equation and circuit.',
 
-    sliderChangeAlertPatternString: 'As letter {{initLetter}} {{initSizeChange}}, letter I {{iSizeChange}}.  Current now {{currentVal}} milliamps.',
+    sliderChangeAlertPatternString: 'As letter {{initLetter}} {{initSizeChange}}, letter {{derivedLetter}} {{derivedSizeChange}}.  {{derivedValue}}.',
+    currentNowPatternString: 'Current now {{value}}',
+    voltageNowPatternString: 'Voltage now {{value}}',
+    resistanceNowPatternString: 'Resistance now {{value}}',
     letterRString: 'R',
     letterVString: 'V',
+    letterIString: 'I',
     shrinksString: 'shrinks',
     growsString: 'grows',
-    aLotString: 'a lot'
+    aLotString: 'a lot',
+    staysTheSameString: 'stays the same',
+
+    //--------------------------------------------------------------------------
+    // solve for strings
+    //--------------------------------------------------------------------------
+    solveForLabelString: 'Solve for',
+    solveForDescriptionString: 'Choose the letter that the equation is solved for. The other two letters can be changed with sliders.',
+    solveForVoltageString: 'Voltage, V',
+    solveForCurrentString: 'Current, I',
+    solveForResistanceString: 'Resistance, R',
+
+    //--------------------------------------------------------------------------
+    // current-voltage graph strings
+    //--------------------------------------------------------------------------
+    currentVoltageGraphLabelString: 'Current-Voltage Graph',
+    currentVoltageGraphDescriptionString: 'Graph of current, I, against voltage, V, across the load.',
+    currentVoltageLineDescriptionPatternString: 'Straight line for <em>{{resistance}} ohms</em> rises <em>{{slope}} milliamps</em> for every volt.',
+    currentVoltageCurveDescriptionPatternString: 'Curve for the {{load}} is not a straight line. Right now, the current is <em>{{slope}} milliamps</em> for every volt.',
+    operatingPointDescriptionPatternString: 'Point is at <em>{{voltage}} volts</em> and <em>{{current}} milliamps</em>, and leaves a fading trail as it moves.',
+    currentAxisDescriptionPatternString: 'Current axis goes up to {{max}} milliamps.',
+    zoomInCurrentAxisString: 'Zoom in current axis',
+    zoomOutCurrentAxisString: 'Zoom out current axis',
+
+    //--------------------------------------------------------------------------
+    // meter strings
+    //--------------------------------------------------------------------------
+    voltmeterLabelString: 'Voltmeter',
+    voltmeterDescriptionString: 'Move the red and black probes onto the circuit to read the voltage between them. Use arrow keys to move, with shift to move slowly.',
+    redProbeLabelString: 'Red probe',
+    blackProbeLabelString: 'Black probe',
+    voltmeterReadingPatternString: 'Voltmeter reads {{voltage}} volts.',
+    voltmeterNoReadingString: 'Voltmeter has no reading until both probes touch the circuit.',
+    ammeterLabelString: 'Ammeter',
+    ammeterDescriptionString: 'Move the clamp around any part of the circuit to read the current through it. Use arrow keys to move, with shift to move slowly.',
+    clampLabelString: 'Clamp',
+    ammeterReadingPatternString: 'Ammeter reads {{current}} milliamps.',
+    ammeterNoReadingString: 'Ammeter has no reading until the clamp is around the circuit.',
+    probeTouchingPatternString: 'Touching {{segment}}.',
+    probeNotTouchingString: 'Not touching the circuit.',
+    negativeWireString: 'the wire from the negative terminal of the batteries',
+    batteriesSegmentString: 'the batteries',
+    positiveWireString: 'the wire from the positive terminal of the batteries',
+    fuseSegmentString: 'the fuse',
+    loadSegmentString: 'the load',
+
+    //--------------------------------------------------------------------------
+    // units strings, for values with a metric prefix that changes with the size of the value
+    //--------------------------------------------------------------------------
+    valueUnitsPatternString: '{{value}} {{units}}',
+    millivoltsString: 'millivolts',
+    voltsString: 'volts',
+    microampsString: 'microamps',
+    milliampsString: 'milliamps',
+    ampsString: 'amps',
+    ohmsString: 'ohms',
+    kilohmsString: 'kilohms',
+    megohmsString: 'megohms',
+    unitsLabelString: 'Units',
+    unitsDescriptionString: 'Lock the units of each quantity, or let them change with the size of the value.',
+    voltageUnitsLabelString: 'Voltage units',
+    currentUnitsLabelString: 'Current units',
+    resistanceUnitsLabelString: 'Resistance units',
+    automaticUnitsString: 'Automatic',
+    precisionLabelString: 'Precision',
+    precisionDescriptionString: 'Show values with fewer or more figures. The sliders move in smaller steps when more figures are shown.',
+    coarsePrecisionString: 'Coarse, one figure fewer',
+    normalPrecisionString: 'Normal',
+    finePrecisionString: 'Fine, one figure more',
+
+    //--------------------------------------------------------------------------
+    // network screen strings, where resistors are connected in series or in parallel
+    //--------------------------------------------------------------------------
+    networkTitleString: 'Series and Parallel',
+    networkCircuitDescriptionPatternString: '{{numberOfResistors}} resistors are connected in {{connectionType}} to a series of batteries. In circuit, ',
+    seriesString: 'series',
+    parallelString: 'parallel',
+    equivalentResistanceDescriptionPatternString: 'resistors together act like a single resistor of <em>{{resistance}}</em>, and the batteries supply a current of <em>{{current}}</em>',
+    resistorBranchDescriptionPatternString: 'resistor {{number}} is <em>{{resistance}}</em>, with <em>{{current}}</em> through it and <em>{{voltage}}</em> across it',
+    resistorSliderLabelPatternString: 'R{{number}}, Resistance {{number}}',
+    networkChangeAlertPatternString: 'Equivalent resistance now {{resistance}}.  Current now {{current}}.',
+    connectionTypeLabelString: 'Connection',
+    connectionTypeDescriptionString: 'Connect the resistors one after the other, or side by side.',
+    numberOfResistorsLabelString: 'Number of resistors',
+    twoResistorsString: 'Two resistors',
+    threeResistorsString: 'Three resistors',
+
+    //--------------------------------------------------------------------------
+    // game screen strings, where two of the quantities are set to hit a target value of the third
+    //--------------------------------------------------------------------------
+    gameTitleString: 'Game',
+    chooseLevelDescriptionString: 'In each challenge, set two of the quantities to hit a target value of the third. Each level has a tighter target than the one before, and the last levels hide the readout of the target quantity.',
+    levelButtonPatternString: 'Level {{level}}, within {{percent}} percent',
+    targetDescriptionPatternString: 'Challenge {{number}} of {{total}}. Make the {{quantity}} {{value}}, within {{percent}} percent.',
+    voltageQuantityString: 'voltage',
+    currentQuantityString: 'current',
+    resistanceQuantityString: 'resistance',
+    correctAlertPatternString: 'Correct! Your score is now {{score}}.',
+    tryAgainAlertString: 'Not quite. Try again.',
+    wrongAlertString: 'Not quite. Show the answer, or go on to the next challenge.',
+    answerShownAlertPatternString: 'The {{quantity}} is now {{value}}.',
+    levelCompletedAlertPatternString: 'Level {{level}} completed, with a score of {{score}} out of {{perfectScore}}.',
+
+    //--------------------------------------------------------------------------
+    // current prediction strings, where the change of the current is predicted before it is shown
+    //--------------------------------------------------------------------------
+    predictCurrentLabelString: 'Predict the current',
+    predictCurrentDescriptionString: 'Hide the current each time a slider is moved, and predict how it changes before it is revealed.',
+    predictionLabelString: 'How will the current change?',
+    growsALotChoiceString: 'Grows a lot',
+    growsALittleChoiceString: 'Grows a little',
+    staysTheSameChoiceString: 'Stays the same',
+    shrinksALittleChoiceString: 'Shrinks a little',
+    shrinksALotChoiceString: 'Shrinks a lot',
+    revealLabelString: 'Reveal',
+    revealDescriptionString: 'Show the current, and score your prediction.',
+    predictionRightString: 'Right!',
+    predictionRightDirectionString: 'Right direction, wrong amount.',
+    predictionWrongString: 'Not this time.',
+    predictionPromptAlertString: 'Current hidden. Predict how it changes, then reveal it.',
+    predictionRevealedAlertPatternString: '{{result}} Letter I {{change}}. {{currentValue}}. You have predicted {{correct}} of {{total}} right.',
+    currentHiddenString: 'hidden until your prediction is revealed',
+    currentHiddenDescriptionString: 'arrows keep their size, and the current is hidden until your prediction is revealed',
+    ammeterReadingHiddenString: 'Ammeter reading is hidden until your prediction is revealed.',
+    voltmeterReadingHiddenString: 'Voltmeter reading is hidden until your prediction is revealed, since the batteries have an internal resistance.',
+    terminalVoltageHiddenPatternString: 'batteries have an internal resistance of {{internalResistance}} ohms, so the voltage across the resistor is less than the {{emf}} volt EMF, by an amount that is hidden until your prediction is revealed',
+    operatingPointHiddenString: 'Point is hidden until your prediction is revealed.',
+
+    //--------------------------------------------------------------------------
+    // data table strings, where the voltage, resistance and current are recorded as rows
+    //--------------------------------------------------------------------------
+    dataTableLabelString: 'Data Table',
+    dataTableDescriptionString: 'Record the voltage, resistance and current as rows. Sort the rows by a column, delete rows, or export them to a spreadsheet.',
+    recordLabelString: 'Record',
+    recordDescriptionString: 'Add the voltage, resistance and current to the table, up to ten rows.',
+    rowsLabelString: 'Recorded rows',
+    noRowsString: 'No rows recorded.',
+    rowPatternString: 'Row {{number}}: {{voltage}}, {{resistance}}, {{current}}.',
+    sortByPatternString: 'Sort by {{quantity}}',
+    smallestFirstString: 'smallest first',
+    largestFirstString: 'largest first',
+    deleteRowPatternString: 'Delete row {{number}}',
+    exportCSVLabelString: 'Export CSV',
+    exportCSVDescriptionString: 'Save the rows as a file of comma-separated values, for a spreadsheet.',
+    exportJSONLabelString: 'Export JSON',
+    exportJSONDescriptionString: 'Save the rows as a JSON file.',
+    rowRecordedAlertPatternString: 'Recorded. {{row}}',
+    rowDeletedAlertPatternString: 'Row {{number}} deleted.',
+    rowsSortedAlertPatternString: 'Rows sorted by {{quantity}}, {{order}}.',
+
+    //--------------------------------------------------------------------------
+    // strings for the link that opens the sim at the same setup
+    //--------------------------------------------------------------------------
+    shareLinkLabelString: 'Share Link',
+    shareLinkDescriptionString: 'Put a link in the address bar that opens the sim with the same voltage, resistance and current, and copy it if the browser allows.',
+    linkCopiedAlertString: 'Link to this setup copied.',
+    linkInAddressBarAlertString: 'Link to this setup is in the address bar.',
+    linkErrorAlertPatternString: 'Link could not be opened. {{message}}',
+
+    //--------------------------------------------------------------------------
+    // strings for undoing and redoing the changes made with the sliders
+    //--------------------------------------------------------------------------
+    undoLabelString: 'Undo',
+    undoDescriptionString: 'Move the slider that was changed last back to where it was.',
+    redoLabelString: 'Redo',
+    redoDescriptionString: 'Make the last change that was undone again.',
+    undoKeyDescriptionString: 'Undo the last slider change with Control plus Z.',
+    redoKeyDescriptionString: 'Redo the last undone slider change with Control plus Y, or Control plus Shift plus Z.',
+
+    //--------------------------------------------------------------------------
+    // session recording strings, where a session is recorded and played back
+    //--------------------------------------------------------------------------
+    sessionRecordingLabelString: 'Session Recording',
+    sessionRecordingDescriptionString: 'Record every change to the circuit and the controls, and play it back later. Recordings can be exported and imported as JSON files.',
+    recordSessionLabelString: 'Record',
+    recordSessionDescriptionString: 'Start a new recording from how the sim is now.',
+    stopLabelString: 'Stop',
+    stopDescriptionString: 'Stop recording or playing.',
+    playLabelString: 'Play',
+    playDescriptionString: 'Play the recording from the start. The controls are locked until it ends.',
+    playbackSpeedLabelString: 'Playback speed',
+    playbackSpeedPatternString: '{{speed}} times',
+    exportRecordingLabelString: 'Export JSON',
+    exportRecordingDescriptionString: 'Save the recording as a JSON file.',
+    importRecordingLabelString: 'Import JSON',
+    importRecordingDescriptionString: 'Open a recording from a JSON file, to play it.',
+    recordingStartedAlertString: 'Recording.',
+    recordingStoppedAlertPatternString: 'Recording stopped, {{duration}} seconds with {{count}} changes.',
+    playbackStartedAlertString: 'Playing the recording. The controls are locked until it ends.',
+    playbackEndedAlertString: 'Playback ended.',
+    recordingImportedAlertPatternString: 'Recording opened, {{duration}} seconds with {{count}} changes.',
+    fileErrorAlertPatternString: 'File could not be opened. {{message}}',
+
+    //--------------------------------------------------------------------------
+    // strings for typing exact values of the sliders with a keypad
+    //--------------------------------------------------------------------------
+    enterExactValuePatternString: 'Type a value for {{label}}',
+    enterExactValueDescriptionString: 'Open a keypad to type an exact value for the slider.',
+    valueEntryDescriptionPatternString: 'Type a value from {{min}} to {{max}} with the keypad, then press Enter.',
+    enterValueLabelString: 'Enter',
+    enterValueDescriptionString: 'Set the slider to the typed value.',
+    noValueEnteredAlertString: 'No value typed. Type a value first.',
+    valueOutOfRangeAlertPatternString: '{{value}} is out of range. Type a value from {{min}} to {{max}}.'
   };
 
   if ( phet.chipper.queryParameters.stringTest === 'xss' ) {
@@ -9,11 +9,15 @@ define( function( require ) {
   'use strict';
 
   // modules
+  var Dimension2 = require( 'DOT/Dimension2' );
+  var MetricPrefix = require( 'OHMS_LAW/ohms-law/model/MetricPrefix' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
   var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawQueryParameters = require( 'OHMS_LAW/ohms-law/OhmsLawQueryParameters' );
   var PhetFont = require( 'SCENERY_PHET/PhetFont' );
   var Range = require( 'DOT/Range' );
   var RangeWithValue = require( 'DOT/RangeWithValue' );
+  var Util = require( 'DOT/Util' );
 
   // a11y strings
   var tinyString = OhmsLawA11yStrings.tinyString;
@@ -31,15 +35,111 @@ define( function( require ) {
   var muchLargerThanString = OhmsLawA11yStrings.muchLargerThanString;
   var muchMuchLargerThanString = OhmsLawA11yStrings.muchMuchLargerThanString;
 
-  // constants used by other constants
-  var RESISTANCE_RANGE = new RangeWithValue( 10, 1000, 500 ); // in ohms
-  var VOLTAGE_RANGE = new RangeWithValue( 0.1, 9, 4.5 ); // in volts
+  /**
+   * Create the range of a slider from query parameters. A range whose min is not less than its max is ignored, and the
+   * initial value is kept in the range.
+   * @param {number} min
+   * @param {number} max
+   * @param {number} defaultValue
+   * @param {RangeWithValue} fallbackRange - used if the range is invalid
+   * @returns {RangeWithValue}
+   */
+  function createRange( min, max, defaultValue, fallbackRange ) {
+    if ( min >= max ) {
+      return fallbackRange;
+    }
+    return new RangeWithValue( min, max, Util.clamp( defaultValue, min, max ) );
+  }
+
+  // constants used by other constants, the ranges can be set with query parameters, see OhmsLawQueryParameters
+  var RESISTANCE_RANGE = createRange( OhmsLawQueryParameters.minResistance, OhmsLawQueryParameters.maxResistance,
+    OhmsLawQueryParameters.resistance, new RangeWithValue( 10, 1000, 500 ) ); // in ohms
+  var VOLTAGE_RANGE = createRange( OhmsLawQueryParameters.minVoltage, OhmsLawQueryParameters.maxVoltage,
+    OhmsLawQueryParameters.voltage, new RangeWithValue( 0.1, 9, 4.5 ) ); // in volts
+
+  // the current range spans the values that can be reached with the voltage and resistance ranges, in milliamps
+  var CURRENT_RANGE = new RangeWithValue(
+    1000 * VOLTAGE_RANGE.min / RESISTANCE_RANGE.max,
+    1000 * VOLTAGE_RANGE.max / RESISTANCE_RANGE.min,
+    1000 * VOLTAGE_RANGE.getDefaultValue() / RESISTANCE_RANGE.getDefaultValue()
+  );
+
+  // in ohms, for the whole battery stack
+  var INTERNAL_RESISTANCE_RANGE = new RangeWithValue( 0, 20, 5 );
+
+  // The quantities in the circuit have wider ranges than their sliders, since the quantity that is solved for is
+  // derived from the other two anywhere on their sliders, with the internal resistance of the batteries. No current
+  // flows while a fuse is blown, and the resistance can go down to zero when the internal resistance takes all of the
+  // voltage.
+  var CIRCUIT_VOLTAGE_RANGE = new Range( 0,
+    CURRENT_RANGE.max * ( RESISTANCE_RANGE.max + INTERNAL_RESISTANCE_RANGE.max ) / 1000 ); // in volts
+  var CIRCUIT_RESISTANCE_RANGE = new Range( 0, 1000 * VOLTAGE_RANGE.max / CURRENT_RANGE.min ); // in ohms
+  var CIRCUIT_CURRENT_RANGE = new Range( 0, CURRENT_RANGE.max ); // in milliamps
+
+  // the power range spans the power dissipated by the resistor with the voltage and resistance ranges, in milliwatts
+  var POWER_RANGE = new Range(
+    1000 * VOLTAGE_RANGE.min * VOLTAGE_RANGE.min / RESISTANCE_RANGE.max,
+    1000 * VOLTAGE_RANGE.max * VOLTAGE_RANGE.max / RESISTANCE_RANGE.min
+  );
+
+  // geometry of the resistor in the resistor builder
+  var RESISTOR_LENGTH_RANGE = new RangeWithValue( 2, 10, 8 ); // in centimeters
+  var RESISTOR_AREA_RANGE = new RangeWithValue( 0.4, 2, 0.48 ); // in square millimeters
+
+  /**
+   * The resistivity that gives a resistance with a geometry of the resistor builder, from R = ρL/A.
+   * @param {number} resistance - in ohms
+   * @param {number} length - in centimeters
+   * @param {number} area - in square millimeters
+   * @returns {number} - in milliohm meters
+   */
+  function getResistivity( resistance, length, area ) {
+    return resistance * area / length / 10;
+  }
+
+  // The resistivity spans what RESISTANCE_RANGE needs beyond the span of the geometry, so that R = ρL/A spans
+  // RESISTANCE_RANGE, and the defaults make the default resistance. A resistance range narrower than the span of the
+  // geometry gets a resistivity range around the default, and the resistance is kept in its range by the model.
+  var RESISTIVITY_RANGE = ( function() {
+    var min = getResistivity( RESISTANCE_RANGE.min, RESISTOR_LENGTH_RANGE.min, RESISTOR_AREA_RANGE.max );
+    var max = getResistivity( RESISTANCE_RANGE.max, RESISTOR_LENGTH_RANGE.max, RESISTOR_AREA_RANGE.min );
+    var defaultValue = getResistivity( RESISTANCE_RANGE.getDefaultValue(), RESISTOR_LENGTH_RANGE.getDefaultValue(),
+      RESISTOR_AREA_RANGE.getDefaultValue() );
+    if ( min >= max ) {
+      min = defaultValue / 2;
+      max = defaultValue * 2;
+    }
+    return new RangeWithValue( min, max, Util.clamp( defaultValue, min, max ) );
+  } )();
+
+  // rate of heat loss from the resistor to the surroundings, in watts per kelvin
+  var RESISTOR_COOLING_COEFFICIENT = 0.03;
+
+  // in kelvin, the steady temperature rise with the max voltage across the min resistance
+  var MAX_TEMPERATURE_RISE = VOLTAGE_RANGE.max * VOLTAGE_RANGE.max / RESISTANCE_RANGE.min / RESISTOR_COOLING_COEFFICIENT;
 
   var WIRE_WIDTH = 505;
+  var WIRE_HEIGHT = 165;
+  var RESISTOR_WIDTH = WIRE_WIDTH / 2.123; // empirically determined
   var BATTERIES_OFFSET = 30;
   var AA_VOLTAGE = 1.5; // in volts
+
+  // AA cells have the lowest voltage of any source, see SourceType, so this is enough cells for any of them
   var MAX_NUMBER_OF_BATTERIES = Math.ceil( VOLTAGE_RANGE.max / AA_VOLTAGE );
 
+  // ratings of the fuse, in milliamps. These are the standard ratings of 1, 2.5 and 5 in each decade, from a twentieth
+  // of the max current up to the max current, so that each of them can be blown.
+  var FUSE_RATINGS = [];
+  for ( var decade = Math.pow( 10, Math.floor( Util.log10( CURRENT_RANGE.max / 20 ) ) ); decade < CURRENT_RANGE.max;
+        decade *= 10 ) {
+    [ 1, 2.5, 5 ].forEach( function( multiple ) {
+      var rating = Number( ( multiple * decade ).toPrecision( 2 ) );
+      if ( rating >= CURRENT_RANGE.max / 20 && rating < CURRENT_RANGE.max ) {
+        FUSE_RATINGS.push( rating );
+      }
+    } );
+  }
+
   // map for relative size of variables to their accessible description - ranges values are the ratio of sizes
   // for instance, a value 0.25 means that the letter is 1/4 the size of the other
   var COMPARATIVE_DESCRIPTION_RANGES = {
@@ -82,6 +182,29 @@ define( function( require ) {
     // range for sliders with default values
     RESISTANCE_RANGE: RESISTANCE_RANGE,
     VOLTAGE_RANGE: VOLTAGE_RANGE,
+    CURRENT_RANGE: CURRENT_RANGE,
+
+    // ranges of the Properties of the circuit, which hold every value that can be derived
+    CIRCUIT_VOLTAGE_RANGE: CIRCUIT_VOLTAGE_RANGE,
+    CIRCUIT_RESISTANCE_RANGE: CIRCUIT_RESISTANCE_RANGE,
+    CIRCUIT_CURRENT_RANGE: CIRCUIT_CURRENT_RANGE,
+    POWER_RANGE: POWER_RANGE,
+    INTERNAL_RESISTANCE_RANGE: INTERNAL_RESISTANCE_RANGE,
+
+    // geometry and material of the resistor in the resistor builder, chosen so that R = ρL/A spans RESISTANCE_RANGE,
+    // 10 to 1000 ohms by default, and is at its default value with the default geometry and material
+    RESISTOR_LENGTH_RANGE: RESISTOR_LENGTH_RANGE, // in centimeters
+    RESISTOR_AREA_RANGE: RESISTOR_AREA_RANGE, // in square millimeters
+    RESISTIVITY_RANGE: RESISTIVITY_RANGE, // in milliohm meters, 1 to 4 by default
+
+    // heating of the resistor
+    AMBIENT_TEMPERATURE: 20, // in degrees Celsius
+    RESISTOR_HEAT_CAPACITY: 0.15, // in joules per kelvin
+    RESISTOR_COOLING_COEFFICIENT: RESISTOR_COOLING_COEFFICIENT,
+    MAX_TEMPERATURE_RISE: MAX_TEMPERATURE_RISE,
+
+    // the longest time step that the model will take, in seconds, larger steps happen when the sim is in the background
+    MAX_DT: 0.1,
 
     // formula
     FONT_FAMILY: 'Times New Roman',
@@ -89,6 +212,10 @@ define( function( require ) {
     // control panel
     SLIDER_WIDTH: 89,
 
+    // sliders in the circuit options panel
+    OPTION_SLIDER_TRACK_SIZE: new Dimension2( 100, 3 ),
+    OPTION_SLIDER_THUMB_SIZE: new Dimension2( 13, 22 ),
+
     // slider unit
     SLIDER_HEIGHT: 210,
     SYMBOL_FONT: new PhetFont( { family: 'Times New Roman', size: 60 } ),
@@ -100,18 +227,50 @@ define( function( require ) {
     VOLTAGE_SIG_FIGS: 1,
     RESISTANCE_SIG_FIGS: 0,
     CURRENT_SIG_FIGS: 1,
+    POWER_SIG_FIGS: 1,
+
+    // significant figures of the values that are shown with units that change with the size of the value
+    SIGNIFICANT_FIGURES: 3,
+
+    // metric prefixes that the units of each quantity can be shown with, from smallest to largest
+    VOLTAGE_PREFIXES: [ MetricPrefix.MILLI, MetricPrefix.NONE ],
+    CURRENT_PREFIXES: [ MetricPrefix.MICRO, MetricPrefix.MILLI, MetricPrefix.NONE ],
+    RESISTANCE_PREFIXES: [ MetricPrefix.NONE, MetricPrefix.KILO, MetricPrefix.MEGA ],
 
     // wire circuit
     WIRE_WIDTH: WIRE_WIDTH,
-    WIRE_HEIGHT: 165,
+    WIRE_HEIGHT: WIRE_HEIGHT,
+    RESISTOR_WIDTH: RESISTOR_WIDTH,
+    RESISTOR_HEIGHT: WIRE_HEIGHT / 2.75, // empirically determined
+
+    // how close the tip of a meter probe must be to the center of a wire to touch it
+    PROBE_TOLERANCE: 12,
 
     // battery
     MAX_NUMBER_OF_BATTERIES: MAX_NUMBER_OF_BATTERIES,
     BATTERIES_OFFSET: BATTERIES_OFFSET,
-    BATTERY_HEIGHT: 38,
+    BATTERY_HEIGHT: 38, // of an AA cell, see SourceType for the other kinds of cell
     AA_VOLTAGE: AA_VOLTAGE,
     BATTERY_WIDTH: ( WIRE_WIDTH - BATTERIES_OFFSET * 2 ) / MAX_NUMBER_OF_BATTERIES,
 
+    // running down of the batteries
+    BATTERY_TIME_SCALE: 600, // seconds of battery use for each second of sim time, so that the batteries run down in minutes
+
+    // AC source, which takes the place of the batteries at the left of the top wire
+    AC_FREQUENCY_RANGE: new RangeWithValue( 0.1, 2, 0.5 ), // in hertz, slow enough to follow the current reversing
+    AC_SOURCE_WIDTH: 60,
+    AC_SOURCE_HEIGHT: 60,
+
+    // fuse, on the bottom wire halfway between the longest load and the right corner
+    FUSE_RATINGS: FUSE_RATINGS,
+    DEFAULT_FUSE_RATING: FUSE_RATINGS[ Math.floor( FUSE_RATINGS.length / 2 ) ],
+    FUSE_WIDTH: 56,
+    FUSE_HEIGHT: 20,
+    FUSE_CENTER_X: ( 3 * WIRE_WIDTH + RESISTOR_WIDTH ) / 4,
+
+    // the number of sizes that letters can be described as, a change of more than two sizes is described as 'a lot'
+    NUMBER_OF_LETTER_SIZES: OhmsLawA11yStrings.numberOfSizes,
+
     // a11y strings
     RELATIVE_SIZE_STRINGS: [ tinyString, verySmallString, smallString, mediumSizeString,
       largeString, veryLargeString, hugeString ],
@@ -0,0 +1,60 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Options that apply to all screens of the sim, set in the Options dialog that is opened from the PhET menu.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var MetricPrefix = require( 'OHMS_LAW/ohms-law/model/MetricPrefix' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Precision = require( 'OHMS_LAW/ohms-law/model/Precision' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var StringIO = require( 'ifphetio!PHET_IO/types/StringIO' );
+  var Tandem = require( 'TANDEM/Tandem' );
+
+  // constants
+  var tandem = Tandem.rootTandem.createTandem( 'globalOptions' );
+
+  /**
+   * Create a Property for the metric prefix that the units of a quantity are locked to, MetricPrefix.AUTO while the
+   * prefix changes with the size of the value.
+   * @param {string[]} prefixes - the prefixes that the quantity can be shown with
+   * @param {Tandem} tandem
+   * @returns {Property.<string>}
+   */
+  function createPrefixProperty( prefixes, tandem ) {
+    return new Property( MetricPrefix.AUTO, {
+      tandem: tandem,
+      phetioType: PropertyIO( StringIO ),
+      validValues: [ MetricPrefix.AUTO ].concat( prefixes )
+    } );
+  }
+
+  var OhmsLawGlobalOptions = {
+
+    // @public {Property.<string>} - metric prefix of the units that each quantity is shown with
+    voltagePrefixProperty: createPrefixProperty( OhmsLawConstants.VOLTAGE_PREFIXES,
+      tandem.createTandem( 'voltagePrefixProperty' ) ),
+    currentPrefixProperty: createPrefixProperty( OhmsLawConstants.CURRENT_PREFIXES,
+      tandem.createTandem( 'currentPrefixProperty' ) ),
+    resistancePrefixProperty: createPrefixProperty( OhmsLawConstants.RESISTANCE_PREFIXES,
+      tandem.createTandem( 'resistancePrefixProperty' ) ),
+
+    // @public {Property.<string>} - how many figures values are shown with, and how far the sliders step
+    precisionProperty: new Property( Precision.NORMAL, {
+      tandem: tandem.createTandem( 'precisionProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: Precision.VALUES
+    } )
+  };
+
+  ohmsLaw.register( 'OhmsLawGlobalOptions', OhmsLawGlobalOptions );
+
+  return OhmsLawGlobalOptions;
+} );
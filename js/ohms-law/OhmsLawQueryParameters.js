@@ -0,0 +1,87 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Query parameters that are specific to this sim. The ranges of the voltage and the resistance can be set, for
+ * example ohms-law_en.html?minVoltage=1&maxVoltage=12&voltage=6 for batteries from 1 to 12 volts that start at 6 volts.
+ * Everything that depends on the ranges, such as the range of the current and the number of batteries, is derived from
+ * them in OhmsLawConstants.
+ *
+ * The challenges of the game are made from gameSeed, so ohms-law_en.html?gameSeed=1234 plays the same challenges as the
+ * session whose seed was 1234, if the levels are played in the same order.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  // constants, the widest ranges that can be set
+  var MIN_VOLTAGE = 0.01; // in volts
+  var MAX_VOLTAGE = 15; // in volts, so that the batteries along the top wire are wide enough for their labels
+  var MIN_RESISTANCE = 1; // in ohms, the smallest resistance that the 5-band color code can show
+  var MAX_RESISTANCE = 1E6; // in ohms
+  var MAX_GAME_SEED = 1E6; // short enough to be read off the screen and typed into the URL
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {function(number):boolean}
+   */
+  function isBetween( min, max ) {
+    return function( value ) {
+      return value >= min && value <= max;
+    };
+  }
+
+  var OhmsLawQueryParameters = QueryStringMachine.getAll( {
+
+    // min, max and initial value of the voltage, in volts
+    minVoltage: {
+      type: 'number',
+      defaultValue: 0.1,
+      isValidValue: isBetween( MIN_VOLTAGE, MAX_VOLTAGE )
+    },
+    maxVoltage: {
+      type: 'number',
+      defaultValue: 9,
+      isValidValue: isBetween( MIN_VOLTAGE, MAX_VOLTAGE )
+    },
+    voltage: {
+      type: 'number',
+      defaultValue: 4.5,
+      isValidValue: isBetween( MIN_VOLTAGE, MAX_VOLTAGE )
+    },
+
+    // min, max and initial value of the resistance, in ohms
+    minResistance: {
+      type: 'number',
+      defaultValue: 10,
+      isValidValue: isBetween( MIN_RESISTANCE, MAX_RESISTANCE )
+    },
+    maxResistance: {
+      type: 'number',
+      defaultValue: 1000,
+      isValidValue: isBetween( MIN_RESISTANCE, MAX_RESISTANCE )
+    },
+    resistance: {
+      type: 'number',
+      defaultValue: 500,
+      isValidValue: isBetween( MIN_RESISTANCE, MAX_RESISTANCE )
+    },
+
+    // seed of the challenges of the game, a new one each time the sim is started unless it is set
+    gameSeed: {
+      type: 'number',
+      defaultValue: Math.floor( Math.random() * MAX_GAME_SEED ),
+      isValidValue: function( value ) {
+        return value % 1 === 0 && value >= 0 && value < MAX_GAME_SEED;
+      }
+    }
+  } );
+
+  ohmsLaw.register( 'OhmsLawQueryParameters', OhmsLawQueryParameters );
+
+  return OhmsLawQueryParameters;
+} );
@@ -14,13 +14,27 @@ define( function( require ) {
   var ColorIO = require( 'SCENERY/util/ColorIO' );
   var inherit = require( 'PHET_CORE/inherit' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
   var OhmsLawModel = require( 'OHMS_LAW/ohms-law/model/OhmsLawModel' );
   var OhmsLawScreenView = require( 'OHMS_LAW/ohms-law/view/OhmsLawScreenView' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
   var Property = require( 'AXON/Property' );
   var PropertyIO = require( 'AXON/PropertyIO' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
   var Screen = require( 'JOIST/Screen' );
+  var Text = require( 'SCENERY/nodes/Text' );
+
+  // strings
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
+  var screenOhmsLawString = require( 'string!OHMS_LAW/screen.ohmsLaw' );
+  var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
+
+  // constants
+  var ICON_SIZE = Screen.MINIMUM_HOME_SCREEN_ICON_SIZE;
 
   /**
+   * @param {Tandem} tandem
    * @constructor
    */
   function OhmsLawScreen( tandem ) {
@@ -28,6 +42,8 @@ define( function( require ) {
       function() { return new OhmsLawModel( tandem.createTandem( 'model' ) ); },
       function( model ) { return new OhmsLawScreenView( model, tandem.createTandem( 'view' ) ); },
       {
+        name: screenOhmsLawString,
+        homeScreenIcon: OhmsLawScreen.createScreenIcon( voltageSymbolString + ' = ' + currentSymbolString + resistanceSymbolString ),
         backgroundColorProperty: new Property( new Color( '#ffffdf' ), {
           tandem: tandem.createTandem( 'backgroundColorProperty' ),
           phetioType: PropertyIO( ColorIO )
@@ -39,5 +55,26 @@ define( function( require ) {
 
   ohmsLaw.register( 'OhmsLawScreen', OhmsLawScreen );
 
-  return inherit( Screen, OhmsLawScreen );
+  return inherit( Screen, OhmsLawScreen, {}, {
+
+    /**
+     * Creates a home screen icon with a formula on the background color of the screens, shared by all screens.
+     * @public
+     *
+     * @param {string} formulaString
+     * @returns {Node}
+     */
+    createScreenIcon: function( formulaString ) {
+      return new Rectangle( 0, 0, ICON_SIZE.width, ICON_SIZE.height, {
+        fill: '#ffffdf',
+        children: [ new Text( formulaString, {
+          font: new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 120, weight: 'bold' } ),
+          fill: OhmsLawConstants.BLUE_COLOR,
+          centerX: ICON_SIZE.width / 2,
+          centerY: ICON_SIZE.height / 2,
+          maxWidth: 0.9 * ICON_SIZE.width
+        } ) ]
+      } );
+    }
+  } );
 } );
@@ -0,0 +1,84 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Model of the ammeter, a clamp meter whose probe closes around the circuit wherever it is put, so that it can measure
+ * the current without breaking the circuit. The circuit is a single loop, so the same current is read everywhere on it.
+ * Positions are in the coordinates of the circuit, where the top left corner of the wire frame is 0,0.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var DerivedProperty = require( 'AXON/DerivedProperty' );
+  var DerivedPropertyIO = require( 'AXON/DerivedPropertyIO' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NullableIO = require( 'ifphetio!PHET_IO/types/NullableIO' );
+  var NumberIO = require( 'ifphetio!PHET_IO/types/NumberIO' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var Vector2 = require( 'DOT/Vector2' );
+  var Vector2IO = require( 'DOT/Vector2IO' );
+
+  // constants, the ammeter starts to the right of the circuit, below the voltmeter
+  var WIDTH = OhmsLawConstants.WIRE_WIDTH;
+  var INITIAL_BODY_POSITION = new Vector2( WIDTH + 65, 160 );
+  var INITIAL_PROBE_POSITION = new Vector2( WIDTH + 65, 230 );
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function Ammeter( model, tandem ) {
+
+    // @public {Property.<Vector2>} - position of the center of the body, which shows the reading
+    this.bodyPositionProperty = new Property( INITIAL_BODY_POSITION, {
+      tandem: tandem.createTandem( 'bodyPositionProperty' ),
+      phetioType: PropertyIO( Vector2IO )
+    } );
+
+    // @public {Property.<Vector2>} - position of the center of the clamp
+    this.probePositionProperty = new Property( INITIAL_PROBE_POSITION, {
+      tandem: tandem.createTandem( 'probePositionProperty' ),
+      phetioType: PropertyIO( Vector2IO )
+    } );
+
+    // @public {Property.<number|null>} - the reading in milliamps, null when the probe is not around the circuit. It
+    // reads the current at this instant, which reverses with an AC source. Where the parts of the circuit end is set by
+    // the number of batteries or the AC source, the length of the load and the fuse.
+    this.currentProperty = new DerivedProperty( [
+        this.probePositionProperty,
+        model.voltageProperty,
+        model.instantaneousCurrentProperty,
+        model.acModeEnabledProperty,
+        model.fuseEnabledProperty,
+        model.resistorBuilderEnabledProperty,
+        model.resistorLengthProperty,
+        model.loadTypeProperty
+      ], function( probePosition, voltage, current ) {
+        return model.getCircuitSegment( probePosition ) === null ? null : current;
+      }, {
+        tandem: tandem.createTandem( 'currentProperty' ),
+        units: 'milliamperes',
+        phetioType: DerivedPropertyIO( NullableIO( NumberIO ) )
+      } );
+  }
+
+  ohmsLaw.register( 'Ammeter', Ammeter );
+
+  return inherit( Object, Ammeter, {
+
+    /**
+     * Put the ammeter back beside the circuit.
+     * @public
+     */
+    reset: function() {
+      this.bodyPositionProperty.reset();
+      this.probePositionProperty.reset();
+    }
+  } );
+} );
@@ -0,0 +1,130 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Model of a single cell in the battery stack, of the kind chosen with SourceType. Its nominal voltage is its share of
+ * the voltage set by the user, less than the full voltage of a cell for the last cell in the stack. While the batteries
+ * run down, its charge drains with the current through it and its voltage drops along a discharge curve. The bench
+ * supply is a single cell that never runs down.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var DerivedProperty = require( 'AXON/DerivedProperty' );
+  var DerivedPropertyIO = require( 'AXON/DerivedPropertyIO' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NumberIO = require( 'ifphetio!PHET_IO/types/NumberIO' );
+  var NumberProperty = require( 'AXON/NumberProperty' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var Range = require( 'DOT/Range' );
+  var SourceType = require( 'OHMS_LAW/ohms-law/model/SourceType' );
+  var Util = require( 'DOT/Util' );
+
+  // constants
+  var MAX_CELL_VOLTAGE = _.max( SourceType.VALUES.map( SourceType.getCellVoltage ) );
+
+  // discharge curve, the voltage falls slowly over most of the charge and then quickly as the battery goes flat
+  var PLATEAU_DROP = 0.2; // fraction of the voltage lost over the slowly falling part of the curve
+  var KNEE_CHARGE = 0.05; // fraction of the charge left at which the voltage starts to fall quickly
+
+  /**
+   * @param {Property.<string>} sourceTypeProperty - the kind of cell, one of SourceType.VALUES
+   * @param {Property.<boolean>} depletionEnabledProperty - whether the batteries run down
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function Battery( sourceTypeProperty, depletionEnabledProperty, tandem ) {
+
+    // @private
+    this.sourceTypeProperty = sourceTypeProperty;
+
+    // @public {Property.<number>} in volts, the voltage of the battery when it is fully charged
+    this.nominalVoltageProperty = new NumberProperty( SourceType.getCellVoltage( sourceTypeProperty.get() ), {
+      tandem: tandem.createTandem( 'nominalVoltageProperty' ),
+      units: 'volts',
+      range: new Range( 0, MAX_CELL_VOLTAGE )
+    } );
+
+    // @public {Property.<number>} - the fraction of its charge left in the battery. Kept as a fraction rather than in
+    // milliamp hours, so that it doesn't depend on the capacity of the kind of cell.
+    this.stateOfChargeProperty = new NumberProperty( 1, {
+      tandem: tandem.createTandem( 'stateOfChargeProperty' ),
+      range: new Range( 0, 1 )
+    } );
+
+    // @public {Property.<number>} in volts, the voltage of the battery with the charge it has left, which is its
+    // nominal voltage while the batteries don't run down
+    this.voltageProperty = new DerivedProperty( [ this.nominalVoltageProperty, this.stateOfChargeProperty,
+        depletionEnabledProperty ],
+      function( nominalVoltage, stateOfCharge, depletionEnabled ) {
+        return depletionEnabled ? nominalVoltage * Battery.getVoltageFraction( stateOfCharge ) : nominalVoltage;
+      }, {
+        tandem: tandem.createTandem( 'voltageProperty' ),
+        units: 'volts',
+        phetioType: DerivedPropertyIO( NumberIO )
+      } );
+  }
+
+  ohmsLaw.register( 'Battery', Battery );
+
+  return inherit( Object, Battery, {
+
+    /**
+     * Whether the battery is in the stack, which is when it has a share of the voltage set by the user.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    isInStack: function() {
+      return this.nominalVoltageProperty.get() > 0;
+    },
+
+    /**
+     * Get the fraction of the charge left in the battery.
+     * @public
+     *
+     * @returns {number} - between 0 and 1
+     */
+    getStateOfCharge: function() {
+      return this.stateOfChargeProperty.get();
+    },
+
+    /**
+     * Drain charge from the battery, which takes longer for a cell with a larger capacity.
+     * @public
+     *
+     * @param {number} current - in milliamps
+     * @param {number} dt - in seconds of battery use
+     */
+    drain: function( current, dt ) {
+      var capacity = SourceType.getCapacity( this.sourceTypeProperty.get() ); // in milliamp hours
+      this.stateOfChargeProperty.set( Math.max( this.stateOfChargeProperty.get() - current * dt / 3600 / capacity, 0 ) );
+    },
+
+    /**
+     * Replace the battery with one that is fully charged.
+     * @public
+     */
+    refill: function() {
+      this.stateOfChargeProperty.reset();
+    }
+  }, {
+
+    /**
+     * Get the fraction of its nominal voltage that a battery has with the charge that it has left, from a discharge
+     * curve that is typical of an alkaline battery.
+     * @public
+     *
+     * @param {number} stateOfCharge - fraction of the charge left, between 0 and 1
+     * @returns {number} - between 0 and 1
+     */
+    getVoltageFraction: function( stateOfCharge ) {
+      assert && assert( stateOfCharge >= 0 && stateOfCharge <= 1, 'stateOfCharge out of range: ' + stateOfCharge );
+      var fraction = 1 - PLATEAU_DROP * ( 1 - stateOfCharge ) -
+                     ( 1 - PLATEAU_DROP ) * Math.exp( -stateOfCharge / KNEE_CHARGE );
+      return Util.clamp( fraction, 0, 1 );
+    }
+  } );
+} );
@@ -0,0 +1,158 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * History of the changes made with the sliders, so that they can be undone and redone. A change is recorded when a drag
+ * or a keyboard change of a slider ends. The history is cleared when the quantities that the sliders set are no longer
+ * the same, because a change of a quantity that is now derived can't be undone, and when the model changes the value of
+ * a slider itself, because the changes in the history then no longer lead from one value to the next.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var BooleanProperty = require( 'AXON/BooleanProperty' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+
+  // constants
+  var MAX_LENGTH = 100; // changes that can be undone, the oldest are forgotten
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function ChangeHistory( model, tandem ) {
+
+    // @private
+    this.model = model;
+
+    // @private {Object[]} - changes that can be undone and redone, the last is the next, see record for the fields
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // @public (read-only) {Property.<boolean>}
+    this.canUndoProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'canUndoProperty' )
+    } );
+    this.canRedoProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'canRedoProperty' )
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    var clear = this.clear.bind( this );
+    model.solveForProperty.lazyLink( clear );
+    model.loadTypeProperty.lazyLink( clear );
+    model.resistorBuilderEnabledProperty.lazyLink( clear );
+
+    // The batteries running down, the resistor heating up and the snapping to a series of standard values all change
+    // the values of the sliders. Present for the lifetime of the sim; no need to unlink.
+    model.batteryDepletionEnabledProperty.lazyLink( clear );
+    model.heatingEnabledProperty.lazyLink( clear );
+    model.standardSeriesProperty.lazyLink( clear );
+    SolveFor.VALUES.forEach( function( quantity ) {
+      model.getProperty( quantity ).lazyLink( function() {
+        if ( model.isUpdating() && model.getSettableQuantities().indexOf( quantity ) >= 0 ) {
+          clear();
+        }
+      } );
+    } );
+  }
+
+  ohmsLaw.register( 'ChangeHistory', ChangeHistory );
+
+  return inherit( Object, ChangeHistory, {
+
+    /**
+     * @public
+     */
+    reset: function() {
+      this.clear();
+    },
+
+    /**
+     * Forget all the changes.
+     * @public
+     */
+    clear: function() {
+      this.undoStack.length = 0;
+      this.redoStack.length = 0;
+      this.updateProperties();
+    },
+
+    /**
+     * Record a change made with a slider, which can't be redone once anything else is changed.
+     * @public
+     *
+     * @param {string} quantity - the quantity that was changed, one of SolveFor.VALUES
+     * @param {number} oldValue - before the change
+     * @param {number} newValue - after the change
+     */
+    record: function( quantity, oldValue, newValue ) {
+      if ( oldValue === newValue ) {
+        return;
+      }
+      this.undoStack.push( { quantity: quantity, oldValue: oldValue, newValue: newValue } );
+      if ( this.undoStack.length > MAX_LENGTH ) {
+        this.undoStack.shift();
+      }
+      this.redoStack.length = 0;
+      this.updateProperties();
+    },
+
+    /**
+     * Set the quantity of the last change back to the value it had before.
+     * @public
+     *
+     * @returns {Object} - the change that was made by undoing, see record for the fields
+     */
+    undo: function() {
+      assert && assert( this.undoStack.length > 0, 'nothing to undo' );
+
+      var change = this.undoStack.pop();
+      this.redoStack.push( change );
+      return this.applyChange( change.quantity, change.oldValue );
+    },
+
+    /**
+     * Make the last change that was undone again.
+     * @public
+     *
+     * @returns {Object} - the change that was made by redoing, see record for the fields
+     */
+    redo: function() {
+      assert && assert( this.redoStack.length > 0, 'nothing to redo' );
+
+      var change = this.redoStack.pop();
+      this.undoStack.push( change );
+      return this.applyChange( change.quantity, change.newValue );
+    },
+
+    /**
+     * Set a quantity to a value from the history.
+     * @private
+     *
+     * @param {string} quantity - one of SolveFor.VALUES
+     * @param {number} value
+     * @returns {Object} - the change, from the value the quantity had before, see record for the fields
+     */
+    applyChange: function( quantity, value ) {
+      var property = this.model.getProperty( quantity );
+      var change = { quantity: quantity, oldValue: property.get(), newValue: value };
+      property.set( value );
+      this.updateProperties();
+      return change;
+    },
+
+    /**
+     * @private
+     */
+    updateProperties: function() {
+      this.canUndoProperty.set( this.undoStack.length > 0 );
+      this.canRedoProperty.set( this.redoStack.length > 0 );
+    }
+  } );
+} );
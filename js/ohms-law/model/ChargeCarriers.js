@@ -0,0 +1,152 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Model of the charge carriers that move around the circuit. The carriers are evenly spaced along the loop, except in
+ * the load, where they crowd together and slow down by the same factor so that as many pass each point on the loop per
+ * second. Their drift speed is proportional to the current, up to a maximum that keeps their motion easy to follow.
+ *
+ * The carriers all move together, so the state is a single phase along the loop. The loop starts at the top left
+ * corner of the wire frame and goes clockwise, in the direction of the current, so that it passes through the batteries
+ * from the negative terminal to the positive terminal and then through the load from right to left.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var BooleanProperty = require( 'AXON/BooleanProperty' );
+  var ChargeType = require( 'OHMS_LAW/ohms-law/model/ChargeType' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NumberProperty = require( 'AXON/NumberProperty' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var StringIO = require( 'ifphetio!PHET_IO/types/StringIO' );
+  var Util = require( 'DOT/Util' );
+  var Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  var WIDTH = OhmsLawConstants.WIRE_WIDTH;
+  var HEIGHT = OhmsLawConstants.WIRE_HEIGHT;
+  var PERIMETER = 2 * ( WIDTH + HEIGHT );
+  var SPACING = 24; // distance between carriers in the wires, in the coordinates of the circuit
+  var LOAD_CROWDING = 3; // carriers are this many times closer together and slower in the load
+  var SPEED_PER_CURRENT = 2; // drift speed in the wires for each milliamp of current, in circuit units per second
+  var MAX_SPEED = 300; // in circuit units per second, so that the carriers don't move too far between frames
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function ChargeCarriers( model, tandem ) {
+
+    // @private
+    this.model = model;
+
+    // @public {Property.<boolean>} - whether the charge carriers are shown
+    this.visibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'visibleProperty' )
+    } );
+
+    // @public {Property.<string>} - the carriers that are shown, one of ChargeType.VALUES
+    this.chargeTypeProperty = new Property( ChargeType.ELECTRONS, {
+      tandem: tandem.createTandem( 'chargeTypeProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: ChargeType.VALUES
+    } );
+
+    // @public (read-only) {Property.<number>} - how far the carriers have moved around the loop, in circuit units
+    // along the loop where the load is stretched by LOAD_CROWDING. Between 0 and the length of the loop.
+    this.phaseProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'phaseProperty' )
+    } );
+  }
+
+  ohmsLaw.register( 'ChargeCarriers', ChargeCarriers );
+
+  return inherit( Object, ChargeCarriers, {
+
+    /**
+     * @public
+     */
+    reset: function() {
+      this.visibleProperty.reset();
+      this.chargeTypeProperty.reset();
+      this.phaseProperty.reset();
+    },
+
+    /**
+     * Move the carriers around the loop with the current at this instant, so that they slosh back and forth with an AC
+     * source. Electrons move against the current. While the current is hidden to be predicted, they keep the speed of
+     * the current before the change, see CurrentPrediction.shownInstantaneousCurrentProperty.
+     * @public
+     *
+     * @param {number} dt - in seconds
+     */
+    step: function( dt ) {
+      var current = this.model.currentPrediction.shownInstantaneousCurrentProperty.get();
+      var speed = Util.clamp( SPEED_PER_CURRENT * current, -MAX_SPEED, MAX_SPEED );
+      var direction = this.chargeTypeProperty.get() === ChargeType.ELECTRONS ? -1 : 1;
+      var loopLength = this.getLoopLength();
+      var phase = ( this.phaseProperty.get() + direction * speed * dt ) % loopLength;
+      this.phaseProperty.set( phase < 0 ? phase + loopLength : phase );
+    },
+
+    /**
+     * Get the length of the loop that the carriers are evenly spaced along, where the load is stretched so that the
+     * carriers crowd together in it.
+     * @private
+     *
+     * @returns {number}
+     */
+    getLoopLength: function() {
+      return PERIMETER + ( LOAD_CROWDING - 1 ) * this.model.getLoadWidth();
+    },
+
+    /**
+     * Get the positions of the carriers.
+     * @public
+     *
+     * @returns {Vector2[]} - in the coordinates of the circuit, where the top left corner of the wire frame is 0,0
+     */
+    getPositions: function() {
+      var loopLength = this.getLoopLength();
+      var numberOfCarriers = Math.round( loopLength / SPACING );
+      var phase = this.phaseProperty.get();
+      var positions = [];
+      for ( var i = 0; i < numberOfCarriers; i++ ) {
+        positions.push( this.getPosition( ( phase + i * loopLength / numberOfCarriers ) % loopLength ) );
+      }
+      return positions;
+    },
+
+    /**
+     * Get the position of a carrier from how far it is along the loop where the load is stretched.
+     * @private
+     *
+     * @param {number} loopDistance
+     * @returns {Vector2}
+     */
+    getPosition: function( loopDistance ) {
+      var loadWidth = this.model.getLoadWidth();
+
+      // distance to where the loop enters the load, on the right end of the load
+      var loadStart = WIDTH + HEIGHT + ( WIDTH - loadWidth ) / 2;
+
+      // distance along the loop itself
+      var distance = loopDistance < loadStart ? loopDistance :
+                     loopDistance < loadStart + LOAD_CROWDING * loadWidth ?
+                     loadStart + ( loopDistance - loadStart ) / LOAD_CROWDING :
+                     loopDistance - ( LOAD_CROWDING - 1 ) * loadWidth;
+
+      // top wire, right wire, bottom wire, then left wire
+      return distance < WIDTH ? new Vector2( distance, 0 ) :
+             distance < WIDTH + HEIGHT ? new Vector2( WIDTH, distance - WIDTH ) :
+             distance < 2 * WIDTH + HEIGHT ? new Vector2( 2 * WIDTH + HEIGHT - distance, HEIGHT ) :
+             new Vector2( 0, PERIMETER - distance );
+    }
+  } );
+} );
@@ -0,0 +1,29 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the charge carriers that can be shown moving around the circuit. Electrons are what actually move in
+ * the wires, against the direction of the current. Conventional charges are positive and move with the current.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var ChargeType = {
+    ELECTRONS: 'electrons',
+    CONVENTIONAL: 'conventional'
+  };
+
+  // @public {string[]} - all values of the enumeration
+  ChargeType.VALUES = [ ChargeType.ELECTRONS, ChargeType.CONVENTIONAL ];
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( ChargeType ); }
+
+  ohmsLaw.register( 'ChargeType', ChargeType );
+
+  return ChargeType;
+} );
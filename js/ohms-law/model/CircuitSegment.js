@@ -0,0 +1,40 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the parts of the circuit that a meter probe can touch. The circuit is a single loop, so the wires on
+ * each side of the batteries and the load are each at a single potential: the wire from the negative terminal of the
+ * batteries is at 0 V and the wire from the positive terminal is at the terminal voltage. The fuse is on the wire from
+ * the positive terminal, and when it blows, the wire between it and the load is at 0 V instead.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var CircuitSegment = {
+    NEGATIVE_WIRE: 'negativeWire',
+    BATTERIES: 'batteries',
+    POSITIVE_WIRE: 'positiveWire',
+    FUSE: 'fuse',
+    LOAD: 'load'
+  };
+
+  // @public {string[]} - all values of the enumeration, in the order that the current flows through them
+  CircuitSegment.VALUES = [
+    CircuitSegment.NEGATIVE_WIRE,
+    CircuitSegment.BATTERIES,
+    CircuitSegment.POSITIVE_WIRE,
+    CircuitSegment.FUSE,
+    CircuitSegment.LOAD
+  ];
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( CircuitSegment ); }
+
+  ohmsLaw.register( 'CircuitSegment', CircuitSegment );
+
+  return CircuitSegment;
+} );
@@ -0,0 +1,63 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the ways that the resistance can be shown with color bands on the resistor. A 4-band code has the
+ * tolerance of the series of standard values that the resistance snaps to, and a 5-band code is for precision
+ * resistors with a tolerance of 1%.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var StandardSeries = require( 'OHMS_LAW/ohms-law/model/StandardSeries' );
+
+  // constants
+  var DEFAULT_TOLERANCE = 5; // in percent, of a 4-band resistor that isn't from a series of standard values
+  var PRECISION_TOLERANCE = 1; // in percent, of a 5-band resistor
+
+  var ColorBandsType = {
+    NONE: 'none', // the resistance is shown by the dots only
+    FOUR_BANDS: 'fourBands',
+    FIVE_BANDS: 'fiveBands'
+  };
+
+  // @public {string[]} - all values of the enumeration
+  ColorBandsType.VALUES = [ ColorBandsType.NONE, ColorBandsType.FOUR_BANDS, ColorBandsType.FIVE_BANDS ];
+
+  /**
+   * Get the number of bands on the resistor.
+   * @public
+   *
+   * @param {string} colorBandsType - one of ColorBandsType.VALUES, except ColorBandsType.NONE
+   * @returns {number}
+   */
+  ColorBandsType.getNumberOfBands = function( colorBandsType ) {
+    assert && assert( colorBandsType !== ColorBandsType.NONE, 'there are no bands' );
+    return colorBandsType === ColorBandsType.FOUR_BANDS ? 4 : 5;
+  };
+
+  /**
+   * Get the tolerance shown by the last band.
+   * @public
+   *
+   * @param {string} colorBandsType - one of ColorBandsType.VALUES, except ColorBandsType.NONE
+   * @param {string} standardSeries - one of StandardSeries.VALUES, the series that the resistance snaps to
+   * @returns {number} - in percent
+   */
+  ColorBandsType.getTolerance = function( colorBandsType, standardSeries ) {
+    assert && assert( colorBandsType !== ColorBandsType.NONE, 'there are no bands' );
+    return colorBandsType === ColorBandsType.FIVE_BANDS ? PRECISION_TOLERANCE :
+           standardSeries === StandardSeries.NONE ? DEFAULT_TOLERANCE :
+           StandardSeries.getTolerance( standardSeries );
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( ColorBandsType ); }
+
+  ohmsLaw.register( 'ColorBandsType', ColorBandsType );
+
+  return ColorBandsType;
+} );
@@ -0,0 +1,210 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Model of the activity where the current is predicted before it is shown. When a slider is moved while the current is
+ * solved for, the current is hidden until the student predicts whether it grows, shrinks or stays the same, and by
+ * roughly how much. The prediction is then scored against the real change, which is classified like the changes of
+ * the letter sizes that are described to a screen reader, see SizeChange.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var BooleanProperty = require( 'AXON/BooleanProperty' );
+  var DerivedProperty = require( 'AXON/DerivedProperty' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NullableIO = require( 'ifphetio!PHET_IO/types/NullableIO' );
+  var NumberProperty = require( 'AXON/NumberProperty' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var PredictionState = require( 'OHMS_LAW/ohms-law/model/PredictionState' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var SizeChange = require( 'OHMS_LAW/ohms-law/model/SizeChange' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+  var StringIO = require( 'ifphetio!PHET_IO/types/StringIO' );
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function CurrentPrediction( model, tandem ) {
+
+    var self = this;
+
+    // @private
+    this.model = model;
+
+    // @public {Property.<boolean>} - whether the current is predicted each time a slider is moved
+    this.enabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'enabledProperty' )
+    } );
+
+    // @public (read-only) {Property.<string>} - one of PredictionState.VALUES
+    this.stateProperty = new Property( PredictionState.WAITING, {
+      tandem: tandem.createTandem( 'stateProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: PredictionState.VALUES
+    } );
+
+    // @public {Property.<string|null>} - the predicted change, one of SizeChange.VALUES, null until one is chosen
+    this.predictedChangeProperty = new Property( null, {
+      tandem: tandem.createTandem( 'predictedChangeProperty' ),
+      phetioType: PropertyIO( NullableIO( StringIO ) ),
+      validValues: SizeChange.VALUES.concat( [ null ] )
+    } );
+
+    // @public (read-only) {Property.<string|null>} - the real change, one of SizeChange.VALUES, null until revealed
+    this.actualChangeProperty = new Property( null, {
+      tandem: tandem.createTandem( 'actualChangeProperty' ),
+      phetioType: PropertyIO( NullableIO( StringIO ) ),
+      validValues: SizeChange.VALUES.concat( [ null ] )
+    } );
+
+    // @public (read-only) {Property.<number>} - the running tally of predictions
+    this.predictionCountProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'predictionCountProperty' ),
+      numberType: 'Integer'
+    } );
+    this.correctCountProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'correctCountProperty' ),
+      numberType: 'Integer'
+    } );
+
+    // @public {Property.<boolean>} - whether the current is shown, it is hidden from the move of a slider until the
+    // prediction is revealed
+    this.currentVisibleProperty = new DerivedProperty( [ this.stateProperty ], function( state ) {
+      return state !== PredictionState.CHANGING && state !== PredictionState.PREDICTING;
+    } );
+
+    // @private {number} - the current before the slider was moved, in milliamps
+    this.oldCurrent = 0;
+
+    // @public {Property.<number>} - the current at this instant as the arrows and the charge carriers show it, in
+    // milliamps. While the current is hidden, they keep the size and speed of the current before the slider was moved,
+    // and with an AC source they still alternate, with the amplitude from before.
+    this.shownInstantaneousCurrentProperty = new DerivedProperty( [
+      model.instantaneousCurrentProperty,
+      model.currentProperty,
+      this.currentVisibleProperty
+    ], function( instantaneousCurrent, current, currentVisible ) {
+      if ( currentVisible ) {
+        return instantaneousCurrent;
+      }
+      if ( !model.acModeEnabledProperty.get() ) {
+        return self.oldCurrent;
+      }
+      return current === 0 ? 0 : instantaneousCurrent * self.oldCurrent / current;
+    } );
+
+    // @private {string} - the state to go back to if the slider ends where it started
+    this.stateBeforeChange = PredictionState.WAITING;
+
+    // Turning the activity off or solving for another quantity abandons a prediction. Present for the lifetime of the
+    // sim; no need to unlink.
+    var abandonPrediction = function() {
+      self.stateProperty.set( PredictionState.WAITING );
+      self.predictedChangeProperty.reset();
+      self.actualChangeProperty.reset();
+    };
+    this.enabledProperty.lazyLink( abandonPrediction );
+    model.solveForProperty.lazyLink( abandonPrediction );
+  }
+
+  ohmsLaw.register( 'CurrentPrediction', CurrentPrediction );
+
+  return inherit( Object, CurrentPrediction, {
+
+    /**
+     * Turn the activity off and forget the tally.
+     * @public
+     */
+    reset: function() {
+      this.enabledProperty.reset();
+      this.stateProperty.reset();
+      this.predictedChangeProperty.reset();
+      this.actualChangeProperty.reset();
+      this.predictionCountProperty.reset();
+      this.correctCountProperty.reset();
+      this.oldCurrent = 0;
+      this.stateBeforeChange = PredictionState.WAITING;
+    },
+
+    /**
+     * Hide the current when a slider starts to move, if the current is to be predicted.
+     * @public
+     */
+    startChange: function() {
+      var state = this.stateProperty.get();
+      if ( this.enabledProperty.get() && this.model.solveForProperty.get() === SolveFor.CURRENT &&
+           ( state === PredictionState.WAITING || state === PredictionState.REVEALED ) ) {
+        this.oldCurrent = this.model.currentProperty.get();
+        this.stateBeforeChange = state;
+        this.stateProperty.set( PredictionState.CHANGING );
+      }
+    },
+
+    /**
+     * Ask for a prediction when a slider stops moving, if it changed its value. It is asked for even if the current
+     * didn't change, since staying the same is one of the predictions.
+     * @public
+     *
+     * @param {boolean} valueChanged - whether the slider ended at another value than it started at
+     */
+    endChange: function( valueChanged ) {
+      if ( this.stateProperty.get() === PredictionState.CHANGING ) {
+        if ( !valueChanged ) {
+          this.stateProperty.set( this.stateBeforeChange );
+        }
+        else {
+          this.predictedChangeProperty.reset();
+          this.actualChangeProperty.reset();
+          this.stateProperty.set( PredictionState.PREDICTING );
+        }
+      }
+    },
+
+    /**
+     * Show the current and score the prediction against the real change.
+     * @public
+     */
+    reveal: function() {
+      assert && assert( this.stateProperty.get() === PredictionState.PREDICTING, 'nothing to reveal' );
+      assert && assert( this.predictedChangeProperty.get() !== null, 'no prediction' );
+
+      this.actualChangeProperty.set( SizeChange.getSizeChange( this.oldCurrent, this.model.currentProperty.get(),
+        OhmsLawConstants.CURRENT_RANGE ) );
+      this.predictionCountProperty.set( this.predictionCountProperty.get() + 1 );
+      if ( this.isCorrect() ) {
+        this.correctCountProperty.set( this.correctCountProperty.get() + 1 );
+      }
+      this.stateProperty.set( PredictionState.REVEALED );
+    },
+
+    /**
+     * Whether the revealed prediction was right, both in direction and in amount.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    isCorrect: function() {
+      return this.actualChangeProperty.get() !== null &&
+             this.predictedChangeProperty.get() === this.actualChangeProperty.get();
+    },
+
+    /**
+     * Whether the revealed prediction was in the right direction, whatever the amount.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    isDirectionCorrect: function() {
+      return this.actualChangeProperty.get() !== null &&
+             SizeChange.getDirection( this.predictedChangeProperty.get() ) ===
+             SizeChange.getDirection( this.actualChangeProperty.get() );
+    }
+  } );
+} );
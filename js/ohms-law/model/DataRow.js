@@ -0,0 +1,50 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * A row of the data table, the voltage, resistance and current of the circuit when it was recorded.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+
+  /**
+   * @param {number} number - the number of the recording, starting from 1, which stays with the row when others are
+   *                          deleted or the table is sorted
+   * @param {number} voltage - in volts
+   * @param {number} resistance - in ohms
+   * @param {number} current - in milliamps
+   * @constructor
+   */
+  function DataRow( number, voltage, resistance, current ) {
+
+    // @public (read-only)
+    this.number = number;
+    this.voltage = voltage;
+    this.resistance = resistance;
+    this.current = current;
+  }
+
+  ohmsLaw.register( 'DataRow', DataRow );
+
+  return inherit( Object, DataRow, {
+
+    /**
+     * Get the value of one of the quantities in the row.
+     * @public
+     *
+     * @param {string} quantity - one of SolveFor.VALUES
+     * @returns {number}
+     */
+    getValue: function( quantity ) {
+      return quantity === SolveFor.VOLTAGE ? this.voltage :
+             quantity === SolveFor.CURRENT ? this.current :
+             this.resistance;
+    }
+  } );
+} );
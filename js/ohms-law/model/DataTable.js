@@ -0,0 +1,197 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Model of the data table, where the voltage, resistance and current of the circuit are recorded as rows, so that they
+ * can be compared, sorted and exported to a spreadsheet. The rows are kept in the order they were recorded, and the
+ * order they are shown in is given by getSortedRows.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var BooleanProperty = require( 'AXON/BooleanProperty' );
+  var DataRow = require( 'OHMS_LAW/ohms-law/model/DataRow' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NullableIO = require( 'ifphetio!PHET_IO/types/NullableIO' );
+  var ObservableArray = require( 'AXON/ObservableArray' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+  var StringIO = require( 'ifphetio!PHET_IO/types/StringIO' );
+
+  // constants
+  var MAX_ROWS = 10; // as many as fit in the table on the screen
+  var EXPORT_SIGNIFICANT_FIGURES = 6; // enough for any value that is shown, without the noise of floating point
+
+  // headers of the columns of the CSV file, with the units of the values, which are not translated so that the file can
+  // be read the same way whatever the locale
+  var CSV_HEADERS = [ 'number', 'voltage (V)', 'resistance (ohms)', 'current (mA)' ];
+
+  /**
+   * Round a value for export.
+   * @param {number} value
+   * @returns {number}
+   */
+  function roundForExport( value ) {
+    return Number( value.toPrecision( EXPORT_SIGNIFICANT_FIGURES ) );
+  }
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function DataTable( model, tandem ) {
+
+    // @private
+    this.model = model;
+
+    // @public (read-only) {ObservableArray.<DataRow>} - in the order they were recorded
+    this.rows = new ObservableArray();
+
+    // @public (read-only) {Property.<string|null>} - the quantity that the rows are sorted by, one of SolveFor.VALUES,
+    // or null for the order they were recorded
+    this.sortQuantityProperty = new Property( null, {
+      tandem: tandem.createTandem( 'sortQuantityProperty' ),
+      phetioType: PropertyIO( NullableIO( StringIO ) ),
+      validValues: SolveFor.VALUES.concat( [ null ] )
+    } );
+
+    // @public (read-only) {Property.<boolean>} - whether the rows are sorted from the smallest value to the largest
+    this.sortAscendingProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'sortAscendingProperty' )
+    } );
+
+    // @private {number} - the number of the next row that is recorded
+    this.nextNumber = 1;
+  }
+
+  ohmsLaw.register( 'DataTable', DataTable );
+
+  return inherit( Object, DataTable, {
+
+    /**
+     * Delete every row and go back to the order they are recorded in.
+     * @public
+     */
+    reset: function() {
+      this.rows.clear();
+      this.sortQuantityProperty.reset();
+      this.sortAscendingProperty.reset();
+      this.nextNumber = 1;
+    },
+
+    /**
+     * Whether another row can be recorded.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    isFull: function() {
+      return this.rows.length >= MAX_ROWS;
+    },
+
+    /**
+     * Record the voltage, resistance and current of the circuit as a new row.
+     * @public
+     *
+     * @returns {DataRow} - the row that was recorded
+     */
+    record: function() {
+      assert && assert( !this.isFull(), 'the table is full' );
+
+      var row = new DataRow( this.nextNumber++, this.model.voltageProperty.get(), this.model.loadResistanceProperty.get(),
+        this.model.currentProperty.get() );
+      this.rows.add( row );
+      return row;
+    },
+
+    /**
+     * Delete a row.
+     * @public
+     *
+     * @param {DataRow} row
+     */
+    deleteRow: function( row ) {
+      assert && assert( this.rows.contains( row ), 'row is not in the table' );
+      this.rows.remove( row );
+    },
+
+    /**
+     * Sort the rows by a quantity, from the smallest value to the largest. Sorting again by the same quantity reverses
+     * the order.
+     * @public
+     *
+     * @param {string} quantity - one of SolveFor.VALUES
+     */
+    sortBy: function( quantity ) {
+      if ( this.sortQuantityProperty.get() === quantity ) {
+        this.sortAscendingProperty.set( !this.sortAscendingProperty.get() );
+      }
+      else {
+        this.sortAscendingProperty.set( true );
+        this.sortQuantityProperty.set( quantity );
+      }
+    },
+
+    /**
+     * Get the rows in the order they are shown in. Rows with the same value keep the order they were recorded in.
+     * @public
+     *
+     * @returns {DataRow[]}
+     */
+    getSortedRows: function() {
+      var quantity = this.sortQuantityProperty.get();
+      var sign = this.sortAscendingProperty.get() ? 1 : -1;
+      return this.rows.getArray().slice().sort( function( row1, row2 ) {
+        var difference = quantity === null ? 0 : row1.getValue( quantity ) - row2.getValue( quantity );
+        return difference !== 0 ? sign * difference : row1.number - row2.number;
+      } );
+    },
+
+    /**
+     * Get the rows as comma-separated values, in the order they are shown in, with a header line.
+     * @public
+     *
+     * @returns {string}
+     */
+    toCSV: function() {
+      var lines = [ CSV_HEADERS.join( ',' ) ].concat( this.getSortedRows().map( function( row ) {
+        return [
+          row.number,
+          roundForExport( row.voltage ),
+          roundForExport( row.resistance ),
+          roundForExport( row.current )
+        ].join( ',' );
+      } ) );
+      return lines.join( '\n' ) + '\n';
+    },
+
+    /**
+     * Get the rows as JSON, in the order they are shown in, with the units of the values.
+     * @public
+     *
+     * @returns {string}
+     */
+    toJSON: function() {
+      return JSON.stringify( {
+        units: {
+          voltage: 'V',
+          resistance: 'ohms',
+          current: 'mA'
+        },
+        rows: this.getSortedRows().map( function( row ) {
+          return {
+            number: row.number,
+            voltage: roundForExport( row.voltage ),
+            resistance: roundForExport( row.resistance ),
+            current: roundForExport( row.current )
+          };
+        } )
+      }, null, 2 );
+    }
+  } );
+} );
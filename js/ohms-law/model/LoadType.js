@@ -0,0 +1,103 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the elements that can be connected to the batteries. Only the resistor is ohmic, the others have a
+ * current-voltage characteristic that is not a straight line, so their resistance R = V/I changes with the voltage.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  // constants
+  var LAMP_COLD_RESISTANCE = 6; // in ohms, resistance of the filament at room temperature
+  var LAMP_HEATING_COEFFICIENT = 400; // in 1/A^2, the filament is about ten times its cold resistance at 150 mA
+  var DIODE_SATURATION_CURRENT = 1E-6; // in milliamps
+  var DIODE_THERMAL_VOLTAGE = 0.05; // in volts, the ideality factor times the thermal voltage
+  var DIODE_SERIES_RESISTANCE = 10; // in ohms, resistance of the diode once it conducts
+
+  var LoadType = {
+    RESISTOR: 'resistor',
+    FILAMENT_LAMP: 'filamentLamp',
+    DIODE: 'diode'
+  };
+
+  // @public {string[]} - all values of the enumeration
+  LoadType.VALUES = [ LoadType.RESISTOR, LoadType.FILAMENT_LAMP, LoadType.DIODE ];
+
+  /**
+   * Whether the load follows Ohm's law, with a resistance that doesn't depend on the current through it.
+   * @public
+   *
+   * @param {string} loadType - one of LoadType.VALUES
+   * @returns {boolean}
+   */
+  LoadType.isOhmic = function( loadType ) {
+    assert && assert( LoadType.VALUES.indexOf( loadType ) >= 0, 'invalid loadType: ' + loadType );
+    return loadType === LoadType.RESISTOR;
+  };
+
+  /**
+   * Whether the load conducts a current in both directions, with the same characteristic each way. The diode only
+   * conducts from its anode to its cathode, so it blocks the current while an AC source reverses.
+   * @public
+   *
+   * @param {string} loadType - one of LoadType.VALUES
+   * @returns {boolean}
+   */
+  LoadType.conductsBothWays = function( loadType ) {
+    assert && assert( LoadType.VALUES.indexOf( loadType ) >= 0, 'invalid loadType: ' + loadType );
+    return loadType !== LoadType.DIODE;
+  };
+
+  /**
+   * Get the voltage across a non-ohmic load for the current through it, from its current-voltage characteristic.
+   * The voltage increases with the current for all loads, so that the current can be found for any voltage.
+   * The resistance of the filament lamp grows as its filament heats up, R = R0(1 + kI²), and the diode follows the
+   * Shockley equation with a small series resistance.
+   * @public
+   *
+   * @param {string} loadType - one of LoadType.VALUES, except LoadType.RESISTOR
+   * @param {number} current - in milliamps
+   * @returns {number} - in volts
+   */
+  LoadType.getVoltage = function( loadType, current ) {
+    assert && assert( !LoadType.isOhmic( loadType ), 'the resistor has no fixed characteristic: ' + loadType );
+
+    var currentInAmps = current / 1000;
+    if ( loadType === LoadType.FILAMENT_LAMP ) {
+      return currentInAmps * LAMP_COLD_RESISTANCE * ( 1 + LAMP_HEATING_COEFFICIENT * currentInAmps * currentInAmps );
+    }
+    return DIODE_THERMAL_VOLTAGE * Math.log( 1 + current / DIODE_SATURATION_CURRENT ) +
+           currentInAmps * DIODE_SERIES_RESISTANCE;
+  };
+
+  /**
+   * Get the resistance R = V/I of a non-ohmic load for the current through it. With no current, this is the limit of
+   * V/I as the current goes to zero, which is the slope of the characteristic at the origin.
+   * @public
+   *
+   * @param {string} loadType - one of LoadType.VALUES, except LoadType.RESISTOR
+   * @param {number} current - in milliamps
+   * @returns {number} - in ohms
+   */
+  LoadType.getResistance = function( loadType, current ) {
+    assert && assert( !LoadType.isOhmic( loadType ), 'the resistor has no fixed characteristic: ' + loadType );
+
+    if ( current === 0 ) {
+      return loadType === LoadType.FILAMENT_LAMP ? LAMP_COLD_RESISTANCE :
+             1000 * DIODE_THERMAL_VOLTAGE / DIODE_SATURATION_CURRENT + DIODE_SERIES_RESISTANCE;
+    }
+    return 1000 * LoadType.getVoltage( loadType, current ) / current;
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( LoadType ); }
+
+  ohmsLaw.register( 'LoadType', LoadType );
+
+  return LoadType;
+} );
@@ -0,0 +1,55 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the metric prefixes that the units of a quantity can be shown with, like the milli of milliamps.
+ * AUTO is not a prefix itself, it means that the prefix is picked to suit the size of the value.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  // powers of ten for each prefix
+  var EXPONENTS = {
+    micro: -6,
+    milli: -3,
+    none: 0,
+    kilo: 3,
+    mega: 6
+  };
+
+  var MetricPrefix = {
+    AUTO: 'auto',
+    MICRO: 'micro',
+    MILLI: 'milli',
+    NONE: 'none',
+    KILO: 'kilo',
+    MEGA: 'mega'
+  };
+
+  // @public {string[]} - all prefixes, from smallest to largest, without AUTO
+  MetricPrefix.VALUES = [ MetricPrefix.MICRO, MetricPrefix.MILLI, MetricPrefix.NONE, MetricPrefix.KILO,
+    MetricPrefix.MEGA ];
+
+  /**
+   * Get the power of ten for a prefix, -3 for milli.
+   * @public
+   *
+   * @param {string} prefix - one of MetricPrefix.VALUES
+   * @returns {number}
+   */
+  MetricPrefix.getExponent = function( prefix ) {
+    assert && assert( MetricPrefix.VALUES.indexOf( prefix ) >= 0, 'invalid prefix: ' + prefix );
+    return EXPONENTS[ prefix ];
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( MetricPrefix ); }
+
+  ohmsLaw.register( 'MetricPrefix', MetricPrefix );
+
+  return MetricPrefix;
+} );
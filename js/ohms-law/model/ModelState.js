@@ -0,0 +1,177 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * The state of the circuit as a small versioned JSON document, so that a setup can be saved and opened again, or shared
+ * as a link with the document in the fragment of the URL, like
+ * ohms-law_en.html#state={"version":1,"voltage":3,"resistance":220} (encoded for the URL).
+ *
+ * The document has the quantity that is solved for and the values that were set for the other two quantities, in volts,
+ * ohms and milliamps. The quantity that is solved for is computed again, and is ignored if a document written by hand
+ * has it.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+
+  // constants
+  var VERSION = 1; // increase when a document of the old version can no longer be read as the new one
+  var FRAGMENT_PREFIX = 'state=';
+  var KEYS = [ 'version', 'solveFor' ].concat( SolveFor.VALUES );
+
+  // units of the values in the document, for the messages
+  var UNITS = {};
+  UNITS[ SolveFor.VOLTAGE ] = 'V';
+  UNITS[ SolveFor.CURRENT ] = 'mA';
+  UNITS[ SolveFor.RESISTANCE ] = 'ohms';
+
+  // ranges that the values can be set in
+  var RANGES = {};
+  RANGES[ SolveFor.VOLTAGE ] = OhmsLawConstants.VOLTAGE_RANGE;
+  RANGES[ SolveFor.CURRENT ] = OhmsLawConstants.CURRENT_RANGE;
+  RANGES[ SolveFor.RESISTANCE ] = OhmsLawConstants.RESISTANCE_RANGE;
+
+  /**
+   * Get the value that was set for a quantity that is not solved for, which is what it is set to when the document is
+   * read. The voltage of batteries that run down, and the resistance of a resistor that heats up or of a load that is
+   * not a resistor, are computed from these values and can be outside the ranges of the sliders.
+   * @param {OhmsLawModel} model
+   * @param {string} quantity - one of SolveFor.VALUES
+   * @returns {number}
+   */
+  function getSetValue( model, quantity ) {
+    return quantity === SolveFor.VOLTAGE ? model.getNominalVoltage() :
+           quantity === SolveFor.RESISTANCE ? model.getAmbientResistance() :
+           model.currentProperty.get();
+  }
+
+  var ModelState = {
+
+    // @public {number} - version of the documents that are written
+    VERSION: VERSION,
+
+    /**
+     * Get the document for the state of a model.
+     * @public
+     *
+     * @param {OhmsLawModel} model
+     * @returns {Object} - can be passed to JSON.stringify
+     */
+    create: function( model ) {
+      var solveFor = model.solveForProperty.get();
+      var stateObject = { version: VERSION, solveFor: solveFor };
+      SolveFor.VALUES.forEach( function( quantity ) {
+        if ( quantity !== solveFor ) {
+          stateObject[ quantity ] = getSetValue( model, quantity );
+        }
+      } );
+      return stateObject;
+    },
+
+    /**
+     * Read a document, checking that it can be applied to a model. The quantity that is solved for is current if it is
+     * left out, and only the quantities that can be set are needed. Throws an Error with a message that says what is
+     * wrong with a document that can't be read.
+     * @public
+     *
+     * @param {string} json
+     * @returns {Object} - a document with solveFor and the values that can be set, see create
+     */
+    parse: function( json ) {
+      var stateObject;
+      try {
+        stateObject = JSON.parse( json );
+      }
+      catch( error ) {
+        throw new Error( 'The state is not valid JSON.' );
+      }
+      if ( !_.isPlainObject( stateObject ) ) {
+        throw new Error( 'The state must be a JSON object.' );
+      }
+      _.keys( stateObject ).forEach( function( key ) {
+        if ( KEYS.indexOf( key ) < 0 ) {
+          throw new Error( 'The state has an unknown field, ' + key + '.' );
+        }
+      } );
+      if ( !stateObject.hasOwnProperty( 'version' ) ) {
+        throw new Error( 'The state has no version.' );
+      }
+      if ( stateObject.version !== VERSION ) {
+        throw new Error( 'The state has version ' + stateObject.version + ', but only version ' + VERSION +
+                         ' can be read.' );
+      }
+
+      var solveFor = stateObject.hasOwnProperty( 'solveFor' ) ? stateObject.solveFor : SolveFor.CURRENT;
+      if ( SolveFor.VALUES.indexOf( solveFor ) < 0 ) {
+        throw new Error( 'The state solves for ' + solveFor + ', but only ' + SolveFor.VALUES.join( ', ' ) +
+                         ' can be solved for.' );
+      }
+
+      var state = { version: VERSION, solveFor: solveFor };
+      SolveFor.VALUES.forEach( function( quantity ) {
+        if ( quantity === solveFor ) {
+          return;
+        }
+        var value = stateObject[ quantity ];
+        if ( value === undefined ) {
+          throw new Error( 'The state has no ' + quantity + ', which is needed when solving for ' + solveFor + '.' );
+        }
+        if ( typeof value !== 'number' || !isFinite( value ) ) {
+          throw new Error( 'The ' + quantity + ' in the state is not a number.' );
+        }
+        var range = RANGES[ quantity ];
+        if ( !range.contains( value ) ) {
+          throw new Error( 'The ' + quantity + ' in the state is ' + value + ' ' + UNITS[ quantity ] +
+                           ', but it must be from ' + range.min + ' to ' + range.max + ' ' + UNITS[ quantity ] + '.' );
+        }
+        state[ quantity ] = value;
+      } );
+      return state;
+    },
+
+    /**
+     * Get the fragment of a URL, without the #, that holds a document.
+     * @public
+     *
+     * @param {string} json
+     * @returns {string}
+     */
+    toFragment: function( json ) {
+      return FRAGMENT_PREFIX + encodeURIComponent( json );
+    },
+
+    /**
+     * Get the document held by the fragment of a URL.
+     * @public
+     *
+     * @param {string} hash - the fragment of a URL, with or without the #, like window.location.hash
+     * @returns {string|null} - the JSON of the document, null if the fragment doesn't hold one
+     */
+    fromFragment: function( hash ) {
+      var fragment = hash.replace( /^#/, '' );
+      if ( fragment.indexOf( FRAGMENT_PREFIX ) !== 0 ) {
+        return null;
+      }
+      try {
+        return decodeURIComponent( fragment.substring( FRAGMENT_PREFIX.length ) );
+      }
+      catch( error ) {
+
+        // a malformed escape is passed on as it is, so that it is reported as JSON that can't be read
+        return fragment.substring( FRAGMENT_PREFIX.length );
+      }
+    }
+  };
+
+  // verify that object is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( ModelState ); }
+
+  ohmsLaw.register( 'ModelState', ModelState );
+
+  return ModelState;
+} );
@@ -9,51 +9,548 @@ define( function( require ) {
   'use strict';
 
   // modules
+  var Ammeter = require( 'OHMS_LAW/ohms-law/model/Ammeter' );
+  var Battery = require( 'OHMS_LAW/ohms-law/model/Battery' );
+  var BooleanProperty = require( 'AXON/BooleanProperty' );
+  var ChangeHistory = require( 'OHMS_LAW/ohms-law/model/ChangeHistory' );
+  var ChargeCarriers = require( 'OHMS_LAW/ohms-law/model/ChargeCarriers' );
+  var CircuitSegment = require( 'OHMS_LAW/ohms-law/model/CircuitSegment' );
+  var ColorBandsType = require( 'OHMS_LAW/ohms-law/model/ColorBandsType' );
+  var CurrentPrediction = require( 'OHMS_LAW/ohms-law/model/CurrentPrediction' );
+  var DataTable = require( 'OHMS_LAW/ohms-law/model/DataTable' );
   var DerivedProperty = require( 'AXON/DerivedProperty' );
   var DerivedPropertyIO = require( 'AXON/DerivedPropertyIO' );
   var inherit = require( 'PHET_CORE/inherit' );
+  var LoadType = require( 'OHMS_LAW/ohms-law/model/LoadType' );
+  var ModelState = require( 'OHMS_LAW/ohms-law/model/ModelState' );
   var NumberIO = require( 'ifphetio!PHET_IO/types/NumberIO' );
   var NumberProperty = require( 'AXON/NumberProperty' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
-  var Range = require( 'DOT/Range' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var ResistorMaterial = require( 'OHMS_LAW/ohms-law/model/ResistorMaterial' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+  var SourceType = require( 'OHMS_LAW/ohms-law/model/SourceType' );
+  var StandardSeries = require( 'OHMS_LAW/ohms-law/model/StandardSeries' );
+  var StringIO = require( 'ifphetio!PHET_IO/types/StringIO' );
+  var Util = require( 'DOT/Util' );
+  var Voltmeter = require( 'OHMS_LAW/ohms-law/model/Voltmeter' );
+
+  // constants
+  var BISECTION_ITERATIONS = 60; // enough to find the current to the precision of a double
+  var CYCLE_SAMPLES = 64; // evenly spaced over a cycle of the AC source, exact for the RMS of a sine
+
+  // geometry of the circuit that the meters are put on, in the coordinates of WireBox where the top left corner of the
+  // wire frame is 0,0. The batteries are along the top wire with the positive terminal to the right, and the load is
+  // in the middle of the bottom wire.
+  var WIDTH = OhmsLawConstants.WIRE_WIDTH;
+  var HEIGHT = OhmsLawConstants.WIRE_HEIGHT;
+  var TOLERANCE = OhmsLawConstants.PROBE_TOLERANCE;
 
   /**
    * @constructor
    */
   function OhmsLawModel( tandem ) {
 
-    // @public {Property.<number>} in volts
+    var self = this;
+
+    // @public {Property.<boolean>} - whether time passes in the model, for the charge carriers, the heating of the
+    // resistor and the running down of the batteries
+    this.isPlayingProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'isPlayingProperty' )
+    } );
+
+    // @public {Property.<string>} - the quantity that is derived from the other two, one of SolveFor.VALUES
+    this.solveForProperty = new Property( SolveFor.CURRENT, {
+      tandem: tandem.createTandem( 'solveForProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: SolveFor.VALUES
+    } );
+
+    // @public {Property.<string>} - the element connected to the batteries, one of LoadType.VALUES. For the loads that
+    // are not ohmic, the current is found from the characteristic of the load and the resistance is derived from it.
+    this.loadTypeProperty = new Property( LoadType.RESISTOR, {
+      tandem: tandem.createTandem( 'loadTypeProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: LoadType.VALUES
+    } );
+
+    // @public {Property.<number>} in volts, the EMF of the battery stack
     this.voltageProperty = new NumberProperty( OhmsLawConstants.VOLTAGE_RANGE.getDefaultValue(), {
       tandem: tandem.createTandem( 'voltageProperty' ),
       units: 'volts',
-      range: OhmsLawConstants.VOLTAGE_RANGE
+      range: OhmsLawConstants.CIRCUIT_VOLTAGE_RANGE
     } );
 
-    // @public {Property.<number>} in Ohms
+    // @public {Property.<number>} in Ohms, the resistance of the resistor
     this.resistanceProperty = new NumberProperty( OhmsLawConstants.RESISTANCE_RANGE.getDefaultValue(), {
       tandem: tandem.createTandem( 'resistanceProperty' ),
       units: 'ohms',
-      range: OhmsLawConstants.RESISTANCE_RANGE
+      range: OhmsLawConstants.CIRCUIT_RESISTANCE_RANGE
+    } );
+
+    // @public {Property.<number>} - the current in milli amps, derived from voltage and resistance unless the user
+    // has chosen to solve for one of the others
+    this.currentProperty = new NumberProperty( OhmsLawConstants.CURRENT_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'currentProperty' ),
+      units: 'milliamperes',
+      range: OhmsLawConstants.CIRCUIT_CURRENT_RANGE
+    } );
+
+    // @public {Property.<number>} - the EMF of the battery stack, in volts. This is the voltage that the voltage slider
+    // controls, named for clarity where the internal resistance of the batteries is taken into account.
+    this.emfProperty = this.voltageProperty;
+
+    // @public {Property.<boolean>} - whether the battery stack has internal resistance, ideal batteries by default
+    this.internalResistanceEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'internalResistanceEnabledProperty' )
+    } );
+
+    // @public {Property.<number>} in ohms, the internal resistance of the whole battery stack when enabled
+    this.internalResistanceProperty = new NumberProperty( OhmsLawConstants.INTERNAL_RESISTANCE_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'internalResistanceProperty' ),
+      units: 'ohms',
+      range: OhmsLawConstants.INTERNAL_RESISTANCE_RANGE
     } );
 
-    // @public {Property.<number>} create a derived property that tracks the current in milli amps
-    this.currentProperty = new DerivedProperty( [ this.voltageProperty, this.resistanceProperty ],
-      computeCurrent, {
-        tandem: tandem.createTandem( 'currentProperty' ),
-        units: 'milliamperes',
+    // @public {Property.<number>} in ohms, V/I of the load. This is the resistance of the resistor, or the ratio at the
+    // point on the characteristic of a load that is not ohmic, which can be far outside the range of the resistance
+    // slider, such as tens of megohms for a diode that barely conducts.
+    this.loadResistanceProperty = new DerivedProperty(
+      [ this.loadTypeProperty, this.resistanceProperty, this.currentProperty ],
+      function( loadType, resistance, current ) {
+        return LoadType.isOhmic( loadType ) ? resistance : LoadType.getResistance( loadType, current );
+      }, {
+        tandem: tandem.createTandem( 'loadResistanceProperty' ),
+        units: 'ohms',
+        phetioType: DerivedPropertyIO( NumberIO )
+      } );
+
+    // @public {Property.<number>} in volts, the voltage across the battery terminals, which is also the voltage across
+    // the load. Less than the EMF by the voltage lost across the internal resistance. It is the voltage across the
+    // load, zero, while a blown fuse opens the circuit, see getTerminalVoltage.
+    this.terminalVoltageProperty = new DerivedProperty( [ this.currentProperty, this.loadResistanceProperty ],
+      computeVoltage, {
+        tandem: tandem.createTandem( 'terminalVoltageProperty' ),
+        units: 'volts',
+        phetioType: DerivedPropertyIO( NumberIO )
+      } );
+
+    // @public {Property.<number>} in milliwatts, the power dissipated by the load
+    this.powerProperty = new DerivedProperty( [ this.currentProperty, this.loadResistanceProperty ],
+      computePower, {
+        tandem: tandem.createTandem( 'powerProperty' ),
+        units: 'milliwatts',
         phetioType: DerivedPropertyIO( NumberIO )
       } );
+
+    // @public {Property.<boolean>} - whether the resistor heats up from the power that it dissipates
+    this.heatingEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'heatingEnabledProperty' )
+    } );
+
+    // @public {Property.<string>} - material of the resistor, which sets how its resistance changes with temperature
+    this.resistorMaterialProperty = new Property( ResistorMaterial.COPPER, {
+      tandem: tandem.createTandem( 'resistorMaterialProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: ResistorMaterial.VALUES
+    } );
+
+    // @public {Property.<boolean>} - whether the resistance of the resistor is set by its geometry and material,
+    // R = ρL/A, instead of by the resistance slider
+    this.resistorBuilderEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'resistorBuilderEnabledProperty' )
+    } );
+
+    // @public {Property.<number>} in centimeters, the length of the resistor in the resistor builder
+    this.resistorLengthProperty = new NumberProperty( OhmsLawConstants.RESISTOR_LENGTH_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'resistorLengthProperty' ),
+      units: 'centimeters',
+      range: OhmsLawConstants.RESISTOR_LENGTH_RANGE
+    } );
+
+    // @public {Property.<number>} in square millimeters, the cross-sectional area of the resistor in the resistor
+    // builder
+    this.resistorAreaProperty = new NumberProperty( OhmsLawConstants.RESISTOR_AREA_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'resistorAreaProperty' ),
+      units: 'square millimeters',
+      range: OhmsLawConstants.RESISTOR_AREA_RANGE
+    } );
+
+    // @public {Property.<number>} in milliohm meters, the resistivity of the material in the resistor builder
+    this.resistivityProperty = new NumberProperty( OhmsLawConstants.RESISTIVITY_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'resistivityProperty' ),
+      units: 'milliohm meters',
+      range: OhmsLawConstants.RESISTIVITY_RANGE
+    } );
+
+    // @public {Property.<string>} - the series of standard values that the resistance slider snaps to, one of
+    // StandardSeries.VALUES
+    this.standardSeriesProperty = new Property( StandardSeries.NONE, {
+      tandem: tandem.createTandem( 'standardSeriesProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: StandardSeries.VALUES
+    } );
+
+    // @public {Property.<string>} - the color bands drawn on the resistor, one of ColorBandsType.VALUES
+    this.colorBandsTypeProperty = new Property( ColorBandsType.NONE, {
+      tandem: tandem.createTandem( 'colorBandsTypeProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: ColorBandsType.VALUES
+    } );
+
+    // @public {Property.<boolean>} - whether the batteries run down as current is drawn from them
+    this.batteryDepletionEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'batteryDepletionEnabledProperty' )
+    } );
+
+    // @public {Property.<string>} - the kind of source that supplies the voltage, one of SourceType.VALUES
+    this.sourceTypeProperty = new Property( SourceType.AA, {
+      tandem: tandem.createTandem( 'sourceTypeProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: SourceType.VALUES
+    } );
+
+    // @public {Property.<boolean>} - whether the source is an AC source, V(t) = V0 sin(2πft). The voltage, current and
+    // resistance that are set and solved for are then the amplitudes V0 and I0.
+    this.acModeEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'acModeEnabledProperty' )
+    } );
+
+    // @public {Property.<number>} in hertz, the frequency f of the AC source
+    this.acFrequencyProperty = new NumberProperty( OhmsLawConstants.AC_FREQUENCY_RANGE.getDefaultValue(), {
+      tandem: tandem.createTandem( 'acFrequencyProperty' ),
+      units: 'hertz',
+      range: OhmsLawConstants.AC_FREQUENCY_RANGE
+    } );
+
+    // @public (read-only) {Property.<number>} in radians, the clock of the AC source, 2πft between 0 and 2π. It
+    // advances by 2πf each second, so that changing the frequency doesn't make the voltage jump.
+    this.acPhaseProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'acPhaseProperty' ),
+      units: 'radians'
+    } );
+
+    // @public (read-only) {Property.<number>} in volts, the EMF of the source at this instant, the same as the EMF
+    // except in AC mode
+    this.instantaneousVoltageProperty = new NumberProperty( this.voltageProperty.get(), {
+      tandem: tandem.createTandem( 'instantaneousVoltageProperty' ),
+      units: 'volts'
+    } );
+
+    // @public (read-only) {Property.<number>} in milliamps, the current at this instant, negative while an AC source
+    // drives it counterclockwise. The same as the current except in AC mode.
+    this.instantaneousCurrentProperty = new NumberProperty( this.currentProperty.get(), {
+      tandem: tandem.createTandem( 'instantaneousCurrentProperty' ),
+      units: 'milliamperes'
+    } );
+
+    // @public {Property.<number>} in volts, the root mean square of the EMF over a cycle, V0/√2 in AC mode
+    this.rmsVoltageProperty = new DerivedProperty( [ this.voltageProperty, this.acModeEnabledProperty ],
+      function( voltage, acModeEnabled ) {
+        return acModeEnabled ? voltage / Math.SQRT2 : voltage;
+      }, {
+        tandem: tandem.createTandem( 'rmsVoltageProperty' ),
+        units: 'volts',
+        phetioType: DerivedPropertyIO( NumberIO )
+      } );
+
+    // @public (read-only) {Property.<number>} in milliamps, the root mean square of the current over a cycle of the
+    // AC source, the same as the current except in AC mode
+    this.rmsCurrentProperty = new NumberProperty( this.currentProperty.get(), {
+      tandem: tandem.createTandem( 'rmsCurrentProperty' ),
+      units: 'milliamperes'
+    } );
+
+    // @public (read-only) {Property.<number>} in milliwatts, the power dissipated by the load averaged over a cycle of
+    // the AC source, the same as the power except in AC mode
+    this.averagePowerProperty = new NumberProperty( this.powerProperty.get(), {
+      tandem: tandem.createTandem( 'averagePowerProperty' ),
+      units: 'milliwatts'
+    } );
+
+    // @public {Property.<boolean>} - whether there is a fuse in the circuit
+    this.fuseEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'fuseEnabledProperty' )
+    } );
+
+    // @public {Property.<number>} in milliamps, the fuse blows when the current is more than its rating
+    this.fuseRatingProperty = new NumberProperty( OhmsLawConstants.DEFAULT_FUSE_RATING, {
+      tandem: tandem.createTandem( 'fuseRatingProperty' ),
+      units: 'milliamperes',
+      validValues: OhmsLawConstants.FUSE_RATINGS
+    } );
+
+    // @public (read-only) {Property.<boolean>} - whether the fuse has blown, which opens the circuit until the fuse is
+    // replaced
+    this.fuseBlownProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'fuseBlownProperty' )
+    } );
+
+    // @public {Battery[]} - enough cells of any kind to fill the top wire, only those with a share of the voltage are
+    // in the stack
+    var batteriesGroupTandem = tandem.createGroupTandem( 'battery' );
+    this.batteries = _.range( OhmsLawConstants.MAX_NUMBER_OF_BATTERIES ).map( function() {
+      return new Battery( self.sourceTypeProperty, self.batteryDepletionEnabledProperty,
+        batteriesGroupTandem.createNextTandem() );
+    } );
+
+    // @private {number} - in volts, the voltage set by the user, which is the voltage of the battery stack when the
+    // batteries are fully charged
+    this.nominalVoltage = this.voltageProperty.get();
+
+    // @private - set while the voltage is being changed by the batteries running down
+    this.updatingDepletedVoltage = false;
+
+    // @public {Property.<number>} - temperature of the resistor, in degrees Celsius
+    this.temperatureProperty = new NumberProperty( OhmsLawConstants.AMBIENT_TEMPERATURE, {
+      tandem: tandem.createTandem( 'temperatureProperty' ),
+      units: 'degrees Celsius'
+    } );
+
+    // @private {number} - resistance of the resistor at the ambient temperature, in ohms. When the resistor is heating,
+    // changes to the resistance by the user are taken as changes to the resistance at its present temperature.
+    this.ambientResistance = this.resistanceProperty.get();
+
+    // @private - set while the resistance is being changed by the temperature of the resistor
+    this.updatingTemperatureResistance = false;
+
+    // @private - set while the derived quantity is being updated, so that setting it doesn't trigger another update
+    this.updatingDerivedQuantity = false;
+
+    // Recompute the derived quantity whenever one of the others changes. Present for the lifetime of the sim; no need
+    // to unlink.
+    var updateDerivedQuantity = this.updateDerivedQuantity.bind( this );
+    this.voltageProperty.lazyLink( updateDerivedQuantity );
+    this.resistanceProperty.lazyLink( updateDerivedQuantity );
+    this.currentProperty.lazyLink( updateDerivedQuantity );
+    this.internalResistanceEnabledProperty.lazyLink( updateDerivedQuantity );
+    this.internalResistanceProperty.lazyLink( updateDerivedQuantity );
+
+    // A voltage set by the user is a stack of fresh batteries. Present for the lifetime of the sim; no need to unlink.
+    this.voltageProperty.link( function( voltage ) {
+      if ( !self.updatingDepletedVoltage ) {
+        self.nominalVoltage = voltage;
+        self.stackBatteries();
+      }
+    } );
+
+    // Another kind of source is a fresh stack for the voltage set by the user, and the bench supply doesn't run down.
+    // Present for the lifetime of the sim; no need to unlink.
+    this.sourceTypeProperty.lazyLink( function( sourceType ) {
+      if ( !SourceType.isBattery( sourceType ) ) {
+        self.batteryDepletionEnabledProperty.set( false );
+      }
+      self.replaceBatteries();
+    } );
+
+    // The AC source takes the place of the batteries, so they don't run down, and it starts a cycle when it is turned
+    // on. Present for the lifetime of the sim; no need to unlink.
+    this.acModeEnabledProperty.lazyLink( function( acModeEnabled ) {
+      if ( acModeEnabled ) {
+        self.batteryDepletionEnabledProperty.set( false );
+      }
+      self.acPhaseProperty.reset();
+      self.updateCycleValues();
+      self.updateInstantaneousValues();
+    } );
+    this.acPhaseProperty.lazyLink( this.updateInstantaneousValues.bind( this ) );
+
+    // The batteries set the voltage while they run down, so only the current can be solved for. Turning it off puts
+    // in fresh batteries. Present for the lifetime of the sim; no need to unlink.
+    this.batteryDepletionEnabledProperty.lazyLink( function( batteryDepletionEnabled ) {
+      if ( batteryDepletionEnabled ) {
+        self.solveForProperty.set( SolveFor.CURRENT );
+      }
+      else {
+        self.replaceBatteries();
+      }
+    } );
+
+    // The fuse is there to stop the current that the source drives, so only the current can be solved for while it is
+    // in the circuit. A fuse that is put in or taken out is a new one. Present for the lifetime of the sim; no need to
+    // unlink.
+    this.fuseEnabledProperty.lazyLink( function( fuseEnabled ) {
+      self.fuseBlownProperty.set( false );
+      if ( fuseEnabled ) {
+        self.solveForProperty.set( SolveFor.CURRENT );
+      }
+      self.updateDerivedQuantity();
+    } );
+
+    // a smaller rating can blow the fuse
+    this.fuseRatingProperty.lazyLink( updateDerivedQuantity );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    this.resistanceProperty.lazyLink( function( resistance ) {
+      if ( !self.updatingTemperatureResistance && self.isOhmic() ) {
+        self.ambientResistance = resistance / self.getTemperatureFactor();
+      }
+    } );
+    this.heatingEnabledProperty.lazyLink( function() {
+      self.temperatureProperty.reset();
+      self.updateTemperatureResistance();
+    } );
+    this.resistorMaterialProperty.lazyLink( this.updateTemperatureResistance.bind( this ) );
+
+    // The resistor builder sets the resistance, so the resistance can't be solved for while it is on. Present for the
+    // lifetime of the sim; no need to unlink.
+    this.resistorBuilderEnabledProperty.lazyLink( function( resistorBuilderEnabled ) {
+      if ( resistorBuilderEnabled && self.solveForProperty.get() === SolveFor.RESISTANCE ) {
+        self.solveForProperty.set( SolveFor.CURRENT );
+      }
+      self.updateBuilderResistance();
+    } );
+    var updateBuilderResistance = this.updateBuilderResistance.bind( this );
+    this.resistorLengthProperty.lazyLink( updateBuilderResistance );
+    this.resistorAreaProperty.lazyLink( updateBuilderResistance );
+    this.resistivityProperty.lazyLink( updateBuilderResistance );
+
+    // Choosing a series of standard values snaps the resistance to the nearest one, if the resistance can be set.
+    // Present for the lifetime of the sim; no need to unlink.
+    this.standardSeriesProperty.lazyLink( function() {
+      if ( self.getSettableQuantities().indexOf( SolveFor.RESISTANCE ) >= 0 ) {
+        self.resistanceProperty.set( self.snapResistance( self.resistanceProperty.get() ) );
+      }
+    } );
+
+    // Only the current can be solved for with a load that is not ohmic, since its resistance depends on the current.
+    // Switching back to the resistor gives it the resistance for its present temperature.
+    this.loadTypeProperty.lazyLink( function( loadType ) {
+      if ( LoadType.isOhmic( loadType ) ) {
+        self.updateTemperatureResistance();
+      }
+      else {
+        self.solveForProperty.set( SolveFor.CURRENT );
+      }
+      self.updateDerivedQuantity();
+    } );
+
+    // When a quantity stops being derived it becomes settable by a slider, so bring it back within its range.
+    this.solveForProperty.lazyLink( function() {
+      self.getSettableQuantities().forEach( function( quantity ) {
+        var property = self.getProperty( quantity );
+        property.set( OhmsLawModel.getRange( quantity ).constrainValue( property.get() ) );
+      } );
+      self.updateDerivedQuantity();
+    } );
+
+    this.updateDerivedQuantity();
+
+    // @public - charges that move around the circuit with the current
+    this.chargeCarriers = new ChargeCarriers( this, tandem.createTandem( 'chargeCarriers' ) );
+
+    // @public - meters that can be put on the circuit
+    this.voltmeter = new Voltmeter( this, tandem.createTandem( 'voltmeter' ) );
+    this.ammeter = new Ammeter( this, tandem.createTandem( 'ammeter' ) );
+
+    // @public - the activity where the current is predicted before it is shown
+    this.currentPrediction = new CurrentPrediction( this, tandem.createTandem( 'currentPrediction' ) );
+
+    // @public - table where the voltage, resistance and current are recorded
+    this.dataTable = new DataTable( this, tandem.createTandem( 'dataTable' ) );
+
+    // @public - changes made with the sliders, which can be undone and redone
+    this.changeHistory = new ChangeHistory( this, tandem.createTandem( 'changeHistory' ) );
   }
 
   /**
    * The main model function, used to compute the current of the model
    * @param voltage
    * @param resistance
+   * @param {number} [internalResistance] - in ohms, of the battery stack
+   * @returns {number} - current in milliamps
+   */
+  function computeCurrent( voltage, resistance, internalResistance ) {
+    return 1000 * voltage / ( resistance + ( internalResistance || 0 ) );
+  }
+
+  /**
+   * Ohm's law solved for voltage.
+   * @param {number} current - in milliamps
+   * @param {number} resistance - in ohms
+   * @param {number} [internalResistance] - in ohms, of the battery stack
+   * @returns {number} - voltage in volts
+   */
+  function computeVoltage( current, resistance, internalResistance ) {
+    return current * ( resistance + ( internalResistance || 0 ) ) / 1000;
+  }
+
+  /**
+   * Ohm's law solved for resistance. If the internal resistance alone is too large to allow the current, the
+   * resistance is zero.
+   * @param {number} voltage - in volts
+   * @param {number} current - in milliamps
+   * @param {number} [internalResistance] - in ohms, of the battery stack
+   * @returns {number} - resistance in ohms
+   */
+  function computeResistance( voltage, current, internalResistance ) {
+    return Math.max( 1000 * voltage / current - ( internalResistance || 0 ), 0 );
+  }
+
+  /**
+   * Find the current through a load that is not ohmic, from its characteristic. The voltage across the load and the
+   * internal resistance both increase with the current, so the current is found by bisection. The source drives no
+   * more than the max of CIRCUIT_CURRENT_RANGE, like a bench supply that limits its current.
+   * @param {string} loadType - one of LoadType.VALUES, except LoadType.RESISTOR
+   * @param {number} voltage - in volts, the EMF of the battery stack
+   * @param {number} internalResistance - in ohms, of the battery stack
    * @returns {number} - current in milliamps
    */
-  function computeCurrent( voltage, resistance ) {
-    return 1000 * voltage / resistance;
+  function computeNonOhmicCurrent( loadType, voltage, internalResistance ) {
+    var getVoltage = function( current ) {
+      return LoadType.getVoltage( loadType, current ) + current * internalResistance / 1000;
+    };
+
+    // narrow down on the current between zero and the most that the source drives
+    var min = 0;
+    var max = OhmsLawConstants.CIRCUIT_CURRENT_RANGE.max;
+    if ( getVoltage( max ) <= voltage ) {
+      return max;
+    }
+    for ( var i = 0; i < BISECTION_ITERATIONS; i++ ) {
+      var current = ( min + max ) / 2;
+      if ( getVoltage( current ) < voltage ) {
+        min = current;
+      }
+      else {
+        max = current;
+      }
+    }
+    return ( min + max ) / 2;
+  }
+
+  /**
+   * Resistance of a resistor from its geometry and material, R = ρL/A.
+   * @param {number} resistivity - in milliohm meters
+   * @param {number} length - in centimeters
+   * @param {number} area - in square millimeters
+   * @returns {number} - resistance in ohms
+   */
+  function computeBuilderResistance( resistivity, length, area ) {
+    return ( resistivity / 1000 ) * ( length / 100 ) / ( area / 1E6 );
+  }
+
+  /**
+   * Power dissipated by a resistor, P = I²R.
+   * @param {number} current - in milliamps
+   * @param {number} resistance - in ohms
+   * @returns {number} - power in milliwatts
+   */
+  function computePower( current, resistance ) {
+    return current * current * resistance / 1000;
+  }
+
+  /**
+   * Normalize a value over a range. A derived quantity can fall outside of the range of its slider, so the result is
+   * clamped to [0,1].
+   * @param {number} value
+   * @param {Range} range
+   * @returns {number}
+   */
+  function normalize( value, range ) {
+    return Util.clamp( ( value - range.min ) / range.getLength(), 0, 1 );
   }
 
   ohmsLaw.register( 'OhmsLawModel', OhmsLawModel );
@@ -65,8 +562,663 @@ define( function( require ) {
      * @public
      */
     reset: function() {
+      this.isPlayingProperty.reset();
+      this.resetCircuit();
+      this.chargeCarriers.reset();
+      this.voltmeter.reset();
+      this.ammeter.reset();
+      this.currentPrediction.reset();
+      this.dataTable.reset();
+      this.changeHistory.reset();
+    },
+
+    /**
+     * Reset the circuit, which is the source, the load, the additions to the ideal circuit and the quantities in the
+     * formula, but not the meters, the charges or what has been recorded, predicted or changed with the sliders.
+     * @private
+     */
+    resetCircuit: function() {
+      this.batteryDepletionEnabledProperty.reset();
+      this.sourceTypeProperty.reset();
+      this.acModeEnabledProperty.reset();
+      this.acFrequencyProperty.reset();
+      this.acPhaseProperty.reset();
+      this.fuseEnabledProperty.reset();
+      this.fuseRatingProperty.reset();
+      this.fuseBlownProperty.reset();
+      this.loadTypeProperty.reset();
+      this.heatingEnabledProperty.reset();
+      this.resistorBuilderEnabledProperty.reset();
+      this.resistorLengthProperty.reset();
+      this.resistorAreaProperty.reset();
+      this.resistivityProperty.reset();
+      this.standardSeriesProperty.reset();
+      this.colorBandsTypeProperty.reset();
+      this.resistorMaterialProperty.reset();
+      this.temperatureProperty.reset();
+      this.solveForProperty.reset();
       this.voltageProperty.reset();
       this.resistanceProperty.reset();
+      this.currentProperty.reset();
+      this.internalResistanceEnabledProperty.reset();
+      this.internalResistanceProperty.reset();
+      this.updateDerivedQuantity();
+    },
+
+    /**
+     * Get the state of the circuit as a small versioned JSON document, see ModelState.
+     * @public
+     *
+     * @returns {string}
+     */
+    toStateJSON: function() {
+      return JSON.stringify( ModelState.create( this ) );
+    },
+
+    /**
+     * Set up the circuit from a JSON document written by toStateJSON, or by hand. The rest of the circuit is reset, so
+     * that it is the same as the one that the document was written for, and the data table, the undo history, the
+     * predictions and the meters are kept. Throws an Error with a message that says what is wrong with a document that
+     * can't be read, without changing the model.
+     * @public
+     *
+     * @param {string} json
+     */
+    setStateJSON: function( json ) {
+      var self = this;
+      var state = ModelState.parse( json );
+
+      this.resetCircuit();
+      this.solveForProperty.set( state.solveFor );
+      this.getSettableQuantities().forEach( function( quantity ) {
+        self.getProperty( quantity ).set( state[ quantity ] );
+      } );
+    },
+
+    /**
+     * Whether the model is setting a quantity itself, like the one that is solved for, the voltage of batteries that
+     * run down or the resistance of a resistor that heats up, rather than the quantity being set from outside.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    isUpdating: function() {
+      return this.updatingDerivedQuantity || this.updatingDepletedVoltage || this.updatingTemperatureResistance;
+    },
+
+    /**
+     * Step the model in time, advancing the AC source, moving the charge carriers, heating or cooling the resistor and
+     * running down the batteries.
+     * @public
+     *
+     * @param {number} dt - time step, in seconds
+     */
+    step: function( dt ) {
+      if ( !this.isPlayingProperty.get() ) {
+        return;
+      }
+      dt = Math.min( dt, OhmsLawConstants.MAX_DT );
+
+      if ( this.acModeEnabledProperty.get() ) {
+        var phase = this.acPhaseProperty.get() + 2 * Math.PI * this.acFrequencyProperty.get() * dt;
+        this.acPhaseProperty.set( phase % ( 2 * Math.PI ) );
+      }
+
+      this.chargeCarriers.step( dt );
+
+      if ( this.batteryDepletionEnabledProperty.get() ) {
+
+        // the same current flows through each battery in the stack, and time passes faster for the batteries so that
+        // they run down in minutes instead of hours
+        var current = this.currentProperty.get();
+        var voltage = 0;
+        this.getBatteriesInStack().forEach( function( battery ) {
+          battery.drain( current, dt * OhmsLawConstants.BATTERY_TIME_SCALE );
+          voltage += battery.voltageProperty.get();
+        } );
+
+        this.updatingDepletedVoltage = true;
+        this.voltageProperty.set( Math.max( voltage, OhmsLawConstants.VOLTAGE_RANGE.min ) );
+        this.updatingDepletedVoltage = false;
+      }
+
+      if ( this.heatingEnabledProperty.get() ) {
+
+        // the resistor heats up from the power it dissipates, and cools towards the ambient temperature. An AC cycle is
+        // short next to the time the resistor takes to heat up, so it heats with the average power.
+        var power = this.averagePowerProperty.get() / 1000; // in watts
+        var temperature = this.temperatureProperty.get();
+        var heatLoss = OhmsLawConstants.RESISTOR_COOLING_COEFFICIENT * ( temperature - OhmsLawConstants.AMBIENT_TEMPERATURE );
+        this.temperatureProperty.set( temperature + ( power - heatLoss ) * dt / OhmsLawConstants.RESISTOR_HEAT_CAPACITY );
+
+        this.updateTemperatureResistance();
+      }
+    },
+
+    /**
+     * Split the voltage set by the user into a stack of fresh cells of the chosen kind, full cells and a last cell with
+     * what is left over.
+     * @private
+     */
+    stackBatteries: function() {
+      var cellVoltage = SourceType.getCellVoltage( this.sourceTypeProperty.get() );
+      var nominalVoltage = this.nominalVoltage;
+      this.batteries.forEach( function( battery, index ) {
+        battery.nominalVoltageProperty.set( Util.clamp( nominalVoltage - index * cellVoltage, 0, cellVoltage ) );
+        battery.refill();
+      } );
+    },
+
+    /**
+     * Replace the batteries with fresh ones, which restores the voltage set by the user.
+     * @public
+     */
+    replaceBatteries: function() {
+      this.stackBatteries();
+      this.updatingDepletedVoltage = true;
+      this.voltageProperty.set( this.nominalVoltage );
+      this.updatingDepletedVoltage = false;
+    },
+
+    /**
+     * Get the voltage of the battery stack when its batteries are fully charged, which is the voltage set by the user.
+     * @public
+     *
+     * @returns {number} - in volts
+     */
+    getNominalVoltage: function() {
+      return this.nominalVoltage;
+    },
+
+    /**
+     * Get the resistance of the resistor at the ambient temperature, which is the resistance set by the user or by the
+     * resistor builder.
+     * @public
+     *
+     * @returns {number} - in ohms
+     */
+    getAmbientResistance: function() {
+      return this.ambientResistance;
+    },
+
+    /**
+     * Get the batteries that are in the stack, from the negative terminal to the positive terminal.
+     * @public
+     *
+     * @returns {Battery[]}
+     */
+    getBatteriesInStack: function() {
+      return this.batteries.filter( function( battery ) {
+        return battery.isInStack();
+      } );
+    },
+
+    /**
+     * Get the factor that the resistance at the ambient temperature is multiplied by at the present temperature of the
+     * resistor, (1 + alpha * deltaT) in R(T) = R0(1 + alpha * deltaT).
+     * @public
+     *
+     * @returns {number}
+     */
+    getTemperatureFactor: function() {
+      if ( !this.heatingEnabledProperty.get() ) {
+        return 1;
+      }
+      var alpha = ResistorMaterial.getTemperatureCoefficient( this.resistorMaterialProperty.get() );
+      return 1 + alpha * ( this.temperatureProperty.get() - OhmsLawConstants.AMBIENT_TEMPERATURE );
+    },
+
+    /**
+     * Whether the load follows Ohm's law.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    isOhmic: function() {
+      return LoadType.isOhmic( this.loadTypeProperty.get() );
+    },
+
+    /**
+     * Set the resistance from the temperature of the resistor. When solving for resistance, the resistance is set by
+     * the voltage and current instead, and loads that are not ohmic don't heat up like the resistor. The resistance
+     * stays on its slider, so it stops at the max of the range for a material whose resistance grows with the
+     * temperature, and at the min for one whose resistance shrinks.
+     * @private
+     */
+    updateTemperatureResistance: function() {
+      if ( this.solveForProperty.get() !== SolveFor.RESISTANCE && this.isOhmic() ) {
+        this.updatingTemperatureResistance = true;
+        this.resistanceProperty.set( OhmsLawConstants.RESISTANCE_RANGE.constrainValue(
+          this.ambientResistance * this.getTemperatureFactor() ) );
+        this.updatingTemperatureResistance = false;
+      }
+    },
+
+    /**
+     * Snap a resistance to the nearest value in the series of standard values, if one is chosen.
+     * @public
+     *
+     * @param {number} resistance - in ohms
+     * @returns {number} - in ohms
+     */
+    snapResistance: function( resistance ) {
+      var series = this.standardSeriesProperty.get();
+      return series === StandardSeries.NONE ? resistance :
+             StandardSeries.getNearestValue( series, resistance, OhmsLawConstants.RESISTANCE_RANGE );
+    },
+
+    /**
+     * Whether the resistance is set by the geometry and material of the resistor. The resistor builder only applies to
+     * the resistor.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    isResistorBuilderActive: function() {
+      return this.resistorBuilderEnabledProperty.get() && this.isOhmic();
+    },
+
+    /**
+     * Set the resistance at the ambient temperature from the geometry and material of the resistor, while the resistor
+     * builder is on. It is kept in the range of the resistance slider, which can be narrower than the resistor builder
+     * when it is set with query parameters.
+     * @private
+     */
+    updateBuilderResistance: function() {
+      if ( this.isResistorBuilderActive() ) {
+        this.ambientResistance = OhmsLawConstants.RESISTANCE_RANGE.constrainValue( computeBuilderResistance(
+          this.resistivityProperty.get(), this.resistorLengthProperty.get(), this.resistorAreaProperty.get() ) );
+        this.updateTemperatureResistance();
+      }
+    },
+
+    /**
+     * Get the length of the load along the bottom wire, in the coordinates of the circuit. The resistor is shorter than
+     * its full length when its length is set by the resistor builder.
+     * @public
+     *
+     * @returns {number}
+     */
+    getLoadWidth: function() {
+      if ( this.isResistorBuilderActive() ) {
+        return OhmsLawConstants.RESISTOR_WIDTH * this.resistorLengthProperty.get() /
+               OhmsLawConstants.RESISTOR_LENGTH_RANGE.max;
+      }
+      return OhmsLawConstants.RESISTOR_WIDTH;
+    },
+
+    /**
+     * Get the internal resistance of the battery stack, zero when the batteries are ideal.
+     * @public
+     *
+     * @returns {number} - in ohms
+     */
+    getEffectiveInternalResistance: function() {
+      return this.internalResistanceEnabledProperty.get() ? this.internalResistanceProperty.get() : 0;
+    },
+
+    /**
+     * Get the voltage across the terminals of the source. It is the voltage across the load, except that it is the
+     * EMF while a blown fuse opens the circuit, since no current flows through the internal resistance.
+     * @public
+     *
+     * @returns {number} - in volts
+     */
+    getTerminalVoltage: function() {
+      return this.fuseBlownProperty.get() ? this.emfProperty.get() : this.terminalVoltageProperty.get();
+    },
+
+    /**
+     * Get the voltage lost across the internal resistance of the battery stack, the difference between the EMF and the
+     * terminal voltage.
+     * @public
+     *
+     * @returns {number} - in volts
+     */
+    getInternalVoltageDrop: function() {
+      return this.emfProperty.get() - this.getTerminalVoltage();
+    },
+
+    /**
+     * Replace the fuse with a new one. The new fuse blows straight away if the current is still more than its rating.
+     * @public
+     */
+    replaceFuse: function() {
+      this.fuseBlownProperty.set( false );
+      this.updateDerivedQuantity();
+    },
+
+    /**
+     * Get the part of the circuit at a position, for a meter probe put there.
+     * @public
+     *
+     * @param {Vector2} position - in the coordinates of the circuit, where the top left corner of the wire frame is 0,0
+     * @returns {string|null} - one of CircuitSegment.VALUES, null if the position is not on the circuit
+     */
+    getCircuitSegment: function( position ) {
+      var x = position.x;
+      var y = position.y;
+      var sourceHeight = this.getSourceHeight();
+      if ( x < -TOLERANCE || x > WIDTH + TOLERANCE || y < -TOLERANCE - sourceHeight / 2 ||
+           y > HEIGHT + TOLERANCE + OhmsLawConstants.RESISTOR_HEIGHT / 2 ) {
+        return null;
+      }
+
+      // top wire, the batteries are taller than the wire
+      var batteriesLeft = OhmsLawConstants.BATTERIES_OFFSET;
+      var batteriesRight = batteriesLeft + this.getSourceWidth();
+      var inBatteries = x >= batteriesLeft && x <= batteriesRight;
+      if ( Math.abs( y ) <= ( inBatteries ? sourceHeight / 2 : TOLERANCE ) ) {
+        return x < batteriesLeft ? CircuitSegment.NEGATIVE_WIRE :
+               inBatteries ? CircuitSegment.BATTERIES :
+               CircuitSegment.POSITIVE_WIRE;
+      }
+
+      // bottom wire, the load and the fuse are taller than the wire
+      var loadLeft = ( WIDTH - this.getLoadWidth() ) / 2;
+      var inLoad = x >= loadLeft && x <= WIDTH - loadLeft;
+      var inFuse = this.fuseEnabledProperty.get() &&
+                   Math.abs( x - OhmsLawConstants.FUSE_CENTER_X ) <= OhmsLawConstants.FUSE_WIDTH / 2;
+      var bottomHalfHeight = inLoad ? OhmsLawConstants.RESISTOR_HEIGHT / 2 :
+                             inFuse ? OhmsLawConstants.FUSE_HEIGHT / 2 :
+                             TOLERANCE;
+      if ( Math.abs( y - HEIGHT ) <= bottomHalfHeight ) {
+        return x < loadLeft ? CircuitSegment.NEGATIVE_WIRE :
+               inLoad ? CircuitSegment.LOAD :
+               inFuse ? CircuitSegment.FUSE :
+               CircuitSegment.POSITIVE_WIRE;
+      }
+
+      // side wires, between the top and bottom wires
+      if ( y >= 0 && y <= HEIGHT ) {
+        if ( Math.abs( x ) <= TOLERANCE ) {
+          return CircuitSegment.NEGATIVE_WIRE;
+        }
+        else if ( Math.abs( x - WIDTH ) <= TOLERANCE ) {
+          return CircuitSegment.POSITIVE_WIRE;
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Get the electric potential at a position on the circuit, relative to the negative terminal of the batteries. It
+     * rises through each battery in proportion to its voltage, and falls evenly along the load. In AC mode, it is the
+     * potential at this instant, relative to the terminal of the AC source on the left. A blown fuse breaks the wire
+     * from the positive terminal, and no current flows through the load, so the load and the wire between it and the
+     * fuse are at 0 V.
+     * @public
+     *
+     * @param {Vector2} position - in the coordinates of the circuit, where the top left corner of the wire frame is 0,0
+     * @returns {number|null} - in volts, null if the position is not on the circuit
+     */
+    getPotential: function( position ) {
+      var self = this;
+      var segment = this.getCircuitSegment( position );
+      var terminalVoltage = this.getInstantaneousTerminalVoltage();
+      var loadSideVoltage = this.fuseBlownProperty.get() ? 0 : terminalVoltage;
+
+      if ( segment === CircuitSegment.NEGATIVE_WIRE ) {
+        return 0;
+      }
+      else if ( segment === CircuitSegment.POSITIVE_WIRE ) {
+        var betweenFuseAndLoad = Math.abs( position.y - HEIGHT ) <= TOLERANCE &&
+                                 position.x < OhmsLawConstants.FUSE_CENTER_X;
+        return betweenFuseAndLoad ? loadSideVoltage : terminalVoltage;
+      }
+      else if ( segment === CircuitSegment.FUSE ) {
+        return position.x < OhmsLawConstants.FUSE_CENTER_X ? loadSideVoltage : terminalVoltage;
+      }
+      else if ( segment === CircuitSegment.LOAD ) {
+        return loadSideVoltage * ( position.x - ( WIDTH - this.getLoadWidth() ) / 2 ) / this.getLoadWidth();
+      }
+      else if ( segment === CircuitSegment.BATTERIES && this.acModeEnabledProperty.get() ) {
+        var acSourceFraction = ( position.x - OhmsLawConstants.BATTERIES_OFFSET ) / OhmsLawConstants.AC_SOURCE_WIDTH;
+        return terminalVoltage * Util.clamp( acSourceFraction, 0, 1 );
+      }
+      else if ( segment === CircuitSegment.BATTERIES ) {
+
+        // add up the EMF of the batteries to the left of the position
+        var emfToPosition = 0;
+        var emfOfBatteries = 0;
+        var batteryLeft = OhmsLawConstants.BATTERIES_OFFSET;
+        this.getBatteriesInStack().forEach( function( battery ) {
+          var batteryWidth = self.getCellWidth( battery );
+          var batteryVoltage = battery.voltageProperty.get();
+          emfToPosition += batteryVoltage * Util.clamp( ( position.x - batteryLeft ) / batteryWidth, 0, 1 );
+          emfOfBatteries += batteryVoltage;
+          batteryLeft += batteryWidth;
+        } );
+
+        // the internal resistance is shared by the batteries in proportion to their EMF
+        return emfOfBatteries > 0 ? emfToPosition * terminalVoltage / emfOfBatteries : 0;
+      }
+      return null;
+    },
+
+    /**
+     * Get the number of batteries that are shown in the stack, including a last battery that is only partly charged.
+     * @public
+     *
+     * @returns {number}
+     */
+    getNumberOfBatteries: function() {
+      return this.getBatteriesInStack().length;
+    },
+
+    /**
+     * Get the length of a cell in the stack along the top wire. A cell is as long as its voltage when it is fresh, so
+     * the last cell is shorter when it is only partly charged, but the bench supply is the same length at any voltage.
+     * @public
+     *
+     * @param {Battery} battery
+     * @returns {number} - in the coordinates of the circuit
+     */
+    getCellWidth: function( battery ) {
+      var sourceType = this.sourceTypeProperty.get();
+      var cellWidth = SourceType.getCellWidth( sourceType );
+      return SourceType.isBattery( sourceType ) ?
+             cellWidth * battery.nominalVoltageProperty.get() / SourceType.getCellVoltage( sourceType ) :
+             cellWidth;
+    },
+
+    /**
+     * Get the length of the stack of cells along the top wire, from the negative terminal to the positive terminal.
+     * @public
+     *
+     * @returns {number} - in the coordinates of the circuit
+     */
+    getStackLength: function() {
+      return _.sumBy( this.getBatteriesInStack(), this.getCellWidth.bind( this ) );
+    },
+
+    /**
+     * Get the length of the source along the top wire, the stack of cells or the AC source.
+     * @public
+     *
+     * @returns {number} - in the coordinates of the circuit
+     */
+    getSourceWidth: function() {
+      return this.acModeEnabledProperty.get() ? OhmsLawConstants.AC_SOURCE_WIDTH : this.getStackLength();
+    },
+
+    /**
+     * Get the height of the source, which is centered on the top wire.
+     * @public
+     *
+     * @returns {number} - in the coordinates of the circuit
+     */
+    getSourceHeight: function() {
+      return this.acModeEnabledProperty.get() ? OhmsLawConstants.AC_SOURCE_HEIGHT :
+             SourceType.getCellHeight( this.sourceTypeProperty.get() );
+    },
+
+    /**
+     * Get the voltage across the terminals of the source at this instant, which is also the voltage across the load
+     * unless the fuse has blown, see getTerminalVoltage.
+     * @public
+     *
+     * @returns {number} - in volts
+     */
+    getInstantaneousTerminalVoltage: function() {
+      if ( !this.acModeEnabledProperty.get() ) {
+        return this.getTerminalVoltage();
+      }
+      return this.instantaneousVoltageProperty.get() -
+             this.instantaneousCurrentProperty.get() * this.getEffectiveInternalResistance() / 1000;
+    },
+
+    /**
+     * Get the current for an EMF at one instant of the AC source. The current through the resistor is in proportion to
+     * the EMF, the other loads follow their characteristic, and the diode blocks the current while the EMF is
+     * reversed. No current flows while the fuse is blown.
+     * @private
+     *
+     * @param {number} voltage - in volts, negative while the EMF is reversed
+     * @returns {number} - in milliamps
+     */
+    computeInstantaneousCurrent: function( voltage ) {
+      if ( this.fuseBlownProperty.get() ) {
+        return 0;
+      }
+      var internalResistance = this.getEffectiveInternalResistance();
+      if ( this.isOhmic() ) {
+        return computeCurrent( voltage, this.resistanceProperty.get(), internalResistance );
+      }
+      var loadType = this.loadTypeProperty.get();
+      if ( voltage < 0 && !LoadType.conductsBothWays( loadType ) ) {
+        return 0;
+      }
+      var current = computeNonOhmicCurrent( loadType, Math.abs( voltage ), internalResistance );
+      return voltage < 0 ? -current : current;
+    },
+
+    /**
+     * Set the EMF and the current at this instant of the AC source, or to the EMF and the current otherwise.
+     * @private
+     */
+    updateInstantaneousValues: function() {
+      if ( this.acModeEnabledProperty.get() ) {
+        var voltage = this.voltageProperty.get() * Math.sin( this.acPhaseProperty.get() );
+        this.instantaneousVoltageProperty.set( voltage );
+        this.instantaneousCurrentProperty.set( this.computeInstantaneousCurrent( voltage ) );
+      }
+      else {
+        this.instantaneousVoltageProperty.set( this.voltageProperty.get() );
+        this.instantaneousCurrentProperty.set( this.currentProperty.get() );
+      }
+    },
+
+    /**
+     * Set the RMS current and the average power over a cycle of the AC source, or to the current and the power
+     * otherwise. They don't change with the frequency, so they are found from evenly spaced instants of one cycle.
+     * @private
+     */
+    updateCycleValues: function() {
+      if ( !this.acModeEnabledProperty.get() ) {
+        this.rmsCurrentProperty.set( this.currentProperty.get() );
+        this.averagePowerProperty.set( this.powerProperty.get() );
+        return;
+      }
+      var amplitude = this.voltageProperty.get();
+      var internalResistance = this.getEffectiveInternalResistance();
+      var sumOfSquares = 0;
+      var sumOfPower = 0;
+      for ( var i = 0; i < CYCLE_SAMPLES; i++ ) {
+        var voltage = amplitude * Math.sin( 2 * Math.PI * i / CYCLE_SAMPLES );
+        var current = this.computeInstantaneousCurrent( voltage );
+        sumOfSquares += current * current;
+
+        // the power into the load is the current times the voltage across the terminals, in milliwatts
+        sumOfPower += current * ( voltage - current * internalResistance / 1000 );
+      }
+      this.rmsCurrentProperty.set( Math.sqrt( sumOfSquares / CYCLE_SAMPLES ) );
+      this.averagePowerProperty.set( sumOfPower / CYCLE_SAMPLES );
+    },
+
+    /**
+     * Set the quantity that is being solved for from the values of the other two. A current that is more than the
+     * rating of the fuse blows it, and then no current flows.
+     * @private
+     */
+    updateDerivedQuantity: function() {
+      if ( this.updatingDerivedQuantity ) {
+        return;
+      }
+      this.updatingDerivedQuantity = true;
+
+      var solveFor = this.solveForProperty.get();
+      var internalResistance = this.getEffectiveInternalResistance();
+      if ( this.fuseBlownProperty.get() ) {
+
+        // the circuit is open
+        this.currentProperty.set( 0 );
+      }
+      else if ( !this.isOhmic() ) {
+
+        // the current follows from the characteristic of the load, and loadResistanceProperty is V/I at that point
+        this.currentProperty.set(
+          computeNonOhmicCurrent( this.loadTypeProperty.get(), this.voltageProperty.get(), internalResistance ) );
+      }
+      else if ( solveFor === SolveFor.CURRENT ) {
+        this.currentProperty.set( computeCurrent( this.voltageProperty.get(), this.resistanceProperty.get(), internalResistance ) );
+      }
+      else if ( solveFor === SolveFor.VOLTAGE ) {
+        this.voltageProperty.set( computeVoltage( this.currentProperty.get(), this.resistanceProperty.get(), internalResistance ) );
+      }
+      else {
+        this.resistanceProperty.set( computeResistance( this.voltageProperty.get(), this.currentProperty.get(), internalResistance ) );
+      }
+      if ( this.fuseEnabledProperty.get() && this.currentProperty.get() > this.fuseRatingProperty.get() ) {
+        this.fuseBlownProperty.set( true );
+        this.currentProperty.set( 0 );
+      }
+      this.updateCycleValues();
+      this.updateInstantaneousValues();
+
+      this.updatingDerivedQuantity = false;
+    },
+
+    /**
+     * Get the Property for one of the quantities in the formula.
+     * @public
+     *
+     * @param {string} quantity - one of SolveFor.VALUES
+     * @returns {Property.<number>}
+     */
+    getProperty: function( quantity ) {
+      return quantity === SolveFor.VOLTAGE ? this.voltageProperty :
+             quantity === SolveFor.CURRENT ? this.currentProperty :
+             this.resistanceProperty;
+    },
+
+    /**
+     * Get the Property of the quantity that is currently being solved for.
+     * @public
+     *
+     * @returns {Property.<number>}
+     */
+    getDerivedProperty: function() {
+      return this.getProperty( this.solveForProperty.get() );
+    },
+
+    /**
+     * Get the quantities that the user can set, which are all of them except the one being solved for. Only the
+     * voltage can be set for a load that is not ohmic, and the resistance can't be set while the resistor builder sets
+     * it.
+     * @public
+     *
+     * @returns {string[]} - values of SolveFor, in the order they appear in the formula
+     */
+    getSettableQuantities: function() {
+      if ( !this.isOhmic() ) {
+        return [ SolveFor.VOLTAGE ];
+      }
+      var solveFor = this.solveForProperty.get();
+      var resistorBuilderActive = this.isResistorBuilderActive();
+      return SolveFor.VALUES.filter( function( quantity ) {
+        return quantity !== solveFor && !( resistorBuilderActive && quantity === SolveFor.RESISTANCE );
+      } );
     },
 
     /**
@@ -75,8 +1227,27 @@ define( function( require ) {
      * @return {number}
      */
     getNormalizedVoltage: function() {
-      var range = OhmsLawConstants.VOLTAGE_RANGE;
-      return ( this.voltageProperty.get() - range.min ) / range.getLength();
+      return normalize( this.voltageProperty.get(), OhmsLawConstants.VOLTAGE_RANGE );
+    },
+
+    /**
+     * Get the normalized size of the EMF at this instant, which pulses with the AC source.
+     * @public
+     *
+     * @returns {number}
+     */
+    getNormalizedInstantaneousVoltage: function() {
+      return normalize( Math.abs( this.instantaneousVoltageProperty.get() ), OhmsLawConstants.VOLTAGE_RANGE );
+    },
+
+    /**
+     * Get the normalized size of the current at this instant, which pulses with the AC source.
+     * @public
+     *
+     * @returns {number}
+     */
+    getNormalizedInstantaneousCurrent: function() {
+      return normalize( Math.abs( this.instantaneousCurrentProperty.get() ), OhmsLawModel.getCurrentRange() );
     },
 
     /**
@@ -84,18 +1255,25 @@ define( function( require ) {
      * @return {number}
      */
     getNormalizedCurrent: function() {
-      var range = OhmsLawModel.getCurrentRange();
-      return ( this.currentProperty.get() - range.min ) / range.getLength();
+      return normalize( this.currentProperty.get(), OhmsLawModel.getCurrentRange() );
+    },
+
+    /**
+     * Get the normalized power, based on the power dissipated with the allowable values for voltage and resistance in
+     * this sim.
+     * @return {number}
+     */
+    getNormalizedPower: function() {
+      return normalize( this.powerProperty.get(), OhmsLawConstants.POWER_RANGE );
     },
 
     /**
-     * Get the normalized resistance, based on the allowable values for resistance in this
+     * Get the normalized resistance of the load, based on the allowable values for resistance in this
      * sim.
      * @return {number}
      */
     getNormalizedResistance: function() {
-      var range = OhmsLawConstants.RESISTANCE_RANGE;
-      return ( this.resistanceProperty.get() - range.min ) / range.getLength();
+      return normalize( this.loadResistanceProperty.get(), OhmsLawConstants.RESISTANCE_RANGE );
     }
   }, {
 
@@ -117,17 +1295,38 @@ define( function( require ) {
     },
 
     /**
-     * Get the Range of the current, will construct a new range if not yet set
-     * @returns {Range}
+     * Get the range over which a quantity can be set with its slider.
+     * @public
+     *
+     * @param {string} quantity - one of SolveFor.VALUES
+     * @returns {RangeWithValue}
      */
-    getCurrentRange: function() {
+    getRange: function( quantity ) {
+      return quantity === SolveFor.VOLTAGE ? OhmsLawConstants.VOLTAGE_RANGE :
+             quantity === SolveFor.CURRENT ? OhmsLawConstants.CURRENT_RANGE :
+             OhmsLawConstants.RESISTANCE_RANGE;
+    },
 
-      if ( !this.currentRange ) {
+    /**
+     * Get the range of the values that the Property of a quantity can have, which is wider than the range of its
+     * slider, see OhmsLawConstants.
+     * @public
+     *
+     * @param {string} quantity - one of SolveFor.VALUES
+     * @returns {Range}
+     */
+    getCircuitRange: function( quantity ) {
+      return quantity === SolveFor.VOLTAGE ? OhmsLawConstants.CIRCUIT_VOLTAGE_RANGE :
+             quantity === SolveFor.CURRENT ? OhmsLawConstants.CIRCUIT_CURRENT_RANGE :
+             OhmsLawConstants.CIRCUIT_RESISTANCE_RANGE;
+    },
 
-        // @private, use the getter
-        this.currentRange = new Range( OhmsLawModel.getMinCurrent(), OhmsLawModel.getMaxCurrent() );
-      }
-      return this.currentRange;
+    /**
+     * Get the Range of the current, which spans the currents that can be reached with the voltage and resistance ranges
+     * @returns {Range}
+     */
+    getCurrentRange: function() {
+      return OhmsLawConstants.CURRENT_RANGE;
     }
   } );
 } );
@@ -0,0 +1,93 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the precisions that values can be shown with. Coarse values have one figure fewer than normal and fine
+ * values one figure more, and the keyboard steps of the sliders are larger for coarse values and smaller for fine ones.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var Precision = {
+    COARSE: 'coarse',
+    NORMAL: 'normal',
+    FINE: 'fine'
+  };
+
+  // @public {string[]} - all values of the enumeration, from coarsest to finest
+  Precision.VALUES = [ Precision.COARSE, Precision.NORMAL, Precision.FINE ];
+
+  // figures added to those shown at normal precision
+  var FIGURE_OFFSETS = {
+    coarse: -1,
+    normal: 0,
+    fine: 1
+  };
+
+  // Factors that the keyboard steps of the sliders are multiplied by. A fine step is a tenth of a normal one, so that it
+  // can reach the extra figure that is shown. A coarse step is only twice a normal one rather than ten times, which
+  // would cross the whole range of a slider in a couple of steps.
+  var STEP_SCALES = {
+    coarse: 2,
+    normal: 1,
+    fine: 0.1
+  };
+
+  /**
+   * @param {string} precision
+   */
+  function assertValid( precision ) {
+    assert && assert( Precision.VALUES.indexOf( precision ) >= 0, 'invalid precision: ' + precision );
+  }
+
+  /**
+   * Get the number of decimal places that a value is shown with, for a value that is shown with decimalPlaces at
+   * normal precision.
+   * @public
+   *
+   * @param {string} precision - one of Precision.VALUES
+   * @param {number} decimalPlaces - at normal precision
+   * @returns {number}
+   */
+  Precision.getDecimalPlaces = function( precision, decimalPlaces ) {
+    assertValid( precision );
+    return Math.max( 0, decimalPlaces + FIGURE_OFFSETS[ precision ] );
+  };
+
+  /**
+   * Get the number of significant figures that a value is shown with, for a value that is shown with
+   * significantFigures at normal precision.
+   * @public
+   *
+   * @param {string} precision - one of Precision.VALUES
+   * @param {number} significantFigures - at normal precision
+   * @returns {number}
+   */
+  Precision.getSignificantFigures = function( precision, significantFigures ) {
+    assertValid( precision );
+    return Math.max( 1, significantFigures + FIGURE_OFFSETS[ precision ] );
+  };
+
+  /**
+   * Get the factor that the keyboard steps of a slider are multiplied by.
+   * @public
+   *
+   * @param {string} precision - one of Precision.VALUES
+   * @returns {number}
+   */
+  Precision.getStepScale = function( precision ) {
+    assertValid( precision );
+    return STEP_SCALES[ precision ];
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( Precision ); }
+
+  ohmsLaw.register( 'Precision', Precision );
+
+  return Precision;
+} );
@@ -0,0 +1,36 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the states of a prediction of how the current changes. The current is hidden from when a slider is
+ * moved, while CHANGING, until the prediction is revealed, while PREDICTING.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var PredictionState = {
+    WAITING: 'waiting',
+    CHANGING: 'changing',
+    PREDICTING: 'predicting',
+    REVEALED: 'revealed'
+  };
+
+  // @public {string[]} - all values of the enumeration
+  PredictionState.VALUES = [
+    PredictionState.WAITING,
+    PredictionState.CHANGING,
+    PredictionState.PREDICTING,
+    PredictionState.REVEALED
+  ];
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( PredictionState ); }
+
+  ohmsLaw.register( 'PredictionState', PredictionState );
+
+  return PredictionState;
+} );
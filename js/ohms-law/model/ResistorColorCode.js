@@ -0,0 +1,107 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the colors of the bands on a resistor, and the color code that gives the bands for a resistance.
+ * A 4-band code has two digits, a multiplier and a tolerance, and a 5-band code has three digits, a multiplier and a
+ * tolerance. The digits are the resistance rounded to that many significant digits, and the multiplier is the power of
+ * ten that they are multiplied by.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var Util = require( 'DOT/Util' );
+
+  var ResistorColorCode = {
+    BLACK: 'black',
+    BROWN: 'brown',
+    RED: 'red',
+    ORANGE: 'orange',
+    YELLOW: 'yellow',
+    GREEN: 'green',
+    BLUE: 'blue',
+    VIOLET: 'violet',
+    GREY: 'grey',
+    WHITE: 'white',
+    GOLD: 'gold',
+    SILVER: 'silver'
+  };
+
+  // @public {string[]} - the colors of the digits 0 to 9, which are also the multipliers 10^0 to 10^9
+  ResistorColorCode.DIGIT_COLORS = [
+    ResistorColorCode.BLACK,
+    ResistorColorCode.BROWN,
+    ResistorColorCode.RED,
+    ResistorColorCode.ORANGE,
+    ResistorColorCode.YELLOW,
+    ResistorColorCode.GREEN,
+    ResistorColorCode.BLUE,
+    ResistorColorCode.VIOLET,
+    ResistorColorCode.GREY,
+    ResistorColorCode.WHITE
+  ];
+
+  // @public {string[]} - all values of the enumeration
+  ResistorColorCode.VALUES = ResistorColorCode.DIGIT_COLORS.concat( [ ResistorColorCode.GOLD, ResistorColorCode.SILVER ] );
+
+  // colors of the multipliers below one, by the power of ten
+  var FRACTIONAL_MULTIPLIER_COLORS = {
+    '-1': ResistorColorCode.GOLD,
+    '-2': ResistorColorCode.SILVER
+  };
+
+  // colors of the tolerance band, by the tolerance in percent
+  var TOLERANCE_COLORS = {
+    1: ResistorColorCode.BROWN,
+    2: ResistorColorCode.RED,
+    5: ResistorColorCode.GOLD,
+    10: ResistorColorCode.SILVER
+  };
+
+  /**
+   * Get the colors of the bands for a resistance, from left to right.
+   * @public
+   *
+   * @param {number} resistance - in ohms, at least 1 ohm and less than 10 gigaohms
+   * @param {number} numberOfBands - 4 or 5
+   * @param {number} tolerance - in percent, 1, 2, 5 or 10
+   * @returns {string[]} - values of ResistorColorCode
+   */
+  ResistorColorCode.getBands = function( resistance, numberOfBands, tolerance ) {
+    assert && assert( numberOfBands === 4 || numberOfBands === 5, 'invalid numberOfBands: ' + numberOfBands );
+    assert && assert( TOLERANCE_COLORS[ tolerance ], 'invalid tolerance: ' + tolerance );
+
+    // round the resistance to the number of digits, so that it is digits * 10^exponent
+    var numberOfDigits = numberOfBands - 2;
+    var exponent = Math.floor( Util.log10( resistance ) ) - numberOfDigits + 1;
+    var digits = Util.roundSymmetric( resistance / Math.pow( 10, exponent ) );
+
+    // rounding can carry into another digit, or the logarithm can be slightly off for a power of ten
+    if ( digits >= Math.pow( 10, numberOfDigits ) ) {
+      exponent++;
+      digits = Util.roundSymmetric( resistance / Math.pow( 10, exponent ) );
+    }
+    else if ( digits < Math.pow( 10, numberOfDigits - 1 ) ) {
+      exponent--;
+      digits = Util.roundSymmetric( resistance / Math.pow( 10, exponent ) );
+    }
+    assert && assert( exponent >= -2 && exponent <= 9, 'resistance out of range: ' + resistance );
+
+    var bands = ( '' + digits ).split( '' ).map( function( digit ) {
+      return ResistorColorCode.DIGIT_COLORS[ Number( digit ) ];
+    } );
+    bands.push( exponent >= 0 ? ResistorColorCode.DIGIT_COLORS[ exponent ] : FRACTIONAL_MULTIPLIER_COLORS[ exponent ] );
+    bands.push( TOLERANCE_COLORS[ tolerance ] );
+    return bands;
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( ResistorColorCode ); }
+
+  ohmsLaw.register( 'ResistorColorCode', ResistorColorCode );
+
+  return ResistorColorCode;
+} );
@@ -0,0 +1,55 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the materials that the resistor can be made of when it heats up. The material determines how much
+ * the resistance changes with temperature.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var ResistorMaterial = {
+    COPPER: 'copper',
+    TUNGSTEN: 'tungsten',
+    NICHROME: 'nichrome',
+    CARBON: 'carbon'
+  };
+
+  // @public {string[]} - all values of the enumeration
+  ResistorMaterial.VALUES = [
+    ResistorMaterial.COPPER,
+    ResistorMaterial.TUNGSTEN,
+    ResistorMaterial.NICHROME,
+    ResistorMaterial.CARBON
+  ];
+
+  // temperature coefficients of resistance, alpha in R(T) = R0(1 + alpha * deltaT), in 1/K
+  var TEMPERATURE_COEFFICIENTS = {};
+  TEMPERATURE_COEFFICIENTS[ ResistorMaterial.COPPER ] = 0.0039;
+  TEMPERATURE_COEFFICIENTS[ ResistorMaterial.TUNGSTEN ] = 0.0045;
+  TEMPERATURE_COEFFICIENTS[ ResistorMaterial.NICHROME ] = 0.0004;
+  TEMPERATURE_COEFFICIENTS[ ResistorMaterial.CARBON ] = -0.0005;
+
+  /**
+   * Get the temperature coefficient of resistance for a material.
+   * @public
+   *
+   * @param {string} material - one of ResistorMaterial.VALUES
+   * @returns {number} - in 1/K
+   */
+  ResistorMaterial.getTemperatureCoefficient = function( material ) {
+    assert && assert( ResistorMaterial.VALUES.indexOf( material ) >= 0, 'invalid material: ' + material );
+    return TEMPERATURE_COEFFICIENTS[ material ];
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( ResistorMaterial ); }
+
+  ohmsLaw.register( 'ResistorMaterial', ResistorMaterial );
+
+  return ResistorMaterial;
+} );
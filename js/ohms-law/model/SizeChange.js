@@ -0,0 +1,110 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the ways that a quantity can change, described like the size of its letter in the formula. A change
+ * of more than two of the sizes that the letters can be described as is 'a lot', and a change too small to show in the
+ * significant figures of the value is no change.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Util = require( 'DOT/Util' );
+
+  var SizeChange = {
+    GROWS_A_LOT: 'growsALot',
+    GROWS_A_LITTLE: 'growsALittle',
+    STAYS_THE_SAME: 'staysTheSame',
+    SHRINKS_A_LITTLE: 'shrinksALittle',
+    SHRINKS_A_LOT: 'shrinksALot'
+  };
+
+  // @public {string[]} - all values of the enumeration, from growing the most to shrinking the most
+  SizeChange.VALUES = [
+    SizeChange.GROWS_A_LOT,
+    SizeChange.GROWS_A_LITTLE,
+    SizeChange.STAYS_THE_SAME,
+    SizeChange.SHRINKS_A_LITTLE,
+    SizeChange.SHRINKS_A_LOT
+  ];
+
+  // signs of the changes, positive for growing
+  var DIRECTIONS = {
+    growsALot: 1,
+    growsALittle: 1,
+    staysTheSame: 0,
+    shrinksALittle: -1,
+    shrinksALot: -1
+  };
+
+  /**
+   * Get the largest change of a value that is too small to show, half of the last of its significant figures.
+   * @param {number} value
+   * @returns {number}
+   */
+  function getTolerance( value ) {
+    if ( value === 0 ) {
+      return 0;
+    }
+
+    // allow for the error of log10, which gives 2.9999999999999996 for 1000
+    var magnitude = Math.floor( Util.log10( Math.abs( value ) ) + 1E-9 );
+    return 0.5 * Math.pow( 10, magnitude + 1 - OhmsLawConstants.SIGNIFICANT_FIGURES );
+  }
+
+  /**
+   * Get how a quantity changed. It stays the same if the change is less than half of the last significant figure of
+   * the larger value, so a change that rounds away in the readouts is not a change.
+   * @public
+   *
+   * @param {number} oldValue
+   * @param {number} newValue
+   * @param {Range} range - of the quantity, which sets the sizes of its letter
+   * @returns {string} - one of SizeChange.VALUES
+   */
+  SizeChange.getSizeChange = function( oldValue, newValue, range ) {
+    var change = newValue - oldValue;
+    if ( change === 0 || Math.abs( change ) < getTolerance( Math.max( Math.abs( oldValue ), Math.abs( newValue ) ) ) ) {
+      return SizeChange.STAYS_THE_SAME;
+    }
+    var aLot = Math.abs( change ) > 2 * range.getLength() / OhmsLawConstants.NUMBER_OF_LETTER_SIZES;
+    if ( change > 0 ) {
+      return aLot ? SizeChange.GROWS_A_LOT : SizeChange.GROWS_A_LITTLE;
+    }
+    return aLot ? SizeChange.SHRINKS_A_LOT : SizeChange.SHRINKS_A_LITTLE;
+  };
+
+  /**
+   * Get the direction of a change.
+   * @public
+   *
+   * @param {string} sizeChange - one of SizeChange.VALUES
+   * @returns {number} - 1 for growing, -1 for shrinking and 0 for staying the same
+   */
+  SizeChange.getDirection = function( sizeChange ) {
+    assert && assert( SizeChange.VALUES.indexOf( sizeChange ) >= 0, 'invalid sizeChange: ' + sizeChange );
+    return DIRECTIONS[ sizeChange ];
+  };
+
+  /**
+   * Whether a change is 'a lot'.
+   * @public
+   *
+   * @param {string} sizeChange - one of SizeChange.VALUES
+   * @returns {boolean}
+   */
+  SizeChange.isALot = function( sizeChange ) {
+    return sizeChange === SizeChange.GROWS_A_LOT || sizeChange === SizeChange.SHRINKS_A_LOT;
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( SizeChange ); }
+
+  ohmsLaw.register( 'SizeChange', SizeChange );
+
+  return SizeChange;
+} );
@@ -0,0 +1,30 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the quantities that the model can solve for. The quantity that is solved for is derived from the
+ * other two, which are then the ones that the user can set.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var SolveFor = {
+    VOLTAGE: 'voltage',
+    CURRENT: 'current',
+    RESISTANCE: 'resistance'
+  };
+
+  // @public {string[]} - all values of the enumeration, in the order they appear in the formula
+  SolveFor.VALUES = [ SolveFor.VOLTAGE, SolveFor.CURRENT, SolveFor.RESISTANCE ];
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( SolveFor ); }
+
+  ohmsLaw.register( 'SolveFor', SolveFor );
+
+  return SolveFor;
+} );
@@ -0,0 +1,155 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the sources that can supply the voltage. The batteries are stacked along the top wire, with as many
+ * cells as it takes to make up the voltage and a last cell that is only partly charged. The bench supply is a single
+ * power supply whose voltage can be set anywhere in its range, and it doesn't run down.
+ *
+ * Sizes are in the coordinates of the circuit, so that the model can tell what a meter probe is touching. A cell is as
+ * long as its voltage, at the same scale for every kind of battery, so the same voltage always makes a stack of the
+ * same length.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+
+  var SourceType = {
+    AA: 'aa',
+    C: 'c',
+    D: 'd',
+    LANTERN: 'lantern',
+    NINE_VOLT: 'nineVolt',
+    BENCH_SUPPLY: 'benchSupply'
+  };
+
+  // @public {string[]} - all values of the enumeration
+  SourceType.VALUES = [
+    SourceType.AA,
+    SourceType.C,
+    SourceType.D,
+    SourceType.LANTERN,
+    SourceType.NINE_VOLT,
+    SourceType.BENCH_SUPPLY
+  ];
+
+  // voltage of a fresh cell, in volts. C and D cells are bigger AA cells, with the same voltage. The bench supply is a
+  // single source that covers the whole voltage range.
+  var CELL_VOLTAGES = {};
+  CELL_VOLTAGES[ SourceType.AA ] = OhmsLawConstants.AA_VOLTAGE;
+  CELL_VOLTAGES[ SourceType.C ] = OhmsLawConstants.AA_VOLTAGE;
+  CELL_VOLTAGES[ SourceType.D ] = OhmsLawConstants.AA_VOLTAGE;
+  CELL_VOLTAGES[ SourceType.LANTERN ] = 6;
+  CELL_VOLTAGES[ SourceType.NINE_VOLT ] = 9;
+  CELL_VOLTAGES[ SourceType.BENCH_SUPPLY ] = OhmsLawConstants.VOLTAGE_RANGE.max;
+
+  // charge held by a fresh cell, in milliamp hours, typical of alkaline batteries
+  var CAPACITIES = {};
+  CAPACITIES[ SourceType.AA ] = 2500;
+  CAPACITIES[ SourceType.C ] = 8000;
+  CAPACITIES[ SourceType.D ] = 12000;
+  CAPACITIES[ SourceType.LANTERN ] = 11000;
+  CAPACITIES[ SourceType.NINE_VOLT ] = 550;
+
+  // height of a cell, the fatter batteries are taller
+  var HEIGHTS = {};
+  HEIGHTS[ SourceType.AA ] = OhmsLawConstants.BATTERY_HEIGHT;
+  HEIGHTS[ SourceType.C ] = 44;
+  HEIGHTS[ SourceType.D ] = 50;
+  HEIGHTS[ SourceType.LANTERN ] = 50;
+  HEIGHTS[ SourceType.NINE_VOLT ] = 42;
+  HEIGHTS[ SourceType.BENCH_SUPPLY ] = 56;
+
+  // length of the bench supply, which doesn't change with its voltage
+  var BENCH_SUPPLY_WIDTH = 200;
+
+  /**
+   * @param {string} sourceType
+   */
+  function assertValid( sourceType ) {
+    assert && assert( SourceType.VALUES.indexOf( sourceType ) >= 0, 'invalid sourceType: ' + sourceType );
+  }
+
+  /**
+   * Whether the source is a stack of batteries, which can run down.
+   * @public
+   *
+   * @param {string} sourceType - one of SourceType.VALUES
+   * @returns {boolean}
+   */
+  SourceType.isBattery = function( sourceType ) {
+    assertValid( sourceType );
+    return sourceType !== SourceType.BENCH_SUPPLY;
+  };
+
+  /**
+   * Get the voltage of a fresh cell, the max voltage for the bench supply.
+   * @public
+   *
+   * @param {string} sourceType - one of SourceType.VALUES
+   * @returns {number} - in volts
+   */
+  SourceType.getCellVoltage = function( sourceType ) {
+    assertValid( sourceType );
+    return CELL_VOLTAGES[ sourceType ];
+  };
+
+  /**
+   * Get the charge held by a fresh cell.
+   * @public
+   *
+   * @param {string} sourceType - one of SourceType.VALUES, except SourceType.BENCH_SUPPLY
+   * @returns {number} - in milliamp hours
+   */
+  SourceType.getCapacity = function( sourceType ) {
+    assert && assert( SourceType.isBattery( sourceType ), 'the bench supply has no capacity' );
+    return CAPACITIES[ sourceType ];
+  };
+
+  /**
+   * Get the number of cells that it takes to make up the max voltage.
+   * @public
+   *
+   * @param {string} sourceType - one of SourceType.VALUES
+   * @returns {number}
+   */
+  SourceType.getNumberOfCells = function( sourceType ) {
+    return Math.ceil( OhmsLawConstants.VOLTAGE_RANGE.max / SourceType.getCellVoltage( sourceType ) );
+  };
+
+  /**
+   * Get the length of a fresh cell along the top wire.
+   * @public
+   *
+   * @param {string} sourceType - one of SourceType.VALUES
+   * @returns {number}
+   */
+  SourceType.getCellWidth = function( sourceType ) {
+    return SourceType.isBattery( sourceType ) ?
+           OhmsLawConstants.BATTERY_WIDTH * SourceType.getCellVoltage( sourceType ) / OhmsLawConstants.AA_VOLTAGE :
+           BENCH_SUPPLY_WIDTH;
+  };
+
+  /**
+   * Get the height of a cell, which is centered on the top wire.
+   * @public
+   *
+   * @param {string} sourceType - one of SourceType.VALUES
+   * @returns {number}
+   */
+  SourceType.getCellHeight = function( sourceType ) {
+    assertValid( sourceType );
+    return HEIGHTS[ sourceType ];
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( SourceType ); }
+
+  ohmsLaw.register( 'SourceType', SourceType );
+
+  return SourceType;
+} );
@@ -0,0 +1,117 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the series of standard resistor values that the resistance can be snapped to. The values of each
+ * series are spaced evenly on a logarithmic scale, with the same values in each decade. Resistors from the E12 series
+ * are made to within 10% of their value, and resistors from the E24 series to within 5%.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var Util = require( 'DOT/Util' );
+
+  var StandardSeries = {
+    NONE: 'none', // any resistance
+    E12: 'e12',
+    E24: 'e24'
+  };
+
+  // @public {string[]} - all values of the enumeration
+  StandardSeries.VALUES = [ StandardSeries.NONE, StandardSeries.E12, StandardSeries.E24 ];
+
+  // the values of each series in one decade, as two significant digits
+  var MANTISSAS = {};
+  MANTISSAS[ StandardSeries.E12 ] = [ 10, 12, 15, 18, 22, 27, 33, 39, 47, 56, 68, 82 ];
+  MANTISSAS[ StandardSeries.E24 ] = [ 10, 11, 12, 13, 15, 16, 18, 20, 22, 24, 27, 30, 33, 36, 39, 43, 47, 51, 56, 62,
+    68, 75, 82, 91 ];
+
+  // tolerance of the resistors in each series, in percent
+  var TOLERANCES = {};
+  TOLERANCES[ StandardSeries.E12 ] = 10;
+  TOLERANCES[ StandardSeries.E24 ] = 5;
+
+  /**
+   * Get the values of a series that are within a range, in increasing order.
+   * @public
+   *
+   * @param {string} series - one of StandardSeries.VALUES, except StandardSeries.NONE
+   * @param {Range} range
+   * @returns {number[]}
+   */
+  StandardSeries.getValuesInRange = function( series, range ) {
+    assert && assert( MANTISSAS[ series ], 'series has no values: ' + series );
+    var values = [];
+    var minDecade = Math.floor( Util.log10( range.min ) ) - 1;
+    var maxDecade = Math.ceil( Util.log10( range.max ) );
+    for ( var decade = minDecade; decade <= maxDecade; decade++ ) {
+      MANTISSAS[ series ].forEach( function( mantissa ) {
+
+        // multiply or divide by a whole power of ten, so that values like 470 are exact
+        var exponent = decade - 1;
+        var value = exponent >= 0 ? mantissa * Math.pow( 10, exponent ) : mantissa / Math.pow( 10, -exponent );
+        if ( range.contains( value ) ) {
+          values.push( value );
+        }
+      } );
+    }
+    return values;
+  };
+
+  /**
+   * Get the value of a series that is nearest to a value on a logarithmic scale, within a range.
+   * @public
+   *
+   * @param {string} series - one of StandardSeries.VALUES, except StandardSeries.NONE
+   * @param {number} value
+   * @param {Range} range
+   * @returns {number}
+   */
+  StandardSeries.getNearestValue = function( series, value, range ) {
+    return _.minBy( StandardSeries.getValuesInRange( series, range ), function( standardValue ) {
+      return Math.abs( Math.log( standardValue / value ) );
+    } );
+  };
+
+  /**
+   * Get the next value of a series above or below a value, within a range. If there is none, the value of the series
+   * nearest to the end of the range is returned.
+   * @public
+   *
+   * @param {string} series - one of StandardSeries.VALUES, except StandardSeries.NONE
+   * @param {number} value
+   * @param {number} direction - 1 for the next value up, -1 for the next value down
+   * @param {Range} range
+   * @returns {number}
+   */
+  StandardSeries.getNextValue = function( series, value, direction, range ) {
+    var values = StandardSeries.getValuesInRange( series, range );
+    var nextValues = values.filter( function( standardValue ) {
+      return direction > 0 ? standardValue > value : standardValue < value;
+    } );
+    return nextValues.length === 0 ? ( direction > 0 ? _.last( values ) : values[ 0 ] ) :
+           direction > 0 ? nextValues[ 0 ] : _.last( nextValues );
+  };
+
+  /**
+   * Get the tolerance of the resistors in a series.
+   * @public
+   *
+   * @param {string} series - one of StandardSeries.VALUES, except StandardSeries.NONE
+   * @returns {number} - in percent
+   */
+  StandardSeries.getTolerance = function( series ) {
+    assert && assert( TOLERANCES[ series ], 'series has no tolerance: ' + series );
+    return TOLERANCES[ series ];
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( StandardSeries ); }
+
+  ohmsLaw.register( 'StandardSeries', StandardSeries );
+
+  return StandardSeries;
+} );
@@ -0,0 +1,97 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Model of the voltmeter, with a red and a black probe that can be put anywhere on the circuit. The reading is the
+ * potential at the red probe minus the potential at the black probe, and there is no reading until both probes touch
+ * the circuit. Positions are in the coordinates of the circuit, where the top left corner of the wire frame is 0,0.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var DerivedProperty = require( 'AXON/DerivedProperty' );
+  var DerivedPropertyIO = require( 'AXON/DerivedPropertyIO' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NullableIO = require( 'ifphetio!PHET_IO/types/NullableIO' );
+  var NumberIO = require( 'ifphetio!PHET_IO/types/NumberIO' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var Vector2 = require( 'DOT/Vector2' );
+  var Vector2IO = require( 'DOT/Vector2IO' );
+
+  // constants, the voltmeter starts to the right of the circuit with its probes below its body
+  var WIDTH = OhmsLawConstants.WIRE_WIDTH;
+  var INITIAL_BODY_POSITION = new Vector2( WIDTH + 65, 40 );
+  var INITIAL_RED_PROBE_POSITION = new Vector2( WIDTH + 45, 125 );
+  var INITIAL_BLACK_PROBE_POSITION = new Vector2( WIDTH + 85, 125 );
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function Voltmeter( model, tandem ) {
+
+    // @public {Property.<Vector2>} - position of the center of the body, which shows the reading
+    this.bodyPositionProperty = new Property( INITIAL_BODY_POSITION, {
+      tandem: tandem.createTandem( 'bodyPositionProperty' ),
+      phetioType: PropertyIO( Vector2IO )
+    } );
+
+    // @public {Property.<Vector2>} - positions of the tips of the probes
+    this.redProbePositionProperty = new Property( INITIAL_RED_PROBE_POSITION, {
+      tandem: tandem.createTandem( 'redProbePositionProperty' ),
+      phetioType: PropertyIO( Vector2IO )
+    } );
+    this.blackProbePositionProperty = new Property( INITIAL_BLACK_PROBE_POSITION, {
+      tandem: tandem.createTandem( 'blackProbePositionProperty' ),
+      phetioType: PropertyIO( Vector2IO )
+    } );
+
+    // @public {Property.<number|null>} - the reading in volts, null when a probe is not touching the circuit. The
+    // potentials also depend on the terminal voltage, which alternates with an AC source, on whether the fuse has
+    // blown, and on where the parts of the circuit end, which is set by the number of batteries or the AC source, the
+    // length of the load and the fuse.
+    this.voltageProperty = new DerivedProperty( [
+        this.redProbePositionProperty,
+        this.blackProbePositionProperty,
+        model.voltageProperty,
+        model.terminalVoltageProperty,
+        model.instantaneousVoltageProperty,
+        model.instantaneousCurrentProperty,
+        model.acModeEnabledProperty,
+        model.fuseEnabledProperty,
+        model.fuseBlownProperty,
+        model.resistorBuilderEnabledProperty,
+        model.resistorLengthProperty,
+        model.loadTypeProperty
+      ], function( redProbePosition, blackProbePosition ) {
+        var redPotential = model.getPotential( redProbePosition );
+        var blackPotential = model.getPotential( blackProbePosition );
+        return ( redPotential === null || blackPotential === null ) ? null : redPotential - blackPotential;
+      }, {
+        tandem: tandem.createTandem( 'voltageProperty' ),
+        units: 'volts',
+        phetioType: DerivedPropertyIO( NullableIO( NumberIO ) )
+      } );
+  }
+
+  ohmsLaw.register( 'Voltmeter', Voltmeter );
+
+  return inherit( Object, Voltmeter, {
+
+    /**
+     * Put the voltmeter back beside the circuit.
+     * @public
+     */
+    reset: function() {
+      this.bodyPositionProperty.reset();
+      this.redProbePositionProperty.reset();
+      this.blackProbePositionProperty.reset();
+    }
+  } );
+} );
@@ -0,0 +1,121 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the AC source, which takes the place of the batteries along the top wire in AC mode. It is drawn as the
+ * circuit symbol of an AC source, a circle with a cycle of a sine wave in it, with a dot that follows the voltage
+ * around the cycle.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Circle = require( 'SCENERY/nodes/Circle' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Path = require( 'SCENERY/nodes/Path' );
+  var Property = require( 'AXON/Property' );
+  var RadialGradient = require( 'SCENERY/util/RadialGradient' );
+  var Shape = require( 'KITE/Shape' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Util = require( 'DOT/Util' );
+  var Vector2 = require( 'DOT/Vector2' );
+
+  // a11y strings
+  var acSourcePatternString = OhmsLawA11yStrings.acSourcePatternString;
+
+  // constants
+  var RADIUS = OhmsLawConstants.AC_SOURCE_WIDTH / 2;
+  var WAVE_HALF_WIDTH = 0.6 * RADIUS; // the wave spans a cycle across the middle of the circle
+  var WAVE_AMPLITUDE = 0.35 * RADIUS;
+  var WAVE_SEGMENTS = 40;
+
+  var BODY_FILL = new RadialGradient( -RADIUS / 3, -RADIUS / 3, 0, -RADIUS / 3, -RADIUS / 3, 1.5 * RADIUS )
+    .addColorStop( 0, '#fff' )
+    .addColorStop( 1, '#c8c8c8' );
+
+  /**
+   * Get the position of a point on the wave, for a phase of the cycle.
+   * @param {number} phase - in radians, between 0 and 2π
+   * @returns {Vector2} - relative to the center of the circle
+   */
+  function getWavePoint( phase ) {
+    return new Vector2( WAVE_HALF_WIDTH * ( phase / Math.PI - 1 ), -WAVE_AMPLITUDE * Math.sin( phase ) );
+  }
+
+  /**
+   * @param {Property.<number>} amplitudeProperty - in volts
+   * @param {Property.<number>} frequencyProperty - in hertz
+   * @param {Property.<number>} phaseProperty - in radians
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function AcSourceNode( amplitudeProperty, frequencyProperty, phaseProperty, tandem, options ) {
+
+    Node.call( this, {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'li'
+    } );
+    var self = this;
+
+    // The origin (0,0) is defined as the leftmost and vertically centered position of the circle, like the batteries
+    this.addChild( new Circle( RADIUS, {
+      fill: BODY_FILL,
+      stroke: '#000',
+      lineWidth: 2,
+      centerX: RADIUS,
+      centerY: 0
+    } ) );
+
+    var waveShape = new Shape();
+    _.range( WAVE_SEGMENTS + 1 ).forEach( function( index ) {
+      var point = getWavePoint( 2 * Math.PI * index / WAVE_SEGMENTS );
+      if ( index === 0 ) {
+        waveShape.moveTo( RADIUS + point.x, point.y );
+      }
+      else {
+        waveShape.lineTo( RADIUS + point.x, point.y );
+      }
+    } );
+    this.addChild( new Path( waveShape, {
+      stroke: OhmsLawConstants.BLUE_COLOR,
+      lineWidth: 2
+    } ) );
+
+    // marks the present instant of the cycle
+    var phaseDot = new Circle( 3.5, {
+      fill: '#d40000',
+      tandem: tandem.createTandem( 'phaseDot' )
+    } );
+    this.addChild( phaseDot );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    phaseProperty.link( function( phase ) {
+      phaseDot.translation = getWavePoint( phase ).plusXY( RADIUS, 0 );
+    } );
+
+    // a11y - Present for the lifetime of the sim; no need to dispose.
+    Property.multilink( [ amplitudeProperty, frequencyProperty, OhmsLawGlobalOptions.precisionProperty ],
+      function( amplitude, frequency ) {
+        self.accessibleLabelAsHTML = StringUtils.fillIn( acSourcePatternString, {
+          amplitude: UnitFormatter.toFixed( amplitude, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+          frequency: Util.toFixed( frequency, 1 )
+        } );
+      } );
+
+    this.mutate( options );
+  }
+
+  ohmsLaw.register( 'AcSourceNode', AcSourceNode );
+
+  return inherit( Node, AcSourceNode );
+} );
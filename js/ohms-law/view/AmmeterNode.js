@@ -0,0 +1,217 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the ammeter, with a body that shows the reading and a clamp on a cable. The clamp closes around the circuit
+ * wherever it is put, so the circuit doesn't need to be broken to measure the current. The body and the clamp can be
+ * dragged on their own, and the reading comes from the Ammeter model.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Circle = require( 'SCENERY/nodes/Circle' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var MeterPartNode = require( 'OHMS_LAW/ohms-law/view/MeterPartNode' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Path = require( 'SCENERY/nodes/Path' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var Shape = require( 'KITE/Shape' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+
+  // strings
+  var ammeterString = require( 'string!OHMS_LAW/ammeter' );
+  var currentUnitsString = require( 'string!OHMS_LAW/currentUnits' );
+  var meterReadingPatternString = require( 'string!OHMS_LAW/meterReadingPattern' );
+
+  // a11y strings
+  var ammeterLabelString = OhmsLawA11yStrings.ammeterLabelString;
+  var ammeterDescriptionString = OhmsLawA11yStrings.ammeterDescriptionString;
+  var clampLabelString = OhmsLawA11yStrings.clampLabelString;
+  var ammeterReadingPatternString = OhmsLawA11yStrings.ammeterReadingPatternString;
+  var ammeterNoReadingString = OhmsLawA11yStrings.ammeterNoReadingString;
+  var ammeterReadingHiddenString = OhmsLawA11yStrings.ammeterReadingHiddenString;
+
+  // constants
+  var BODY_WIDTH = 90;
+  var BODY_HEIGHT = 48;
+  var CLAMP_RADIUS = 12;
+  var HANDLE_LENGTH = 25; // the handle points up from the top of the clamp
+  var NO_READING = '\u2014'; // shown until the clamp is around the circuit, not translated
+  var HIDDEN_READING = '?'; // shown while the current is hidden to be predicted, not translated
+  var TITLE_FONT = new PhetFont( 12 );
+  var READING_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+
+  /**
+   * @param {Ammeter} ammeter
+   * @param {OhmsLawModel} model
+   * @param {ModelViewTransform2} modelViewTransform - from the coordinates of the circuit to the view
+   * @param {Bounds2} dragBounds - in the coordinates of the circuit
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function AmmeterNode( ammeter, model, modelViewTransform, dragBounds, tandem, options ) {
+
+    options = _.extend( {
+
+      // {Property.<boolean>} - whether the parts can be dragged, by mouse, touch or keyboard
+      enabledProperty: new Property( true )
+    }, options );
+
+    Node.call( this, {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      labelTagName: 'h3',
+      accessibleLabel: ammeterLabelString,
+      accessibleDescription: ammeterDescriptionString
+    } );
+
+    var readingText = new Text( NO_READING, {
+      font: READING_FONT,
+      maxWidth: BODY_WIDTH - 20,
+      tandem: tandem.createTandem( 'readingText' )
+    } );
+    var readingBackground = new Rectangle( 0, 0, BODY_WIDTH - 14, 24, 3, 3, {
+      fill: '#fff',
+      stroke: '#555',
+      centerX: 0,
+      bottom: BODY_HEIGHT / 2 - 6
+    } );
+    var bodyNode = new MeterPartNode( ammeter.bodyPositionProperty, modelViewTransform, dragBounds,
+      tandem.createTandem( 'bodyNode' ), {
+        enabledProperty: options.enabledProperty,
+        children: [
+          new Rectangle( -BODY_WIDTH / 2, -BODY_HEIGHT / 2, BODY_WIDTH, BODY_HEIGHT, 6, 6, {
+            fill: '#9fd3f5',
+            stroke: '#000'
+          } ),
+          new Text( ammeterString, {
+            font: TITLE_FONT,
+            maxWidth: BODY_WIDTH - 10,
+            centerX: 0,
+            top: -BODY_HEIGHT / 2 + 2,
+            tandem: tandem.createTandem( 'titleText' )
+          } ),
+          readingBackground,
+          readingText
+        ],
+
+        // a11y
+        accessibleLabel: ammeterLabelString
+      } );
+
+    // the clamp is a ring with a gap on the left, centered on the position of the probe
+    var clampNode = new MeterPartNode( ammeter.probePositionProperty, modelViewTransform, dragBounds,
+      tandem.createTandem( 'clampNode' ), {
+        enabledProperty: options.enabledProperty,
+        children: [
+          new Rectangle( -4, -CLAMP_RADIUS - HANDLE_LENGTH, 8, HANDLE_LENGTH, 2, 2, { fill: '#444' } ),
+          new Path( Shape.arc( 0, 0, CLAMP_RADIUS, Math.PI * 1.15, Math.PI * 0.85 ), {
+            stroke: '#444',
+            lineWidth: 5,
+            lineCap: 'round'
+          } ),
+          new Circle( 2, { fill: PhetColorScheme.RED_COLORBLIND } )
+        ],
+
+        // a11y - announce the reading when the clamp is released
+        endDrag: function() {
+          utteranceQueue.addToBack( new Utterance( getReadingDescription( ammeter.currentProperty.get(),
+            model.currentPrediction.currentVisibleProperty.get() ), {
+            typeId: 'ammeterAlert'
+          } ) );
+        },
+        accessibleLabel: clampLabelString
+      } );
+
+    // cable from the bottom of the body to the end of the handle
+    var cablePath = new Path( null, { stroke: '#444', lineWidth: 2 } );
+
+    // Present for the lifetime of the sim; no need to dispose.
+    Property.multilink( [ ammeter.probePositionProperty, ammeter.bodyPositionProperty ],
+      function( probePosition, bodyPosition ) {
+        var start = modelViewTransform.modelToViewPosition( bodyPosition ).plusXY( 0, BODY_HEIGHT / 2 );
+        var end = modelViewTransform.modelToViewPosition( probePosition ).plusXY( 0, -CLAMP_RADIUS - HANDLE_LENGTH );
+        cablePath.shape = new Shape().moveTo( start.x, start.y )
+          .cubicCurveTo( start.x, start.y + 40, end.x, end.y - 40, end.x, end.y );
+      } );
+
+    // The reading is hidden while the change of the current is predicted. Present for the lifetime of the sim; no need
+    // to unlink.
+    Property.multilink( [
+      ammeter.currentProperty,
+      model.currentPrediction.currentVisibleProperty,
+      OhmsLawGlobalOptions.precisionProperty
+    ], function( current, currentVisible ) {
+      if ( current === null ) {
+        readingText.text = NO_READING;
+      }
+      else if ( !currentVisible ) {
+        readingText.text = HIDDEN_READING;
+      }
+      else {
+        readingText.text = StringUtils.fillIn( meterReadingPatternString, {
+          value: UnitFormatter.toFixed( current, OhmsLawConstants.CURRENT_SIG_FIGS ),
+          units: currentUnitsString
+        } );
+      }
+      readingText.center = readingBackground.center;
+
+      // a11y
+      bodyNode.accessibleDescription = getReadingDescription( current, currentVisible );
+    } );
+
+    // a11y - describe where the clamp is, which changes with the number of batteries and the length of the load
+    Property.multilink( [
+      ammeter.probePositionProperty,
+      model.voltageProperty,
+      model.resistorBuilderEnabledProperty,
+      model.resistorLengthProperty,
+      model.loadTypeProperty
+    ], function( probePosition ) {
+      clampNode.accessibleDescription = MeterPartNode.getProbeLocationDescription(
+        model.getCircuitSegment( probePosition ) );
+    } );
+
+    this.children = [ cablePath, bodyNode, clampNode ];
+
+    this.mutate( _.omit( options, 'enabledProperty' ) );
+  }
+
+  /**
+   * Describe the reading of the ammeter.
+   * @param {number|null} current - in milliamps, null when there is no reading
+   * @param {boolean} currentVisible - false while the current is hidden to be predicted
+   * @returns {string}
+   */
+  function getReadingDescription( current, currentVisible ) {
+    if ( current === null ) {
+      return ammeterNoReadingString;
+    }
+    if ( !currentVisible ) {
+      return ammeterReadingHiddenString;
+    }
+    return StringUtils.fillIn( ammeterReadingPatternString, {
+      current: UnitFormatter.toFixed( current, OhmsLawConstants.CURRENT_SIG_FIGS )
+    } );
+  }
+
+  ohmsLaw.register( 'AmmeterNode', AmmeterNode );
+
+  return inherit( Node, AmmeterNode );
+} );
@@ -1,7 +1,7 @@
 // Copyright 2013-2017, University of Colorado Boulder
 
 /**
- * View of the battery pack at the top of the wire
+ * View of the battery pack at the top of the wire, a stack of cells of the chosen kind or the bench supply
  * @author Vasily Shakhov (Mlearner)
  * @author Anton Ulyanov (Mlearner)
  */
@@ -10,16 +10,38 @@ define( function( require ) {
 
   // modules
   var BatteryView = require( 'OHMS_LAW/ohms-law/view/BatteryView' );
+  var BenchSupplyNode = require( 'OHMS_LAW/ohms-law/view/BenchSupplyNode' );
   var inherit = require( 'PHET_CORE/inherit' );
   var Node = require( 'SCENERY/nodes/Node' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
   var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Property = require( 'AXON/Property' );
+  var SourceType = require( 'OHMS_LAW/ohms-law/model/SourceType' );
   var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
   var Util = require( 'DOT/Util' );
 
   // a11y strings
   var batteriesSupplyPatternString = OhmsLawA11yStrings.batteriesSupplyPatternString;
+  var oneBatterySupplyPatternString = OhmsLawA11yStrings.oneBatterySupplyPatternString;
+  var benchSupplyPatternString = OhmsLawA11yStrings.benchSupplyPatternString;
+  var batteriesChargePatternString = OhmsLawA11yStrings.batteriesChargePatternString;
+
+  // constants
+  var BATTERY_STRINGS = {};
+  BATTERY_STRINGS[ SourceType.AA ] = OhmsLawA11yStrings.aaBatteryString;
+  BATTERY_STRINGS[ SourceType.C ] = OhmsLawA11yStrings.cBatteryString;
+  BATTERY_STRINGS[ SourceType.D ] = OhmsLawA11yStrings.dBatteryString;
+  BATTERY_STRINGS[ SourceType.LANTERN ] = OhmsLawA11yStrings.lanternBatteryString;
+  BATTERY_STRINGS[ SourceType.NINE_VOLT ] = OhmsLawA11yStrings.nineVoltBatteryString;
+  var BATTERIES_STRINGS = {};
+  BATTERIES_STRINGS[ SourceType.AA ] = OhmsLawA11yStrings.aaBatteriesString;
+  BATTERIES_STRINGS[ SourceType.C ] = OhmsLawA11yStrings.cBatteriesString;
+  BATTERIES_STRINGS[ SourceType.D ] = OhmsLawA11yStrings.dBatteriesString;
+  BATTERIES_STRINGS[ SourceType.LANTERN ] = OhmsLawA11yStrings.lanternBatteriesString;
+  BATTERIES_STRINGS[ SourceType.NINE_VOLT ] = OhmsLawA11yStrings.nineVoltBatteriesString;
 
   /**
    * @param {Property.<number>} voltageProperty
@@ -28,6 +50,22 @@ define( function( require ) {
    * @constructor
    */
   function BatteriesView( voltageProperty, tandem, options ) {
+
+    options = _.extend( {
+
+      // {Battery[]|null} - models of the batteries in the stack, which can run down. If null, the voltage is split
+      // into full batteries and a last battery with what is left over.
+      batteries: null,
+
+      // {Property.<boolean>|null} - whether the batteries run down, required with batteries
+      depletionEnabledProperty: null,
+
+      // {Property.<string>|null} - the kind of source, one of SourceType.VALUES. If null, the stack is AA batteries.
+      sourceTypeProperty: null
+    }, options );
+    assert && assert( !options.batteries || options.depletionEnabledProperty,
+      'depletionEnabledProperty is required with batteries' );
+
     Node.call( this, {
       tandem: tandem,
 
@@ -36,43 +74,110 @@ define( function( require ) {
     } );
     var self = this;
 
+    var sourceTypeProperty = options.sourceTypeProperty || new Property( SourceType.AA );
+
     // Store battery nodes in an array
     var batteries = [];
 
     var batteriesGroupTandem = tandem.createGroupTandem( 'battery' );
 
     // Create an array of batteries; enough to fill the entire wire.
+    var cellsNode = new Node();
     for ( var i = 0; i < OhmsLawConstants.MAX_NUMBER_OF_BATTERIES; i++ ) {
       var leftPosition = i * OhmsLawConstants.BATTERY_WIDTH;
       var battery = new BatteryView( batteriesGroupTandem.createNextTandem(), { x: leftPosition, y: 0 } );
 
       // Add them as children to this node, and to the array for manipulation
-      this.addChild( battery );
+      cellsNode.addChild( battery );
       batteries.push( battery );
     }
+    this.addChild( cellsNode );
+
+    var benchSupplyNode = new BenchSupplyNode( voltageProperty, tandem.createTandem( 'benchSupplyNode' ) );
+    this.addChild( benchSupplyNode );
+
+    // Draw the cells as the chosen kind of battery, with full cells side by side. Linked before the voltage, so that
+    // the cells are the right kind when their voltages are set. Present for the lifetime of the simulation; no need to
+    // unlink.
+    sourceTypeProperty.link( function( sourceType ) {
+      cellsNode.visible = SourceType.isBattery( sourceType );
+      benchSupplyNode.visible = !cellsNode.visible;
+      if ( cellsNode.visible ) {
+        batteries.forEach( function( battery, index ) {
+          battery.setSourceType( sourceType );
+          battery.x = index * SourceType.getCellWidth( sourceType );
+        } );
+      }
+    } );
 
-    // Present for the lifetime of the simulation; no need to unlink.
-    voltageProperty.link( function( voltage ) {
+    if ( options.batteries ) {
+
+      // Each battery shows the voltage and charge of its model. Present for the lifetime of the simulation; no need to
+      // dispose.
+      options.batteries.forEach( function( batteryModel, index ) {
+        Property.multilink( [ batteryModel.nominalVoltageProperty, batteryModel.voltageProperty,
+            batteryModel.stateOfChargeProperty, options.depletionEnabledProperty ],
+          function( nominalVoltage, voltage, stateOfCharge, depletionEnabled ) {
+            batteries[ index ].visible = batteryModel.isInStack();
+            batteries[ index ].setVoltage( voltage, nominalVoltage );
+            batteries[ index ].setStateOfCharge( depletionEnabled ? stateOfCharge : null );
+          } );
+      } );
+    }
+    else {
+
+      // Present for the lifetime of the simulation; no need to unlink.
+      Property.multilink( [ voltageProperty, sourceTypeProperty ], function( voltage, sourceType ) {
+        var cellVoltage = SourceType.getCellVoltage( sourceType );
 
-      batteries.forEach( function( battery, index ) {
+        batteries.forEach( function( battery, index ) {
 
-        // Determine associated with a particular battery
-        var voltageBattery = Math.min( OhmsLawConstants.AA_VOLTAGE, voltage - index * OhmsLawConstants.AA_VOLTAGE );
+          // Determine associated with a particular battery
+          var voltageBattery = Math.min( cellVoltage, voltage - index * cellVoltage );
 
-        // Battery is only visible if it has a voltage.
-        battery.visible = ( voltageBattery > 0 );
+          // Battery is only visible if it has a voltage.
+          battery.visible = ( voltageBattery > 0 );
 
-        if ( battery.visible ) {
-          battery.setVoltage( voltageBattery );
-        }
+          if ( battery.visible ) {
+            battery.setVoltage( voltageBattery );
+          }
+        } );
       } );
+    }
 
-      // update the description for the number of batteries
-      self.accessibleLabelAsHTML = StringUtils.fillIn( batteriesSupplyPatternString, {
-        voltage: Util.toFixed( voltage, OhmsLawConstants.VOLTAGE_SIG_FIGS )
+    // update the description for the number and kind of batteries, and for how much charge they have left while they
+    // run down. Present for the lifetime of the simulation; no need to dispose.
+    var descriptionProperties = [ voltageProperty, sourceTypeProperty, OhmsLawGlobalOptions.precisionProperty ];
+    if ( options.batteries ) {
+      descriptionProperties.push( options.depletionEnabledProperty );
+    }
+    Property.multilink( descriptionProperties, function( voltage, sourceType, precision, depletionEnabled ) {
+      var numberOfBatteries = batteries.filter( function( battery ) {
+        return battery.visible;
+      } ).length;
+      var description = StringUtils.fillIn( !SourceType.isBattery( sourceType ) ? benchSupplyPatternString :
+                                            numberOfBatteries === 1 ? oneBatterySupplyPatternString :
+                                            batteriesSupplyPatternString, {
+        number: numberOfBatteries,
+        battery: BATTERY_STRINGS[ sourceType ],
+        batteries: BATTERIES_STRINGS[ sourceType ],
+        voltage: UnitFormatter.toFixed( voltage, OhmsLawConstants.VOLTAGE_SIG_FIGS )
       } );
+      if ( depletionEnabled ) {
+        var batteriesInStack = options.batteries.filter( function( batteryModel ) {
+          return batteryModel.isInStack();
+        } );
+        var stateOfCharge = _.sumBy( batteriesInStack, function( batteryModel ) {
+          return batteryModel.getStateOfCharge();
+        } ) / batteriesInStack.length;
+        description += ' ' + StringUtils.fillIn( batteriesChargePatternString, {
+          percent: Util.toFixed( 100 * stateOfCharge, 0 )
+        } );
+      }
+      self.accessibleLabelAsHTML = description;
     } );
-    this.mutate( options );
+
+    this.mutate( _.omit( options, [ 'batteries', 'depletionEnabledProperty', 'sourceTypeProperty' ] ) );
   }
 
   ohmsLaw.register( 'BatteriesView', BatteriesView );
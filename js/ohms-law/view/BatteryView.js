@@ -2,7 +2,8 @@
 
 /**
  * View of Single Battery
- * The battery is laid out on its side, with the positive pole pointing to the right
+ * The battery is laid out on its side, with the positive pole pointing to the right. It is drawn as the kind of cell
+ * chosen with SourceType, longer for a cell with a higher voltage and taller for a fatter cell.
  * @author Vasily Shakhov (Mlearner)
  * @author Anton Ulyanov (Mlearner)
  */
@@ -18,6 +19,7 @@ define( function( require ) {
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
   var PhetFont = require( 'SCENERY_PHET/PhetFont' );
   var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var SourceType = require( 'OHMS_LAW/ohms-law/model/SourceType' );
   var Text = require( 'SCENERY/nodes/Text' );
   var Util = require( 'DOT/Util' );
 
@@ -26,24 +28,50 @@ define( function( require ) {
 
   // constants
   var FONT = new PhetFont( { size: 19, weight: 'bold' } );
-  var BATTERY_HEIGHT = OhmsLawConstants.BATTERY_HEIGHT;
-  var NUB_HEIGHT = OhmsLawConstants.BATTERY_HEIGHT * 0.30;
-
-  // convert voltage to percentage (0 to 1)
-  var VOLTAGE_TO_SCALE = new LinearFunction( 0.1, OhmsLawConstants.AA_VOLTAGE, 0.0001, 1, true );
-  var VOLTAGE_STRING_MAX_WIDTH = new Text( Util.toFixed( OhmsLawConstants.VOLTAGE_RANGE.max, 1 ), { font: FONT } ).width;
-
-  // Fills for the battery
-  var MAIN_BODY_FILL = new LinearGradient( 0, 0, 0, BATTERY_HEIGHT )
-    .addColorStop( 0, '#777777' )
-    .addColorStop( 0.3, '#bdbdbd' )
-    .addColorStop( 1, '#2b2b2b' );
-  var COPPER_PORTION_FILL = new LinearGradient( 0, 0, 0, BATTERY_HEIGHT )
-    .addColorStop( 0, '#cc4e00' )
-    .addColorStop( 0.3, '#dddad6' )
-    .addColorStop( 1, '#cc4e00' );
+  var NUB_HEIGHT_FRACTION = 0.30; // of the height of the cell
+  var VOLTAGE_STRING_MAX_WIDTH = new Text( Util.toFixed( OhmsLawConstants.AA_VOLTAGE, 1 ), { font: FONT } ).width;
+
+  // the end of the cell and its nub are the same length for every kind of cell, the body is the rest of the cell
+  var COPPER_PORTION_WIDTH = OhmsLawConstants.BATTERY_WIDTH * 0.08; // empirically determined
+  var NUB_WIDTH = OhmsLawConstants.BATTERY_WIDTH * 0.05; // empirically determined
+
+  /**
+   * Create a fill that is lighter near the top, so that the cell looks round.
+   * @param {number} height
+   * @param {string[]} colors - at the top, the highlight and the bottom
+   * @returns {LinearGradient}
+   */
+  function createFill( height, colors ) {
+    return new LinearGradient( 0, 0, 0, height )
+      .addColorStop( 0, colors[ 0 ] )
+      .addColorStop( 0.3, colors[ 1 ] )
+      .addColorStop( 1, colors[ 2 ] );
+  }
+
+  // colors of the body and of the end of each kind of cell
+  var BODY_COLORS = {};
+  BODY_COLORS[ SourceType.AA ] = [ '#777777', '#bdbdbd', '#2b2b2b' ];
+  BODY_COLORS[ SourceType.C ] = [ '#4d4d4d', '#8c8c8c', '#1a1a1a' ];
+  BODY_COLORS[ SourceType.D ] = [ '#1f3f7a', '#5b7fc4', '#0d1f40' ];
+  BODY_COLORS[ SourceType.LANTERN ] = [ '#b03a2e', '#e8776b', '#5e1f18' ];
+  BODY_COLORS[ SourceType.NINE_VOLT ] = [ '#333333', '#777777', '#111111' ];
+  var END_COLORS = {};
+  END_COLORS[ SourceType.AA ] = [ '#cc4e00', '#dddad6', '#cc4e00' ];
+  END_COLORS[ SourceType.C ] = [ '#b8860b', '#f5deb3', '#b8860b' ];
+  END_COLORS[ SourceType.D ] = [ '#cc4e00', '#dddad6', '#cc4e00' ];
+  END_COLORS[ SourceType.LANTERN ] = [ '#7a7a7a', '#d6d6d6', '#7a7a7a' ];
+  END_COLORS[ SourceType.NINE_VOLT ] = [ '#8a8a8a', '#e6e6e6', '#8a8a8a' ];
   var NUB_FILL = '#dddddd';
 
+  // gauge below the battery that shows the charge left in it
+  var GAUGE_HEIGHT = 6;
+  var GAUGE_OFFSET = 4; // space between the battery and the gauge
+  var FULL_GAUGE_COLOR = '#32cd32';
+  var LOW_GAUGE_COLOR = '#ffa500';
+  var EMPTY_GAUGE_COLOR = '#ff0000';
+  var LOW_STATE_OF_CHARGE = 0.3; // below this fraction of the charge, the gauge shows that the battery is low
+  var EMPTY_STATE_OF_CHARGE = 0.1; // below this fraction of the charge, the gauge shows that the battery is flat
+
   /**
    * @param {Tandem} tandem
    * @param {Object} [options]
@@ -53,38 +81,41 @@ define( function( require ) {
 
     Node.call( this );
 
-    // @private - Determine the width of the batter pieces.
-    this.mainBodyWidth = OhmsLawConstants.BATTERY_WIDTH * 0.87; // empirically determined
-    var nubWidth = OhmsLawConstants.BATTERY_WIDTH * 0.05; // empirically determined
-    var copperPortionWidth = OhmsLawConstants.BATTERY_WIDTH - this.mainBodyWidth - nubWidth;
+    // @private - the kind of cell, and the size of its body when it is fully charged, set in setSourceType
+    this.sourceType = SourceType.AA;
+    this.mainBodyWidth = OhmsLawConstants.BATTERY_WIDTH - COPPER_PORTION_WIDTH - NUB_WIDTH;
+    this.batteryHeight = OhmsLawConstants.BATTERY_HEIGHT;
+
+    // @private {LinearFunction} - converts the nominal voltage to the fraction of the body that is shown (0 to 1)
+    this.voltageToScale = null;
+
+    // @private - the last values that were set, to draw them again for another kind of cell
+    this.voltage = OhmsLawConstants.AA_VOLTAGE;
+    this.nominalVoltage = OhmsLawConstants.AA_VOLTAGE;
+    this.stateOfCharge = null;
 
     // The origin (0,0) is defined as the leftmost and vertically centered position of the battery
     var batteryNode = new Node();
 
     // @private
-    this.mainBody = new Rectangle( 0, 0, this.mainBodyWidth, BATTERY_HEIGHT, {
+    this.mainBody = new Rectangle( 0, 0, this.mainBodyWidth, this.batteryHeight, {
       stroke: '#000',
-      fill: MAIN_BODY_FILL,
-      y: -BATTERY_HEIGHT / 2,
       tandem: tandem.createTandem( 'mainBody' )
     } );
     batteryNode.addChild( this.mainBody );
 
     // @private
-    this.copperPortion = new Rectangle( 0, 0, copperPortionWidth, BATTERY_HEIGHT, {
+    this.copperPortion = new Rectangle( 0, 0, COPPER_PORTION_WIDTH, this.batteryHeight, {
       stroke: '#000',
-      fill: COPPER_PORTION_FILL,
-      y: -BATTERY_HEIGHT / 2,
       x: this.mainBodyWidth,
       tandem: tandem.createTandem( 'copperPortion' )
     } );
     batteryNode.addChild( this.copperPortion );
 
     // @private
-    this.nub = new Rectangle( copperPortionWidth, 0, nubWidth, NUB_HEIGHT, {
+    this.nub = new Rectangle( COPPER_PORTION_WIDTH, 0, NUB_WIDTH, this.batteryHeight * NUB_HEIGHT_FRACTION, {
       stroke: '#000',
       fill: NUB_FILL,
-      y: -NUB_HEIGHT / 2,
       x: this.mainBodyWidth,
       tandem: tandem.createTandem( 'nub' )
     } );
@@ -112,6 +143,23 @@ define( function( require ) {
     this.batteryText.addChild( voltageUnitsText );
 
     this.addChild( this.batteryText );
+
+    // @private - gauge for the charge left in the battery, only shown while the batteries run down
+    this.chargeGauge = new Node( { visible: false } );
+
+    // @private
+    this.chargeGaugeBar = new Rectangle( 0, 0, this.mainBodyWidth, GAUGE_HEIGHT, {
+      fill: FULL_GAUGE_COLOR
+    } );
+    this.chargeGauge.addChild( this.chargeGaugeBar );
+
+    // @private
+    this.chargeGaugeOutline = new Rectangle( 0, 0, this.mainBodyWidth, GAUGE_HEIGHT, { stroke: '#000' } );
+    this.chargeGauge.addChild( this.chargeGaugeOutline );
+    this.addChild( this.chargeGauge );
+
+    this.setSourceType( SourceType.AA );
+
     this.mutate( options );
   }
 
@@ -119,28 +167,81 @@ define( function( require ) {
 
   return inherit( Node, BatteryView, {
 
+    /**
+     * Draw the battery as another kind of cell, with the voltage and charge that were last set.
+     * @param {string} sourceType - one of SourceType.VALUES, except SourceType.BENCH_SUPPLY
+     * @public
+     */
+    setSourceType: function( sourceType ) {
+      assert && assert( SourceType.isBattery( sourceType ), 'the bench supply is not drawn as a cell' );
+
+      var cellVoltage = SourceType.getCellVoltage( sourceType );
+      var height = SourceType.getCellHeight( sourceType );
+      var nubHeight = height * NUB_HEIGHT_FRACTION;
+
+      this.sourceType = sourceType;
+      this.mainBodyWidth = SourceType.getCellWidth( sourceType ) - COPPER_PORTION_WIDTH - NUB_WIDTH;
+      this.batteryHeight = height;
+      this.voltageToScale = new LinearFunction( 0.1, cellVoltage, 0.0001, 1, true );
+
+      this.mainBody.fill = createFill( height, BODY_COLORS[ sourceType ] );
+      this.mainBody.y = -height / 2;
+      this.copperPortion.setRect( 0, 0, COPPER_PORTION_WIDTH, height );
+      this.copperPortion.fill = createFill( height, END_COLORS[ sourceType ] );
+      this.copperPortion.y = -height / 2;
+      this.nub.setRect( COPPER_PORTION_WIDTH, 0, NUB_WIDTH, nubHeight );
+      this.nub.y = -nubHeight / 2;
+      this.chargeGauge.y = height / 2 + GAUGE_OFFSET;
+
+      this.setVoltage( this.voltage, this.nominalVoltage );
+      this.setStateOfCharge( this.stateOfCharge );
+    },
+
     /**
      * Set the length of the battery as well as voltage text and position of the text associated with the battery
      * @param {number} voltage
+     * @param {number} [nominalVoltage] - voltage of the battery when fully charged, which sets its length
      * @public
      */
-    setVoltage: function( voltage ) {
+    setVoltage: function( voltage, nominalVoltage ) {
+      nominalVoltage = nominalVoltage === undefined ? voltage : nominalVoltage;
+      this.voltage = voltage;
+      this.nominalVoltage = nominalVoltage;
 
       // update the voltage readout text
       this.voltageValueText.text = Util.toFixed( voltage, 1 );
 
       // adjust length of the battery
-      this.mainBody.setRect( 0, 0, this.mainBodyWidth * VOLTAGE_TO_SCALE( voltage ), BATTERY_HEIGHT );
+      this.mainBody.setRect( 0, 0, this.mainBodyWidth * this.voltageToScale( nominalVoltage ), this.batteryHeight );
       this.copperPortion.x = this.mainBody.right;
       this.nub.x = this.mainBody.right;
 
       // set vertical position of the voltage label
-      if ( voltage >= OhmsLawConstants.AA_VOLTAGE ) {
+      if ( nominalVoltage >= SourceType.getCellVoltage( this.sourceType ) ) {
         this.batteryText.centerY = -7; // move slightly up from centered position, empirically determined
       }
-      // move up if the voltage is greater than 0.1 but less than OhmsLawConstants.AA_VOLTAGE
-      else if ( voltage >= 0.1 ) {
-        this.batteryText.centerY = -BATTERY_HEIGHT / 2 - 12; // place it above the battery
+      // move up if the voltage is greater than 0.1 but less than the voltage of a full cell
+      else if ( nominalVoltage >= 0.1 ) {
+        this.batteryText.centerY = -this.batteryHeight / 2 - 12; // place it above the battery
+      }
+    },
+
+    /**
+     * Set the charge shown by the gauge below the battery.
+     * @param {number|null} stateOfCharge - fraction of the charge left, between 0 and 1, null to hide the gauge
+     * @public
+     */
+    setStateOfCharge: function( stateOfCharge ) {
+      this.stateOfCharge = stateOfCharge;
+      this.chargeGauge.visible = ( stateOfCharge !== null );
+      if ( stateOfCharge !== null ) {
+
+        // the gauge is as long as the body of the battery
+        this.chargeGaugeOutline.setRect( 0, 0, this.mainBody.width, GAUGE_HEIGHT );
+        this.chargeGaugeBar.setRect( 0, 0, this.mainBody.width * stateOfCharge, GAUGE_HEIGHT );
+        this.chargeGaugeBar.fill = stateOfCharge < EMPTY_STATE_OF_CHARGE ? EMPTY_GAUGE_COLOR :
+                                   stateOfCharge < LOW_STATE_OF_CHARGE ? LOW_GAUGE_COLOR :
+                                   FULL_GAUGE_COLOR;
       }
     }
   } );
@@ -0,0 +1,98 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the bench power supply, which takes the place of the batteries along the top wire. It is a box with a
+ * display of its voltage between its terminals, with the positive terminal to the right like the batteries.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Circle = require( 'SCENERY/nodes/Circle' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var LinearGradient = require( 'SCENERY/util/LinearGradient' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var SourceType = require( 'OHMS_LAW/ohms-law/model/SourceType' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+
+  // constants
+  var WIDTH = SourceType.getCellWidth( SourceType.BENCH_SUPPLY );
+  var HEIGHT = SourceType.getCellHeight( SourceType.BENCH_SUPPLY );
+  var TERMINAL_RADIUS = 8;
+  var TERMINAL_INSET = 18; // from the ends of the box to the centers of the terminals
+  var DISPLAY_WIDTH = 110;
+  var DISPLAY_HEIGHT = 32;
+  var DISPLAY_FONT = new PhetFont( { size: 20, weight: 'bold' } );
+
+  var BOX_FILL = new LinearGradient( 0, -HEIGHT / 2, 0, HEIGHT / 2 ) // For 3D effect on the box.
+    .addColorStop( 0, '#9a9a9a' )
+    .addColorStop( 0.3, '#e0e0e0' )
+    .addColorStop( 1, '#6e6e6e' );
+
+  /**
+   * @param {Property.<number>} voltageProperty
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function BenchSupplyNode( voltageProperty, tandem, options ) {
+
+    Node.call( this, { tandem: tandem } );
+
+    // The origin (0,0) is defined as the leftmost and vertically centered position of the box, like the batteries
+    this.addChild( new Rectangle( 0, -HEIGHT / 2, WIDTH, HEIGHT, 6, 6, {
+      fill: BOX_FILL,
+      stroke: '#000'
+    } ) );
+
+    var display = new Rectangle( 0, 0, DISPLAY_WIDTH, DISPLAY_HEIGHT, 3, 3, {
+      fill: '#1a1a1a',
+      stroke: '#000',
+      centerX: WIDTH / 2,
+      centerY: 0
+    } );
+    this.addChild( display );
+
+    var displayText = new Text( '', {
+      font: DISPLAY_FONT,
+      fill: '#3cff3c',
+      maxWidth: DISPLAY_WIDTH - 10,
+      tandem: tandem.createTandem( 'displayText' )
+    } );
+    display.addChild( displayText );
+
+    this.addChild( new Circle( TERMINAL_RADIUS, {
+      fill: '#222',
+      stroke: '#000',
+      centerX: TERMINAL_INSET,
+      centerY: 0
+    } ) );
+    this.addChild( new Circle( TERMINAL_RADIUS, {
+      fill: '#d40000',
+      stroke: '#000',
+      centerX: WIDTH - TERMINAL_INSET,
+      centerY: 0
+    } ) );
+
+    // Present for the lifetime of the sim; no need to dispose.
+    var formatter = UnitFormatter.VOLTAGE;
+    Property.multilink( [ voltageProperty, formatter.prefixProperty, formatter.precisionProperty ],
+      function( voltage ) {
+        displayText.text = formatter.formatValue( voltage ) + ' ' + formatter.getUnits( voltage );
+        displayText.center = display.selfBounds.center;
+      } );
+
+    this.mutate( options );
+  }
+
+  ohmsLaw.register( 'BenchSupplyNode', BenchSupplyNode );
+
+  return inherit( Node, BenchSupplyNode );
+} );
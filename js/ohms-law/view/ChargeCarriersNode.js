@@ -0,0 +1,98 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the charge carriers that move around the circuit, drawn over the wires, the batteries and the load. Electrons
+ * are blue with a minus sign, and conventional charges are red with a plus sign.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ChargeType = require( 'OHMS_LAW/ohms-law/model/ChargeType' );
+  var Circle = require( 'SCENERY/nodes/Circle' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var Path = require( 'SCENERY/nodes/Path' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var Property = require( 'AXON/Property' );
+  var Shape = require( 'KITE/Shape' );
+
+  // constants
+  var RADIUS = 5;
+  var SIGN_LENGTH = 6;
+  var MINUS_SHAPE = new Shape().moveTo( -SIGN_LENGTH / 2, 0 ).lineTo( SIGN_LENGTH / 2, 0 );
+  var PLUS_SHAPE = MINUS_SHAPE.copy().moveTo( 0, -SIGN_LENGTH / 2 ).lineTo( 0, SIGN_LENGTH / 2 );
+  var ELECTRON_COLOR = '#3c78ff';
+  var CONVENTIONAL_COLOR = PhetColorScheme.RED_COLORBLIND;
+
+  /**
+   * Creates the node for a single carrier, centered on its position.
+   *
+   * @param {string} chargeType - one of ChargeType.VALUES
+   * @returns {Node}
+   */
+  function createCarrierNode( chargeType ) {
+    var electron = ( chargeType === ChargeType.ELECTRONS );
+    return new Node( {
+      children: [
+        new Circle( RADIUS, { fill: electron ? ELECTRON_COLOR : CONVENTIONAL_COLOR, stroke: 'black', lineWidth: 0.5 } ),
+        new Path( electron ? MINUS_SHAPE : PLUS_SHAPE, { stroke: 'white', lineWidth: 1.5 } )
+      ]
+    } );
+  }
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function ChargeCarriersNode( model, tandem, options ) {
+
+    Node.call( this, {
+      pickable: false,
+      tandem: tandem
+    } );
+    var self = this;
+
+    var chargeCarriers = model.chargeCarriers;
+
+    // {string|null} - type of the carrier nodes that have been created, one of ChargeType.VALUES
+    var carriersChargeType = null;
+
+    // Present for the lifetime of the sim; no need to unlink.
+    chargeCarriers.visibleProperty.linkAttribute( this, 'visible' );
+
+    // The carriers are redrawn when they move, or when the load changes length. Present for the lifetime of the sim; no
+    // need to dispose.
+    Property.multilink( [ chargeCarriers.phaseProperty, chargeCarriers.chargeTypeProperty,
+        chargeCarriers.visibleProperty, model.loadTypeProperty, model.resistorBuilderEnabledProperty,
+        model.resistorLengthProperty ],
+      function( phase, chargeType, visible ) {
+        if ( !visible ) {
+          return;
+        }
+        var positions = chargeCarriers.getPositions();
+
+        // recreate the carriers when their number or type changes
+        if ( self.getChildrenCount() !== positions.length || carriersChargeType !== chargeType ) {
+          carriersChargeType = chargeType;
+          self.children = positions.map( function() {
+            return createCarrierNode( chargeType );
+          } );
+        }
+        positions.forEach( function( position, index ) {
+          self.getChildAt( index ).translation = position;
+        } );
+      } );
+
+    this.mutate( options );
+  }
+
+  ohmsLaw.register( 'ChargeCarriersNode', ChargeCarriersNode );
+
+  return inherit( Node, ChargeCarriersNode );
+} );
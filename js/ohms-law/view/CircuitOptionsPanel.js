@@ -0,0 +1,613 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Panel with the optional additions to the ideal circuit, such as the internal resistance of the batteries. The source
+ * and the load connected to it are chosen at the top, and each other option is a checkbox, with any controls for the
+ * option shown below it while the option is on.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ChargeType = require( 'OHMS_LAW/ohms-law/model/ChargeType' );
+  var Checkbox = require( 'SUN/Checkbox' );
+  var ColorBandsType = require( 'OHMS_LAW/ohms-law/model/ColorBandsType' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var LoadType = require( 'OHMS_LAW/ohms-law/model/LoadType' );
+  var NumberControl = require( 'SCENERY_PHET/NumberControl' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Panel = require( 'SUN/Panel' );
+  var Property = require( 'AXON/Property' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var ResistorMaterial = require( 'OHMS_LAW/ohms-law/model/ResistorMaterial' );
+  var SourceType = require( 'OHMS_LAW/ohms-law/model/SourceType' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Util = require( 'DOT/Util' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+  var VerticalAquaRadioButtonGroup = require( 'SUN/VerticalAquaRadioButtonGroup' );
+
+  // strings
+  var aaBatteryString = require( 'string!OHMS_LAW/aaBattery' );
+  var acSourceString = require( 'string!OHMS_LAW/acSource' );
+  var areaValuePatternString = require( 'string!OHMS_LAW/areaValuePattern' );
+  var batteryDepletionString = require( 'string!OHMS_LAW/batteryDepletion' );
+  var benchSupplyString = require( 'string!OHMS_LAW/benchSupply' );
+  var carbonString = require( 'string!OHMS_LAW/carbon' );
+  var cBatteryString = require( 'string!OHMS_LAW/cBattery' );
+  var chargesString = require( 'string!OHMS_LAW/charges' );
+  var colorBandsString = require( 'string!OHMS_LAW/colorBands' );
+  var conventionalString = require( 'string!OHMS_LAW/conventional' );
+  var copperString = require( 'string!OHMS_LAW/copper' );
+  var dBatteryString = require( 'string!OHMS_LAW/dBattery' );
+  var diodeString = require( 'string!OHMS_LAW/diode' );
+  var electronsString = require( 'string!OHMS_LAW/electrons' );
+  var filamentLampString = require( 'string!OHMS_LAW/filamentLamp' );
+  var fiveBandsString = require( 'string!OHMS_LAW/fiveBands' );
+  var fourBandsString = require( 'string!OHMS_LAW/fourBands' );
+  var fuseString = require( 'string!OHMS_LAW/fuse' );
+  var frequencySymbolString = require( 'string!OHMS_LAW/frequencySymbol' );
+  var frequencyValuePatternString = require( 'string!OHMS_LAW/frequencyValuePattern' );
+  var internalResistanceString = require( 'string!OHMS_LAW/internalResistance' );
+  var internalResistanceSymbolString = require( 'string!OHMS_LAW/internalResistanceSymbol' );
+  var lanternBatteryString = require( 'string!OHMS_LAW/lanternBattery' );
+  var lengthValuePatternString = require( 'string!OHMS_LAW/lengthValuePattern' );
+  var loadString = require( 'string!OHMS_LAW/load' );
+  var nichromeString = require( 'string!OHMS_LAW/nichrome' );
+  var nineVoltBatteryString = require( 'string!OHMS_LAW/nineVoltBattery' );
+  var noBandsString = require( 'string!OHMS_LAW/noBands' );
+  var replaceBatteriesString = require( 'string!OHMS_LAW/replaceBatteries' );
+  var replaceFuseString = require( 'string!OHMS_LAW/replaceFuse' );
+  var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
+  var resistanceValuePatternString = require( 'string!OHMS_LAW/resistanceValuePattern' );
+  var resistivitySymbolString = require( 'string!OHMS_LAW/resistivitySymbol' );
+  var resistivityValuePatternString = require( 'string!OHMS_LAW/resistivityValuePattern' );
+  var resistorString = require( 'string!OHMS_LAW/resistor' );
+  var resistorAreaSymbolString = require( 'string!OHMS_LAW/resistorAreaSymbol' );
+  var resistorBuilderString = require( 'string!OHMS_LAW/resistorBuilder' );
+  var resistorHeatingString = require( 'string!OHMS_LAW/resistorHeating' );
+  var resistorLengthSymbolString = require( 'string!OHMS_LAW/resistorLengthSymbol' );
+  var sourceString = require( 'string!OHMS_LAW/source' );
+  var temperaturePatternString = require( 'string!OHMS_LAW/temperaturePattern' );
+  var tungstenString = require( 'string!OHMS_LAW/tungsten' );
+
+  // a11y strings
+  var sourceTypeLabelString = OhmsLawA11yStrings.sourceTypeLabelString;
+  var sourceTypeDescriptionString = OhmsLawA11yStrings.sourceTypeDescriptionString;
+  var acModeLabelString = OhmsLawA11yStrings.acModeLabelString;
+  var acModeDescriptionString = OhmsLawA11yStrings.acModeDescriptionString;
+  var acFrequencySliderLabelString = OhmsLawA11yStrings.acFrequencySliderLabelString;
+  var frequencyUnitsPatternString = OhmsLawA11yStrings.frequencyUnitsPatternString;
+  var internalResistanceLabelString = OhmsLawA11yStrings.internalResistanceLabelString;
+  var internalResistanceDescriptionString = OhmsLawA11yStrings.internalResistanceDescriptionString;
+  var internalResistanceSliderLabelString = OhmsLawA11yStrings.internalResistanceSliderLabelString;
+  var resistanceUnitsPatternString = OhmsLawA11yStrings.resistanceUnitsPatternString;
+  var resistorHeatingLabelString = OhmsLawA11yStrings.resistorHeatingLabelString;
+  var resistorHeatingDescriptionString = OhmsLawA11yStrings.resistorHeatingDescriptionString;
+  var resistorMaterialLabelString = OhmsLawA11yStrings.resistorMaterialLabelString;
+  var loadTypeLabelString = OhmsLawA11yStrings.loadTypeLabelString;
+  var loadTypeDescriptionString = OhmsLawA11yStrings.loadTypeDescriptionString;
+  var resistorBuilderLabelString = OhmsLawA11yStrings.resistorBuilderLabelString;
+  var resistorBuilderDescriptionString = OhmsLawA11yStrings.resistorBuilderDescriptionString;
+  var resistorLengthSliderLabelString = OhmsLawA11yStrings.resistorLengthSliderLabelString;
+  var resistorAreaSliderLabelString = OhmsLawA11yStrings.resistorAreaSliderLabelString;
+  var resistivitySliderLabelString = OhmsLawA11yStrings.resistivitySliderLabelString;
+  var lengthUnitsPatternString = OhmsLawA11yStrings.lengthUnitsPatternString;
+  var areaUnitsPatternString = OhmsLawA11yStrings.areaUnitsPatternString;
+  var resistivityUnitsPatternString = OhmsLawA11yStrings.resistivityUnitsPatternString;
+  var batteryDepletionLabelString = OhmsLawA11yStrings.batteryDepletionLabelString;
+  var batteryDepletionDescriptionString = OhmsLawA11yStrings.batteryDepletionDescriptionString;
+  var replaceBatteriesLabelString = OhmsLawA11yStrings.replaceBatteriesLabelString;
+  var replaceBatteriesDescriptionString = OhmsLawA11yStrings.replaceBatteriesDescriptionString;
+  var batteriesReplacedAlertString = OhmsLawA11yStrings.batteriesReplacedAlertString;
+  var fuseLabelString = OhmsLawA11yStrings.fuseLabelString;
+  var fuseDescriptionString = OhmsLawA11yStrings.fuseDescriptionString;
+  var fuseRatingLabelString = OhmsLawA11yStrings.fuseRatingLabelString;
+  var replaceFuseLabelString = OhmsLawA11yStrings.replaceFuseLabelString;
+  var replaceFuseDescriptionString = OhmsLawA11yStrings.replaceFuseDescriptionString;
+  var fuseReplacedAlertString = OhmsLawA11yStrings.fuseReplacedAlertString;
+  var chargesLabelString = OhmsLawA11yStrings.chargesLabelString;
+  var chargesDescriptionString = OhmsLawA11yStrings.chargesDescriptionString;
+  var chargeTypeLabelString = OhmsLawA11yStrings.chargeTypeLabelString;
+  var electronsA11yString = OhmsLawA11yStrings.electronsString;
+  var conventionalChargesA11yString = OhmsLawA11yStrings.conventionalChargesString;
+  var colorBandsLabelString = OhmsLawA11yStrings.colorBandsLabelString;
+  var colorBandsDescriptionString = OhmsLawA11yStrings.colorBandsDescriptionString;
+  var noColorBandsA11yString = OhmsLawA11yStrings.noColorBandsString;
+  var fourBandsA11yString = OhmsLawA11yStrings.fourBandsString;
+  var fiveBandsA11yString = OhmsLawA11yStrings.fiveBandsString;
+
+  // constants
+  var MAX_TEXT_WIDTH = 150;
+  var CONTROL_FONT = new PhetFont( 14 );
+  var MATERIAL_STRINGS = {};
+  MATERIAL_STRINGS[ ResistorMaterial.COPPER ] = copperString;
+  MATERIAL_STRINGS[ ResistorMaterial.TUNGSTEN ] = tungstenString;
+  MATERIAL_STRINGS[ ResistorMaterial.NICHROME ] = nichromeString;
+  MATERIAL_STRINGS[ ResistorMaterial.CARBON ] = carbonString;
+  var SOURCE_TYPE_STRINGS = {};
+  SOURCE_TYPE_STRINGS[ SourceType.AA ] = aaBatteryString;
+  SOURCE_TYPE_STRINGS[ SourceType.C ] = cBatteryString;
+  SOURCE_TYPE_STRINGS[ SourceType.D ] = dBatteryString;
+  SOURCE_TYPE_STRINGS[ SourceType.LANTERN ] = lanternBatteryString;
+  SOURCE_TYPE_STRINGS[ SourceType.NINE_VOLT ] = nineVoltBatteryString;
+  SOURCE_TYPE_STRINGS[ SourceType.BENCH_SUPPLY ] = benchSupplyString;
+  var LOAD_TYPE_STRINGS = {};
+  LOAD_TYPE_STRINGS[ LoadType.RESISTOR ] = resistorString;
+  LOAD_TYPE_STRINGS[ LoadType.FILAMENT_LAMP ] = filamentLampString;
+  LOAD_TYPE_STRINGS[ LoadType.DIODE ] = diodeString;
+  var CHARGE_TYPE_STRINGS = {};
+  CHARGE_TYPE_STRINGS[ ChargeType.ELECTRONS ] = electronsString;
+  CHARGE_TYPE_STRINGS[ ChargeType.CONVENTIONAL ] = conventionalString;
+  var CHARGE_TYPE_A11Y_STRINGS = {};
+  CHARGE_TYPE_A11Y_STRINGS[ ChargeType.ELECTRONS ] = electronsA11yString;
+  CHARGE_TYPE_A11Y_STRINGS[ ChargeType.CONVENTIONAL ] = conventionalChargesA11yString;
+  var COLOR_BANDS_TYPE_STRINGS = {};
+  COLOR_BANDS_TYPE_STRINGS[ ColorBandsType.NONE ] = noBandsString;
+  COLOR_BANDS_TYPE_STRINGS[ ColorBandsType.FOUR_BANDS ] = fourBandsString;
+  COLOR_BANDS_TYPE_STRINGS[ ColorBandsType.FIVE_BANDS ] = fiveBandsString;
+  var COLOR_BANDS_TYPE_A11Y_STRINGS = {};
+  COLOR_BANDS_TYPE_A11Y_STRINGS[ ColorBandsType.NONE ] = noColorBandsA11yString;
+  COLOR_BANDS_TYPE_A11Y_STRINGS[ ColorBandsType.FOUR_BANDS ] = fourBandsA11yString;
+  COLOR_BANDS_TYPE_A11Y_STRINGS[ ColorBandsType.FIVE_BANDS ] = fiveBandsA11yString;
+
+  /**
+   * Create a slider with a title and a readout for a quantity that is set by one of the options.
+   * @param {string} titleString
+   * @param {Property.<number>} property
+   * @param {Range} range
+   * @param {string} valuePatternString - for the readout, like '{0} Ω'
+   * @param {number} decimalPlaces
+   * @param {number} delta - step of the arrow buttons and the keyboard
+   * @param {string} accessibleLabel
+   * @param {string} accessibleValuePattern - like '{{value}} Ohms'
+   * @param {Property.<boolean>} enabledProperty
+   * @param {Tandem} tandem
+   * @returns {NumberControl}
+   */
+  function createOptionControl( titleString, property, range, valuePatternString, decimalPlaces, delta,
+                                accessibleLabel, accessibleValuePattern, enabledProperty, tandem ) {
+    return new NumberControl( titleString, property, range, {
+      titleFont: CONTROL_FONT,
+      valueFont: CONTROL_FONT,
+      valuePattern: valuePatternString,
+      decimalPlaces: decimalPlaces,
+      delta: delta,
+      trackSize: OhmsLawConstants.OPTION_SLIDER_TRACK_SIZE,
+      thumbSize: OhmsLawConstants.OPTION_SLIDER_THUMB_SIZE,
+      enabledProperty: enabledProperty,
+      tandem: tandem,
+
+      // a11y
+      accessibleLabel: accessibleLabel,
+      accessibleValuePattern: accessibleValuePattern,
+      accessibleDecimalPlaces: decimalPlaces
+    } );
+  }
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function CircuitOptionsPanel( model, tandem, options ) {
+
+    options = _.extend( {
+      xMargin: 10,
+      yMargin: 10,
+      lineWidth: 3,
+      tandem: tandem,
+
+      // {Property.<boolean>} - whether the controls can be used, false while something else sets the circuit
+      enabledProperty: new Property( true ),
+
+      // {function} - replaces the blown fuse, wrapped by the screen view so that the session recorder records it
+      replaceFuse: model.replaceFuse.bind( model )
+    }, options );
+
+    // the kind of source that supplies the voltage, a stack of batteries or the bench supply
+    var sourceTypeTitle = new Text( sourceString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } );
+
+    var sourceTypeRadioButtonGroup = new VerticalAquaRadioButtonGroup( SourceType.VALUES.map( function( sourceType ) {
+      return {
+        node: new Text( SOURCE_TYPE_STRINGS[ sourceType ], { font: CONTROL_FONT, maxWidth: MAX_TEXT_WIDTH } ),
+        property: model.sourceTypeProperty,
+        value: sourceType,
+        tandemName: sourceType + 'RadioButton',
+        accessibleLabel: SOURCE_TYPE_STRINGS[ sourceType ]
+      };
+    } ), {
+      radius: 7,
+      spacing: 4,
+      tandem: tandem.createTandem( 'sourceTypeRadioButtonGroup' ),
+
+      // a11y
+      labelTagName: 'h4',
+      accessibleLabel: sourceTypeLabelString,
+      accessibleDescription: sourceTypeDescriptionString
+    } );
+
+    // AC source, which takes the place of the batteries, with its frequency. Its amplitude is set with the voltage
+    // slider.
+    var acModeCheckbox = new Checkbox( new Text( acSourceString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } ), model.acModeEnabledProperty, {
+      boxWidth: 16,
+      tandem: tandem.createTandem( 'acModeCheckbox' ),
+
+      // a11y
+      accessibleLabel: acModeLabelString,
+      accessibleDescription: acModeDescriptionString
+    } );
+
+    var acFrequencyControl = createOptionControl( frequencySymbolString, model.acFrequencyProperty,
+      OhmsLawConstants.AC_FREQUENCY_RANGE, frequencyValuePatternString, 1, 0.1, acFrequencySliderLabelString,
+      frequencyUnitsPatternString, options.enabledProperty, tandem.createTandem( 'acFrequencyControl' ) );
+
+    // The batteries and the bench supply are only chosen without the AC source. Present for the lifetime of the sim;
+    // no need to unlink.
+    model.acModeEnabledProperty.link( function( acModeEnabled ) {
+      sourceTypeRadioButtonGroup.visible = !acModeEnabled;
+      acFrequencyControl.visible = acModeEnabled;
+    } );
+
+    // the element connected to the batteries, the resistor or one that is not ohmic
+    var loadTypeTitle = new Text( loadString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } );
+
+    var loadTypeRadioButtonGroup = new VerticalAquaRadioButtonGroup( LoadType.VALUES.map( function( loadType ) {
+      return {
+        node: new Text( LOAD_TYPE_STRINGS[ loadType ], { font: CONTROL_FONT, maxWidth: MAX_TEXT_WIDTH } ),
+        property: model.loadTypeProperty,
+        value: loadType,
+        tandemName: loadType + 'RadioButton',
+        accessibleLabel: LOAD_TYPE_STRINGS[ loadType ]
+      };
+    } ), {
+      radius: 7,
+      spacing: 4,
+      tandem: tandem.createTandem( 'loadTypeRadioButtonGroup' ),
+
+      // a11y
+      labelTagName: 'h4',
+      accessibleLabel: loadTypeLabelString,
+      accessibleDescription: loadTypeDescriptionString
+    } );
+
+    // internal resistance of the batteries
+    var internalResistanceCheckbox = new Checkbox( new Text( internalResistanceString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } ), model.internalResistanceEnabledProperty, {
+      boxWidth: 16,
+      tandem: tandem.createTandem( 'internalResistanceCheckbox' ),
+
+      // a11y
+      accessibleLabel: internalResistanceLabelString,
+      accessibleDescription: internalResistanceDescriptionString
+    } );
+
+    var internalResistanceControl = createOptionControl( internalResistanceSymbolString,
+      model.internalResistanceProperty, OhmsLawConstants.INTERNAL_RESISTANCE_RANGE, resistanceValuePatternString, 1,
+      0.5, internalResistanceSliderLabelString, resistanceUnitsPatternString, options.enabledProperty,
+      tandem.createTandem( 'internalResistanceControl' ) );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    model.internalResistanceEnabledProperty.linkAttribute( internalResistanceControl, 'visible' );
+
+    // running down of the batteries, with a button to put in fresh ones
+    var batteryDepletionCheckbox = new Checkbox( new Text( batteryDepletionString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } ), model.batteryDepletionEnabledProperty, {
+      boxWidth: 16,
+      tandem: tandem.createTandem( 'batteryDepletionCheckbox' ),
+
+      // a11y
+      accessibleLabel: batteryDepletionLabelString,
+      accessibleDescription: batteryDepletionDescriptionString
+    } );
+
+    var replaceBatteriesButton = new TextPushButton( replaceBatteriesString, {
+      font: CONTROL_FONT,
+      maxTextWidth: MAX_TEXT_WIDTH,
+      baseColor: 'white',
+      listener: function() {
+        model.replaceBatteries();
+        utteranceQueue.addToBack( new Utterance( batteriesReplacedAlertString, { typeId: 'replaceBatteriesAlert' } ) );
+      },
+      tandem: tandem.createTandem( 'replaceBatteriesButton' ),
+
+      // a11y
+      accessibleLabel: replaceBatteriesLabelString,
+      accessibleDescription: replaceBatteriesDescriptionString
+    } );
+
+    // The bench supply and the AC source don't run down. Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.sourceTypeProperty, model.acModeEnabledProperty, model.batteryDepletionEnabledProperty ],
+      function( sourceType, acModeEnabled, batteryDepletionEnabled ) {
+        batteryDepletionCheckbox.visible = SourceType.isBattery( sourceType ) && !acModeEnabled;
+        replaceBatteriesButton.visible = batteryDepletionCheckbox.visible && batteryDepletionEnabled;
+      } );
+
+    // fuse, with its rating and a button to replace it when it has blown
+    var fuseCheckbox = new Checkbox( new Text( fuseString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } ), model.fuseEnabledProperty, {
+      boxWidth: 16,
+      tandem: tandem.createTandem( 'fuseCheckbox' ),
+
+      // a11y
+      accessibleLabel: fuseLabelString,
+      accessibleDescription: fuseDescriptionString
+    } );
+
+    var fuseRatingTexts = OhmsLawConstants.FUSE_RATINGS.map( function() {
+      return new Text( '', { font: CONTROL_FONT, maxWidth: MAX_TEXT_WIDTH } );
+    } );
+
+    // The ratings are shown with the units of the current. Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ UnitFormatter.CURRENT.prefixProperty, UnitFormatter.CURRENT.precisionProperty ], function() {
+      OhmsLawConstants.FUSE_RATINGS.forEach( function( fuseRating, index ) {
+        fuseRatingTexts[ index ].text = UnitFormatter.CURRENT.formatValue( fuseRating ) + ' ' +
+                                        UnitFormatter.CURRENT.getUnits( fuseRating );
+      } );
+    } );
+
+    var fuseRatingRadioButtonGroup = new VerticalAquaRadioButtonGroup(
+      OhmsLawConstants.FUSE_RATINGS.map( function( fuseRating, index ) {
+        return {
+          node: fuseRatingTexts[ index ],
+          property: model.fuseRatingProperty,
+          value: fuseRating,
+          tandemName: 'fuseRating' + index + 'RadioButton',
+          accessibleLabel: UnitFormatter.CURRENT.formatAccessible( fuseRating )
+        };
+      } ), {
+        radius: 7,
+        spacing: 4,
+        tandem: tandem.createTandem( 'fuseRatingRadioButtonGroup' ),
+
+        // a11y
+        labelTagName: 'h4',
+        accessibleLabel: fuseRatingLabelString
+      } );
+
+    var replaceFuseButton = new TextPushButton( replaceFuseString, {
+      font: CONTROL_FONT,
+      maxTextWidth: MAX_TEXT_WIDTH,
+      baseColor: 'white',
+      listener: function() {
+        options.replaceFuse();
+        utteranceQueue.addToBack( new Utterance( fuseReplacedAlertString, { typeId: 'replaceFuseAlert' } ) );
+      },
+      tandem: tandem.createTandem( 'replaceFuseButton' ),
+
+      // a11y
+      accessibleLabel: replaceFuseLabelString,
+      accessibleDescription: replaceFuseDescriptionString
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    model.fuseEnabledProperty.linkAttribute( fuseRatingRadioButtonGroup, 'visible' );
+    model.fuseBlownProperty.linkAttribute( replaceFuseButton, 'visible' );
+
+    // heating of the resistor, with its material and temperature
+    var heatingCheckbox = new Checkbox( new Text( resistorHeatingString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } ), model.heatingEnabledProperty, {
+      boxWidth: 16,
+      tandem: tandem.createTandem( 'heatingCheckbox' ),
+
+      // a11y
+      accessibleLabel: resistorHeatingLabelString,
+      accessibleDescription: resistorHeatingDescriptionString
+    } );
+
+    var materialRadioButtonGroup = new VerticalAquaRadioButtonGroup( ResistorMaterial.VALUES.map( function( material ) {
+      return {
+        node: new Text( MATERIAL_STRINGS[ material ], { font: CONTROL_FONT, maxWidth: MAX_TEXT_WIDTH } ),
+        property: model.resistorMaterialProperty,
+        value: material,
+        tandemName: material + 'RadioButton',
+        accessibleLabel: MATERIAL_STRINGS[ material ]
+      };
+    } ), {
+      radius: 7,
+      spacing: 4,
+      tandem: tandem.createTandem( 'materialRadioButtonGroup' ),
+
+      // a11y
+      labelTagName: 'h4',
+      accessibleLabel: resistorMaterialLabelString
+    } );
+
+    var temperatureText = new Text( '', {
+      font: CONTROL_FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'temperatureText' )
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    model.temperatureProperty.link( function( temperature ) {
+      temperatureText.text = StringUtils.fillIn( temperaturePatternString, {
+        temperature: Util.toFixed( temperature, 0 )
+      } );
+    } );
+
+    var heatingControls = new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: [ materialRadioButtonGroup, temperatureText ]
+    } );
+
+    // Only the resistor heats up. Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.loadTypeProperty, model.heatingEnabledProperty ], function( loadType, heatingEnabled ) {
+      heatingCheckbox.visible = LoadType.isOhmic( loadType );
+      heatingControls.visible = heatingCheckbox.visible && heatingEnabled;
+    } );
+
+    // resistor builder, with the geometry and material of the resistor
+    var resistorBuilderCheckbox = new Checkbox( new Text( resistorBuilderString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } ), model.resistorBuilderEnabledProperty, {
+      boxWidth: 16,
+      tandem: tandem.createTandem( 'resistorBuilderCheckbox' ),
+
+      // a11y
+      accessibleLabel: resistorBuilderLabelString,
+      accessibleDescription: resistorBuilderDescriptionString
+    } );
+
+    // the formula that the resistance is built from, not translated apart from the symbols
+    var resistorBuilderFormulaText = new Text( resistanceSymbolString + ' = ' + resistivitySymbolString +
+                                               resistorLengthSymbolString + '/' + resistorAreaSymbolString, {
+      font: CONTROL_FONT,
+      fill: OhmsLawConstants.BLUE_COLOR,
+      maxWidth: MAX_TEXT_WIDTH
+    } );
+
+    var resistorBuilderControls = new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: [
+        resistorBuilderFormulaText,
+        createOptionControl( resistorLengthSymbolString, model.resistorLengthProperty,
+          OhmsLawConstants.RESISTOR_LENGTH_RANGE, lengthValuePatternString, 1, 0.5,
+          resistorLengthSliderLabelString, lengthUnitsPatternString, options.enabledProperty,
+          tandem.createTandem( 'resistorLengthControl' ) ),
+        createOptionControl( resistorAreaSymbolString, model.resistorAreaProperty,
+          OhmsLawConstants.RESISTOR_AREA_RANGE, areaValuePatternString, 2, 0.04,
+          resistorAreaSliderLabelString, areaUnitsPatternString, options.enabledProperty,
+          tandem.createTandem( 'resistorAreaControl' ) ),
+        createOptionControl( resistivitySymbolString, model.resistivityProperty,
+          OhmsLawConstants.RESISTIVITY_RANGE, resistivityValuePatternString, 1, 0.1,
+          resistivitySliderLabelString, resistivityUnitsPatternString, options.enabledProperty,
+          tandem.createTandem( 'resistivityControl' ) )
+      ]
+    } );
+
+    // Only the resistor can be built. Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.loadTypeProperty, model.resistorBuilderEnabledProperty ],
+      function( loadType, resistorBuilderEnabled ) {
+        resistorBuilderCheckbox.visible = LoadType.isOhmic( loadType );
+        resistorBuilderControls.visible = resistorBuilderCheckbox.visible && resistorBuilderEnabled;
+      } );
+
+    // color bands on the resistor, which show its resistance with the resistor color code
+    var colorBandsTitle = new Text( colorBandsString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } );
+
+    var colorBandsRadioButtonGroup = new VerticalAquaRadioButtonGroup( ColorBandsType.VALUES.map( function( type ) {
+      return {
+        node: new Text( COLOR_BANDS_TYPE_STRINGS[ type ], { font: CONTROL_FONT, maxWidth: MAX_TEXT_WIDTH } ),
+        property: model.colorBandsTypeProperty,
+        value: type,
+        tandemName: type + 'RadioButton',
+        accessibleLabel: COLOR_BANDS_TYPE_A11Y_STRINGS[ type ]
+      };
+    } ), {
+      radius: 7,
+      spacing: 4,
+      tandem: tandem.createTandem( 'colorBandsRadioButtonGroup' ),
+
+      // a11y
+      labelTagName: 'h4',
+      accessibleLabel: colorBandsLabelString,
+      accessibleDescription: colorBandsDescriptionString
+    } );
+
+    // Only the resistor has color bands. Present for the lifetime of the sim; no need to unlink.
+    model.loadTypeProperty.link( function( loadType ) {
+      colorBandsTitle.visible = LoadType.isOhmic( loadType );
+      colorBandsRadioButtonGroup.visible = colorBandsTitle.visible;
+    } );
+
+    // charges moving around the circuit, electrons or conventional charges
+    var chargesCheckbox = new Checkbox( new Text( chargesString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } ), model.chargeCarriers.visibleProperty, {
+      boxWidth: 16,
+      tandem: tandem.createTandem( 'chargesCheckbox' ),
+
+      // a11y
+      accessibleLabel: chargesLabelString,
+      accessibleDescription: chargesDescriptionString
+    } );
+
+    var chargeTypeRadioButtonGroup = new VerticalAquaRadioButtonGroup( ChargeType.VALUES.map( function( chargeType ) {
+      return {
+        node: new Text( CHARGE_TYPE_STRINGS[ chargeType ], { font: CONTROL_FONT, maxWidth: MAX_TEXT_WIDTH } ),
+        property: model.chargeCarriers.chargeTypeProperty,
+        value: chargeType,
+        tandemName: chargeType + 'RadioButton',
+        accessibleLabel: CHARGE_TYPE_A11Y_STRINGS[ chargeType ]
+      };
+    } ), {
+      radius: 7,
+      spacing: 4,
+      tandem: tandem.createTandem( 'chargeTypeRadioButtonGroup' ),
+
+      // a11y
+      labelTagName: 'h4',
+      accessibleLabel: chargeTypeLabelString
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    model.chargeCarriers.visibleProperty.linkAttribute( chargeTypeRadioButtonGroup, 'visible' );
+
+    // The sliders are disabled through enabledProperty, the rest here. Present for the lifetime of the sim; no need to
+    // unlink.
+    var radioButtonGroups = [ sourceTypeRadioButtonGroup, loadTypeRadioButtonGroup, fuseRatingRadioButtonGroup,
+      materialRadioButtonGroup, colorBandsRadioButtonGroup, chargeTypeRadioButtonGroup ];
+    var checkboxesAndButtons = [ acModeCheckbox, internalResistanceCheckbox, batteryDepletionCheckbox,
+      replaceBatteriesButton, fuseCheckbox, replaceFuseButton, heatingCheckbox, resistorBuilderCheckbox,
+      chargesCheckbox ];
+    options.enabledProperty.link( function( enabled ) {
+      radioButtonGroups.forEach( function( radioButtonGroup ) {
+        radioButtonGroup.children.forEach( function( radioButton ) {
+          radioButton.enabled = enabled;
+        } );
+      } );
+      checkboxesAndButtons.forEach( function( node ) {
+        node.enabled = enabled;
+      } );
+    } );
+
+    var content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [ sourceTypeTitle, acModeCheckbox, acFrequencyControl, sourceTypeRadioButtonGroup, loadTypeTitle,
+        loadTypeRadioButtonGroup, internalResistanceCheckbox, internalResistanceControl, batteryDepletionCheckbox, replaceBatteriesButton,
+        fuseCheckbox, fuseRatingRadioButtonGroup, replaceFuseButton, heatingCheckbox, heatingControls, resistorBuilderCheckbox, resistorBuilderControls, colorBandsTitle,
+        colorBandsRadioButtonGroup, chargesCheckbox, chargeTypeRadioButtonGroup ]
+    } );
+
+    Panel.call( this, content, _.omit( options, [ 'enabledProperty', 'replaceFuse' ] ) );
+  }
+
+  ohmsLaw.register( 'CircuitOptionsPanel', CircuitOptionsPanel );
+
+  return inherit( Panel, CircuitOptionsPanel );
+} );
@@ -10,6 +10,7 @@ define( function( require ) {
 
   // modules
   var AccessiblePeer = require( 'SCENERY/accessibility/AccessiblePeer' );
+  var AquaRadioButton = require( 'SUN/AquaRadioButton' );
   var HBox = require( 'SCENERY/nodes/HBox' );
   var inherit = require( 'PHET_CORE/inherit' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
@@ -17,49 +18,140 @@ define( function( require ) {
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
   var OhmsLawModel = require( 'OHMS_LAW/ohms-law/model/OhmsLawModel' );
   var Panel = require( 'SUN/Panel' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var SizeChange = require( 'OHMS_LAW/ohms-law/model/SizeChange' );
   var SliderUnit = require( 'OHMS_LAW/ohms-law/view/SliderUnit' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+  var SourceType = require( 'OHMS_LAW/ohms-law/model/SourceType' );
+  var StandardSeries = require( 'OHMS_LAW/ohms-law/model/StandardSeries' );
   var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
-  var Util = require( 'DOT/Util' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
   var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
   var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
 
   // strings
+  var amplitudeString = require( 'string!OHMS_LAW/amplitude' );
+  var currentString = require( 'string!OHMS_LAW/current' );
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var currentUnitsString = require( 'string!OHMS_LAW/currentUnits' );
   var resistanceString = require( 'string!OHMS_LAW/resistance' );
   var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
   var resistanceUnitsString = require( 'string!OHMS_LAW/resistanceUnits' );
+  var solveForString = require( 'string!OHMS_LAW/solveFor' );
+  var standardValuesString = require( 'string!OHMS_LAW/standardValues' );
+  var anyValueString = require( 'string!OHMS_LAW/anyValue' );
   var voltageString = require( 'string!OHMS_LAW/voltage' );
   var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
   var voltageUnitsString = require( 'string!OHMS_LAW/voltageUnits' );
 
   // a11y strings - these strings are not meant to be translatable until the translation utility
   // can provide translators with context
-  var resistanceUnitsPatternString = OhmsLawA11yStrings.resistanceUnitsPatternString;
-  var voltageUnitsPatternString = OhmsLawA11yStrings.voltageUnitsPatternString;
   var resistanceSliderLabelString = OhmsLawA11yStrings.resistanceSliderLabelString;
   var voltageSliderLabelString = OhmsLawA11yStrings.voltageSliderLabelString;
+  var amplitudeSliderLabelString = OhmsLawA11yStrings.amplitudeSliderLabelString;
+  var currentSliderLabelString = OhmsLawA11yStrings.currentSliderLabelString;
   var sliderControlsString = OhmsLawA11yStrings.sliderControlsString;
   var slidersDescriptionString = OhmsLawA11yStrings.slidersDescriptionString;
+  var solveForLabelString = OhmsLawA11yStrings.solveForLabelString;
+  var solveForDescriptionString = OhmsLawA11yStrings.solveForDescriptionString;
+  var solveForVoltageString = OhmsLawA11yStrings.solveForVoltageString;
+  var solveForCurrentString = OhmsLawA11yStrings.solveForCurrentString;
+  var solveForResistanceString = OhmsLawA11yStrings.solveForResistanceString;
+  var standardValuesLabelString = OhmsLawA11yStrings.standardValuesLabelString;
+  var standardValuesDescriptionString = OhmsLawA11yStrings.standardValuesDescriptionString;
+  var anyValueA11yString = OhmsLawA11yStrings.anyValueString;
+  var e12SeriesString = OhmsLawA11yStrings.e12SeriesString;
+  var e24SeriesString = OhmsLawA11yStrings.e24SeriesString;
 
   // a11y strings
   var sliderChangeAlertPatternString = OhmsLawA11yStrings.sliderChangeAlertPatternString;
+  var voltageNowPatternString = OhmsLawA11yStrings.voltageNowPatternString;
+  var currentNowPatternString = OhmsLawA11yStrings.currentNowPatternString;
+  var resistanceNowPatternString = OhmsLawA11yStrings.resistanceNowPatternString;
   var letterRString = OhmsLawA11yStrings.letterRString;
   var letterVString = OhmsLawA11yStrings.letterVString;
+  var letterIString = OhmsLawA11yStrings.letterIString;
   var shrinksString = OhmsLawA11yStrings.shrinksString;
   var growsString = OhmsLawA11yStrings.growsString;
   var aLotString = OhmsLawA11yStrings.aLotString;
+  var staysTheSameString = OhmsLawA11yStrings.staysTheSameString;
 
   // constants
-  var NUMBER_OF_LETTER_SIZES = OhmsLawA11yStrings.numberOfSizes; // a11y - the number of sizes that letters can be described as.
+  var RADIO_BUTTON_FONT = new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 24, weight: 'bold' } );
+  var SERIES_FONT = new PhetFont( 16 );
+
+  // labels for the series of standard values, the names of the series are not translated
+  var SERIES_STRINGS = {};
+  SERIES_STRINGS[ StandardSeries.NONE ] = anyValueString;
+  SERIES_STRINGS[ StandardSeries.E12 ] = 'E12';
+  SERIES_STRINGS[ StandardSeries.E24 ] = 'E24';
+  var SERIES_A11Y_STRINGS = {};
+  SERIES_A11Y_STRINGS[ StandardSeries.NONE ] = anyValueA11yString;
+  SERIES_A11Y_STRINGS[ StandardSeries.E12 ] = e12SeriesString;
+  SERIES_A11Y_STRINGS[ StandardSeries.E24 ] = e24SeriesString;
+
+  // a11y - descriptions of how the letter of the quantity that is solved for changes
+  var SIZE_CHANGE_STRINGS = {};
+  SIZE_CHANGE_STRINGS[ SizeChange.GROWS_A_LOT ] = growsString + ' ' + aLotString;
+  SIZE_CHANGE_STRINGS[ SizeChange.GROWS_A_LITTLE ] = growsString;
+  SIZE_CHANGE_STRINGS[ SizeChange.STAYS_THE_SAME ] = staysTheSameString;
+  SIZE_CHANGE_STRINGS[ SizeChange.SHRINKS_A_LITTLE ] = shrinksString;
+  SIZE_CHANGE_STRINGS[ SizeChange.SHRINKS_A_LOT ] = shrinksString + ' ' + aLotString;
+
+  // Everything needed to create a slider for, and describe changes to, each of the quantities in the formula.
+  // The keyboard steps are in the units of the quantity at normal precision, the voltage steps change with the kind of
+  // battery.
+  var QUANTITIES = {};
+  QUANTITIES[ SolveFor.VOLTAGE ] = {
+    symbolString: voltageSymbolString,
+    nameString: voltageString,
+    unitsString: voltageUnitsString,
+    sliderLabelString: voltageSliderLabelString,
+    nowPatternString: voltageNowPatternString,
+    radioButtonLabelString: solveForVoltageString,
+    letterString: letterVString,
+    formatter: UnitFormatter.VOLTAGE,
+    keyboardStep: 0.5, // volts
+    shiftKeyboardStep: 0.1, // volts
+    tandemName: 'voltage'
+  };
+  QUANTITIES[ SolveFor.CURRENT ] = {
+    symbolString: currentSymbolString,
+    nameString: currentString,
+    unitsString: currentUnitsString,
+    sliderLabelString: currentSliderLabelString,
+    nowPatternString: currentNowPatternString,
+    radioButtonLabelString: solveForCurrentString,
+    letterString: letterIString,
+    formatter: UnitFormatter.CURRENT,
+    keyboardStep: 10, // milliamps
+    shiftKeyboardStep: 1, // milliamps
+    tandemName: 'current'
+  };
+  QUANTITIES[ SolveFor.RESISTANCE ] = {
+    symbolString: resistanceSymbolString,
+    nameString: resistanceString,
+    unitsString: resistanceUnitsString,
+    sliderLabelString: resistanceSliderLabelString,
+    nowPatternString: resistanceNowPatternString,
+    radioButtonLabelString: solveForResistanceString,
+    letterString: letterRString,
+    formatter: UnitFormatter.RESISTANCE,
+    keyboardStep: 20, // ohms
+    shiftKeyboardStep: 1, // ohms
+    tandemName: 'resistance'
+  };
 
   /**
-   * @param {Property.<number>} voltageProperty
-   * @param {Property.<number>} resistanceProperty
-   * @param {Property.<number>} currentProperty
+   * @param {OhmsLawModel} model
    * @param {Tandem} tandem
    * @param options
    * @constructor
    */
-  function ControlPanel( voltageProperty, resistanceProperty, currentProperty, tandem, options ) {
+  function ControlPanel( model, tandem, options ) {
 
     var self = this;
 
@@ -69,100 +161,95 @@ define( function( require ) {
       lineWidth: 3,
       resize: false,
       preventFit: true, // used to avoid jostling in the control panel when the the resistance changes quickly, see https://github.com/phetsims/ohms-law/issues/68
-      tandem: tandem
+      tandem: tandem,
+
+      // whether the panel has the radio buttons to choose the quantity that is solved for, and the standard values of
+      // the resistance, which are left out where the quantity that is solved for is set elsewhere, like in the game
+      includeSolveFor: true,
+      includeStandardValues: true,
+
+      // {Property.<boolean>|null} - whether the value of the quantity that is solved for is shown, if it can be hidden,
+      // like in the levels of the game without the readout. Changes are only announced while it is shown.
+      readoutVisibleProperty: null,
+
+      // {Property.<boolean>} - whether the sliders and radio buttons can be used, false while the values are set by
+      // something else
+      enabledProperty: new Property( true )
     }, options );
 
-    // Create the voltage slider with readout and labels
-    var oldVoltage; // stored on startDrag;
-    var newVoltage; // stored on endDrag;
-    var voltageSlider = new SliderUnit(
-      voltageProperty,
-      OhmsLawConstants.VOLTAGE_RANGE,
-      voltageSymbolString,
-      voltageString,
-      voltageUnitsString,
-      voltageSliderLabelString,
-      tandem.createTandem( 'voltageSlider' ),
-      {
-        keyboardStep: 0.5, // volts
-        shiftKeyboardStep: 0.1, // volts
-        accessibleDecimalPlaces: OhmsLawConstants.VOLTAGE_SIG_FIGS,
-        accessibleValuePattern: voltageUnitsPatternString,
-        startDrag: function() {
-          oldVoltage = voltageProperty.get();
-        },
-        endDrag: function() {
-          newVoltage = voltageProperty.get();
-
-          if ( oldVoltage !== newVoltage ) {
-            // a11y - when V changes, announce an alert that describes the change
-            var sizeChange = newVoltage - oldVoltage > 0 ? growsString : shrinksString;
-            var fixedCurrent = Util.toFixed( currentProperty.get(), OhmsLawConstants.CURRENT_SIG_FIGS );
-
-            var alert = self.getValueChangeAlertString( letterVString, sizeChange, sizeChange, fixedCurrent );
-            utteranceQueue.addToBack( new Utterance( alert, { typeId: 'voltageAlert' } ) );
-          }
-        }
-      } );
+    // @private
+    this.model = model;
+    this.readoutVisibleProperty = options.readoutVisibleProperty;
 
-    var oldResistance; // stored on startDrag
-    var newResistance; // stored on endDrag
-    var oldCurrent;
-    var newCurrent;
+    // Create a slider with readout and labels for each quantity, only two are shown at a time
+    var sliders = {};
+    SolveFor.VALUES.forEach( function( quantity ) {
+      var quantityInfo = QUANTITIES[ quantity ];
+      var property = model.getProperty( quantity );
 
-    // based on the number of sizes for the formula letters
-    var currentRangePerSize = (OhmsLawModel.getCurrentRange().max - OhmsLawModel.getCurrentRange().min) / NUMBER_OF_LETTER_SIZES;
-    var twoSizeCurrentThreshhold = currentRangePerSize * 2; // amount of current that must change to adjust change the current 2 a11y sizes.
+      var oldValue; // stored on startDrag
+      var oldDerivedValue; // stored on startDrag
 
-    // a11y - This function will create the string alert to notify the resistance slider has been changed.
-    var endResistanceDrag = function() {
-      newResistance = resistanceProperty.get();
-      newCurrent = currentProperty.get();
+      sliders[ quantity ] = new SliderUnit(
+        property,
+        OhmsLawModel.getRange( quantity ),
+        quantityInfo.symbolString,
+        quantityInfo.nameString,
+        quantityInfo.unitsString,
+        quantityInfo.sliderLabelString,
+        tandem.createTandem( quantityInfo.tandemName + 'Slider' ),
+        {
+          keyboardStep: quantityInfo.keyboardStep,
+          shiftKeyboardStep: quantityInfo.shiftKeyboardStep,
+          formatter: quantityInfo.formatter,
+          enabledProperty: options.enabledProperty,
+          constrainValue: quantity === SolveFor.RESISTANCE ? model.snapResistance.bind( model ) : _.identity,
 
-      if ( newResistance !== oldResistance ) {
-        var resistanceChange = newResistance - oldResistance;
-        var currentChange = newCurrent - oldCurrent;
+          // A keyboard step can be smaller than the gap between standard values, so a step that snaps back to the
+          // present value moves to the next standard value in the direction of the step instead.
+          keyboardStepHeld: quantity === SolveFor.RESISTANCE ? function( direction ) {
+            var series = model.standardSeriesProperty.get();
+            if ( series !== StandardSeries.NONE ) {
+              property.set( StandardSeries.getNextValue( series, property.get(), direction,
+                OhmsLawConstants.RESISTANCE_RANGE ) );
+            }
+          } : null,
+          startDrag: function() {
+            oldValue = property.get();
+            oldDerivedValue = model.getDerivedProperty().get();
+            model.currentPrediction.startChange();
+          },
+          endDrag: function() {
+            model.changeHistory.record( quantity, oldValue, property.get() );
+            model.currentPrediction.endChange( property.get() !== oldValue );
 
-        // Get display values for the alert
-        var fixedCurrent = Util.toFixed( currentProperty.get(), OhmsLawConstants.CURRENT_SIG_FIGS );
+            // a11y - when a quantity changes, announce an alert that describes the change, unless the current is
+            // hidden to be predicted
+            if ( model.currentPrediction.currentVisibleProperty.get() ) {
+              self.alertValueChange( quantity, oldValue, oldDerivedValue );
+            }
+          }
+        } );
+    } );
 
-        var rSizeChange = resistanceChange > 0 ? growsString : shrinksString;
-        var iSizeChange = resistanceChange < 0 ? growsString : shrinksString;
-        iSizeChange += Math.abs( currentChange ) > twoSizeCurrentThreshhold ? ' ' + aLotString : '';
+    // The voltage steps by a third of a cell, so that three steps add or take away a battery. The bench supply has no
+    // cells, so it steps like AA batteries. Present for the lifetime of the sim; no need to unlink.
+    model.sourceTypeProperty.link( function( sourceType ) {
+      var cellVoltage = SourceType.isBattery( sourceType ) ? SourceType.getCellVoltage( sourceType ) :
+                        OhmsLawConstants.AA_VOLTAGE;
+      sliders[ SolveFor.VOLTAGE ].setKeyboardSteps( cellVoltage / 3, cellVoltage / 15 );
+    } );
 
-        var alert = self.getValueChangeAlertString( letterRString, rSizeChange, iSizeChange, fixedCurrent );
-        utteranceQueue.addToBack( new Utterance( alert, {
-          typeId: 'resistanceAlert'
-        } ) );
-      }
-    };
-
-
-    // Create the resistance slider with readout and labels
-    var resistanceSlider = new SliderUnit(
-      resistanceProperty,
-      OhmsLawConstants.RESISTANCE_RANGE,
-      resistanceSymbolString,
-      resistanceString,
-      resistanceUnitsString,
-      resistanceSliderLabelString,
-      tandem.createTandem( 'resistanceSlider' ),
-      {
-        keyboardStep: 20, // ohms
-        shiftKeyboardStep: 1, // ohms
-        accessibleValuePattern: resistanceUnitsPatternString,
-        accessibleDecimalPlaces: OhmsLawConstants.RESISTANCE_SIG_FIGS,
-        startDrag: function() {
-          oldResistance = resistanceProperty.get();
-          oldCurrent = currentProperty.get();
-        },
-        endDrag: endResistanceDrag
-      } );
+    // The voltage of the AC source is its amplitude. Present for the lifetime of the sim; no need to unlink.
+    model.acModeEnabledProperty.link( function( acModeEnabled ) {
+      sliders[ SolveFor.VOLTAGE ].setLabels( acModeEnabled ? amplitudeString : voltageString,
+        acModeEnabled ? amplitudeSliderLabelString : voltageSliderLabelString );
+    } );
 
     // Use a content node so that the Panel can surround it fully
-    var content = new HBox( {
+    var slidersBox = new HBox( {
       spacing: 30, // empirically determined
-      children: [ voltageSlider, resistanceSlider ],
+      align: 'top',
 
       // a11y - contain the sliders in a list
       labelTagName: 'h3',
@@ -172,32 +259,220 @@ define( function( require ) {
       accessibleDescription: slidersDescriptionString
     } );
 
-    content.setAriaLabelledByNode( content );
-    content.ariaLabelContent = AccessiblePeer.LABEL;
+    slidersBox.setAriaLabelledByNode( slidersBox );
+    slidersBox.ariaLabelContent = AccessiblePeer.LABEL;
+
+    // Show sliders for the quantities that are not being solved for, only the voltage for a load that is not ohmic and
+    // not the resistance while the resistor builder sets it. Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.solveForProperty, model.loadTypeProperty, model.resistorBuilderEnabledProperty ],
+      function() {
+        slidersBox.children = model.getSettableQuantities().map( function( quantity ) {
+          return sliders[ quantity ];
+        } );
+      } );
+
+    // Radio buttons to choose the quantity that is solved for
+    var radioButtonsTandem = tandem.createTandem( 'solveForRadioButtons' );
+    var radioButtons = SolveFor.VALUES.map( function( quantity ) {
+      var quantityInfo = QUANTITIES[ quantity ];
+      return new AquaRadioButton( model.solveForProperty, quantity, new Text( quantityInfo.symbolString, {
+        font: RADIO_BUTTON_FONT,
+        fill: OhmsLawConstants.BLUE_COLOR,
+        maxWidth: OhmsLawConstants.SLIDER_WIDTH / 2
+      } ), {
+        radius: 8,
+        tandem: radioButtonsTandem.createTandem( quantityInfo.tandemName + 'RadioButton' ),
+
+        // a11y
+        accessibleLabel: quantityInfo.radioButtonLabelString
+      } );
+    } );
+
+    var solveForBox = new HBox( {
+      spacing: 15, // empirically determined
+      children: [ new Text( solveForString, {
+        font: OhmsLawConstants.NAME_FONT,
+        maxWidth: OhmsLawConstants.SLIDER_WIDTH
+      } ) ].concat( radioButtons ),
+
+      // a11y - contain the radio buttons in a list
+      tagName: 'ul',
+      labelTagName: 'h3',
+      prependLabels: true,
+      accessibleLabel: solveForLabelString,
+      accessibleDescription: solveForDescriptionString
+    } );
+
+    // Only the current can be solved for with a load that is not ohmic, while the batteries run down or while there is
+    // a fuse. Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.loadTypeProperty, model.batteryDepletionEnabledProperty, model.fuseEnabledProperty ],
+      function( loadType, batteryDepletionEnabled, fuseEnabled ) {
+        solveForBox.visible = model.isOhmic() && !batteryDepletionEnabled && !fuseEnabled;
+      } );
+
+    // The resistance can't be solved for while the resistor builder sets it. Present for the lifetime of the sim; no
+    // need to unlink.
+    Property.multilink( [ options.enabledProperty, model.resistorBuilderEnabledProperty ],
+      function( enabled, resistorBuilderEnabled ) {
+        radioButtons.forEach( function( radioButton, index ) {
+          var isResistance = ( SolveFor.VALUES[ index ] === SolveFor.RESISTANCE );
+          radioButton.enabled = enabled && !( isResistance && resistorBuilderEnabled );
+        } );
+      } );
 
-    Panel.call( this, content, options );
+    // Radio buttons to snap the resistance slider to a series of standard values
+    var seriesRadioButtonsTandem = tandem.createTandem( 'standardSeriesRadioButtons' );
+    var seriesRadioButtons = StandardSeries.VALUES.map( function( series ) {
+      return new AquaRadioButton( model.standardSeriesProperty, series, new Text( SERIES_STRINGS[ series ], {
+        font: SERIES_FONT,
+        maxWidth: OhmsLawConstants.SLIDER_WIDTH
+      } ), {
+        radius: 7,
+        tandem: seriesRadioButtonsTandem.createTandem( series + 'RadioButton' ),
+
+        // a11y
+        accessibleLabel: SERIES_A11Y_STRINGS[ series ]
+      } );
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    options.enabledProperty.link( function( enabled ) {
+      seriesRadioButtons.forEach( function( radioButton ) {
+        radioButton.enabled = enabled;
+      } );
+    } );
+
+    var standardSeriesBox = new HBox( {
+      spacing: 12, // empirically determined
+      children: [ new Text( standardValuesString, {
+        font: SERIES_FONT,
+        maxWidth: OhmsLawConstants.SLIDER_WIDTH * 1.5
+      } ) ].concat( seriesRadioButtons ),
+
+      // a11y - contain the radio buttons in a list
+      tagName: 'ul',
+      labelTagName: 'h3',
+      prependLabels: true,
+      accessibleLabel: standardValuesLabelString,
+      accessibleDescription: standardValuesDescriptionString
+    } );
+
+    // Only shown while there is a resistance slider. Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.solveForProperty, model.loadTypeProperty, model.resistorBuilderEnabledProperty ],
+      function() {
+        standardSeriesBox.visible = model.getSettableQuantities().indexOf( SolveFor.RESISTANCE ) >= 0;
+      } );
+
+    var contentChildren = [ slidersBox ];
+    if ( options.includeSolveFor ) {
+      contentChildren.push( solveForBox );
+    }
+    if ( options.includeStandardValues ) {
+      contentChildren.push( standardSeriesBox );
+    }
+    var content = new VBox( {
+      spacing: 12, // empirically determined
+      children: contentChildren
+    } );
+
+    Panel.call( this, content,
+      _.omit( options, [ 'includeSolveFor', 'includeStandardValues', 'readoutVisibleProperty', 'enabledProperty' ] ) );
   }
 
   ohmsLaw.register( 'ControlPanel', ControlPanel );
 
   return inherit( Panel, ControlPanel, {
 
+    /**
+     * Undo the last change made with a slider, as if the slider had been moved back.
+     * @public
+     */
+    undo: function() {
+      var changeHistory = this.model.changeHistory;
+      this.changeFromHistory( function() { return changeHistory.undo(); } );
+    },
+
+    /**
+     * Redo the last change that was undone, as if the slider had been moved again.
+     * @public
+     */
+    redo: function() {
+      var changeHistory = this.model.changeHistory;
+      this.changeFromHistory( function() { return changeHistory.redo(); } );
+    },
+
+    /**
+     * Make a change from the history like a change made with a slider, so that the current is predicted if it is to be,
+     * and the change is described with the same alert.
+     * @private
+     *
+     * @param {function():Object} makeChange - makes the change and returns it, see ChangeHistory.record for the fields
+     */
+    changeFromHistory: function( makeChange ) {
+      var model = this.model;
+      var oldDerivedValue = model.getDerivedProperty().get();
+      model.currentPrediction.startChange();
+      var change = makeChange();
+      model.currentPrediction.endChange( change.newValue !== change.oldValue );
+
+      // a11y
+      if ( model.currentPrediction.currentVisibleProperty.get() ) {
+        this.alertValueChange( change.quantity, change.oldValue, oldDerivedValue );
+      }
+    },
+
+    /**
+     * a11y - Announce an alert that describes how the derived quantity responded to a change in one of the settable
+     * quantities. The letter of the derived quantity is described as changing "a lot" when its value changes by more
+     * than two of the sizes that the letters can be described as, see SizeChange. Nothing is announced while the
+     * readout of the quantity that is solved for is hidden, since the alert gives its new value.
+     * @public
+     *
+     * @param {string} quantity - the quantity that was changed, one of SolveFor.VALUES
+     * @param {number} oldValue - value of the changed quantity before the change
+     * @param {number} oldDerivedValue - value of the derived quantity before the change
+     */
+    alertValueChange: function( quantity, oldValue, oldDerivedValue ) {
+      var newValue = this.model.getProperty( quantity ).get();
+      if ( newValue === oldValue || ( this.readoutVisibleProperty && !this.readoutVisibleProperty.get() ) ) {
+        return;
+      }
+
+      var derivedQuantity = this.model.solveForProperty.get();
+      var derivedQuantityInfo = QUANTITIES[ derivedQuantity ];
+      var newDerivedValue = this.model.getDerivedProperty().get();
+
+      var initSizeChange = newValue - oldValue > 0 ? growsString : shrinksString;
+      var derivedSizeChange = SIZE_CHANGE_STRINGS[ SizeChange.getSizeChange( oldDerivedValue, newDerivedValue,
+        OhmsLawModel.getRange( derivedQuantity ) ) ];
+
+      var derivedValueString = StringUtils.fillIn( derivedQuantityInfo.nowPatternString, {
+        value: derivedQuantityInfo.formatter.formatAccessible( newDerivedValue )
+      } );
+
+      var alert = this.getValueChangeAlertString( QUANTITIES[ quantity ].letterString, initSizeChange,
+        derivedQuantityInfo.letterString, derivedSizeChange, derivedValueString );
+      utteranceQueue.addToBack( new Utterance( alert, { typeId: quantity + 'Alert' } ) );
+    },
+
     /**
      * Generate an alert from strings and values that describes a change in the model. Something like
-     * "As letter V grows, letter I grows. Current now 10.0 milliamps with voltage at 5.0 volts."
+     * "As letter V grows, letter I grows. Current now 10.0 milliamps."
      *
      * @param  {string} initLetter - letter representing the model property that was changed
      * @param  {string} initSizeChange - string describing change in size of letter representing changed model Property
-     * @param  {string} iSizeChange - string describing size change of letter I
-     * @param  {number} currentVal - value of model current Property
+     * @param  {string} derivedLetter - letter representing the model property that is solved for
+     * @param  {string} derivedSizeChange - string describing size change of the derived letter
+     * @param  {string} derivedValue - string describing the new value of the derived model Property
      * @return {string} string
      */
-    getValueChangeAlertString: function( initLetter, initSizeChange, iSizeChange, currentVal ) {
+    getValueChangeAlertString: function( initLetter, initSizeChange, derivedLetter, derivedSizeChange, derivedValue ) {
       return StringUtils.fillIn( sliderChangeAlertPatternString, {
         initLetter: initLetter,
         initSizeChange: initSizeChange,
-        iSizeChange: iSizeChange,
-        currentVal: currentVal
+        derivedLetter: derivedLetter,
+        derivedSizeChange: derivedSizeChange,
+        derivedValue: derivedValue
       } );
     }
   } );
@@ -0,0 +1,253 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Panel for the activity where the current is predicted before it is shown, see CurrentPrediction. While the current
+ * is hidden, the panel asks how it will change and reveals it, then shows whether the prediction was right with the
+ * running tally.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Checkbox = require( 'SUN/Checkbox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Panel = require( 'SUN/Panel' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var PredictionState = require( 'OHMS_LAW/ohms-law/model/PredictionState' );
+  var Property = require( 'AXON/Property' );
+  var SizeChange = require( 'OHMS_LAW/ohms-law/model/SizeChange' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+  var VerticalAquaRadioButtonGroup = require( 'SUN/VerticalAquaRadioButtonGroup' );
+
+  // strings
+  var actualChangePatternString = require( 'string!OHMS_LAW/actualChangePattern' );
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var growsALittleString = require( 'string!OHMS_LAW/growsALittle' );
+  var growsALotString = require( 'string!OHMS_LAW/growsALot' );
+  var predictCurrentString = require( 'string!OHMS_LAW/predictCurrent' );
+  var predictionPromptPatternString = require( 'string!OHMS_LAW/predictionPromptPattern' );
+  var predictionRightDirectionString = require( 'string!OHMS_LAW/predictionRightDirection' );
+  var predictionRightString = require( 'string!OHMS_LAW/predictionRight' );
+  var predictionTallyPatternString = require( 'string!OHMS_LAW/predictionTallyPattern' );
+  var predictionWrongString = require( 'string!OHMS_LAW/predictionWrong' );
+  var revealString = require( 'string!OHMS_LAW/reveal' );
+  var shrinksALittleString = require( 'string!OHMS_LAW/shrinksALittle' );
+  var shrinksALotString = require( 'string!OHMS_LAW/shrinksALot' );
+  var staysTheSameString = require( 'string!OHMS_LAW/staysTheSame' );
+
+  // a11y strings
+  var predictCurrentLabelString = OhmsLawA11yStrings.predictCurrentLabelString;
+  var predictCurrentDescriptionString = OhmsLawA11yStrings.predictCurrentDescriptionString;
+  var predictionLabelString = OhmsLawA11yStrings.predictionLabelString;
+  var growsALotChoiceString = OhmsLawA11yStrings.growsALotChoiceString;
+  var growsALittleChoiceString = OhmsLawA11yStrings.growsALittleChoiceString;
+  var staysTheSameChoiceString = OhmsLawA11yStrings.staysTheSameChoiceString;
+  var shrinksALittleChoiceString = OhmsLawA11yStrings.shrinksALittleChoiceString;
+  var shrinksALotChoiceString = OhmsLawA11yStrings.shrinksALotChoiceString;
+  var revealLabelString = OhmsLawA11yStrings.revealLabelString;
+  var revealDescriptionString = OhmsLawA11yStrings.revealDescriptionString;
+  var predictionRightA11yString = OhmsLawA11yStrings.predictionRightString;
+  var predictionRightDirectionA11yString = OhmsLawA11yStrings.predictionRightDirectionString;
+  var predictionWrongA11yString = OhmsLawA11yStrings.predictionWrongString;
+  var predictionPromptAlertString = OhmsLawA11yStrings.predictionPromptAlertString;
+  var predictionRevealedAlertPatternString = OhmsLawA11yStrings.predictionRevealedAlertPatternString;
+  var currentNowPatternString = OhmsLawA11yStrings.currentNowPatternString;
+
+  // constants
+  var MAX_TEXT_WIDTH = 180;
+  var CONTROL_FONT = new PhetFont( 14 );
+  var RESULT_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+
+  // labels for the changes that can be predicted
+  var SIZE_CHANGE_STRINGS = {};
+  SIZE_CHANGE_STRINGS[ SizeChange.GROWS_A_LOT ] = growsALotString;
+  SIZE_CHANGE_STRINGS[ SizeChange.GROWS_A_LITTLE ] = growsALittleString;
+  SIZE_CHANGE_STRINGS[ SizeChange.STAYS_THE_SAME ] = staysTheSameString;
+  SIZE_CHANGE_STRINGS[ SizeChange.SHRINKS_A_LITTLE ] = shrinksALittleString;
+  SIZE_CHANGE_STRINGS[ SizeChange.SHRINKS_A_LOT ] = shrinksALotString;
+  var SIZE_CHANGE_A11Y_STRINGS = {};
+  SIZE_CHANGE_A11Y_STRINGS[ SizeChange.GROWS_A_LOT ] = growsALotChoiceString;
+  SIZE_CHANGE_A11Y_STRINGS[ SizeChange.GROWS_A_LITTLE ] = growsALittleChoiceString;
+  SIZE_CHANGE_A11Y_STRINGS[ SizeChange.STAYS_THE_SAME ] = staysTheSameChoiceString;
+  SIZE_CHANGE_A11Y_STRINGS[ SizeChange.SHRINKS_A_LITTLE ] = shrinksALittleChoiceString;
+  SIZE_CHANGE_A11Y_STRINGS[ SizeChange.SHRINKS_A_LOT ] = shrinksALotChoiceString;
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function CurrentPredictionPanel( model, tandem, options ) {
+
+    options = _.extend( {
+      xMargin: 10,
+      yMargin: 10,
+      lineWidth: 3,
+      tandem: tandem,
+
+      // {Property.<boolean>} - whether the checkbox and the buttons can be used
+      enabledProperty: new Property( true )
+    }, options );
+
+    var currentPrediction = model.currentPrediction;
+
+    var enabledCheckbox = new Checkbox( new Text( predictCurrentString, {
+      font: OhmsLawConstants.NAME_FONT,
+      maxWidth: MAX_TEXT_WIDTH
+    } ), currentPrediction.enabledProperty, {
+      boxWidth: 16,
+      tandem: tandem.createTandem( 'enabledCheckbox' ),
+
+      // a11y
+      accessibleLabel: predictCurrentLabelString,
+      accessibleDescription: predictCurrentDescriptionString
+    } );
+
+    // the question, with the changes that can be predicted
+    var promptText = new Text( StringUtils.fillIn( predictionPromptPatternString, { current: currentSymbolString } ), {
+      font: CONTROL_FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'promptText' )
+    } );
+
+    var predictionRadioButtonGroup = new VerticalAquaRadioButtonGroup( SizeChange.VALUES.map( function( sizeChange ) {
+      return {
+        node: new Text( SIZE_CHANGE_STRINGS[ sizeChange ], { font: CONTROL_FONT, maxWidth: MAX_TEXT_WIDTH } ),
+        property: currentPrediction.predictedChangeProperty,
+        value: sizeChange,
+        tandemName: sizeChange + 'RadioButton',
+        accessibleLabel: SIZE_CHANGE_A11Y_STRINGS[ sizeChange ]
+      };
+    } ), {
+      radius: 7,
+      spacing: 4,
+      tandem: tandem.createTandem( 'predictionRadioButtonGroup' ),
+
+      // a11y
+      labelTagName: 'h4',
+      accessibleLabel: predictionLabelString
+    } );
+
+    var revealButton = new TextPushButton( revealString, {
+      font: CONTROL_FONT,
+      maxTextWidth: MAX_TEXT_WIDTH,
+      baseColor: 'white',
+      listener: function() { currentPrediction.reveal(); },
+      tandem: tandem.createTandem( 'revealButton' ),
+
+      // a11y
+      accessibleLabel: revealLabelString,
+      accessibleDescription: revealDescriptionString
+    } );
+
+    // whether the revealed prediction was right, and how the current really changed
+    var resultText = new Text( '', {
+      font: RESULT_FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'resultText' )
+    } );
+    var actualChangeText = new Text( '', {
+      font: CONTROL_FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'actualChangeText' )
+    } );
+
+    var tallyText = new Text( '', {
+      font: CONTROL_FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'tallyText' )
+    } );
+
+    // Show the parts of the activity for its state. Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ currentPrediction.enabledProperty, currentPrediction.stateProperty ],
+      function( enabled, state ) {
+        var predicting = ( state === PredictionState.PREDICTING );
+        var revealed = ( state === PredictionState.REVEALED );
+        promptText.visible = predicting;
+        predictionRadioButtonGroup.visible = predicting;
+        revealButton.visible = predicting;
+        resultText.visible = revealed;
+        actualChangeText.visible = revealed;
+        tallyText.visible = enabled;
+
+        if ( revealed ) {
+          resultText.text = currentPrediction.isCorrect() ? predictionRightString :
+                            currentPrediction.isDirectionCorrect() ? predictionRightDirectionString :
+                            predictionWrongString;
+          resultText.fill = currentPrediction.isCorrect() ? PhetColorScheme.GREEN_COLORBLIND : 'black';
+          actualChangeText.text = StringUtils.fillIn( actualChangePatternString, {
+            current: currentSymbolString,
+            change: SIZE_CHANGE_STRINGS[ currentPrediction.actualChangeProperty.get() ]
+          } );
+        }
+      } );
+
+    // A prediction has to be chosen before the current is revealed. Present for the lifetime of the sim; no need to
+    // unlink.
+    Property.multilink( [ options.enabledProperty, currentPrediction.predictedChangeProperty ],
+      function( enabled, predictedChange ) {
+        enabledCheckbox.enabled = enabled;
+        predictionRadioButtonGroup.children.forEach( function( radioButton ) {
+          radioButton.enabled = enabled;
+        } );
+        revealButton.enabled = enabled && ( predictedChange !== null );
+      } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ currentPrediction.correctCountProperty, currentPrediction.predictionCountProperty ],
+      function( correctCount, predictionCount ) {
+        tallyText.text = StringUtils.fillIn( predictionTallyPatternString, {
+          correct: correctCount,
+          total: predictionCount
+        } );
+      } );
+
+    // a11y - ask for the prediction when the current is hidden, and describe the change when it is revealed. Present
+    // for the lifetime of the sim; no need to unlink.
+    currentPrediction.stateProperty.lazyLink( function( state ) {
+      if ( state === PredictionState.PREDICTING ) {
+        utteranceQueue.addToBack( new Utterance( predictionPromptAlertString, { typeId: 'predictionAlert' } ) );
+      }
+      else if ( state === PredictionState.REVEALED ) {
+        var alert = StringUtils.fillIn( predictionRevealedAlertPatternString, {
+          result: currentPrediction.isCorrect() ? predictionRightA11yString :
+                  currentPrediction.isDirectionCorrect() ? predictionRightDirectionA11yString :
+                  predictionWrongA11yString,
+          change: SIZE_CHANGE_A11Y_STRINGS[ currentPrediction.actualChangeProperty.get() ].toLowerCase(),
+          currentValue: StringUtils.fillIn( currentNowPatternString, {
+            value: UnitFormatter.CURRENT.formatAccessible( model.currentProperty.get() )
+          } ),
+          correct: currentPrediction.correctCountProperty.get(),
+          total: currentPrediction.predictionCountProperty.get()
+        } );
+        utteranceQueue.addToBack( new Utterance( alert, { typeId: 'predictionAlert' } ) );
+      }
+    } );
+
+    var content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [ enabledCheckbox, promptText, predictionRadioButtonGroup, revealButton, resultText, actualChangeText,
+        tallyText ]
+    } );
+
+    Panel.call( this, content, _.omit( options, 'enabledProperty' ) );
+  }
+
+  ohmsLaw.register( 'CurrentPredictionPanel', CurrentPredictionPanel );
+
+  return inherit( Panel, CurrentPredictionPanel );
+} );
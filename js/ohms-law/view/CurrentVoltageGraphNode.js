@@ -0,0 +1,432 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Graph of the current against the voltage across the load. It draws the line for the present resistance (or the
+ * characteristic curve of a load that is not ohmic) and marks the operating point of the circuit, which leaves a trail
+ * that fades as the sliders move. When the resistance changes, the line for the resistance before the change stays as
+ * a ghost for comparison. The current axis can be zoomed, since the default current is small compared to its range.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Bounds2 = require( 'DOT/Bounds2' );
+  var Circle = require( 'SCENERY/nodes/Circle' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var LoadType = require( 'OHMS_LAW/ohms-law/model/LoadType' );
+  var ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var NumberProperty = require( 'AXON/NumberProperty' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Path = require( 'SCENERY/nodes/Path' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var Range = require( 'DOT/Range' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var Shape = require( 'KITE/Shape' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Util = require( 'DOT/Util' );
+  var ZoomButton = require( 'SCENERY_PHET/buttons/ZoomButton' );
+
+  // strings
+  var axisLabelPatternString = require( 'string!OHMS_LAW/axisLabelPattern' );
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var currentUnitsString = require( 'string!OHMS_LAW/currentUnits' );
+  var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
+  var voltageUnitsString = require( 'string!OHMS_LAW/voltageUnits' );
+
+  // a11y strings
+  var currentVoltageGraphDescriptionString = OhmsLawA11yStrings.currentVoltageGraphDescriptionString;
+  var currentVoltageLineDescriptionPatternString = OhmsLawA11yStrings.currentVoltageLineDescriptionPatternString;
+  var currentVoltageCurveDescriptionPatternString = OhmsLawA11yStrings.currentVoltageCurveDescriptionPatternString;
+  var operatingPointDescriptionPatternString = OhmsLawA11yStrings.operatingPointDescriptionPatternString;
+  var operatingPointHiddenString = OhmsLawA11yStrings.operatingPointHiddenString;
+  var currentAxisDescriptionPatternString = OhmsLawA11yStrings.currentAxisDescriptionPatternString;
+  var zoomInCurrentAxisString = OhmsLawA11yStrings.zoomInCurrentAxisString;
+  var zoomOutCurrentAxisString = OhmsLawA11yStrings.zoomOutCurrentAxisString;
+  var filamentLampString = OhmsLawA11yStrings.filamentLampString;
+  var diodeString = OhmsLawA11yStrings.diodeString;
+
+  // constants
+  var PLOT_WIDTH = 200;
+  var PLOT_HEIGHT = 150;
+  var AXIS_FONT = new PhetFont( 12 );
+  var TICK_LENGTH = 4;
+  var NUMBER_OF_TICKS = 4; // on each axis, not counting zero
+  var POINT_RADIUS = 4;
+  var TRAIL_LIFETIME = 2; // in seconds, how long it takes for a point on the trail to fade out
+  var GHOST_DELAY = 0.5; // in seconds, a change of resistance after this much time without one starts a new ghost
+  var CURVE_SAMPLES = 100; // number of points on the characteristic curve of a load that is not ohmic
+
+  // The current axis can be zoomed in by factors of ten from the range of the current slider
+  var CURRENT_AXIS_MAXIMUMS = [
+    OhmsLawConstants.CURRENT_RANGE.max,
+    OhmsLawConstants.CURRENT_RANGE.max / 10,
+    OhmsLawConstants.CURRENT_RANGE.max / 100
+  ];
+
+  var LOAD_TYPE_STRINGS = {};
+  LOAD_TYPE_STRINGS[ LoadType.FILAMENT_LAMP ] = filamentLampString;
+  LOAD_TYPE_STRINGS[ LoadType.DIODE ] = diodeString;
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function CurrentVoltageGraphNode( model, tandem, options ) {
+
+    options = _.extend( {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      accessibleDescription: currentVoltageGraphDescriptionString
+    }, options );
+
+    Node.call( this );
+    var self = this;
+
+    // @private
+    this.model = model;
+
+    // @public {Property.<number>} - index into CURRENT_AXIS_MAXIMUMS, larger is zoomed in further
+    this.zoomLevelProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'zoomLevelProperty' ),
+      numberType: 'Integer',
+      range: new Range( 0, CURRENT_AXIS_MAXIMUMS.length - 1 )
+    } );
+
+    // @private {ModelViewTransform2} - maps voltage and current to the plot, recreated when zooming
+    this.modelViewTransform = null;
+
+    // @private {{voltage:number, current:number, age:number}[]} - recent operating points, oldest first
+    this.trail = [];
+
+    // @private {number|null} - resistance of the ghost line, null before the resistance has changed
+    this.ghostResistance = null;
+
+    // @private {number} - time since the resistance last changed, to tell when a new change starts
+    this.timeSinceResistanceChange = GHOST_DELAY;
+
+    var backgroundNode = new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+      fill: 'white',
+      stroke: 'black'
+    } );
+    this.addChild( backgroundNode );
+
+    // @private - everything that is plotted is clipped to the plot
+    this.ghostPath = new Path( null, {
+      stroke: 'rgba( 0, 0, 0, 0.3 )',
+      lineWidth: 2,
+      lineDash: [ 6, 4 ],
+      tandem: tandem.createTandem( 'ghostPath' )
+    } );
+    this.linePath = new Path( null, {
+      stroke: OhmsLawConstants.BLUE_COLOR,
+      lineWidth: 2,
+      tandem: tandem.createTandem( 'linePath' )
+    } );
+    this.trailNode = new Node();
+    this.pointNode = new Circle( POINT_RADIUS, {
+      fill: PhetColorScheme.RED_COLORBLIND,
+      stroke: 'black',
+      tandem: tandem.createTandem( 'pointNode' )
+    } );
+    var plotNode = new Node( {
+      children: [ this.ghostPath, this.linePath, this.trailNode, this.pointNode ],
+      clipArea: Shape.bounds( backgroundNode.bounds )
+    } );
+    this.addChild( plotNode );
+
+    // ticks and labels are drawn again when zooming
+    var ticksPath = new Path( null, { stroke: 'black' } );
+    this.addChild( ticksPath );
+    var tickLabelsNode = new Node();
+    this.addChild( tickLabelsNode );
+
+    var voltageAxisLabel = new Text( StringUtils.fillIn( axisLabelPatternString, {
+      symbol: voltageSymbolString,
+      units: voltageUnitsString
+    } ), {
+      font: AXIS_FONT,
+      maxWidth: PLOT_WIDTH,
+      centerX: PLOT_WIDTH / 2,
+      top: PLOT_HEIGHT + TICK_LENGTH + 16
+    } );
+    this.addChild( voltageAxisLabel );
+
+    var currentAxisLabel = new Text( StringUtils.fillIn( axisLabelPatternString, {
+      symbol: currentSymbolString,
+      units: currentUnitsString
+    } ), {
+      font: AXIS_FONT,
+      maxWidth: PLOT_HEIGHT,
+      rotation: -Math.PI / 2,
+      centerY: PLOT_HEIGHT / 2,
+      right: -30
+    } );
+    this.addChild( currentAxisLabel );
+
+    var zoomInButton = new ZoomButton( {
+      in: true,
+      radius: 7,
+      listener: function() { self.zoomLevelProperty.value++; },
+      tandem: tandem.createTandem( 'zoomInButton' ),
+
+      // a11y
+      accessibleLabel: zoomInCurrentAxisString
+    } );
+    var zoomOutButton = new ZoomButton( {
+      in: false,
+      radius: 7,
+      listener: function() { self.zoomLevelProperty.value--; },
+      tandem: tandem.createTandem( 'zoomOutButton' ),
+
+      // a11y
+      accessibleLabel: zoomOutCurrentAxisString
+    } );
+    zoomInButton.leftTop = backgroundNode.rightTop.plusXY( 6, 0 );
+    zoomOutButton.leftTop = zoomInButton.leftBottom.plusXY( 0, 4 );
+    this.addChild( zoomInButton );
+    this.addChild( zoomOutButton );
+
+    // a11y - descriptions of the line and of the operating point
+    var lineDescriptionNode = new Node( { tagName: 'p' } );
+    this.addChild( lineDescriptionNode );
+    var pointDescriptionNode = new Node( { tagName: 'p' } );
+    this.addChild( pointDescriptionNode );
+    var axisDescriptionNode = new Node( { tagName: 'p' } );
+    this.addChild( axisDescriptionNode );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    this.zoomLevelProperty.link( function( zoomLevel ) {
+      var maxCurrent = CURRENT_AXIS_MAXIMUMS[ zoomLevel ];
+      var maxVoltage = OhmsLawConstants.VOLTAGE_RANGE.max;
+      self.modelViewTransform = ModelViewTransform2.createRectangleInvertedYMapping(
+        new Bounds2( 0, 0, maxVoltage, maxCurrent ),
+        new Bounds2( 0, 0, PLOT_WIDTH, PLOT_HEIGHT )
+      );
+
+      var ticksShape = new Shape();
+      var tickLabels = [];
+      for ( var i = 0; i <= NUMBER_OF_TICKS; i++ ) {
+        var x = i * PLOT_WIDTH / NUMBER_OF_TICKS;
+        var y = PLOT_HEIGHT - i * PLOT_HEIGHT / NUMBER_OF_TICKS;
+        ticksShape.moveTo( x, PLOT_HEIGHT ).lineTo( x, PLOT_HEIGHT + TICK_LENGTH );
+        ticksShape.moveTo( 0, y ).lineTo( -TICK_LENGTH, y );
+        tickLabels.push( new Text( formatTickValue( i * maxVoltage / NUMBER_OF_TICKS ), {
+          font: AXIS_FONT,
+          centerX: x,
+          top: PLOT_HEIGHT + TICK_LENGTH
+        } ) );
+        tickLabels.push( new Text( formatTickValue( i * maxCurrent / NUMBER_OF_TICKS ), {
+          font: AXIS_FONT,
+          right: -TICK_LENGTH - 2,
+          centerY: y
+        } ) );
+      }
+      ticksPath.shape = ticksShape;
+      tickLabelsNode.children = tickLabels;
+
+      zoomInButton.enabled = zoomLevel < CURRENT_AXIS_MAXIMUMS.length - 1;
+      zoomOutButton.enabled = zoomLevel > 0;
+
+      axisDescriptionNode.accessibleLabelAsHTML = StringUtils.fillIn( currentAxisDescriptionPatternString, {
+        max: Util.toFixed( maxCurrent, 0 )
+      } );
+
+      self.updateLines();
+      self.updatePoint();
+    } );
+
+    // Start a new ghost when the resistance starts to change. Present for the lifetime of the sim; no need to unlink.
+    model.resistanceProperty.lazyLink( function( resistance, oldResistance ) {
+      if ( model.isOhmic() && self.timeSinceResistanceChange >= GHOST_DELAY ) {
+        self.ghostResistance = oldResistance;
+      }
+      self.timeSinceResistanceChange = 0;
+    } );
+
+    // The ghost is only for comparing resistors. Present for the lifetime of the sim; no need to unlink.
+    model.loadTypeProperty.lazyLink( function() {
+      self.ghostResistance = null;
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.loadResistanceProperty, model.loadTypeProperty, OhmsLawGlobalOptions.precisionProperty ],
+      function( resistance, loadType ) {
+        self.updateLines();
+
+        var slope = 1000 / resistance; // milliamps per volt
+        lineDescriptionNode.accessibleLabelAsHTML = LoadType.isOhmic( loadType ) ?
+          StringUtils.fillIn( currentVoltageLineDescriptionPatternString, {
+            resistance: UnitFormatter.toFixed( resistance, OhmsLawConstants.RESISTANCE_SIG_FIGS ),
+            slope: Util.toFixed( slope, 2 )
+          } ) :
+          StringUtils.fillIn( currentVoltageCurveDescriptionPatternString, {
+            load: LOAD_TYPE_STRINGS[ loadType ].toLowerCase(),
+            slope: Util.toFixed( slope, 2 )
+          } );
+      } );
+
+    var currentVisibleProperty = model.currentPrediction.currentVisibleProperty;
+    var updatePointDescription = function() {
+      if ( !currentVisibleProperty.get() ) {
+        pointDescriptionNode.accessibleLabelAsHTML = operatingPointHiddenString;
+        return;
+      }
+      pointDescriptionNode.accessibleLabelAsHTML = StringUtils.fillIn( operatingPointDescriptionPatternString, {
+        voltage: UnitFormatter.toFixed( model.terminalVoltageProperty.get(), OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+        current: UnitFormatter.toFixed( model.currentProperty.get(), OhmsLawConstants.CURRENT_SIG_FIGS )
+      } );
+    };
+
+    // Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.terminalVoltageProperty, model.currentProperty ], function( voltage, current ) {
+      self.trail.push( { voltage: voltage, current: current, age: 0 } );
+      self.updatePoint();
+      updatePointDescription();
+    } );
+    OhmsLawGlobalOptions.precisionProperty.lazyLink( updatePointDescription );
+
+    // The point and its trail are hidden while the change of the current is predicted, since they show the current.
+    // Present for the lifetime of the sim; no need to unlink.
+    currentVisibleProperty.link( function( currentVisible ) {
+      self.pointNode.visible = currentVisible;
+      self.trailNode.visible = currentVisible;
+    } );
+    currentVisibleProperty.lazyLink( updatePointDescription );
+
+    this.mutate( options );
+  }
+
+  /**
+   * Format the value at a tick mark, without decimal places unless they are needed.
+   * @param {number} value
+   * @returns {string}
+   */
+  function formatTickValue( value ) {
+    return Util.toFixed( value, value % 1 === 0 ? 0 : 1 );
+  }
+
+  ohmsLaw.register( 'CurrentVoltageGraphNode', CurrentVoltageGraphNode );
+
+  return inherit( Node, CurrentVoltageGraphNode, {
+
+    /**
+     * Age the trail of operating points, and forget about the start of the last resistance change after a while.
+     * @public
+     *
+     * @param {number} dt - in seconds
+     */
+    step: function( dt ) {
+      this.timeSinceResistanceChange += dt;
+
+      if ( this.trail.length ) {
+        this.trail.forEach( function( point ) {
+          point.age += dt;
+        } );
+        this.trail = this.trail.filter( function( point ) {
+          return point.age < TRAIL_LIFETIME;
+        } );
+        this.updateTrail();
+      }
+    },
+
+    /**
+     * Reset the zoom, and clear the trail and the ghost.
+     * @public
+     */
+    reset: function() {
+      this.zoomLevelProperty.reset();
+      this.trail = [];
+      this.ghostResistance = null;
+      this.timeSinceResistanceChange = GHOST_DELAY;
+      this.updateLines();
+      this.updateTrail();
+    },
+
+    /**
+     * Draw the line for the resistance, or the curve for a load that is not ohmic, and the ghost line.
+     * @private
+     */
+    updateLines: function() {
+      if ( !this.modelViewTransform ) {
+        return;
+      }
+      var loadType = this.model.loadTypeProperty.get();
+      this.linePath.shape = LoadType.isOhmic( loadType ) ?
+                            this.createLineShape( this.model.resistanceProperty.get() ) :
+                            this.createCurveShape( loadType );
+      this.ghostPath.shape = this.ghostResistance === null ? null : this.createLineShape( this.ghostResistance );
+    },
+
+    /**
+     * Move the operating point to the present voltage across the load and current.
+     * @private
+     */
+    updatePoint: function() {
+      if ( !this.modelViewTransform ) {
+        return;
+      }
+      this.pointNode.center = this.modelViewTransform.modelToViewXY( this.model.terminalVoltageProperty.get(),
+        this.model.currentProperty.get() );
+    },
+
+    /**
+     * Draw the trail of operating points, fading out as they age.
+     * @private
+     */
+    updateTrail: function() {
+      var modelViewTransform = this.modelViewTransform;
+      this.trailNode.children = this.trail.map( function( point ) {
+        return new Circle( POINT_RADIUS / 2, {
+          fill: PhetColorScheme.RED_COLORBLIND,
+          opacity: 1 - point.age / TRAIL_LIFETIME,
+          center: modelViewTransform.modelToViewXY( point.voltage, point.current )
+        } );
+      } );
+    },
+
+    /**
+     * I = V/R, a straight line through the origin across the whole voltage axis.
+     * @private
+     *
+     * @param {number} resistance - in ohms
+     * @returns {Shape}
+     */
+    createLineShape: function( resistance ) {
+      var maxVoltage = OhmsLawConstants.VOLTAGE_RANGE.max;
+      return new Shape()
+        .moveToPoint( this.modelViewTransform.modelToViewXY( 0, 0 ) )
+        .lineToPoint( this.modelViewTransform.modelToViewXY( maxVoltage, 1000 * maxVoltage / resistance ) );
+    },
+
+    /**
+     * The characteristic of a load that is not ohmic, sampled over the currents up to the top of the current axis.
+     * @private
+     *
+     * @param {string} loadType - one of LoadType.VALUES, except LoadType.RESISTOR
+     * @returns {Shape}
+     */
+    createCurveShape: function( loadType ) {
+      var maxCurrent = CURRENT_AXIS_MAXIMUMS[ this.zoomLevelProperty.get() ];
+      var shape = new Shape().moveToPoint( this.modelViewTransform.modelToViewXY( 0, 0 ) );
+      for ( var i = 1; i <= CURVE_SAMPLES; i++ ) {
+        var current = i * maxCurrent / CURVE_SAMPLES;
+        shape.lineToPoint( this.modelViewTransform.modelToViewXY( LoadType.getVoltage( loadType, current ), current ) );
+      }
+      return shape;
+    }
+  } );
+} );
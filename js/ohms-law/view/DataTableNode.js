@@ -0,0 +1,349 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * The data table, where the voltage, resistance and current of the circuit are recorded as rows. The column headers
+ * sort the rows, each row can be deleted, and the rows can be exported as CSV or JSON for a spreadsheet. Each row is
+ * an item of a list in the PDOM, so that it can be read by a screen reader.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var FileUtils = require( 'OHMS_LAW/ohms-law/view/FileUtils' );
+  var HBox = require( 'SCENERY/nodes/HBox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var exportCSVString = require( 'string!OHMS_LAW/exportCSV' );
+  var exportJSONString = require( 'string!OHMS_LAW/exportJSON' );
+  var noDataRecordedString = require( 'string!OHMS_LAW/noDataRecorded' );
+  var recordString = require( 'string!OHMS_LAW/record' );
+  var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
+  var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
+
+  // a11y strings
+  var dataTableDescriptionString = OhmsLawA11yStrings.dataTableDescriptionString;
+  var recordLabelString = OhmsLawA11yStrings.recordLabelString;
+  var recordDescriptionString = OhmsLawA11yStrings.recordDescriptionString;
+  var rowsLabelString = OhmsLawA11yStrings.rowsLabelString;
+  var noRowsString = OhmsLawA11yStrings.noRowsString;
+  var rowPatternString = OhmsLawA11yStrings.rowPatternString;
+  var sortByPatternString = OhmsLawA11yStrings.sortByPatternString;
+  var smallestFirstString = OhmsLawA11yStrings.smallestFirstString;
+  var largestFirstString = OhmsLawA11yStrings.largestFirstString;
+  var deleteRowPatternString = OhmsLawA11yStrings.deleteRowPatternString;
+  var exportCSVLabelString = OhmsLawA11yStrings.exportCSVLabelString;
+  var exportCSVDescriptionString = OhmsLawA11yStrings.exportCSVDescriptionString;
+  var exportJSONLabelString = OhmsLawA11yStrings.exportJSONLabelString;
+  var exportJSONDescriptionString = OhmsLawA11yStrings.exportJSONDescriptionString;
+  var rowRecordedAlertPatternString = OhmsLawA11yStrings.rowRecordedAlertPatternString;
+  var rowDeletedAlertPatternString = OhmsLawA11yStrings.rowDeletedAlertPatternString;
+  var rowsSortedAlertPatternString = OhmsLawA11yStrings.rowsSortedAlertPatternString;
+  var voltageQuantityString = OhmsLawA11yStrings.voltageQuantityString;
+  var currentQuantityString = OhmsLawA11yStrings.currentQuantityString;
+  var resistanceQuantityString = OhmsLawA11yStrings.resistanceQuantityString;
+
+  // constants
+  var FONT = new PhetFont( 14 );
+  var HEADER_FONT = new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 16, weight: 'bold' } );
+  var COLUMN_WIDTH = 80;
+  var ROW_HEIGHT = 24;
+  var DELETE_COLUMN_WIDTH = 30;
+  var MAX_TEXT_WIDTH = COLUMN_WIDTH - 6;
+  var ASCENDING_ARROW = '▲';
+  var DESCENDING_ARROW = '▼';
+  var DELETE_SYMBOL = '✕';
+
+  // the columns of the table, in the order of the formula
+  var COLUMNS = [ SolveFor.VOLTAGE, SolveFor.RESISTANCE, SolveFor.CURRENT ];
+
+  // what each column is shown with
+  var QUANTITIES = {};
+  QUANTITIES[ SolveFor.VOLTAGE ] = {
+    symbolString: voltageSymbolString,
+    quantityString: voltageQuantityString,
+    formatter: UnitFormatter.VOLTAGE
+  };
+  QUANTITIES[ SolveFor.RESISTANCE ] = {
+    symbolString: resistanceSymbolString,
+    quantityString: resistanceQuantityString,
+    formatter: UnitFormatter.RESISTANCE
+  };
+  QUANTITIES[ SolveFor.CURRENT ] = {
+    symbolString: currentSymbolString,
+    quantityString: currentQuantityString,
+    formatter: UnitFormatter.CURRENT
+  };
+
+  /**
+   * Format a value of a row with its units, like '4.50 V'.
+   * @param {DataRow} row
+   * @param {string} quantity - one of SolveFor.VALUES
+   * @returns {string}
+   */
+  function formatValue( row, quantity ) {
+    var formatter = QUANTITIES[ quantity ].formatter;
+    var value = row.getValue( quantity );
+    return formatter.formatValue( value ) + ' ' + formatter.getUnits( value );
+  }
+
+  /**
+   * a11y - Describe a row, like 'Row 2: 4.50 volts, 500 ohms, 9.00 milliamps.'
+   * @param {DataRow} row
+   * @returns {string}
+   */
+  function describeRow( row ) {
+    return StringUtils.fillIn( rowPatternString, {
+      number: row.number,
+      voltage: UnitFormatter.VOLTAGE.formatAccessible( row.voltage ),
+      resistance: UnitFormatter.RESISTANCE.formatAccessible( row.resistance ),
+      current: UnitFormatter.CURRENT.formatAccessible( row.current )
+    } );
+  }
+
+  /**
+   * @param {DataTable} dataTable
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function DataTableNode( dataTable, tandem, options ) {
+
+    options = _.extend( {
+      spacing: 8,
+      align: 'left',
+      tandem: tandem,
+
+      // {Property.<boolean>|null} - whether a row can be recorded, as long as the table isn't full
+      recordEnabledProperty: null,
+
+      // a11y
+      tagName: 'div',
+      accessibleDescription: dataTableDescriptionString
+    }, options );
+
+    // Column headers, which sort the rows by their quantity
+    var headersTandem = tandem.createTandem( 'sortButtons' );
+    var headerTexts = {};
+    var sortButtons = COLUMNS.map( function( quantity ) {
+      headerTexts[ quantity ] = new Text( QUANTITIES[ quantity ].symbolString, {
+        font: HEADER_FONT,
+        fill: OhmsLawConstants.BLUE_COLOR,
+        maxWidth: MAX_TEXT_WIDTH - 20
+      } );
+      return new RectangularPushButton( {
+        content: headerTexts[ quantity ],
+        baseColor: 'white',
+        minWidth: COLUMN_WIDTH - 4,
+        listener: function() { dataTable.sortBy( quantity ); },
+        tandem: headersTandem.createTandem( quantity + 'SortButton' ),
+
+        // a11y
+        accessibleLabel: StringUtils.fillIn( sortByPatternString, { quantity: QUANTITIES[ quantity ].quantityString } )
+      } );
+    } );
+    var headerRow = new HBox( {
+      spacing: 4,
+      children: sortButtons
+    } );
+
+    // Rows of the table, in a list in the PDOM
+    var rowsNode = new VBox( {
+      spacing: 2,
+      align: 'left',
+
+      // a11y
+      tagName: 'ul',
+      labelTagName: 'h4',
+      prependLabels: true,
+      accessibleLabel: rowsLabelString
+    } );
+
+    var noDataText = new Text( noDataRecordedString, {
+      font: FONT,
+      fill: 'gray',
+      maxWidth: COLUMNS.length * COLUMN_WIDTH,
+      tandem: tandem.createTandem( 'noDataText' ),
+
+      // a11y
+      tagName: 'p',
+      accessibleLabel: noRowsString
+    } );
+
+    /**
+     * Create the node of a row, with a button to delete it.
+     * @param {DataRow} row
+     * @returns {Node}
+     */
+    var createRowNode = function( row ) {
+      var rowNode = new Node( {
+
+        // a11y
+        tagName: 'li',
+        accessibleLabel: describeRow( row )
+      } );
+      rowNode.addChild( new Rectangle( 0, 0, COLUMNS.length * COLUMN_WIDTH, ROW_HEIGHT, {
+        fill: row.number % 2 ? 'white' : 'rgb( 240, 240, 240 )'
+      } ) );
+      COLUMNS.forEach( function( quantity, index ) {
+        rowNode.addChild( new Text( formatValue( row, quantity ), {
+          font: FONT,
+          maxWidth: MAX_TEXT_WIDTH,
+          centerX: ( index + 0.5 ) * COLUMN_WIDTH,
+          centerY: ROW_HEIGHT / 2
+        } ) );
+      } );
+      rowNode.addChild( new TextPushButton( DELETE_SYMBOL, {
+        font: FONT,
+        textFill: PhetColorScheme.RED_COLORBLIND,
+        baseColor: 'white',
+        xMargin: 5,
+        yMargin: 2,
+        centerX: COLUMNS.length * COLUMN_WIDTH + DELETE_COLUMN_WIDTH / 2,
+        centerY: ROW_HEIGHT / 2,
+        listener: function() {
+          dataTable.deleteRow( row );
+
+          // a11y
+          utteranceQueue.addToBack( new Utterance( StringUtils.fillIn( rowDeletedAlertPatternString, {
+            number: row.number
+          } ), { typeId: 'dataTableAlert' } ) );
+        },
+
+        // a11y
+        accessibleLabel: StringUtils.fillIn( deleteRowPatternString, { number: row.number } )
+      } ) );
+      return rowNode;
+    };
+
+    // Show the rows in their sorted order, with the arrow of the sort on its column. The rows are created again when
+    // they change, and with the prefixes and the precision that the values are shown with. Present for the lifetime of
+    // the sim; no need to unlink.
+    var updateRows = function() {
+      rowsNode.children.forEach( function( rowNode ) { rowNode.dispose(); } );
+      rowsNode.children = dataTable.getSortedRows().map( createRowNode );
+      noDataText.visible = ( dataTable.rows.length === 0 );
+
+      var sortQuantity = dataTable.sortQuantityProperty.get();
+      var arrow = dataTable.sortAscendingProperty.get() ? ASCENDING_ARROW : DESCENDING_ARROW;
+      COLUMNS.forEach( function( quantity ) {
+        headerTexts[ quantity ].text = QUANTITIES[ quantity ].symbolString +
+                                       ( quantity === sortQuantity ? ' ' + arrow : '' );
+      } );
+    };
+    dataTable.rows.addItemAddedListener( updateRows );
+    dataTable.rows.addItemRemovedListener( updateRows );
+    Property.multilink( [
+      dataTable.sortQuantityProperty,
+      dataTable.sortAscendingProperty,
+      UnitFormatter.VOLTAGE.prefixProperty,
+      UnitFormatter.CURRENT.prefixProperty,
+      UnitFormatter.RESISTANCE.prefixProperty,
+      OhmsLawGlobalOptions.precisionProperty
+    ], updateRows );
+
+    // a11y - announce the new order when the rows are sorted. Present for the lifetime of the sim; no need to unlink.
+    Property.lazyMultilink( [ dataTable.sortQuantityProperty, dataTable.sortAscendingProperty ],
+      function( sortQuantity, sortAscending ) {
+        if ( sortQuantity !== null ) {
+          utteranceQueue.addToBack( new Utterance( StringUtils.fillIn( rowsSortedAlertPatternString, {
+            quantity: QUANTITIES[ sortQuantity ].quantityString,
+            order: sortAscending ? smallestFirstString : largestFirstString
+          } ), { typeId: 'dataTableAlert' } ) );
+        }
+      } );
+
+    var recordButton = new TextPushButton( recordString, {
+      font: FONT,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      maxTextWidth: COLUMN_WIDTH,
+      listener: function() {
+        var row = dataTable.record();
+
+        // a11y
+        utteranceQueue.addToBack( new Utterance( StringUtils.fillIn( rowRecordedAlertPatternString, {
+          row: describeRow( row )
+        } ), { typeId: 'dataTableAlert' } ) );
+      },
+      tandem: tandem.createTandem( 'recordButton' ),
+
+      // a11y
+      accessibleLabel: recordLabelString,
+      accessibleDescription: recordDescriptionString
+    } );
+
+    // The table holds as many rows as fit on the screen. Present for the lifetime of the sim; no need to unlink.
+    var recordEnabledProperty = options.recordEnabledProperty;
+    var updateRecordButton = function() {
+      recordButton.enabled = !dataTable.isFull() && ( !recordEnabledProperty || recordEnabledProperty.get() );
+    };
+    dataTable.rows.lengthProperty.link( updateRecordButton );
+    if ( recordEnabledProperty ) {
+      recordEnabledProperty.lazyLink( updateRecordButton );
+    }
+
+    var exportCSVButton = new TextPushButton( exportCSVString, {
+      font: FONT,
+      baseColor: 'white',
+      maxTextWidth: COLUMN_WIDTH,
+      listener: function() { FileUtils.download( dataTable.toCSV(), 'ohms-law-data.csv', 'text/csv' ); },
+      tandem: tandem.createTandem( 'exportCSVButton' ),
+
+      // a11y
+      accessibleLabel: exportCSVLabelString,
+      accessibleDescription: exportCSVDescriptionString
+    } );
+
+    var exportJSONButton = new TextPushButton( exportJSONString, {
+      font: FONT,
+      baseColor: 'white',
+      maxTextWidth: COLUMN_WIDTH,
+      listener: function() { FileUtils.download( dataTable.toJSON(), 'ohms-law-data.json', 'application/json' ); },
+      tandem: tandem.createTandem( 'exportJSONButton' ),
+
+      // a11y
+      accessibleLabel: exportJSONLabelString,
+      accessibleDescription: exportJSONDescriptionString
+    } );
+
+    // There is nothing to export until a row is recorded. Present for the lifetime of the sim; no need to unlink.
+    dataTable.rows.lengthProperty.link( function( length ) {
+      exportCSVButton.enabled = ( length > 0 );
+      exportJSONButton.enabled = ( length > 0 );
+    } );
+
+    options.children = [
+      headerRow,
+      noDataText,
+      rowsNode,
+      new HBox( { spacing: 8, children: [ recordButton, exportCSVButton, exportJSONButton ] } )
+    ];
+
+    VBox.call( this, _.omit( options, 'recordEnabledProperty' ) );
+  }
+
+  ohmsLaw.register( 'DataTableNode', DataTableNode );
+
+  return inherit( VBox, DataTableNode );
+} );
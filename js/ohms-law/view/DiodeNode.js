@@ -0,0 +1,104 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the diode, a cylindrical body along the wire with the band on the cathode to the left, so that the diode
+ * conducts the current that flows clockwise around the circuit. The circuit symbol is printed on the body.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var inherit = require( 'PHET_CORE/inherit' );
+  var LinearGradient = require( 'SCENERY/util/LinearGradient' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Path = require( 'SCENERY/nodes/Path' );
+  var Property = require( 'AXON/Property' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var Shape = require( 'KITE/Shape' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+
+  // a11y strings
+  var diodeString = OhmsLawA11yStrings.diodeString;
+  var nonOhmicLoadDescriptionPatternString = OhmsLawA11yStrings.nonOhmicLoadDescriptionPatternString;
+
+  // constants
+  var BODY_WIDTH = 120;
+  var BODY_HEIGHT = 36;
+  var BAND_WIDTH = 14;
+  var SYMBOL_SIZE = 16; // width and height of the symbol
+
+  var BODY_FILL = new LinearGradient( 0, -BODY_HEIGHT / 2, 0, BODY_HEIGHT / 2 ) // For 3D effect on the body.
+    .addColorStop( 0, '#222' )
+    .addColorStop( 0.3, '#777' )
+    .addColorStop( 1, '#111' );
+  var BAND_FILL = new LinearGradient( 0, -BODY_HEIGHT / 2, 0, BODY_HEIGHT / 2 )
+    .addColorStop( 0, '#9a9a9a' )
+    .addColorStop( 0.3, '#f2f2f2' )
+    .addColorStop( 1, '#8a8a8a' );
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function DiodeNode( model, tandem, options ) {
+
+    Node.call( this );
+    var self = this;
+
+    // The origin is at the center of the body, on the wire
+    var bodyNode = new Rectangle( -BODY_WIDTH / 2, -BODY_HEIGHT / 2, BODY_WIDTH, BODY_HEIGHT, 8, 8, {
+      fill: BODY_FILL,
+      stroke: '#000',
+      tandem: tandem.createTandem( 'bodyNode' )
+    } );
+    this.addChild( bodyNode );
+
+    var bandNode = new Rectangle( 0, -BODY_HEIGHT / 2, BAND_WIDTH, BODY_HEIGHT, {
+      fill: BAND_FILL,
+      stroke: '#000',
+      left: -BODY_WIDTH / 2 + 10,
+      tandem: tandem.createTandem( 'bandNode' )
+    } );
+    this.addChild( bandNode );
+
+    // circuit symbol, a triangle pointing in the direction of conventional current towards a bar
+    var symbolPath = new Path( new Shape()
+      .moveTo( SYMBOL_SIZE, -SYMBOL_SIZE / 2 )
+      .lineTo( SYMBOL_SIZE, SYMBOL_SIZE / 2 )
+      .lineTo( 0, 0 )
+      .close()
+      .moveTo( 0, -SYMBOL_SIZE / 2 )
+      .lineTo( 0, SYMBOL_SIZE / 2 ), {
+      stroke: '#fff',
+      lineWidth: 2,
+      lineJoin: 'round',
+      centerX: 8,
+      centerY: 0,
+      tandem: tandem.createTandem( 'symbolPath' )
+    } );
+    this.addChild( symbolPath );
+
+    // a11y - Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.loadResistanceProperty, OhmsLawGlobalOptions.precisionProperty ], function( resistance ) {
+      self.accessibleLabelAsHTML = StringUtils.fillIn( nonOhmicLoadDescriptionPatternString, {
+        load: diodeString,
+        resistance: UnitFormatter.toFixed( resistance, OhmsLawConstants.RESISTANCE_SIG_FIGS )
+      } );
+    } );
+
+    this.mutate( options );
+  }
+
+  ohmsLaw.register( 'DiodeNode', DiodeNode );
+
+  return inherit( Node, DiodeNode );
+} );
@@ -0,0 +1,132 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the filament lamp, lying on its side along the wire with the base to the left. The filament and the glow
+ * around the bulb brighten with the power used by the lamp.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Circle = require( 'SCENERY/nodes/Circle' );
+  var Color = require( 'SCENERY/util/Color' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var LinearGradient = require( 'SCENERY/util/LinearGradient' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Path = require( 'SCENERY/nodes/Path' );
+  var Property = require( 'AXON/Property' );
+  var RadialGradient = require( 'SCENERY/util/RadialGradient' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var Shape = require( 'KITE/Shape' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Util = require( 'DOT/Util' );
+
+  // a11y strings
+  var filamentLampString = OhmsLawA11yStrings.filamentLampString;
+  var nonOhmicLoadDescriptionPatternString = OhmsLawA11yStrings.nonOhmicLoadDescriptionPatternString;
+
+  // constants
+  var BULB_RADIUS = 30;
+  var BASE_WIDTH = 30;
+  var BASE_HEIGHT = 26;
+  var GLOW_RADIUS = 2.5 * BULB_RADIUS;
+  var FULL_BRIGHTNESS_POWER = 1000; // in milliwatts, power at which the lamp glows its brightest, empirically determined
+  var COLD_FILAMENT_COLOR = new Color( '#555' );
+  var HOT_FILAMENT_COLOR = new Color( '#ffd200' );
+
+  var BASE_FILL = new LinearGradient( 0, -BASE_HEIGHT / 2, 0, BASE_HEIGHT / 2 ) // For 3D effect on the base.
+    .addColorStop( 0, '#8a8a8a' )
+    .addColorStop( 0.3, '#e6e6e6' )
+    .addColorStop( 1, '#6b6b6b' );
+
+  var GLOW_FILL = new RadialGradient( 0, 0, 0, 0, 0, GLOW_RADIUS )
+    .addColorStop( 0, 'rgba( 255, 240, 120, 1 )' )
+    .addColorStop( 0.4, 'rgba( 255, 220, 60, 0.6 )' )
+    .addColorStop( 1, 'rgba( 255, 220, 60, 0 )' );
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function FilamentLampNode( model, tandem, options ) {
+
+    Node.call( this );
+    var self = this;
+
+    // The origin is at the center of the bulb, on the wire
+    var glowNode = new Circle( GLOW_RADIUS, {
+      fill: GLOW_FILL,
+      opacity: 0,
+      tandem: tandem.createTandem( 'glowNode' )
+    } );
+    this.addChild( glowNode );
+
+    var bulbNode = new Circle( BULB_RADIUS, {
+      fill: 'rgba( 235, 240, 255, 0.95 )',
+      stroke: '#000',
+      tandem: tandem.createTandem( 'bulbNode' )
+    } );
+    this.addChild( bulbNode );
+
+    // two leads from the base hold a coiled filament in the middle of the bulb
+    var leadsPath = new Path( new Shape()
+      .moveTo( -BULB_RADIUS, -6 ).lineTo( -4, -12 )
+      .moveTo( -BULB_RADIUS, 6 ).lineTo( -4, 12 ), {
+      stroke: '#333',
+      lineWidth: 1.5,
+      tandem: tandem.createTandem( 'leadsPath' )
+    } );
+    this.addChild( leadsPath );
+
+    var filamentShape = new Shape().moveTo( -4, -12 );
+    for ( var i = 1; i <= 8; i++ ) {
+      filamentShape.lineTo( i % 2 === 0 ? -4 : 8, -12 + i * 3 );
+    }
+    var filamentPath = new Path( filamentShape, {
+      stroke: COLD_FILAMENT_COLOR,
+      lineWidth: 2,
+      lineJoin: 'round',
+      tandem: tandem.createTandem( 'filamentPath' )
+    } );
+    this.addChild( filamentPath );
+
+    var baseNode = new Rectangle( 0, 0, BASE_WIDTH, BASE_HEIGHT, 3, 3, {
+      fill: BASE_FILL,
+      stroke: '#000',
+      right: -BULB_RADIUS + 6, // overlaps the bulb a little, like the neck of a real bulb
+      centerY: 0,
+      tandem: tandem.createTandem( 'baseNode' )
+    } );
+    this.addChild( baseNode );
+
+    // The lamp glows brighter as it uses more power. Present for the lifetime of the sim; no need to unlink.
+    model.powerProperty.link( function( power ) {
+      var brightness = Util.clamp( power / FULL_BRIGHTNESS_POWER, 0, 1 );
+      glowNode.opacity = brightness;
+      filamentPath.stroke = COLD_FILAMENT_COLOR.blend( HOT_FILAMENT_COLOR, brightness );
+    } );
+
+    // a11y - Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [ model.loadResistanceProperty, OhmsLawGlobalOptions.precisionProperty ], function( resistance ) {
+      self.accessibleLabelAsHTML = StringUtils.fillIn( nonOhmicLoadDescriptionPatternString, {
+        load: filamentLampString,
+        resistance: UnitFormatter.toFixed( resistance, OhmsLawConstants.RESISTANCE_SIG_FIGS )
+      } );
+    } );
+
+    this.mutate( options );
+  }
+
+  ohmsLaw.register( 'FilamentLampNode', FilamentLampNode );
+
+  return inherit( Node, FilamentLampNode );
+} );
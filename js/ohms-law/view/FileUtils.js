@@ -0,0 +1,61 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Saving and opening text files through the browser, for the data table and the session recordings.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var FileUtils = {
+
+    /**
+     * Save text to a file through the download of the browser.
+     * @public
+     *
+     * @param {string} text
+     * @param {string} fileName
+     * @param {string} mimeType
+     */
+    download: function( text, fileName, mimeType ) {
+      var url = window.URL.createObjectURL( new window.Blob( [ text ], { type: mimeType } ) );
+      var link = document.createElement( 'a' );
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild( link );
+      link.click();
+      document.body.removeChild( link );
+      window.URL.revokeObjectURL( url );
+    },
+
+    /**
+     * Ask for a file to open, with the file chooser of the browser, and read it as text. Nothing is called if no file is
+     * chosen.
+     * @public
+     *
+     * @param {string} accept - the kinds of files that can be chosen, like '.json,application/json'
+     * @param {function(string)} callback - called with the text of the file
+     */
+    open: function( accept, callback ) {
+      var input = document.createElement( 'input' );
+      input.type = 'file';
+      input.accept = accept;
+      input.addEventListener( 'change', function() {
+        if ( input.files.length > 0 ) {
+          var reader = new window.FileReader();
+          reader.onload = function() { callback( reader.result ); };
+          reader.readAsText( input.files[ 0 ] );
+        }
+      } );
+      input.click();
+    }
+  };
+
+  ohmsLaw.register( 'FileUtils', FileUtils );
+
+  return FileUtils;
+} );
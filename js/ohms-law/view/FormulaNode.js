@@ -11,6 +11,7 @@ define( function( require ) {
 
   // modules
   var inherit = require( 'PHET_CORE/inherit' );
+  var LoadType = require( 'OHMS_LAW/ohms-law/model/LoadType' );
   var Node = require( 'SCENERY/nodes/Node' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
   var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
@@ -19,11 +20,15 @@ define( function( require ) {
   var PhetFont = require( 'SCENERY_PHET/PhetFont' );
   var Property = require( 'AXON/Property' );
   var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
   var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   var Text = require( 'SCENERY/nodes/Text' );
 
   // strings
   var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var diodeString = require( 'string!OHMS_LAW/diode' );
+  var filamentLampString = require( 'string!OHMS_LAW/filamentLamp' );
+  var resistanceNotConstantPatternString = require( 'string!OHMS_LAW/resistanceNotConstantPattern' );
   var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
   var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
 
@@ -31,6 +36,9 @@ define( function( require ) {
   var relativeSizePatternString = OhmsLawA11yStrings.relativeSizePatternString;
   var ohmsLawEquationString = OhmsLawA11yStrings.ohmsLawEquationString;
   var ohmsLawDefinitionString = OhmsLawA11yStrings.ohmsLawDefinitionString;
+  var nonOhmicFormulaDescriptionPatternString = OhmsLawA11yStrings.nonOhmicFormulaDescriptionPatternString;
+  var filamentLampA11yString = OhmsLawA11yStrings.filamentLampString;
+  var diodeA11yString = OhmsLawA11yStrings.diodeString;
 
   // constants
   var TEXT_FONT = new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 20, weight: 'bold' } );
@@ -38,6 +46,16 @@ define( function( require ) {
   var CURRENT_SCALE_B = 1; // empirically determined
   var OTHERS_SCALE_M = 16; // empirically determined
   var OTHERS_SCALE_B = 4; // empirically determined
+  var NOTE_FONT = new PhetFont( 20 );
+  var NOTE_Y = 110; // below the letters at their default sizes, empirically determined
+
+  // names of the loads that are not ohmic, shown in the note under the formula and in its description
+  var LOAD_TYPE_STRINGS = {};
+  LOAD_TYPE_STRINGS[ LoadType.FILAMENT_LAMP ] = filamentLampString;
+  LOAD_TYPE_STRINGS[ LoadType.DIODE ] = diodeString;
+  var LOAD_TYPE_A11Y_STRINGS = {};
+  LOAD_TYPE_A11Y_STRINGS[ LoadType.FILAMENT_LAMP ] = filamentLampA11yString;
+  LOAD_TYPE_A11Y_STRINGS[ LoadType.DIODE ] = diodeA11yString;
 
   /**
    * @param {OhmsLawModel} model
@@ -80,13 +98,15 @@ define( function( require ) {
     } );
 
     // Create the node that contains the text
-    this.currentLetterNode = new Node( { children: [ getAntiArtifactRectangle( currentText ), currentText ] } );
+    this.currentLetterNode = new Node( { children: [ FormulaNode.getAntiArtifactRectangle( currentText ), currentText ] } );
     var currentXPosition = equalsSign.centerX + 80;
 
-    // Scale the text as the associated value changes. Present for the lifetime of the sim; no need to dispose.
-    model.currentProperty.link( function() {
+    // Scale the text as the associated value changes, so that it pulses with an AC source. Present for the lifetime of
+    // the sim; no need to dispose.
+    model.instantaneousCurrentProperty.link( function() {
       self.currentLetterNode.setTranslation( currentXPosition, 0 );
-      self.currentLetterNode.setScaleMagnitude( CURRENT_SCALE_M * model.getNormalizedCurrent() + CURRENT_SCALE_B );
+      self.currentLetterNode.setScaleMagnitude( CURRENT_SCALE_M * model.getNormalizedInstantaneousCurrent() +
+                                                CURRENT_SCALE_B );
     } );
 
     // Create the Voltage Letter
@@ -99,13 +119,15 @@ define( function( require ) {
     } );
 
     // Create the node that contains the text
-    this.voltageLetterNode = new Node( { children: [ getAntiArtifactRectangle( voltageText ), voltageText ] } );
+    this.voltageLetterNode = new Node( { children: [ FormulaNode.getAntiArtifactRectangle( voltageText ), voltageText ] } );
     var voltageXPosition = equalsSign.centerX - 150;
 
-    // Scale the text as the associated value changes. Present for the lifetime of the sim; no need to dispose.
-    model.voltageProperty.link( function() {
+    // Scale the text as the associated value changes, so that it pulses with an AC source. Present for the lifetime of
+    // the sim; no need to dispose.
+    model.instantaneousVoltageProperty.link( function() {
       self.voltageLetterNode.setTranslation( voltageXPosition, 0 );
-      self.voltageLetterNode.setScaleMagnitude( OTHERS_SCALE_M * model.getNormalizedVoltage() + OTHERS_SCALE_B );
+      self.voltageLetterNode.setScaleMagnitude( OTHERS_SCALE_M * model.getNormalizedInstantaneousVoltage() +
+                                                OTHERS_SCALE_B );
     } );
 
     // Create the Resistance Letter
@@ -118,15 +140,60 @@ define( function( require ) {
     } );
 
     // Create the node that contains the text
-    this.resistanceLetterNode = new Node( { children: [ getAntiArtifactRectangle( resistanceText ), resistanceText ] } );
+    this.resistanceLetterNode = new Node( { children: [ FormulaNode.getAntiArtifactRectangle( resistanceText ), resistanceText ] } );
     var resistanceXPosition = equalsSign.centerX + 240;
 
     // Scale the text as the associated value changes. Present for the lifetime of the sim; no need to dispose.
-    model.resistanceProperty.link( function() {
+    model.loadResistanceProperty.link( function() {
       self.resistanceLetterNode.setTranslation( resistanceXPosition, 0 );
       self.resistanceLetterNode.setScaleMagnitude( OTHERS_SCALE_M * model.getNormalizedResistance() + OTHERS_SCALE_B );
     } );
 
+    // The letter of the quantity that is solved for is colored like the current arrows, the others like the sliders.
+    // For a load that is not ohmic, the resistance is derived too. Present for the lifetime of the sim; no need to
+    // unlink.
+    var letterTexts = {};
+    letterTexts[ SolveFor.VOLTAGE ] = voltageText;
+    letterTexts[ SolveFor.CURRENT ] = currentText;
+    letterTexts[ SolveFor.RESISTANCE ] = resistanceText;
+    Property.multilink( [ model.solveForProperty, model.loadTypeProperty ], function( solveFor ) {
+      SolveFor.VALUES.forEach( function( quantity ) {
+        var derived = ( quantity === solveFor ) || ( quantity === SolveFor.RESISTANCE && !model.isOhmic() );
+        letterTexts[ quantity ].fill = derived ? PhetColorScheme.RED_COLORBLIND : OhmsLawConstants.BLUE_COLOR;
+      } );
+    } );
+
+    // Note that R = V/I is not constant, shown under the formula for a load that is not ohmic
+    var resistanceNotConstantText = new Text( '', {
+      font: NOTE_FONT,
+      fill: PhetColorScheme.RED_COLORBLIND,
+      maxWidth: 2 * equalsSign.centerX,
+      tandem: tandem.createTandem( 'resistanceNotConstantText' )
+    } );
+
+    // a11y - describes what R means for a load that is not ohmic
+    var nonOhmicDescriptionNode = new Node( { tagName: 'p' } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    model.loadTypeProperty.link( function( loadType ) {
+      var ohmic = LoadType.isOhmic( loadType );
+      resistanceNotConstantText.visible = !ohmic;
+      nonOhmicDescriptionNode.visible = !ohmic;
+      if ( !ohmic ) {
+        resistanceNotConstantText.text = StringUtils.fillIn( resistanceNotConstantPatternString, {
+          load: LOAD_TYPE_STRINGS[ loadType ],
+          resistance: resistanceSymbolString,
+          voltage: voltageSymbolString,
+          current: currentSymbolString
+        } );
+        resistanceNotConstantText.centerX = equalsSign.centerX;
+        resistanceNotConstantText.centerY = NOTE_Y;
+        nonOhmicDescriptionNode.accessibleLabelAsHTML = StringUtils.fillIn( nonOhmicFormulaDescriptionPatternString, {
+          load: LOAD_TYPE_A11Y_STRINGS[ loadType ].toLowerCase()
+        } );
+      }
+    } );
+
     // Current letter is added first so that when it gets huge, it doesn't cover anything up.
     this.addChild( self.currentLetterNode );
     this.addChild( self.resistanceLetterNode );
@@ -134,27 +201,26 @@ define( function( require ) {
 
     // must come after letters to be on top
     this.addChild( equalsSign );
+    this.addChild( resistanceNotConstantText );
 
     // add a node for accessibility that describes the relative sizes of the letters
     var descriptionNode = new Node( { tagName: 'p' } );
     this.addChild( descriptionNode );
 
     // when any of the model Properties change, update the accessible description
-    Property.multilink( [ model.currentProperty, model.resistanceProperty, model.voltageProperty ], function( current, resistance, voltage ) {
+    Property.multilink( [ model.currentProperty, model.loadResistanceProperty, model.voltageProperty ], function( current, resistance, voltage ) {
       descriptionNode.accessibleLabelAsHTML = self.getComparativeSizeDescription();
     } );
+    this.addChild( nonOhmicDescriptionNode );
 
-    this.mutate( options );
-  }
+    // The current letter and the description of its size are hidden while the change of the current is predicted.
+    // Present for the lifetime of the sim; no need to unlink.
+    model.currentPrediction.currentVisibleProperty.link( function( currentVisible ) {
+      self.currentLetterNode.visible = currentVisible;
+      descriptionNode.visible = currentVisible;
+    } );
 
-  /**
-   * Add an invisible rectangle with bounds slightly larger than the text so that artifacts aren't left on the
-   * screen, see https://github.com/phetsims/ohms-law/issues/26.
-   * @param {Node} node
-   * @returns {Rectangle}
-   */
-  function getAntiArtifactRectangle( node ) {
-    return Rectangle.bounds( node.bounds.dilatedX( 1 ) );
+    this.mutate( options );
   }
 
   ohmsLaw.register( 'FormulaNode', FormulaNode );
@@ -174,42 +240,46 @@ define( function( require ) {
       var iHeight = this.currentLetterNode.height;
       var vHeight = this.voltageLetterNode.height;
 
-      var vToI = vHeight / iHeight;
-      var vToR = vHeight / rHeight;
+      return StringUtils.fillIn( relativeSizePatternString, {
+        iComparison: FormulaNode.getComparisonDescription( vHeight / iHeight ),
+        rComparison: FormulaNode.getComparisonDescription( vHeight / rHeight )
+      } );
+    }
+  }, {
 
-      // for iteration
-      var i;
-      var describedRange;
+    /**
+     * Map the ratio of the sizes of two letters to one of the comparative descriptions, something like
+     * "much larger than".
+     * @public
+     *
+     * @param {number} ratio - size of the described letter over the size of the letter it is compared to
+     * @return {string}
+     */
+    getComparisonDescription: function( ratio ) {
 
-      // map the relations to the comparative descriptions
       // loop through array of keys to avoid closures every time this is called
       var ranges = OhmsLawConstants.COMPARATIVE_DESCRIPTION_RANGES;
       var keys = Object.keys( ranges );
 
-      // get the relative size description comparing V to I
-      var vToIDescription;
-      for ( i = 0; i < keys.length; i++ ) {
-        describedRange = ranges[ keys[ i ] ];
-        if ( describedRange.range.contains( vToI ) ) {
-          vToIDescription = describedRange.description;
-          break;
+      for ( var i = 0; i < keys.length; i++ ) {
+        var describedRange = ranges[ keys[ i ] ];
+        if ( describedRange.range.contains( ratio ) ) {
+          return describedRange.description;
         }
       }
+      assert && assert( false, 'no description for ratio: ' + ratio );
+    },
 
-      // get the relative size description comparing V to R
-      var vToRDescription;
-      for ( i = 0; i < keys.length; i++ ) {
-        describedRange = ranges[ keys[ i ] ];
-        if ( describedRange.range.contains( vToR ) ) {
-          vToRDescription = describedRange.description;
-          break;
-        }
-      }
-
-      return StringUtils.fillIn( relativeSizePatternString, {
-        iComparison: vToIDescription,
-        rComparison: vToRDescription
-      } );
+    /**
+     * Add an invisible rectangle with bounds slightly larger than the text so that artifacts aren't left on the
+     * screen, see https://github.com/phetsims/ohms-law/issues/26.
+     * @public
+     *
+     * @param {Node} node
+     * @returns {Rectangle}
+     */
+    getAntiArtifactRectangle: function( node ) {
+      return Rectangle.bounds( node.bounds.dilatedX( 1 ) );
     }
   } );
 } );
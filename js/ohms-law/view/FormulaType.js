@@ -0,0 +1,29 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the formulas that can be shown above the circuit.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var FormulaType = {
+    OHMS_LAW: 'ohmsLaw', // V = IR
+    POWER_CURRENT_VOLTAGE: 'powerCurrentVoltage', // P = IV
+    POWER_CURRENT_RESISTANCE: 'powerCurrentResistance' // P = I²R
+  };
+
+  // @public {string[]} - all values of the enumeration
+  FormulaType.VALUES = [ FormulaType.OHMS_LAW, FormulaType.POWER_CURRENT_VOLTAGE, FormulaType.POWER_CURRENT_RESISTANCE ];
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( FormulaType ); }
+
+  ohmsLaw.register( 'FormulaType', FormulaType );
+
+  return FormulaType;
+} );
@@ -0,0 +1,119 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the fuse, a glass cartridge along the wire with metal caps on its ends and a thin wire through it. When the
+ * fuse blows, the wire is broken in the middle and the glass is blackened.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var inherit = require( 'PHET_CORE/inherit' );
+  var LinearGradient = require( 'SCENERY/util/LinearGradient' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var Path = require( 'SCENERY/nodes/Path' );
+  var Property = require( 'AXON/Property' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var Shape = require( 'KITE/Shape' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+
+  // a11y strings
+  var fuseIntactPatternString = OhmsLawA11yStrings.fuseIntactPatternString;
+  var fuseBlownPatternString = OhmsLawA11yStrings.fuseBlownPatternString;
+
+  // constants
+  var WIDTH = OhmsLawConstants.FUSE_WIDTH;
+  var HEIGHT = OhmsLawConstants.FUSE_HEIGHT;
+  var CAP_WIDTH = 12;
+  var GLASS_HEIGHT = HEIGHT - 4;
+  var FILAMENT_GAP = 8; // width of the break in the blown wire
+
+  var CAP_FILL = new LinearGradient( 0, -HEIGHT / 2, 0, HEIGHT / 2 ) // For 3D effect on the caps.
+    .addColorStop( 0, '#8a8a8a' )
+    .addColorStop( 0.3, '#f0f0f0' )
+    .addColorStop( 1, '#6a6a6a' );
+  var GLASS_FILL = 'rgba( 220, 235, 245, 0.8 )';
+  var SCORCHED_GLASS_FILL = 'rgba( 90, 80, 70, 0.6 )';
+
+  /**
+   * @param {Property.<number>} fuseRatingProperty - in milliamps
+   * @param {Property.<boolean>} fuseBlownProperty
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function FuseNode( fuseRatingProperty, fuseBlownProperty, tandem, options ) {
+
+    Node.call( this, {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'li'
+    } );
+    var self = this;
+
+    // The origin is at the center of the fuse, on the wire
+    var glassNode = new Rectangle( -WIDTH / 2 + CAP_WIDTH, -GLASS_HEIGHT / 2, WIDTH - 2 * CAP_WIDTH, GLASS_HEIGHT, {
+      fill: GLASS_FILL,
+      stroke: '#555',
+      tandem: tandem.createTandem( 'glassNode' )
+    } );
+    this.addChild( glassNode );
+
+    var filamentOptions = {
+      stroke: '#333',
+      lineWidth: 1.5
+    };
+    var filamentLength = WIDTH - 2 * CAP_WIDTH;
+    var intactFilament = new Path( new Shape()
+      .moveTo( -filamentLength / 2, 0 )
+      .lineTo( filamentLength / 2, 0 ), filamentOptions );
+    this.addChild( intactFilament );
+
+    // the ends of the broken wire curl away from the break
+    var blownFilament = new Path( new Shape()
+      .moveTo( -filamentLength / 2, 0 )
+      .lineTo( -FILAMENT_GAP / 2, 0 )
+      .lineTo( -FILAMENT_GAP / 2 + 2, -3 )
+      .moveTo( filamentLength / 2, 0 )
+      .lineTo( FILAMENT_GAP / 2, 0 )
+      .lineTo( FILAMENT_GAP / 2 - 2, 3 ), filamentOptions );
+    this.addChild( blownFilament );
+
+    [ -1, 1 ].forEach( function( side ) {
+      self.addChild( new Rectangle( 0, -HEIGHT / 2, CAP_WIDTH, HEIGHT, 2, 2, {
+        fill: CAP_FILL,
+        stroke: '#000',
+        centerX: side * ( WIDTH - CAP_WIDTH ) / 2
+      } ) );
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    fuseBlownProperty.link( function( fuseBlown ) {
+      intactFilament.visible = !fuseBlown;
+      blownFilament.visible = fuseBlown;
+      glassNode.fill = fuseBlown ? SCORCHED_GLASS_FILL : GLASS_FILL;
+    } );
+
+    // a11y - Present for the lifetime of the sim; no need to dispose.
+    Property.multilink( [ fuseRatingProperty, fuseBlownProperty, UnitFormatter.CURRENT.prefixProperty,
+        UnitFormatter.CURRENT.precisionProperty ],
+      function( fuseRating, fuseBlown ) {
+        self.accessibleLabelAsHTML = StringUtils.fillIn( fuseBlown ? fuseBlownPatternString : fuseIntactPatternString, {
+          rating: UnitFormatter.CURRENT.formatAccessible( fuseRating )
+        } );
+      } );
+
+    this.mutate( options );
+  }
+
+  ohmsLaw.register( 'FuseNode', FuseNode );
+
+  return inherit( Node, FuseNode );
+} );
@@ -0,0 +1,116 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * A part of a meter, its body or one of its probes, that can be dragged with the mouse or moved with the arrow keys.
+ * The node follows a position Property in the coordinates of the circuit.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var CircuitSegment = require( 'OHMS_LAW/ohms-law/model/CircuitSegment' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var KeyboardDragListener = require( 'SCENERY_PHET/accessibility/listeners/KeyboardDragListener' );
+  var MovableDragHandler = require( 'SCENERY_PHET/input/MovableDragHandler' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var Property = require( 'AXON/Property' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // a11y strings
+  var probeTouchingPatternString = OhmsLawA11yStrings.probeTouchingPatternString;
+  var probeNotTouchingString = OhmsLawA11yStrings.probeNotTouchingString;
+  var negativeWireString = OhmsLawA11yStrings.negativeWireString;
+  var batteriesSegmentString = OhmsLawA11yStrings.batteriesSegmentString;
+  var positiveWireString = OhmsLawA11yStrings.positiveWireString;
+  var fuseSegmentString = OhmsLawA11yStrings.fuseSegmentString;
+  var loadSegmentString = OhmsLawA11yStrings.loadSegmentString;
+
+  // constants
+  var SEGMENT_STRINGS = {};
+  SEGMENT_STRINGS[ CircuitSegment.NEGATIVE_WIRE ] = negativeWireString;
+  SEGMENT_STRINGS[ CircuitSegment.BATTERIES ] = batteriesSegmentString;
+  SEGMENT_STRINGS[ CircuitSegment.POSITIVE_WIRE ] = positiveWireString;
+  SEGMENT_STRINGS[ CircuitSegment.FUSE ] = fuseSegmentString;
+  SEGMENT_STRINGS[ CircuitSegment.LOAD ] = loadSegmentString;
+
+  /**
+   * @param {Property.<Vector2>} positionProperty - in the coordinates of the circuit
+   * @param {ModelViewTransform2} modelViewTransform - from the coordinates of the circuit to the view
+   * @param {Bounds2} dragBounds - in the coordinates of the circuit
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function MeterPartNode( positionProperty, modelViewTransform, dragBounds, tandem, options ) {
+
+    options = _.extend( {
+      cursor: 'pointer',
+      endDrag: function() {}, // called when the part is released, by mouse or keyboard
+      enabledProperty: new Property( true ), // {Property.<boolean>} - whether the part can be dragged
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      ariaRole: 'application',
+      focusable: true
+    }, options );
+
+    Node.call( this );
+    var self = this;
+
+    this.addInputListener( new MovableDragHandler( positionProperty, {
+      modelViewTransform: modelViewTransform,
+      dragBounds: dragBounds,
+      endDrag: options.endDrag,
+      tandem: tandem.createTandem( 'dragHandler' )
+    } ) );
+
+    // a11y - the arrow keys move the part, faster without the shift key
+    this.addAccessibleInputListener( new KeyboardDragListener( {
+      locationProperty: positionProperty,
+      transform: modelViewTransform,
+      dragBounds: dragBounds,
+      downDelta: 200, // in view coordinates per second, empirically determined
+      shiftDownDelta: 40, // in view coordinates per second, empirically determined
+      end: options.endDrag
+    } ) );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    positionProperty.link( function( position ) {
+      self.translation = modelViewTransform.modelToViewPosition( position );
+    } );
+
+    this.mutate( _.omit( options, [ 'endDrag', 'enabledProperty' ] ) );
+
+    // A disabled part can't be picked up, or focused to be moved with the keyboard. Present for the lifetime of the
+    // sim; no need to unlink.
+    options.enabledProperty.link( function( enabled ) {
+      self.pickable = enabled;
+      self.focusable = enabled;
+      if ( !enabled && self.focused ) {
+        self.blur();
+      }
+    } );
+  }
+
+  ohmsLaw.register( 'MeterPartNode', MeterPartNode );
+
+  return inherit( Node, MeterPartNode, {}, {
+
+    /**
+     * Describe where a probe is on the circuit, like "Touching the wire from the positive terminal."
+     * @public
+     *
+     * @param {string|null} segment - one of CircuitSegment.VALUES, null if the probe is not on the circuit
+     * @returns {string}
+     */
+    getProbeLocationDescription: function( segment ) {
+      return segment === null ? probeNotTouchingString :
+             StringUtils.fillIn( probeTouchingPatternString, { segment: SEGMENT_STRINGS[ segment ] } );
+    }
+  } );
+} );
@@ -0,0 +1,238 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Dialog with a keypad to type an exact value for a slider, which is opened from the readout of a SliderUnit. A value
+ * outside the range of the slider is not entered, and the dialog says why.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var Dialog = require( 'JOIST/Dialog' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var Keypad = require( 'SCENERY_PHET/keypad/Keypad' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  var Util = require( 'DOT/Util' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  var enterString = require( 'string!OHMS_LAW/enter' );
+  var noValueEnteredString = require( 'string!OHMS_LAW/noValueEntered' );
+  var valueEntryTitlePatternString = require( 'string!OHMS_LAW/valueEntryTitlePattern' );
+  var valueOutOfRangePatternString = require( 'string!OHMS_LAW/valueOutOfRangePattern' );
+  var valueRangePatternString = require( 'string!OHMS_LAW/valueRangePattern' );
+
+  // a11y strings
+  var valueEntryDescriptionPatternString = OhmsLawA11yStrings.valueEntryDescriptionPatternString;
+  var enterValueLabelString = OhmsLawA11yStrings.enterValueLabelString;
+  var enterValueDescriptionString = OhmsLawA11yStrings.enterValueDescriptionString;
+  var noValueEnteredAlertString = OhmsLawA11yStrings.noValueEnteredAlertString;
+  var valueOutOfRangeAlertPatternString = OhmsLawA11yStrings.valueOutOfRangeAlertPatternString;
+
+  // constants
+  var FONT = new PhetFont( 16 );
+  var MAX_WIDTH = 220;
+  var RANGE_DECIMAL_PLACES = 3; // the ends of the range are shown rounded to this, since some are computed
+
+  /**
+   * Round a value to RANGE_DECIMAL_PLACES in the given direction, so that the rounded ends of a range are inside it.
+   * @param {number} value
+   * @param {number} direction - 1 to round up, -1 to round down
+   * @returns {number}
+   */
+  function roundInward( value, direction ) {
+    var roundedValue = Util.toFixedNumber( value, RANGE_DECIMAL_PLACES );
+    if ( ( roundedValue - value ) * direction < 0 ) {
+      roundedValue = Util.toFixedNumber( roundedValue + direction * Math.pow( 10, -RANGE_DECIMAL_PLACES ),
+        RANGE_DECIMAL_PLACES );
+    }
+    return roundedValue;
+  }
+
+  /**
+   * @param {Range} range - the values that can be entered, with its ends rounded into it
+   * @param {string} nameString - of the quantity, see setName
+   * @param {string} unitString - the units that the value is typed in
+   * @param {function(number)} enterValue - called with a value in range when it is entered
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function NumberEntryDialog( range, nameString, unitString, enterValue, tandem, options ) {
+
+    var self = this;
+
+    options = _.extend( {
+      modal: true,
+      hasCloseButton: true,
+      tandem: tandem,
+
+      // {function(number):string} - a value as it is read by a screen reader, with its units
+      formatAccessible: function( value ) { return value + ' ' + unitString; }
+    }, options );
+
+    // @private
+    this.unitString = unitString;
+
+    // The values that can be entered are the ones between the ends of the range that are shown, which are rounded
+    // into the range, so that any value that is shown as allowed is allowed.
+    var min = roundInward( range.min, 1 );
+    var max = roundInward( range.max, -1 );
+
+    // @private
+    this.titleText = new Text( '', {
+      font: OhmsLawConstants.NAME_FONT,
+      fill: OhmsLawConstants.BLUE_COLOR,
+      maxWidth: MAX_WIDTH,
+      tandem: tandem.createTandem( 'titleText' )
+    } );
+
+    var keypad = new Keypad( Keypad.PositiveFloatingPointLayout, {
+      maxDigits: 6,
+      maxDigitsRightOfMantissa: 3,
+      tandem: tandem.createTandem( 'keypad' )
+    } );
+
+    // @private
+    this.keypad = keypad;
+
+    // sized for the largest value, the text is set to what is typed below
+    var valueText = new Text( max + ' ' + unitString, {
+      font: OhmsLawConstants.READOUT_FONT,
+      maxWidth: MAX_WIDTH - 20
+    } );
+    var valueBackground = new Rectangle( 0, 0, Math.max( keypad.width, valueText.width + 20 ), valueText.height + 10,
+      4, 4, {
+        fill: 'white',
+        stroke: 'black',
+        children: [ valueText ]
+      } );
+
+    var rangeText = new Text( StringUtils.fillIn( valueRangePatternString, {
+      min: min,
+      max: max,
+      units: unitString
+    } ), {
+      font: FONT,
+      maxWidth: MAX_WIDTH
+    } );
+
+    // @private
+    this.errorText = new Text( '', {
+      font: FONT,
+      fill: PhetColorScheme.RED_COLORBLIND,
+      maxWidth: MAX_WIDTH,
+      tandem: tandem.createTandem( 'errorText' )
+    } );
+
+    /**
+     * Say why a value can't be entered, on the dialog and to a screen reader.
+     * @param {string} errorString
+     * @param {string} alertString
+     */
+    var showError = function( errorString, alertString ) {
+      self.errorText.text = errorString;
+
+      // a11y
+      utteranceQueue.addToBack( new Utterance( alertString, { typeId: 'valueEntryAlert' } ) );
+    };
+
+    var enterButton = new TextPushButton( enterString, {
+      font: FONT,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      maxTextWidth: MAX_WIDTH / 2,
+      listener: function() {
+        var value = keypad.valueProperty.get();
+        if ( value === null ) {
+          showError( noValueEnteredString, noValueEnteredAlertString );
+        }
+        else if ( value < min || value > max ) {
+          showError( StringUtils.fillIn( valueOutOfRangePatternString, {
+            value: value,
+            units: unitString
+          } ), StringUtils.fillIn( valueOutOfRangeAlertPatternString, {
+            value: options.formatAccessible( value ),
+            min: options.formatAccessible( min ),
+            max: options.formatAccessible( max )
+          } ) );
+        }
+        else {
+          self.hide();
+          enterValue( value );
+        }
+      },
+      tandem: tandem.createTandem( 'enterButton' ),
+
+      // a11y
+      accessibleLabel: enterValueLabelString,
+      accessibleDescription: enterValueDescriptionString
+    } );
+
+    // The typed value is shown with its units, and an error is cleared once the value is changed. Present for the
+    // lifetime of the sim; no need to unlink.
+    keypad.stringProperty.link( function( string ) {
+      valueText.text = string + ' ' + unitString;
+      valueText.center = valueBackground.selfBounds.center;
+      self.errorText.text = '';
+    } );
+
+    var content = new VBox( {
+      spacing: 10,
+      children: [ rangeText, valueBackground, keypad, enterButton, this.errorText ],
+
+      // a11y
+      tagName: 'div',
+      accessibleDescription: StringUtils.fillIn( valueEntryDescriptionPatternString, {
+        min: options.formatAccessible( min ),
+        max: options.formatAccessible( max )
+      } )
+    } );
+
+    options.title = this.titleText;
+    Dialog.call( this, content, _.omit( options, 'formatAccessible' ) );
+
+    this.setName( nameString );
+  }
+
+  ohmsLaw.register( 'NumberEntryDialog', NumberEntryDialog );
+
+  return inherit( Dialog, NumberEntryDialog, {
+
+    /**
+     * Show the dialog with nothing typed.
+     * @public
+     * @override
+     */
+    show: function() {
+      this.keypad.clear();
+      this.errorText.text = '';
+      Dialog.prototype.show.call( this );
+    },
+
+    /**
+     * Set the name of the quantity in the title, for a quantity that goes by another name, like the amplitude of the AC
+     * source.
+     * @public
+     *
+     * @param {string} nameString
+     */
+    setName: function( nameString ) {
+      this.titleText.text = StringUtils.fillIn( valueEntryTitlePatternString, {
+        name: nameString,
+        units: this.unitString
+      } );
+    }
+  } );
+} );
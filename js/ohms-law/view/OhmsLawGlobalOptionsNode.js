@@ -0,0 +1,177 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Content of the Options dialog, where the units of each quantity can be locked to one metric prefix instead of
+ * changing with the size of the value, and where the precision of the values that are shown can be chosen.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var AlignGroup = require( 'SCENERY/nodes/AlignGroup' );
+  var AquaRadioButton = require( 'SUN/AquaRadioButton' );
+  var HBox = require( 'SCENERY/nodes/HBox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var MetricPrefix = require( 'OHMS_LAW/ohms-law/model/MetricPrefix' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Precision = require( 'OHMS_LAW/ohms-law/model/Precision' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  var autoUnitsString = require( 'string!OHMS_LAW/autoUnits' );
+  var coarseString = require( 'string!OHMS_LAW/coarse' );
+  var currentString = require( 'string!OHMS_LAW/current' );
+  var fineString = require( 'string!OHMS_LAW/fine' );
+  var normalString = require( 'string!OHMS_LAW/normal' );
+  var precisionString = require( 'string!OHMS_LAW/precision' );
+  var resistanceString = require( 'string!OHMS_LAW/resistance' );
+  var unitsString = require( 'string!OHMS_LAW/units' );
+  var voltageString = require( 'string!OHMS_LAW/voltage' );
+
+  // a11y strings
+  var unitsLabelString = OhmsLawA11yStrings.unitsLabelString;
+  var unitsDescriptionString = OhmsLawA11yStrings.unitsDescriptionString;
+  var voltageUnitsLabelString = OhmsLawA11yStrings.voltageUnitsLabelString;
+  var currentUnitsLabelString = OhmsLawA11yStrings.currentUnitsLabelString;
+  var resistanceUnitsLabelString = OhmsLawA11yStrings.resistanceUnitsLabelString;
+  var automaticUnitsString = OhmsLawA11yStrings.automaticUnitsString;
+  var precisionLabelString = OhmsLawA11yStrings.precisionLabelString;
+  var precisionDescriptionString = OhmsLawA11yStrings.precisionDescriptionString;
+  var coarsePrecisionString = OhmsLawA11yStrings.coarsePrecisionString;
+  var normalPrecisionString = OhmsLawA11yStrings.normalPrecisionString;
+  var finePrecisionString = OhmsLawA11yStrings.finePrecisionString;
+
+  // constants
+  var TITLE_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+  var FONT = new PhetFont( 16 );
+  var MAX_TEXT_WIDTH = 100;
+
+  // labels for the precisions
+  var PRECISION_STRINGS = {};
+  PRECISION_STRINGS[ Precision.COARSE ] = coarseString;
+  PRECISION_STRINGS[ Precision.NORMAL ] = normalString;
+  PRECISION_STRINGS[ Precision.FINE ] = fineString;
+  var PRECISION_A11Y_STRINGS = {};
+  PRECISION_A11Y_STRINGS[ Precision.COARSE ] = coarsePrecisionString;
+  PRECISION_A11Y_STRINGS[ Precision.NORMAL ] = normalPrecisionString;
+  PRECISION_A11Y_STRINGS[ Precision.FINE ] = finePrecisionString;
+
+  /**
+   * Create a row of radio buttons to lock the units of a quantity.
+   * @param {string} nameString
+   * @param {AlignGroup} nameAlignGroup - gives the names the same width, so that the radio buttons line up
+   * @param {UnitFormatter} formatter
+   * @param {string} accessibleLabel
+   * @param {Tandem} tandem
+   * @returns {Node}
+   */
+  function createPrefixRow( nameString, nameAlignGroup, formatter, accessibleLabel, tandem ) {
+    var radioButtons = [ MetricPrefix.AUTO ].concat( formatter.prefixes ).map( function( prefix ) {
+      var isAuto = prefix === MetricPrefix.AUTO;
+      return new AquaRadioButton( formatter.prefixProperty, prefix, new Text(
+        isAuto ? autoUnitsString : formatter.unitsStrings[ prefix ], { font: FONT, maxWidth: MAX_TEXT_WIDTH }
+      ), {
+        radius: 7,
+        tandem: tandem.createTandem( prefix + 'RadioButton' ),
+
+        // a11y
+        accessibleLabel: isAuto ? automaticUnitsString : formatter.accessibleUnitsStrings[ prefix ]
+      } );
+    } );
+
+    var nameText = new Text( nameString, { font: FONT, maxWidth: MAX_TEXT_WIDTH } );
+
+    return new HBox( {
+      spacing: 12, // empirically determined
+      children: [ nameAlignGroup.createBox( nameText, { xAlign: 'left' } ) ].concat( radioButtons ),
+
+      // a11y - contain the radio buttons in a list
+      tagName: 'ul',
+      labelTagName: 'h4',
+      prependLabels: true,
+      accessibleLabel: accessibleLabel
+    } );
+  }
+
+  /**
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function OhmsLawGlobalOptionsNode( tandem ) {
+
+    var nameAlignGroup = new AlignGroup( { matchVertical: false } );
+
+    var unitsNode = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [
+        new Text( unitsString, { font: TITLE_FONT, maxWidth: 400 } ),
+        createPrefixRow( voltageString, nameAlignGroup, UnitFormatter.VOLTAGE, voltageUnitsLabelString,
+          tandem.createTandem( 'voltageUnits' ) ),
+        createPrefixRow( currentString, nameAlignGroup, UnitFormatter.CURRENT, currentUnitsLabelString,
+          tandem.createTandem( 'currentUnits' ) ),
+        createPrefixRow( resistanceString, nameAlignGroup, UnitFormatter.RESISTANCE, resistanceUnitsLabelString,
+          tandem.createTandem( 'resistanceUnits' ) )
+      ],
+
+      // a11y
+      tagName: 'div',
+      labelTagName: 'h3',
+      prependLabels: true,
+      accessibleLabel: unitsLabelString,
+      accessibleDescription: unitsDescriptionString
+    } );
+
+    var precisionRadioButtons = Precision.VALUES.map( function( precision ) {
+      return new AquaRadioButton( OhmsLawGlobalOptions.precisionProperty, precision, new Text(
+        PRECISION_STRINGS[ precision ], { font: FONT, maxWidth: MAX_TEXT_WIDTH }
+      ), {
+        radius: 7,
+        tandem: tandem.createTandem( precision + 'PrecisionRadioButton' ),
+
+        // a11y
+        accessibleLabel: PRECISION_A11Y_STRINGS[ precision ]
+      } );
+    } );
+
+    var precisionNode = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [
+        new Text( precisionString, { font: TITLE_FONT, maxWidth: 400 } ),
+        new HBox( {
+          spacing: 12, // empirically determined
+          children: precisionRadioButtons,
+
+          // a11y - contain the radio buttons in a list
+          tagName: 'ul'
+        } )
+      ],
+
+      // a11y
+      tagName: 'div',
+      labelTagName: 'h3',
+      prependLabels: true,
+      accessibleLabel: precisionLabelString,
+      accessibleDescription: precisionDescriptionString
+    } );
+
+    VBox.call( this, {
+      spacing: 20, // empirically determined
+      align: 'left',
+      children: [ unitsNode, precisionNode ],
+      tandem: tandem
+    } );
+  }
+
+  ohmsLaw.register( 'OhmsLawGlobalOptionsNode', OhmsLawGlobalOptionsNode );
+
+  return inherit( VBox, OhmsLawGlobalOptionsNode );
+} );
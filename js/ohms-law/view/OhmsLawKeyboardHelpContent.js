@@ -12,10 +12,24 @@ define( function( require ) {
   // modules
   var GeneralNavigationHelpContent = require( 'SCENERY_PHET/keyboard/help/GeneralNavigationHelpContent' );
   var HBox = require( 'SCENERY/nodes/HBox' );
+  var HelpContent = require( 'SCENERY_PHET/keyboard/help/HelpContent' );
   var inherit = require( 'PHET_CORE/inherit' );
+  var LetterKeyNode = require( 'SCENERY_PHET/keyboard/LetterKeyNode' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
   var Panel = require( 'SUN/Panel' );
   var SliderControlsHelpContent = require( 'SCENERY_PHET/keyboard/help/SliderControlsHelpContent' );
+  var TextKeyNode = require( 'SCENERY_PHET/keyboard/TextKeyNode' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  var redoSliderChangeString = require( 'string!OHMS_LAW/redoSliderChange' );
+  var undoRedoHeadingString = require( 'string!OHMS_LAW/undoRedoHeading' );
+  var undoSliderChangeString = require( 'string!OHMS_LAW/undoSliderChange' );
+
+  // a11y strings
+  var undoKeyDescriptionString = OhmsLawA11yStrings.undoKeyDescriptionString;
+  var redoKeyDescriptionString = OhmsLawA11yStrings.redoKeyDescriptionString;
 
   /**
    * Constructor.
@@ -28,8 +42,19 @@ define( function( require ) {
     var sliderControlsHelpContent = new SliderControlsHelpContent();
     var generalNavigationHelpContent = new GeneralNavigationHelpContent();
 
+    // the keys that undo and redo the changes made with the sliders, see OhmsLawScreenView
+    var undoRedoHelpContent = new HelpContent( undoRedoHeadingString, [
+      HelpContent.labelWithIcon( undoSliderChangeString,
+        HelpContent.iconPlusIcon( new TextKeyNode( 'Ctrl' ), new LetterKeyNode( 'Z' ) ), undoKeyDescriptionString ),
+      HelpContent.labelWithIcon( redoSliderChangeString,
+        HelpContent.iconPlusIcon( new TextKeyNode( 'Ctrl' ), new LetterKeyNode( 'Y' ) ), redoKeyDescriptionString )
+    ] );
+
     var content = new HBox( {
-      children: [ sliderControlsHelpContent, generalNavigationHelpContent ],
+      children: [
+        new VBox( { children: [ sliderControlsHelpContent, undoRedoHelpContent ], align: 'left', spacing: 30 } ),
+        generalNavigationHelpContent
+      ],
       align: 'top',
       spacing: 30
     } );
@@ -17,8 +17,9 @@ define( function( require ) {
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
   var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
   var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
-  var Util = require( 'DOT/Util' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
 
   // strings
   var summaryLookForSlidersString = OhmsLawA11yStrings.summaryLookForSlidersString;
@@ -28,6 +29,8 @@ define( function( require ) {
   var voltageSummaryPatternString = OhmsLawA11yStrings.voltageSummaryPatternString;
   var resistanceSummaryPatternString = OhmsLawA11yStrings.resistanceSummaryPatternString;
   var currentSummaryPatternString = OhmsLawA11yStrings.currentSummaryPatternString;
+  var currentHiddenString = OhmsLawA11yStrings.currentHiddenString;
+  var powerSummaryPatternString = OhmsLawA11yStrings.powerSummaryPatternString;
   var checkOutShortcutsString = JoistA11yStrings.checkOutShortcutsString;
 
   function OhmsLawSceneSummaryNode( model ) {
@@ -47,7 +50,8 @@ define( function( require ) {
     var valueVoltageItemNode = new Node( { tagName: 'li' } );
     var valueResistanceItemNode = new Node( { tagName: 'li' } );
     var valueCurrentItemNode = new Node( { tagName: 'li' } );
-    valueListNode.children = [ valueVoltageItemNode, valueResistanceItemNode, valueCurrentItemNode ];
+    var valuePowerItemNode = new Node( { tagName: 'li' } );
+    valueListNode.children = [ valueVoltageItemNode, valueResistanceItemNode, valueCurrentItemNode, valuePowerItemNode ];
 
     var sliderParagraphNode = new Node( { tagName: 'p', accessibleLabel: summaryLookForSlidersString } );
     var shortcutParagraphNode = new Node( { tagName: 'p', accessibleLabel: checkOutShortcutsString } );
@@ -59,6 +63,9 @@ define( function( require ) {
     this.addChild( sliderParagraphNode );
     this.addChild( shortcutParagraphNode );
 
+    // the current is hidden while its change is predicted
+    var currentVisibleProperty = model.currentPrediction.currentVisibleProperty;
+
     // add all values to a list so we can easily iterate and add listeners to update descriptions
     // with each property
     var valueItemList = [
@@ -66,31 +73,54 @@ define( function( require ) {
         property: model.voltageProperty,
         patternString: voltageSummaryPatternString,
         node: valueVoltageItemNode,
-        precision: OhmsLawConstants.VOLTAGE_SIG_FIGS
+        formatter: UnitFormatter.VOLTAGE
       },
       {
-        property: model.resistanceProperty,
+        property: model.loadResistanceProperty,
         patternString: resistanceSummaryPatternString,
         node: valueResistanceItemNode,
-        precision: OhmsLawConstants.RESISTANCE_SIG_FIGS
+        formatter: UnitFormatter.RESISTANCE
       },
       {
         property: model.currentProperty,
         patternString: currentSummaryPatternString,
         node: valueCurrentItemNode,
-        precision: OhmsLawConstants.CURRENT_SIG_FIGS
+        formatter: UnitFormatter.CURRENT,
+        hiddenString: currentHiddenString
+      },
+
+      // the power is always in milliwatts
+      {
+        property: model.powerProperty,
+        patternString: powerSummaryPatternString,
+        node: valuePowerItemNode,
+        decimalPlaces: OhmsLawConstants.POWER_SIG_FIGS
       }
     ];
 
     // register listeners that update the labels in the scene summary - this summary exists for life of sim,
     // no need to dispose
     valueItemList.forEach( function( item ) {
-      item.property.link( function( value ) {
+      var updateLabel = function() {
+        var value = item.property.get();
         item.node.accessibleLabelAsHTML = StringUtils.fillIn( item.patternString, {
-          value: Util.toFixed( value, item.precision )
+          value: item.hiddenString && !currentVisibleProperty.get() ? item.hiddenString :
+                 item.formatter ? item.formatter.formatAccessible( value ) :
+                 UnitFormatter.toFixed( value, item.decimalPlaces )
         } );
-      } );
+      };
+      item.property.link( updateLabel );
+      if ( item.hiddenString ) {
+        currentVisibleProperty.lazyLink( updateLabel );
+      }
+      if ( item.formatter ) {
+        item.formatter.prefixProperty.lazyLink( updateLabel );
+      }
+      OhmsLawGlobalOptions.precisionProperty.lazyLink( updateLabel );
     } );
+
+    // the power changes with the current, so it is left out while the current is hidden
+    currentVisibleProperty.linkAttribute( valuePowerItemNode, 'visible' );
   }
 
   ohmsLaw.register( 'OhmsLawSceneSummaryNode', OhmsLawSceneSummaryNode );
@@ -11,31 +11,114 @@ define( function( require ) {
 
   // modules
   var AccessibleSectionNode = require( 'SCENERY_PHET/accessibility/AccessibleSectionNode' );
+  var AccordionBox = require( 'SUN/AccordionBox' );
+  var AmmeterNode = require( 'OHMS_LAW/ohms-law/view/AmmeterNode' );
   var BooleanProperty = require( 'AXON/BooleanProperty' );
+  var CircuitOptionsPanel = require( 'OHMS_LAW/ohms-law/view/CircuitOptionsPanel' );
+  var ColorBandsType = require( 'OHMS_LAW/ohms-law/model/ColorBandsType' );
   var ControlPanel = require( 'OHMS_LAW/ohms-law/view/ControlPanel' );
+  var CurrentPredictionPanel = require( 'OHMS_LAW/ohms-law/view/CurrentPredictionPanel' );
+  var CurrentVoltageGraphNode = require( 'OHMS_LAW/ohms-law/view/CurrentVoltageGraphNode' );
+  var DataTableNode = require( 'OHMS_LAW/ohms-law/view/DataTableNode' );
+  var DerivedProperty = require( 'AXON/DerivedProperty' );
   var FormulaNode = require( 'OHMS_LAW/ohms-law/view/FormulaNode' );
+  var FormulaType = require( 'OHMS_LAW/ohms-law/view/FormulaType' );
   var HBox = require( 'SCENERY/nodes/HBox' );
   var inherit = require( 'PHET_CORE/inherit' );
   var JoistA11yStrings = require( 'JOIST/JoistA11yStrings' );
+  var LoadType = require( 'OHMS_LAW/ohms-law/model/LoadType' );
+  var ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
   var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawModel = require( 'OHMS_LAW/ohms-law/model/OhmsLawModel' );
   var OhmsLawSceneSummaryNode = require( 'OHMS_LAW/ohms-law/view/OhmsLawSceneSummaryNode' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var PlayPauseButton = require( 'SCENERY_PHET/buttons/PlayPauseButton' );
+  var PowerFormulaNode = require( 'OHMS_LAW/ohms-law/view/PowerFormulaNode' );
+  var PredictionState = require( 'OHMS_LAW/ohms-law/model/PredictionState' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var Range = require( 'DOT/Range' );
+  var RecorderState = require( 'OHMS_LAW/ohms-law/view/RecorderState' );
   var ResetAllButton = require( 'SCENERY_PHET/buttons/ResetAllButton' );
+  var ResistorMaterial = require( 'OHMS_LAW/ohms-law/model/ResistorMaterial' );
   var ScreenView = require( 'JOIST/ScreenView' );
+  var SessionRecorder = require( 'OHMS_LAW/ohms-law/view/SessionRecorder' );
+  var SessionRecorderNode = require( 'OHMS_LAW/ohms-law/view/SessionRecorderNode' );
+  var ShareLinkNode = require( 'OHMS_LAW/ohms-law/view/ShareLinkNode' );
+  var SizeChange = require( 'OHMS_LAW/ohms-law/model/SizeChange' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
   var Sound = require( 'VIBE/Sound' );
   var SoundToggleButton = require( 'SCENERY_PHET/buttons/SoundToggleButton' );
+  var SourceType = require( 'OHMS_LAW/ohms-law/model/SourceType' );
+  var StandardSeries = require( 'OHMS_LAW/ohms-law/model/StandardSeries' );
+  var StringIO = require( 'ifphetio!PHET_IO/types/StringIO' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+  var Vector2 = require( 'DOT/Vector2' );
+  var VerticalAquaRadioButtonGroup = require( 'SUN/VerticalAquaRadioButtonGroup' );
+  var VoltmeterNode = require( 'OHMS_LAW/ohms-law/view/VoltmeterNode' );
   var WireBox = require( 'OHMS_LAW/ohms-law/view/WireBox' );
 
+  // strings
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var currentVoltageGraphString = require( 'string!OHMS_LAW/currentVoltageGraph' );
+  var dataTableString = require( 'string!OHMS_LAW/dataTable' );
+  var powerSymbolString = require( 'string!OHMS_LAW/powerSymbol' );
+  var redoString = require( 'string!OHMS_LAW/redo' );
+  var sessionRecordingString = require( 'string!OHMS_LAW/sessionRecording' );
+  var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
+  var undoString = require( 'string!OHMS_LAW/undo' );
+  var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
+
   // audio
   // The sounds themselves can be constants because there is only every one instance of OhmsLawScreenView.
   var ADD_BATTERY_SOUND = new Sound( require( 'audio!OHMS_LAW/add-battery' ) );
   var REMOVE_BATTERY_SOUND = new Sound( require( 'audio!OHMS_LAW/remove-battery' ) );
+  var BLOW_FUSE_SOUND = new Sound( require( 'audio!OHMS_LAW/blow-fuse' ) );
 
   // a11y strings
   var ohmsLawTitleString = OhmsLawA11yStrings.ohmsLawTitleString;
   var playAreaString = JoistA11yStrings.playAreaString;
   var controlPanelString = JoistA11yStrings.controlPanelString;
+  var equationChoiceLabelString = OhmsLawA11yStrings.equationChoiceLabelString;
+  var equationChoiceDescriptionString = OhmsLawA11yStrings.equationChoiceDescriptionString;
+  var ohmsLawEquationChoiceString = OhmsLawA11yStrings.ohmsLawEquationChoiceString;
+  var powerCurrentVoltageEquationChoiceString = OhmsLawA11yStrings.powerCurrentVoltageEquationChoiceString;
+  var powerCurrentResistanceEquationChoiceString = OhmsLawA11yStrings.powerCurrentResistanceEquationChoiceString;
+  var currentVoltageGraphLabelString = OhmsLawA11yStrings.currentVoltageGraphLabelString;
+  var dataTableLabelString = OhmsLawA11yStrings.dataTableLabelString;
+  var undoLabelString = OhmsLawA11yStrings.undoLabelString;
+  var undoDescriptionString = OhmsLawA11yStrings.undoDescriptionString;
+  var redoLabelString = OhmsLawA11yStrings.redoLabelString;
+  var redoDescriptionString = OhmsLawA11yStrings.redoDescriptionString;
+  var sessionRecordingLabelString = OhmsLawA11yStrings.sessionRecordingLabelString;
+  var fuseBlownAlertString = OhmsLawA11yStrings.fuseBlownAlertString;
+
+  // constants
+  var EQUATION_CHOICE_FONT = new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 18, weight: 'bold' } );
+  var UNDO_REDO_FONT = new PhetFont( 16 );
+
+  // how the positions of the meters are recorded by the session recorder
+  var VECTOR2_OPTIONS = {
+    toJSON: function( position ) {
+      return { x: position.x, y: position.y };
+    },
+    fromJSON: function( json ) {
+      return new Vector2( json.x, json.y );
+    },
+    isValidJSON: function( json ) {
+      return _.isPlainObject( json ) && typeof json.x === 'number' && isFinite( json.x ) &&
+             typeof json.y === 'number' && isFinite( json.y );
+    }
+  };
+
+  // values of the session recorder that are not limited by a slider, like the counts of the prediction
+  var NON_NEGATIVE_RANGE = new Range( 0, Number.POSITIVE_INFINITY );
 
   /**
    * @param {OhmsLawModel} model
@@ -44,11 +127,38 @@ define( function( require ) {
    */
   function OhmsLawScreenView( model, tandem ) {
 
+    var self = this;
+
     // {Property.<boolean>}
     var soundActiveProperty = new BooleanProperty( true, {
       tandem: tandem.createTandem( 'soundActiveProperty' )
     } );
 
+    // {Property.<string>} - the formula that is shown, one of FormulaType.VALUES
+    var formulaTypeProperty = new Property( FormulaType.OHMS_LAW, {
+      tandem: tandem.createTandem( 'formulaTypeProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: FormulaType.VALUES
+    } );
+
+    // {Property.<boolean>} - whether the graph of current against voltage is shown
+    var graphExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'graphExpandedProperty' )
+    } );
+
+    // {Property.<boolean>} - whether the table of recorded values is shown
+    var dataTableExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'dataTableExpandedProperty' )
+    } );
+
+    // {Property.<boolean>} - whether the controls of the session recorder are shown
+    var sessionRecorderExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'sessionRecorderExpandedProperty' )
+    } );
+
+    // @private - records what is done on this screen, and plays it back
+    this.sessionRecorder = new SessionRecorder( tandem.createTandem( 'sessionRecorder' ) );
+
     ScreenView.call( this, {
       accessibleLabel: ohmsLawTitleString,
       tandem: tandem
@@ -59,16 +169,172 @@ define( function( require ) {
       pickable: false
     } );
 
+    // Nodes of the power equations, laid out to be swapped with the ohm's law equation, see PowerFormulaNode.
+    var powerCurrentVoltageFormulaNode = new PowerFormulaNode( model, tandem.createTandem( 'powerCurrentVoltageFormulaNode' ), {
+      formulaType: FormulaType.POWER_CURRENT_VOLTAGE,
+      pickable: false
+    } );
+    var powerCurrentResistanceFormulaNode = new PowerFormulaNode( model, tandem.createTandem( 'powerCurrentResistanceFormulaNode' ), {
+      formulaType: FormulaType.POWER_CURRENT_RESISTANCE,
+      pickable: false
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    formulaTypeProperty.link( function( formulaType ) {
+      formulaNode.visible = ( formulaType === FormulaType.OHMS_LAW );
+      powerCurrentVoltageFormulaNode.visible = ( formulaType === FormulaType.POWER_CURRENT_VOLTAGE );
+      powerCurrentResistanceFormulaNode.visible = ( formulaType === FormulaType.POWER_CURRENT_RESISTANCE );
+    } );
+
+    // Radio buttons to choose the formula
+    var equationChoiceItems = [
+      {
+        value: FormulaType.OHMS_LAW,
+        text: voltageSymbolString + ' = ' + currentSymbolString + resistanceSymbolString,
+        accessibleLabel: ohmsLawEquationChoiceString
+      },
+      {
+        value: FormulaType.POWER_CURRENT_VOLTAGE,
+        text: powerSymbolString + ' = ' + currentSymbolString + voltageSymbolString,
+        accessibleLabel: powerCurrentVoltageEquationChoiceString
+      },
+      {
+        value: FormulaType.POWER_CURRENT_RESISTANCE,
+        text: powerSymbolString + ' = ' + currentSymbolString + '\u00b2' + resistanceSymbolString,
+        accessibleLabel: powerCurrentResistanceEquationChoiceString
+      }
+    ];
+    var formulaRadioButtonGroup = new VerticalAquaRadioButtonGroup( equationChoiceItems.map( function( item ) {
+      return {
+        node: new Text( item.text, { font: EQUATION_CHOICE_FONT, fill: OhmsLawConstants.BLUE_COLOR } ),
+        property: formulaTypeProperty,
+        value: item.value,
+        tandemName: item.value + 'RadioButton',
+        accessibleLabel: item.accessibleLabel
+      };
+    } ), {
+      radius: 8,
+      spacing: 6,
+      tandem: tandem.createTandem( 'formulaRadioButtonGroup' ),
+
+      // a11y
+      labelTagName: 'h3',
+      accessibleLabel: equationChoiceLabelString,
+      accessibleDescription: equationChoiceDescriptionString
+    } );
+
+    // @private - graph of current against voltage, in a box that can be collapsed to make room for the formula
+    this.graphNode = new CurrentVoltageGraphNode( model, tandem.createTandem( 'graphNode' ) );
+    var graphAccordionBox = new AccordionBox( this.graphNode, {
+      titleNode: new Text( currentVoltageGraphString, { font: EQUATION_CHOICE_FONT, maxWidth: 180 } ),
+      expandedProperty: graphExpandedProperty,
+      fill: 'white',
+      cornerRadius: 6,
+      buttonXMargin: 6,
+      buttonYMargin: 6,
+      contentXMargin: 10,
+      contentYMargin: 8,
+      tandem: tandem.createTandem( 'graphAccordionBox' ),
+
+      // a11y
+      labelTagName: 'h3',
+      accessibleLabel: currentVoltageGraphLabelString
+    } );
+
+    // table of the recorded voltage, resistance and current, below the graph, which can't record the current while it
+    // is hidden to be predicted
+    var dataTableAccordionBox = new AccordionBox(
+      new DataTableNode( model.dataTable, tandem.createTandem( 'dataTableNode' ), {
+        recordEnabledProperty: model.currentPrediction.currentVisibleProperty
+      } ), {
+        titleNode: new Text( dataTableString, { font: EQUATION_CHOICE_FONT, maxWidth: 180 } ),
+        expandedProperty: dataTableExpandedProperty,
+        fill: 'white',
+        cornerRadius: 6,
+        buttonXMargin: 6,
+        buttonYMargin: 6,
+        contentXMargin: 10,
+        contentYMargin: 8,
+        tandem: tandem.createTandem( 'dataTableAccordionBox' ),
+
+        // a11y
+        labelTagName: 'h3',
+        accessibleLabel: dataTableLabelString
+      } );
+
+    // controls of the session recorder, below the data table
+    var sessionRecorderAccordionBox = new AccordionBox(
+      new SessionRecorderNode( this.sessionRecorder, tandem.createTandem( 'sessionRecorderNode' ) ), {
+        titleNode: new Text( sessionRecordingString, { font: EQUATION_CHOICE_FONT, maxWidth: 180 } ),
+        expandedProperty: sessionRecorderExpandedProperty,
+        fill: 'white',
+        cornerRadius: 6,
+        buttonXMargin: 6,
+        buttonYMargin: 6,
+        contentXMargin: 10,
+        contentYMargin: 8,
+        tandem: tandem.createTandem( 'sessionRecorderAccordionBox' ),
+
+        // a11y
+        labelTagName: 'h3',
+        accessibleLabel: sessionRecordingLabelString
+      } );
+
+    var accordionBoxes = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ graphAccordionBox, dataTableAccordionBox, sessionRecorderAccordionBox ]
+    } );
+
     // Circuit node with readout node
     var wireBox = new WireBox( model, tandem.createTandem( 'wireBox' ), {
-      pickable: false
+      pickable: false,
+      readoutVisibleProperty: model.currentPrediction.currentVisibleProperty
     } );
 
     // a11y - the scene summary to be read by assistive technology
     this.addChild( new OhmsLawSceneSummaryNode( model ) );
 
+    // Nothing else can change the current while its change is predicted, and nothing can change what a recording that
+    // is played back changes. The controls are disabled, so that they can't be used with the keyboard either.
+    var predictingProperty = new DerivedProperty( [ model.currentPrediction.stateProperty ], function( state ) {
+      return state === PredictionState.PREDICTING;
+    } );
+    var playingBackProperty = new DerivedProperty( [ this.sessionRecorder.stateProperty ], function( state ) {
+      return state === RecorderState.PLAYING;
+    } );
+    var slidersLockedProperty = new DerivedProperty( [ predictingProperty, playingBackProperty ],
+      function( predicting, playingBack ) {
+        return predicting || playingBack;
+      } );
+    var slidersEnabledProperty = new DerivedProperty( [ slidersLockedProperty ], function( slidersLocked ) {
+      return !slidersLocked;
+    } );
+    var notPlayingBackProperty = new DerivedProperty( [ playingBackProperty ], function( playingBack ) {
+      return !playingBack;
+    } );
+
     // Create the control panel with sliders.
-    var controlPanel = new ControlPanel( model.voltageProperty, model.resistanceProperty, model.currentProperty, tandem.createTandem( 'controlPanel' ) );
+    var controlPanel = new ControlPanel( model, tandem.createTandem( 'controlPanel' ), {
+      enabledProperty: slidersEnabledProperty
+    } );
+
+    // Options that add non-ideal behavior to the circuit. Replacing the fuse is played back as a whole by the session
+    // recorder, and the fuse blows again by itself when the current that is played back is too large.
+    var circuitOptionsPanel = new CircuitOptionsPanel( model, tandem.createTandem( 'circuitOptionsPanel' ), {
+      enabledProperty: slidersEnabledProperty,
+      replaceFuse: this.sessionRecorder.addAction( 'replaceFuse', function() {
+        model.replaceFuse();
+      } )
+    } );
+
+    // Activity where the change of the current is predicted before it is shown
+    var currentPredictionPanel = new CurrentPredictionPanel( model, tandem.createTandem( 'currentPredictionPanel' ), {
+      enabledProperty: notPlayingBackProperty
+    } );
+
+    // Link that opens the sim at the same setup
+    var shareLinkNode = new ShareLinkNode( model, tandem.createTandem( 'shareLinkNode' ) );
 
     // Sound on/off toggle button
     var soundToggleButton = new SoundToggleButton( soundActiveProperty, {
@@ -77,12 +343,91 @@ define( function( require ) {
       tandem: tandem.createTandem( 'soundToggleButton' )
     } );
 
+    // Pauses the motion of the charges and the other time-based behavior of the circuit
+    var playPauseButton = new PlayPauseButton( model.isPlayingProperty, {
+      radius: 22,
+      tandem: tandem.createTandem( 'playPauseButton' )
+    } );
+
+    // Changes made with the sliders can be undone and redone, except while the sliders are locked
+    var undoEnabledProperty = new DerivedProperty( [ model.changeHistory.canUndoProperty, slidersLockedProperty ],
+      function( canUndo, slidersLocked ) {
+        return canUndo && !slidersLocked;
+      } );
+    var redoEnabledProperty = new DerivedProperty( [ model.changeHistory.canRedoProperty, slidersLockedProperty ],
+      function( canRedo, slidersLocked ) {
+        return canRedo && !slidersLocked;
+      } );
+
+    var undoButton = new TextPushButton( undoString, {
+      font: UNDO_REDO_FONT,
+      baseColor: 'white',
+      maxTextWidth: 80,
+      listener: function() { controlPanel.undo(); },
+      tandem: tandem.createTandem( 'undoButton' ),
+
+      // a11y
+      accessibleLabel: undoLabelString,
+      accessibleDescription: undoDescriptionString
+    } );
+    var redoButton = new TextPushButton( redoString, {
+      font: UNDO_REDO_FONT,
+      baseColor: 'white',
+      maxTextWidth: 80,
+      listener: function() { controlPanel.redo(); },
+      tandem: tandem.createTandem( 'redoButton' ),
+
+      // a11y
+      accessibleLabel: redoLabelString,
+      accessibleDescription: redoDescriptionString
+    } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    undoEnabledProperty.linkAttribute( undoButton, 'enabled' );
+    redoEnabledProperty.linkAttribute( redoButton, 'enabled' );
+
+    // Ctrl+Z undoes, and Ctrl+Y or Ctrl+Shift+Z redoes, while this screen is shown. Cmd is Ctrl on a Mac. See
+    // OhmsLawKeyboardHelpContent. Text fields keep their own undo, and the sliders are not changed behind a dialog.
+    // Present for the lifetime of the sim; no need to remove the listener.
+    window.addEventListener( 'keydown', function( event ) {
+      if ( !self.visible || !( event.ctrlKey || event.metaKey ) || event.altKey ) {
+        return;
+      }
+      var target = event.target;
+      if ( target && ( target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable ) ) {
+        return;
+      }
+      if ( phet.joist.sim && phet.joist.sim.modalNodeStack.length > 0 ) {
+        return;
+      }
+      var key = event.key && event.key.toLowerCase();
+      if ( key === 'z' && !event.shiftKey ) {
+        event.preventDefault();
+        if ( undoEnabledProperty.get() ) {
+          controlPanel.undo();
+        }
+      }
+      else if ( key === 'y' || ( key === 'z' && event.shiftKey ) ) {
+        event.preventDefault();
+        if ( redoEnabledProperty.get() ) {
+          controlPanel.redo();
+        }
+      }
+    } );
+
+    // Reset All is played back as a whole by the session recorder. The controls of the recorder are left as they are, so
+    // that a recording can still be stopped.
     var resetAllButton = new ResetAllButton( {
       radius: 28,
-      listener: function() {
+      listener: this.sessionRecorder.addAction( 'resetAll', function() {
         model.reset();
         soundActiveProperty.reset();
-      },
+        formulaTypeProperty.reset();
+        graphExpandedProperty.reset();
+        dataTableExpandedProperty.reset();
+        shareLinkNode.reset();
+        self.graphNode.reset();
+      } ),
       tandem: tandem.createTandem( 'resetAllButton' )
     } );
 
@@ -90,23 +435,42 @@ define( function( require ) {
     var playAreaNode = new AccessibleSectionNode( playAreaString );
     this.addChild( playAreaNode );
 
-    // sound and reset all buttons contained in a "Control Panel", structure available to assistive technology
+    // play/pause, sound and reset all buttons contained in a "Control Panel", structure available to assistive
+    // technology
     var controlPanelSectionNode = new AccessibleSectionNode( controlPanelString );
     this.addChild( controlPanelSectionNode );
 
     var buttons = new HBox( {
-      spacing: 60, // empirically determined
-      children: [ soundToggleButton, resetAllButton ]
+      spacing: 25, // empirically determined
+      children: [
+        playPauseButton,
+        soundToggleButton,
+        new HBox( { spacing: 8, children: [ undoButton, redoButton ] } ),
+        resetAllButton
+      ]
     } );
 
     // children
     playAreaNode.addChild( formulaNode );
+    playAreaNode.addChild( powerCurrentVoltageFormulaNode );
+    playAreaNode.addChild( powerCurrentResistanceFormulaNode );
+    playAreaNode.addChild( formulaRadioButtonGroup );
     playAreaNode.addChild( wireBox );
     playAreaNode.addChild( controlPanel );
+    playAreaNode.addChild( circuitOptionsPanel );
+    playAreaNode.addChild( accordionBoxes );
+    playAreaNode.addChild( currentPredictionPanel );
+    playAreaNode.addChild( shareLinkNode );
     controlPanelSectionNode.addChild( buttons );
 
     // layout for the screen
     formulaNode.centerY = this.layoutBounds.bottom / 4.75;
+    powerCurrentVoltageFormulaNode.translation = formulaNode.translation;
+    powerCurrentResistanceFormulaNode.translation = formulaNode.translation;
+    formulaRadioButtonGroup.leftTop = this.layoutBounds.leftTop.plusXY( 15, 15 ); // empirically determined
+    accordionBoxes.leftTop = formulaRadioButtonGroup.leftBottom.plusXY( 0, 15 ); // empirically determined
+    currentPredictionPanel.leftBottom = this.layoutBounds.leftBottom.plusXY( 15, -15 ); // empirically determined
+    shareLinkNode.rightTop = this.layoutBounds.rightTop.plusXY( -15, 15 ); // empirically determined
 
     wireBox.centerX = formulaNode.centerX;
     wireBox.centerY = this.layoutBounds.bottom * .74; // empirically determined
@@ -115,11 +479,124 @@ define( function( require ) {
     controlPanel.centerY = this.layoutBounds.centerY - buttons.height / 2;
     buttons.centerTop = controlPanel.centerBottom.plusXY( 0, 15 );
 
-    // Play sounds when adding or removing a battery
-    model.voltageProperty.lazyLink( function( voltage, oldVoltage ) {
-      var newNumberBatteries = Math.floor( voltage / OhmsLawConstants.AA_VOLTAGE );
-      var oldNumberBatteries = Math.floor( oldVoltage / OhmsLawConstants.AA_VOLTAGE );
-      if ( soundActiveProperty.value ) {
+    circuitOptionsPanel.right = controlPanel.left - 10; // empirically determined
+    circuitOptionsPanel.top = controlPanel.top;
+
+    // The meters are positioned in the coordinates of the circuit, so that the model can tell what their probes are
+    // touching, and can be dragged anywhere on the screen
+    var circuitTransform = ModelViewTransform2.createOffsetScaleMapping( wireBox.translation, 1 );
+    var meterDragBounds = circuitTransform.viewToModelBounds( this.layoutBounds );
+    var voltmeterNode = new VoltmeterNode( model.voltmeter, model, circuitTransform, meterDragBounds,
+      tandem.createTandem( 'voltmeterNode' ), {
+        enabledProperty: notPlayingBackProperty
+      } );
+    var ammeterNode = new AmmeterNode( model.ammeter, model, circuitTransform, meterDragBounds,
+      tandem.createTandem( 'ammeterNode' ), {
+        enabledProperty: notPlayingBackProperty
+      } );
+    playAreaNode.addChild( voltmeterNode );
+    playAreaNode.addChild( ammeterNode );
+
+    // Everything that can be changed on this screen is recorded, in the order that the initial values of a recording
+    // are set when it is played back: the view, then the circuit, then the quantities in the formula, which depend on
+    // the circuit, then the meters and the prediction. The quantities are only recorded when they are set from outside
+    // the model, since the model sets the rest again when it is played back. The data table is not recorded.
+    var sessionRecorder = this.sessionRecorder;
+    sessionRecorder.addProperty( 'soundActive', soundActiveProperty );
+    sessionRecorder.addProperty( 'formulaType', formulaTypeProperty, { validValues: FormulaType.VALUES } );
+    sessionRecorder.addProperty( 'graphExpanded', graphExpandedProperty );
+    sessionRecorder.addProperty( 'dataTableExpanded', dataTableExpandedProperty );
+    sessionRecorder.addProperty( 'isPlaying', model.isPlayingProperty );
+    sessionRecorder.addProperty( 'sourceType', model.sourceTypeProperty, { validValues: SourceType.VALUES } );
+    sessionRecorder.addProperty( 'acModeEnabled', model.acModeEnabledProperty );
+    sessionRecorder.addProperty( 'acFrequency', model.acFrequencyProperty, {
+      range: OhmsLawConstants.AC_FREQUENCY_RANGE
+    } );
+    sessionRecorder.addProperty( 'batteryDepletionEnabled', model.batteryDepletionEnabledProperty );
+    sessionRecorder.addProperty( 'fuseEnabled', model.fuseEnabledProperty );
+    sessionRecorder.addProperty( 'fuseRating', model.fuseRatingProperty, {
+      validValues: OhmsLawConstants.FUSE_RATINGS
+    } );
+    sessionRecorder.addProperty( 'loadType', model.loadTypeProperty, { validValues: LoadType.VALUES } );
+    sessionRecorder.addProperty( 'internalResistanceEnabled', model.internalResistanceEnabledProperty );
+    sessionRecorder.addProperty( 'internalResistance', model.internalResistanceProperty, {
+      range: OhmsLawConstants.INTERNAL_RESISTANCE_RANGE
+    } );
+    sessionRecorder.addProperty( 'heatingEnabled', model.heatingEnabledProperty );
+    sessionRecorder.addProperty( 'resistorMaterial', model.resistorMaterialProperty, {
+      validValues: ResistorMaterial.VALUES
+    } );
+    sessionRecorder.addProperty( 'resistorBuilderEnabled', model.resistorBuilderEnabledProperty );
+    sessionRecorder.addProperty( 'resistorLength', model.resistorLengthProperty, {
+      range: OhmsLawConstants.RESISTOR_LENGTH_RANGE
+    } );
+    sessionRecorder.addProperty( 'resistorArea', model.resistorAreaProperty, {
+      range: OhmsLawConstants.RESISTOR_AREA_RANGE
+    } );
+    sessionRecorder.addProperty( 'resistivity', model.resistivityProperty, {
+      range: OhmsLawConstants.RESISTIVITY_RANGE
+    } );
+    sessionRecorder.addProperty( 'standardSeries', model.standardSeriesProperty, {
+      validValues: StandardSeries.VALUES
+    } );
+    sessionRecorder.addProperty( 'colorBandsType', model.colorBandsTypeProperty, {
+      validValues: ColorBandsType.VALUES
+    } );
+    sessionRecorder.addProperty( 'solveFor', model.solveForProperty, { validValues: SolveFor.VALUES } );
+    SolveFor.VALUES.forEach( function( quantity ) {
+      sessionRecorder.addProperty( quantity, model.getProperty( quantity ), {
+
+        // the quantity that is solved for can be outside the range of its slider, but not of its Property
+        range: OhmsLawModel.getCircuitRange( quantity ),
+        isRecorded: function() {
+          return !model.isUpdating() && model.getSettableQuantities().indexOf( quantity ) >= 0;
+        }
+      } );
+    } );
+    sessionRecorder.addProperty( 'voltmeterBodyPosition', model.voltmeter.bodyPositionProperty, VECTOR2_OPTIONS );
+    sessionRecorder.addProperty( 'voltmeterRedProbePosition', model.voltmeter.redProbePositionProperty,
+      VECTOR2_OPTIONS );
+    sessionRecorder.addProperty( 'voltmeterBlackProbePosition', model.voltmeter.blackProbePositionProperty,
+      VECTOR2_OPTIONS );
+    sessionRecorder.addProperty( 'ammeterBodyPosition', model.ammeter.bodyPositionProperty, VECTOR2_OPTIONS );
+    sessionRecorder.addProperty( 'ammeterProbePosition', model.ammeter.probePositionProperty, VECTOR2_OPTIONS );
+    sessionRecorder.addProperty( 'predictionEnabled', model.currentPrediction.enabledProperty );
+    sessionRecorder.addProperty( 'predictionState', model.currentPrediction.stateProperty, {
+      validValues: PredictionState.VALUES
+    } );
+    sessionRecorder.addProperty( 'predictedChange', model.currentPrediction.predictedChangeProperty, {
+      validValues: SizeChange.VALUES.concat( [ null ] )
+    } );
+    sessionRecorder.addProperty( 'actualChange', model.currentPrediction.actualChangeProperty, {
+      validValues: SizeChange.VALUES.concat( [ null ] )
+    } );
+    sessionRecorder.addProperty( 'predictionCount', model.currentPrediction.predictionCountProperty, {
+      range: NON_NEGATIVE_RANGE
+    } );
+    sessionRecorder.addProperty( 'correctCount', model.currentPrediction.correctCountProperty, {
+      range: NON_NEGATIVE_RANGE
+    } );
+
+    // The fuse is not recorded, since the model blows it when the current is too large. A recording is played with a new
+    // fuse, which blows again straight away if the starting values drive too much current. Present for the lifetime of
+    // the sim; no need to unlink.
+    sessionRecorder.stateProperty.lazyLink( function( state ) {
+      if ( state === RecorderState.PLAYING ) {
+        model.replaceFuse();
+      }
+    } );
+
+    // Play sounds when adding or removing a battery of the chosen kind. The number of batteries is set by the voltage
+    // set by the user, not by the voltage of batteries that are running down. The bench supply and the AC source have no
+    // batteries.
+    var oldNominalVoltage = model.getNominalVoltage();
+    model.voltageProperty.lazyLink( function() {
+      var sourceType = model.sourceTypeProperty.get();
+      var cellVoltage = SourceType.getCellVoltage( sourceType );
+      var newNumberBatteries = Math.floor( model.getNominalVoltage() / cellVoltage );
+      var oldNumberBatteries = Math.floor( oldNominalVoltage / cellVoltage );
+      oldNominalVoltage = model.getNominalVoltage();
+      if ( soundActiveProperty.value && SourceType.isBattery( sourceType ) && !model.acModeEnabledProperty.get() ) {
         if ( newNumberBatteries > oldNumberBatteries ) {
           ADD_BATTERY_SOUND.play();
         }
@@ -128,9 +605,34 @@ define( function( require ) {
         }
       }
     } );
+
+    // When the fuse blows, play the snap of the fuse, and announce that the current has stopped.
+    // Present for the lifetime of the sim; no need to unlink.
+    model.fuseBlownProperty.lazyLink( function( fuseBlown ) {
+      if ( fuseBlown ) {
+        if ( soundActiveProperty.value ) {
+          BLOW_FUSE_SOUND.play();
+        }
+
+        // a11y
+        utteranceQueue.addToBack( new Utterance( fuseBlownAlertString, { typeId: 'fuseBlownAlert' } ) );
+      }
+    } );
   }
 
   ohmsLaw.register( 'OhmsLawScreenView', OhmsLawScreenView );
 
-  return inherit( ScreenView, OhmsLawScreenView );
+  return inherit( ScreenView, OhmsLawScreenView, {
+
+    /**
+     * Step the view in time, for the parts of the view that animate.
+     * @public
+     *
+     * @param {number} dt - in seconds
+     */
+    step: function( dt ) {
+      this.graphNode.step( dt );
+      this.sessionRecorder.step( dt );
+    }
+  } );
 } );
@@ -0,0 +1,203 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the formula for the power dissipated by the resistor, either P = IV or P = I²R. Like FormulaNode, the
+ * letters scale with their normalized values, and all components are laid out based on the equals sign, which is in
+ * the same place as in FormulaNode so that the two can be swapped.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var FormulaNode = require( 'OHMS_LAW/ohms-law/view/FormulaNode' );
+  var FormulaType = require( 'OHMS_LAW/ohms-law/view/FormulaType' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+
+  // strings
+  var currentSymbolString = require( 'string!OHMS_LAW/currentSymbol' );
+  var powerSymbolString = require( 'string!OHMS_LAW/powerSymbol' );
+  var resistanceSymbolString = require( 'string!OHMS_LAW/resistanceSymbol' );
+  var voltageSymbolString = require( 'string!OHMS_LAW/voltageSymbol' );
+
+  // a11y strings
+  var powerEquationString = OhmsLawA11yStrings.powerEquationString;
+  var powerCurrentVoltageDefinitionString = OhmsLawA11yStrings.powerCurrentVoltageDefinitionString;
+  var powerCurrentResistanceDefinitionString = OhmsLawA11yStrings.powerCurrentResistanceDefinitionString;
+  var powerRelativeSizePatternString = OhmsLawA11yStrings.powerRelativeSizePatternString;
+  var letterRString = OhmsLawA11yStrings.letterRString;
+  var letterVString = OhmsLawA11yStrings.letterVString;
+
+  // constants
+  var TEXT_FONT = new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 20, weight: 'bold' } );
+  var EXPONENT_FONT = new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 11, weight: 'bold' } );
+
+  // Power and current cover similarly small parts of their ranges, so they scale like the current in FormulaNode.
+  var POWER_SCALE_M = 150; // empirically determined
+  var POWER_SCALE_B = 1; // empirically determined
+  var CURRENT_SCALE_M = 150; // empirically determined
+  var CURRENT_SCALE_B = 1; // empirically determined
+  var OTHERS_SCALE_M = 16; // empirically determined
+  var OTHERS_SCALE_B = 4; // empirically determined
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function PowerFormulaNode( model, tandem, options ) {
+
+    options = _.extend( {
+
+      // {string} - FormulaType.POWER_CURRENT_VOLTAGE or FormulaType.POWER_CURRENT_RESISTANCE
+      formulaType: FormulaType.POWER_CURRENT_VOLTAGE,
+
+      // a11y
+      accessibleLabelAsHTML: powerEquationString,
+      tagName: 'div',
+      labelTagName: 'h3',
+      prependLabels: true, // labels should come before other child content
+      tandem: tandem
+    }, options );
+
+    assert && assert( options.formulaType === FormulaType.POWER_CURRENT_VOLTAGE ||
+                      options.formulaType === FormulaType.POWER_CURRENT_RESISTANCE,
+      'invalid formulaType: ' + options.formulaType );
+    var squared = options.formulaType === FormulaType.POWER_CURRENT_RESISTANCE;
+    options.accessibleDescriptionAsHTML = squared ? powerCurrentResistanceDefinitionString :
+                                          powerCurrentVoltageDefinitionString;
+
+    var self = this;
+    Node.call( this );
+
+    // Create the equals sign, which does not change size
+    var equalsSign = new Text( '=', { // We never internationalize the '=' sign
+      font: new PhetFont( { family: OhmsLawConstants.FONT_FAMILY, size: 140, weight: 'bold' } ),
+      fill: '#000',
+      centerX: 300,
+      centerY: 0,
+      tandem: tandem.createTandem( 'equalsSign' )
+    } );
+
+    // Create the Power Letter, which is solved for
+    var powerText = new Text( powerSymbolString, {
+      font: TEXT_FONT,
+      fill: PhetColorScheme.RED_COLORBLIND,
+      centerX: 0,
+      centerY: 0,
+      tandem: tandem.createTandem( 'powerLetter' )
+    } );
+
+    // @private - Create the node that contains the text
+    this.powerLetterNode = new Node( { children: [ FormulaNode.getAntiArtifactRectangle( powerText ), powerText ] } );
+    this.powerLetterNode.setTranslation( equalsSign.centerX - 150, 0 );
+
+    // Create the Current Letter, squared in P = I²R
+    var currentText = new Text( currentSymbolString, {
+      font: TEXT_FONT,
+      fill: OhmsLawConstants.BLUE_COLOR,
+      centerX: 0,
+      centerY: 0,
+      tandem: tandem.createTandem( 'currentLetter' )
+    } );
+    var currentChildren = [ FormulaNode.getAntiArtifactRectangle( currentText ), currentText ];
+    if ( squared ) {
+      currentChildren.push( new Text( '2', { // exponents are not internationalized
+        font: EXPONENT_FONT,
+        fill: OhmsLawConstants.BLUE_COLOR,
+        left: currentText.right + 1,
+        top: currentText.top,
+        tandem: tandem.createTandem( 'exponent' )
+      } ) );
+    }
+
+    // @private - Create the node that contains the text
+    this.currentLetterNode = new Node( { children: currentChildren } );
+    this.currentLetterNode.setTranslation( equalsSign.centerX + 80, 0 );
+
+    // Create the other letter, V in P = IV and R in P = I²R
+    var otherText = new Text( squared ? resistanceSymbolString : voltageSymbolString, {
+      font: TEXT_FONT,
+      fill: OhmsLawConstants.BLUE_COLOR,
+      centerX: 0,
+      centerY: 0,
+      tandem: tandem.createTandem( squared ? 'resistanceLetter' : 'voltageLetter' )
+    } );
+
+    // @private - Create the node that contains the text
+    this.otherLetterNode = new Node( { children: [ FormulaNode.getAntiArtifactRectangle( otherText ), otherText ] } );
+    this.otherLetterNode.setTranslation( equalsSign.centerX + 240, 0 );
+
+    // @private
+    this.otherLetterString = squared ? letterRString : letterVString;
+
+    // Scale the letters as the associated values change. Present for the lifetime of the sim; no need to dispose.
+    var otherProperty = squared ? model.loadResistanceProperty : model.voltageProperty;
+    Property.multilink( [ model.powerProperty, model.currentProperty, otherProperty ], function() {
+      self.powerLetterNode.setScaleMagnitude( POWER_SCALE_M * model.getNormalizedPower() + POWER_SCALE_B );
+      self.currentLetterNode.setScaleMagnitude( CURRENT_SCALE_M * model.getNormalizedCurrent() + CURRENT_SCALE_B );
+      var normalizedOther = squared ? model.getNormalizedResistance() : model.getNormalizedVoltage();
+      self.otherLetterNode.setScaleMagnitude( OTHERS_SCALE_M * normalizedOther + OTHERS_SCALE_B );
+    } );
+
+    // Letters that can get huge are added first so that they don't cover anything up.
+    this.addChild( this.powerLetterNode );
+    this.addChild( this.currentLetterNode );
+    this.addChild( this.otherLetterNode );
+
+    // must come after letters to be on top
+    this.addChild( equalsSign );
+
+    // add a node for accessibility that describes the relative sizes of the letters
+    var descriptionNode = new Node( { tagName: 'p' } );
+    this.addChild( descriptionNode );
+
+    // when any of the model Properties change, update the accessible description
+    Property.multilink( [ model.powerProperty, model.currentProperty, otherProperty ], function() {
+      descriptionNode.accessibleLabelAsHTML = self.getComparativeSizeDescription();
+    } );
+
+    // The letters of the current and the power, which changes with it, and the description of their sizes are hidden
+    // while the change of the current is predicted. Present for the lifetime of the sim; no need to unlink.
+    model.currentPrediction.currentVisibleProperty.link( function( currentVisible ) {
+      self.currentLetterNode.visible = currentVisible;
+      self.powerLetterNode.visible = currentVisible;
+      descriptionNode.visible = currentVisible;
+    } );
+
+    this.mutate( _.omit( options, 'formulaType' ) );
+  }
+
+  ohmsLaw.register( 'PowerFormulaNode', PowerFormulaNode );
+
+  return inherit( Node, PowerFormulaNode, {
+
+    /**
+     * Get the comparative size description for the letters, something like
+     * "Letter P is much larger than letter I and comparable to letter V."
+     *
+     * @public
+     * @return {string}
+     */
+    getComparativeSizeDescription: function() {
+      var pHeight = this.powerLetterNode.height;
+
+      return StringUtils.fillIn( powerRelativeSizePatternString, {
+        iComparison: FormulaNode.getComparisonDescription( pHeight / this.currentLetterNode.height ),
+        otherComparison: FormulaNode.getComparisonDescription( pHeight / this.otherLetterNode.height ),
+        otherLetter: this.otherLetterString
+      } );
+    }
+  } );
+} );
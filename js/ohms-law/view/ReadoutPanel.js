@@ -1,7 +1,9 @@
 // Copyright 2013-2017, University of Colorado Boulder
 
 /**
- * Panel that displays the current inside the WireBox
+ * Panel that displays the quantity that is solved for (the current, by default) and the power inside the WireBox. In AC
+ * mode, a voltage or current is shown at this instant, with its RMS value beside it, and the power is averaged over a
+ * cycle.
  * @author Vasily Shakhov (Mlearner)
  * @author Anton Ulyanov (Mlearner)
  */
@@ -13,22 +15,49 @@ define( function( require ) {
   var inherit = require( 'PHET_CORE/inherit' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
   var OhmsLawModel = require( 'OHMS_LAW/ohms-law/model/OhmsLawModel' );
   var Panel = require( 'SUN/Panel' );
   var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
   var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Precision = require( 'OHMS_LAW/ohms-law/model/Precision' );
+  var Property = require( 'AXON/Property' );
   var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var SolveFor = require( 'OHMS_LAW/ohms-law/model/SolveFor' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
   var Util = require( 'DOT/Util' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
 
   // strings
   var currentString = require( 'string!OHMS_LAW/current' );
-  var currentUnitsString = require( 'string!OHMS_LAW/currentUnits' );
+  var powerString = require( 'string!OHMS_LAW/power' );
+  var powerUnitsString = require( 'string!OHMS_LAW/powerUnits' );
+  var resistanceString = require( 'string!OHMS_LAW/resistance' );
+  var rmsValuePatternString = require( 'string!OHMS_LAW/rmsValuePattern' );
+  var voltageString = require( 'string!OHMS_LAW/voltage' );
 
   // constants
   var FONT = new PhetFont( 32 );
+  var POWER_FONT = new PhetFont( 22 );
   var MAX_READOUT_WIDTH = 0.63 * OhmsLawConstants.WIRE_WIDTH;
 
+  // name and formatter for each quantity that can be solved for
+  var QUANTITIES = {};
+  QUANTITIES[ SolveFor.VOLTAGE ] = {
+    nameString: voltageString,
+    formatter: UnitFormatter.VOLTAGE
+  };
+  QUANTITIES[ SolveFor.CURRENT ] = {
+    nameString: currentString,
+    formatter: UnitFormatter.CURRENT
+  };
+  QUANTITIES[ SolveFor.RESISTANCE ] = {
+    nameString: resistanceString,
+    formatter: UnitFormatter.RESISTANCE
+  };
+
   /**
    * @param {OhmsLawModel} model
    * @param {Tandem} tandem
@@ -64,36 +93,132 @@ define( function( require ) {
       tandem: tandem.createTandem( 'currentValue' )
     } );
 
-    // To keep the correct spacing as the current value changes
+    // To keep the correct spacing as the value changes. The largest values of the other quantities that can be solved
+    // for have no more digits than the largest current.
     var currentValueBackground = new Rectangle.bounds( currentValue.bounds, {
       children: [ currentValue ]
     } );
 
-    var currentUnit = new Text( currentUnitsString, {
+    var currentUnit = new Text( UnitFormatter.CURRENT.getUnits( OhmsLawModel.getMaxCurrent() ), {
       font: FONT,
       fill: PhetColorScheme.RED_COLORBLIND,
       tandem: tandem.createTandem( 'currentUnit' )
     } );
 
+    // the RMS value, after the value at this instant in AC mode
+    var rmsText = new Text( '', {
+      font: POWER_FONT,
+      fill: 'black',
+      tandem: tandem.createTandem( 'rmsText' )
+    } );
+
     var textContainer = new HBox( {
       spacing: 11.3, // empirically determined
-      children: [ currentStringText, equalsSign, currentValueBackground, currentUnit ]
+      children: [ currentStringText, equalsSign, currentValueBackground, currentUnit ],
+
+      // Scale the text if greater than max allowed width, the name and units change with the quantity solved for.
+      maxWidth: MAX_READOUT_WIDTH
+    } );
+
+    /**
+     * Whether the quantity that is solved for alternates, so that its RMS value is shown.
+     * @returns {boolean}
+     */
+    var isAlternating = function() {
+      return model.acModeEnabledProperty.get() && model.solveForProperty.get() !== SolveFor.RESISTANCE;
+    };
+
+    // Present for the lifetime of the simulation, no need to unlink.
+    Property.multilink( [ model.acModeEnabledProperty, model.solveForProperty ], function() {
+      textContainer.children = [ currentStringText, equalsSign, currentValueBackground, currentUnit ]
+        .concat( isAlternating() ? [ rmsText ] : [] );
+    } );
+
+    // The power is shown below, in a smaller font
+    var powerStringText = new Text( powerString, {
+      font: POWER_FONT,
+      fill: PhetColorScheme.RED_COLORBLIND,
+      tandem: tandem.createTandem( 'powerStringText' )
     } );
 
-    // Scale the text if greater than max allowed width.
-    if ( textContainer.width > MAX_READOUT_WIDTH ) {
-      textContainer.scale( MAX_READOUT_WIDTH / textContainer.width );
-    }
+    var powerEqualsSign = new Text( '=', {
+      font: POWER_FONT,
+      fill: 'black',
+      tandem: tandem.createTandem( 'powerEqualsSign' )
+    } );
+
+    // sized for the most decimal places that the power can be shown with
+    var powerValue = new Text( Util.toFixed( OhmsLawConstants.POWER_RANGE.max,
+      Precision.getDecimalPlaces( Precision.FINE, OhmsLawConstants.POWER_SIG_FIGS ) ), {
+      font: POWER_FONT,
+      fill: 'black',
+      tandem: tandem.createTandem( 'powerValue' )
+    } );
+
+    // To keep the correct spacing as the power value changes
+    var powerValueBackground = new Rectangle.bounds( powerValue.bounds, {
+      children: [ powerValue ]
+    } );
+
+    var powerUnit = new Text( powerUnitsString, {
+      font: POWER_FONT,
+      fill: PhetColorScheme.RED_COLORBLIND,
+      tandem: tandem.createTandem( 'powerUnit' )
+    } );
+
+    var powerContainer = new HBox( {
+      spacing: 8, // empirically determined
+      children: [ powerStringText, powerEqualsSign, powerValueBackground, powerUnit ],
+      maxWidth: MAX_READOUT_WIDTH
+    } );
 
     // Present for the lifetime of the simulation, no need to unlink.
-    model.currentProperty.link( function( current ) {
-      var rightEdgePosition = currentValue.right;
-      currentValue.text = Util.toFixed( current, 1 );
+    var powerRightEdgePosition = powerValue.right;
+    var updatePowerValue = function() {
+      powerValue.text = UnitFormatter.toFixed( model.averagePowerProperty.get(), OhmsLawConstants.POWER_SIG_FIGS );
+      powerValue.right = powerRightEdgePosition;
+    };
+    model.averagePowerProperty.link( updatePowerValue );
+    OhmsLawGlobalOptions.precisionProperty.lazyLink( updatePowerValue );
+
+    // Show the quantity that is solved for. Present for the lifetime of the simulation, no need to unlink.
+    var rightEdgePosition = currentValue.right;
+    var updateReadout = function() {
+      var solveFor = model.solveForProperty.get();
+      var quantityInfo = QUANTITIES[ solveFor ];
+      var value = model.getDerivedProperty().get();
+      if ( isAlternating() ) {
+        var isVoltage = ( solveFor === SolveFor.VOLTAGE );
+        var rmsValue = isVoltage ? model.rmsVoltageProperty.get() : model.rmsCurrentProperty.get();
+        value = isVoltage ? model.instantaneousVoltageProperty.get() : model.instantaneousCurrentProperty.get();
+        rmsText.text = StringUtils.fillIn( rmsValuePatternString, {
+          value: quantityInfo.formatter.formatValue( rmsValue ),
+          units: quantityInfo.formatter.getUnits( rmsValue )
+        } );
+      }
+      currentStringText.text = quantityInfo.nameString;
+      currentUnit.text = quantityInfo.formatter.getUnits( value );
+      currentValue.text = quantityInfo.formatter.formatValue( value );
       currentValue.right = rightEdgePosition;
+    };
+    model.solveForProperty.link( updateReadout );
+    model.voltageProperty.link( updateReadout );
+    model.resistanceProperty.link( updateReadout );
+    model.currentProperty.link( updateReadout );
+    model.acModeEnabledProperty.link( updateReadout );
+    model.instantaneousVoltageProperty.link( updateReadout );
+    model.instantaneousCurrentProperty.link( updateReadout );
+    model.rmsCurrentProperty.link( updateReadout );
+    SolveFor.VALUES.forEach( function( quantity ) {
+      QUANTITIES[ quantity ].formatter.prefixProperty.lazyLink( updateReadout );
     } );
+    OhmsLawGlobalOptions.precisionProperty.lazyLink( updateReadout );
 
-    // Create the panel to surround the hBox.
-    Panel.call( this, textContainer, options );
+    // Create the panel to surround the readouts.
+    Panel.call( this, new VBox( {
+      spacing: 2,
+      children: [ textContainer, powerContainer ]
+    } ), options );
   }
 
   ohmsLaw.register( 'ReadoutPanel', ReadoutPanel );
@@ -0,0 +1,29 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Enumeration of the states of the session recorder, see SessionRecorder.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+
+  var RecorderState = {
+    IDLE: 'idle', // neither recording nor playing, the last recording can be played or exported
+    RECORDING: 'recording',
+    PLAYING: 'playing' // the controls that would change what is played back are locked
+  };
+
+  // @public {string[]} - all values of the enumeration
+  RecorderState.VALUES = [ RecorderState.IDLE, RecorderState.RECORDING, RecorderState.PLAYING ];
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( RecorderState ); }
+
+  ohmsLaw.register( 'RecorderState', RecorderState );
+
+  return RecorderState;
+} );
@@ -1,7 +1,8 @@
 // Copyright 2017, University of Colorado Boulder
 
 /**
- * View for the resistor with scatterers that depict the level of resistivity
+ * View for the resistor with scatterers that depict the level of resistivity, or color bands that give its resistance
+ * with the resistor color code
  * @author Vasily Shakhov (Mlearner)
  * @author Anton Ulyanov (Mlearner)
  */
@@ -10,6 +11,7 @@ define( function( require ) {
 
   // modules
   var Circle = require( 'SCENERY/nodes/Circle' );
+  var ColorBandsType = require( 'OHMS_LAW/ohms-law/model/ColorBandsType' );
   var inherit = require( 'PHET_CORE/inherit' );
   var LinearFunction = require( 'DOT/LinearFunction' );
   var LinearGradient = require( 'SCENERY/util/LinearGradient' );
@@ -18,7 +20,11 @@ define( function( require ) {
   var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
   var Path = require( 'SCENERY/nodes/Path' );
+  var Property = require( 'AXON/Property' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var ResistorColorCode = require( 'OHMS_LAW/ohms-law/model/ResistorColorCode' );
   var Shape = require( 'KITE/Shape' );
+  var StandardSeries = require( 'OHMS_LAW/ohms-law/model/StandardSeries' );
   var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   var Util = require( 'DOT/Util' );
 
@@ -31,10 +37,14 @@ define( function( require ) {
   var veryLargeAmountOfImpuritiesString = OhmsLawA11yStrings.veryLargeAmountOfImpuritiesString;
   var hugeAmountOfImpuritiesString = OhmsLawA11yStrings.hugeAmountOfImpuritiesString;
   var resistanceDotsPatternString = OhmsLawA11yStrings.resistanceDotsPatternString;
+  var resistanceDotsTemperaturePatternString = OhmsLawA11yStrings.resistanceDotsTemperaturePatternString;
+  var colorBandsPatternString = OhmsLawA11yStrings.colorBandsPatternString;
+  var colorBandsTemperaturePatternString = OhmsLawA11yStrings.colorBandsTemperaturePatternString;
+  var colorBandsSeparatorString = OhmsLawA11yStrings.colorBandsSeparatorString;
 
   // constants
-  var RESISTOR_WIDTH = OhmsLawConstants.WIRE_WIDTH / 2.123; // empirically determined
-  var RESISTOR_HEIGHT = OhmsLawConstants.WIRE_HEIGHT / 2.75; // empirically determined
+  var RESISTOR_WIDTH = OhmsLawConstants.RESISTOR_WIDTH;
+  var RESISTOR_HEIGHT = OhmsLawConstants.RESISTOR_HEIGHT;
   var PERSPECTIVE_FACTOR = 0.3; // multiplier that controls the width of the ellipses on the ends of the wire
   var MAX_WIDTH_INCLUDING_ROUNDED_ENDS = RESISTOR_WIDTH + RESISTOR_HEIGHT * PERSPECTIVE_FACTOR;
 
@@ -52,6 +62,39 @@ define( function( require ) {
     .addColorStop( 0.412, '#FCFCFC' )
     .addColorStop( 1, '#F00' );
 
+  // Drawn over the body with an opacity that increases as the resistor heats up
+  var HEAT_FILL_GRADIENT = new LinearGradient( 0, -RESISTOR_HEIGHT / 2, 0, RESISTOR_HEIGHT / 2 )
+    .addColorStop( 0, '#FF2000' )
+    .addColorStop( 0.35, '#FF9A1F' )
+    .addColorStop( 1, '#FF2000' );
+
+  // color bands, positions and width as fractions of the length of the resistor from its center
+  var DIGIT_BAND_POSITIONS = [ -0.35, -0.23, -0.11, 0.01 ]; // digits then the multiplier, as many as needed
+  var TOLERANCE_BAND_POSITION = 0.3;
+  var BAND_WIDTH = 0.07;
+  var BAND_COLORS = {};
+  BAND_COLORS[ ResistorColorCode.BLACK ] = '#000000';
+  BAND_COLORS[ ResistorColorCode.BROWN ] = '#8b4513';
+  BAND_COLORS[ ResistorColorCode.RED ] = '#e00000';
+  BAND_COLORS[ ResistorColorCode.ORANGE ] = '#ff8c00';
+  BAND_COLORS[ ResistorColorCode.YELLOW ] = '#ffd700';
+  BAND_COLORS[ ResistorColorCode.GREEN ] = '#228b22';
+  BAND_COLORS[ ResistorColorCode.BLUE ] = '#1e40ff';
+  BAND_COLORS[ ResistorColorCode.VIOLET ] = '#8a2be2';
+  BAND_COLORS[ ResistorColorCode.GREY ] = '#808080';
+  BAND_COLORS[ ResistorColorCode.WHITE ] = '#ffffff';
+  BAND_COLORS[ ResistorColorCode.GOLD ] = '#d4af37';
+  BAND_COLORS[ ResistorColorCode.SILVER ] = '#c0c0c0';
+
+  // a11y - names of the colors of the bands
+  var BAND_COLOR_STRINGS = {};
+  ResistorColorCode.VALUES.forEach( function( color ) {
+    BAND_COLOR_STRINGS[ color ] = OhmsLawA11yStrings[ color + 'BandString' ];
+  } );
+
+  // a11y - temperature rise (in kelvin) above which the temperature of the resistor is described
+  var DESCRIBED_TEMPERATURE_RISE = 1;
+
   var DOT_GRID_ROWS = Util.roundSymmetric( RESISTOR_HEIGHT / Math.sqrt( AREA_PER_DOT ) );
   var DOT_GRID_COLUMNS = Util.roundSymmetric( RESISTOR_WIDTH / Math.sqrt( AREA_PER_DOT ) );
   var MAX_DOTS = DOT_GRID_COLUMNS * DOT_GRID_ROWS;
@@ -65,6 +108,43 @@ define( function( require ) {
     true
   );
 
+  // Function to map the resistivity in the resistor builder to number of dots
+  var RESISTIVITY_TO_NUM_DOTS = new LinearFunction(
+    OhmsLawConstants.RESISTIVITY_RANGE.min,
+    OhmsLawConstants.RESISTIVITY_RANGE.max,
+    MAX_DOTS * 0.05,
+    MAX_DOTS,
+    true
+  );
+
+  /**
+   * Create the shape of the body of the wire, centered at the origin.
+   * @param {number} width
+   * @param {number} height
+   * @returns {Shape}
+   */
+  function createBodyShape( width, height ) {
+    return new Shape().moveTo( -width / 2, height / 2 )
+      .horizontalLineToRelative( width )
+      .ellipticalArc( width / 2, 0, PERSPECTIVE_FACTOR * height / 2, height / 2, 0, Math.PI / 2, 3 * Math.PI / 2, true )
+      .horizontalLineToRelative( -width );
+  }
+
+  /**
+   * Get the colors of the bands for a resistance, or null if there are no bands.
+   * @param {number} resistance - in ohms
+   * @param {string} colorBandsType - one of ColorBandsType.VALUES
+   * @param {string} standardSeries - one of StandardSeries.VALUES
+   * @returns {string[]|null} - values of ResistorColorCode
+   */
+  function getBands( resistance, colorBandsType, standardSeries ) {
+    if ( colorBandsType === ColorBandsType.NONE ) {
+      return null;
+    }
+    return ResistorColorCode.getBands( resistance, ColorBandsType.getNumberOfBands( colorBandsType ),
+      ColorBandsType.getTolerance( colorBandsType, standardSeries ) );
+  }
+
   /**
    * @param {Property.<number>} resistanceProperty
    * @param {Tandem} tandem
@@ -73,14 +153,29 @@ define( function( require ) {
    */
   function ResistorNode( resistanceProperty, tandem, options ) {
 
+    options = _.extend( {
+
+      // {Property.<number>|null} - temperature of the resistor in degrees Celsius, if it can heat up
+      temperatureProperty: null,
+
+      // {Property.<boolean>|null} - whether the geometry and material of the resistor are set by the resistor builder,
+      // with the Properties below for its length (cm), cross-sectional area (mm²) and resistivity (mΩ·m)
+      resistorBuilderEnabledProperty: null,
+      resistorLengthProperty: null,
+      resistorAreaProperty: null,
+      resistivityProperty: null,
+
+      // {Property.<string>|null} - the color bands drawn in place of the dots, one of ColorBandsType.VALUES, with the
+      // series of standard values that sets their tolerance
+      colorBandsTypeProperty: null,
+      standardSeriesProperty: null
+    }, options );
+
     Node.call( this );
     var self = this;
 
-    // Body of the wire
-    var bodyPath = new Path( new Shape().moveTo( -RESISTOR_WIDTH / 2, RESISTOR_HEIGHT / 2 )
-      .horizontalLineToRelative( RESISTOR_WIDTH )
-      .ellipticalArc( RESISTOR_WIDTH / 2, 0, PERSPECTIVE_FACTOR * RESISTOR_HEIGHT / 2, RESISTOR_HEIGHT / 2, 0, Math.PI / 2, 3 * Math.PI / 2, true )
-      .horizontalLineToRelative( -RESISTOR_WIDTH ), {
+    // Body of the wire, the shapes change with the geometry in the resistor builder
+    var bodyPath = new Path( null, {
       stroke: 'black',
       fill: BODY_FILL_GRADIENT,
       tandem: tandem.createTandem( 'bodyPath' )
@@ -88,15 +183,25 @@ define( function( require ) {
     this.addChild( bodyPath );
 
     // Cap/end of the wire
-    var endPath = new Path( Shape.ellipse( -RESISTOR_WIDTH / 2, 0, RESISTOR_HEIGHT * PERSPECTIVE_FACTOR / 2, RESISTOR_HEIGHT / 2 ), {
+    var endPath = new Path( null, {
       stroke: 'black',
       fill: '#ff9f9f',
       tandem: tandem.createTandem( 'endPath' )
     } );
     this.addChild( endPath );
 
+    // Tints the body and the cap as the resistor heats up
+    var heatBodyPath = new Path( null, { fill: HEAT_FILL_GRADIENT } );
+    var heatEndPath = new Path( null, { fill: HEAT_FILL_GRADIENT } );
+    var heatNode = new Node( {
+      children: [ heatBodyPath, heatEndPath ],
+      opacity: 0,
+      tandem: tandem.createTandem( 'heatNode' )
+    } );
+    this.addChild( heatNode );
+
     // Short stub of wire near the cap of wire
-    var stubWirePath = new Path( new Shape().moveTo( 5 - RESISTOR_WIDTH / 2, 0 ).horizontalLineToRelative( -15 ), {
+    var stubWirePath = new Path( new Shape().moveTo( 5, 0 ).horizontalLineToRelative( -15 ), {
       stroke: '#000',
       lineWidth: 10,
       tandem: tandem.createTandem( 'stubWirePath' )
@@ -108,7 +213,8 @@ define( function( require ) {
     var dotsNode = new Node( { tandem: dotsNodeTandem } );
     var dotsGroupTandem = dotsNodeTandem.createGroupTandem( 'dot' );
 
-    // Create the dots randomly on the resistor. Density is based on AREA_PER_DOT.
+    // Create the dots randomly on the largest resistor, the dots outside of a smaller resistor are clipped so that the
+    // density of the dots doesn't change with the geometry. Density is based on AREA_PER_DOT.
     for ( var i = 0; i < NUMBER_OF_DOTS; i++ ) {
 
       var centerX = ( phet.joist.random.nextDouble() - .5 ) * MAX_WIDTH_INCLUDING_ROUNDED_ENDS;
@@ -123,28 +229,125 @@ define( function( require ) {
     }
     this.addChild( dotsNode );
 
-    // Clip the dots that are shown to only include those inside the wire (including the wireEnd)
-    dotsNode.clipArea = bodyPath.shape.ellipticalArc(
-      -RESISTOR_WIDTH / 2,
-      0,
-      PERSPECTIVE_FACTOR * RESISTOR_HEIGHT / 2,
-      RESISTOR_HEIGHT / 2,
-      0,
-      3 * Math.PI / 2,
-      Math.PI / 2,
-      true );
-
-    // Set the number of visible dots based on the resistivity. Present for the lifetime of the simulation; no need to unlink.
-    resistanceProperty.link( function( resistance ) {
-      var numDotsToShow = RESISTANCE_TO_NUM_DOTS( resistance );
+    // Color bands, clipped to the body like the dots
+    var bandsNode = new Node( { tandem: tandem.createTandem( 'bandsNode' ) } );
+    this.addChild( bandsNode );
+
+    // {string[]|null} - colors of the bands that are drawn, values of ResistorColorCode
+    var bands = null;
+
+    // size of the body, set with the geometry
+    var bodyWidth = RESISTOR_WIDTH;
+    var bodyHeight = RESISTOR_HEIGHT;
+
+    /**
+     * Draw the color bands on the body, digits and multiplier from the left and the tolerance near the right end.
+     */
+    var updateBands = function() {
+      dotsNode.visible = !bands;
+      bandsNode.children = !bands ? [] : bands.map( function( color, index ) {
+        var position = index === bands.length - 1 ? TOLERANCE_BAND_POSITION : DIGIT_BAND_POSITIONS[ index ];
+        return new Rectangle( ( position - BAND_WIDTH / 2 ) * bodyWidth, -bodyHeight / 2, BAND_WIDTH * bodyWidth,
+          bodyHeight, { fill: BAND_COLORS[ color ], stroke: 'black', lineWidth: 0.5 } );
+      } );
+    };
+
+    /**
+     * Draw the resistor with its length and thickness.
+     * @param {number} width
+     * @param {number} height
+     */
+    var updateGeometry = function( width, height ) {
+      bodyWidth = width;
+      bodyHeight = height;
+      bodyPath.shape = createBodyShape( width, height );
+      endPath.shape = Shape.ellipse( -width / 2, 0, height * PERSPECTIVE_FACTOR / 2, height / 2 );
+      heatBodyPath.shape = bodyPath.shape;
+      heatEndPath.shape = endPath.shape;
+      stubWirePath.x = -width / 2;
+
+      // Clip the dots that are shown to only include those inside the wire (including the wireEnd)
+      dotsNode.clipArea = createBodyShape( width, height ).ellipticalArc(
+        -width / 2,
+        0,
+        PERSPECTIVE_FACTOR * height / 2,
+        height / 2,
+        0,
+        3 * Math.PI / 2,
+        Math.PI / 2,
+        true );
+      bandsNode.clipArea = createBodyShape( width, height );
+      updateBands();
+    };
+
+    /**
+     * Set the number of visible dots.
+     * @param {number} numDotsToShow
+     */
+    var updateDots = function( numDotsToShow ) {
       dotsNode.children.forEach( function( dot, index ) {
         dot.setVisible( index < numDotsToShow );
       } );
+    };
+
+    if ( options.resistorBuilderEnabledProperty ) {
 
-      self.accessibleLabelAsHTML = self.getResistanceDescription( resistance );
+      // In the resistor builder, the resistor is as long as its length and as thick as a round wire of its area, and
+      // the dots show its resistivity. Present for the lifetime of the simulation; no need to dispose.
+      Property.multilink( [
+        options.resistorBuilderEnabledProperty,
+        options.resistorLengthProperty,
+        options.resistorAreaProperty,
+        options.resistivityProperty,
+        resistanceProperty
+      ], function( resistorBuilderEnabled, length, area, resistivity, resistance ) {
+        if ( resistorBuilderEnabled ) {
+          updateGeometry(
+            RESISTOR_WIDTH * length / OhmsLawConstants.RESISTOR_LENGTH_RANGE.max,
+            RESISTOR_HEIGHT * Math.sqrt( area / OhmsLawConstants.RESISTOR_AREA_RANGE.max )
+          );
+          updateDots( RESISTIVITY_TO_NUM_DOTS( resistivity ) );
+        }
+        else {
+          updateGeometry( RESISTOR_WIDTH, RESISTOR_HEIGHT );
+          updateDots( RESISTANCE_TO_NUM_DOTS( resistance ) );
+        }
+      } );
+    }
+    else {
+      updateGeometry( RESISTOR_WIDTH, RESISTOR_HEIGHT );
+
+      // Set the number of visible dots based on the resistance. Present for the lifetime of the simulation; no need to
+      // unlink.
+      resistanceProperty.link( function( resistance ) {
+        updateDots( RESISTANCE_TO_NUM_DOTS( resistance ) );
+      } );
+    }
+
+    // The resistor glows as it heats up. Present for the lifetime of the simulation; no need to unlink.
+    var temperatureProperty = options.temperatureProperty || new Property( OhmsLawConstants.AMBIENT_TEMPERATURE );
+    temperatureProperty.link( function( temperature ) {
+      var rise = temperature - OhmsLawConstants.AMBIENT_TEMPERATURE;
+      heatNode.opacity = Util.clamp( rise / OhmsLawConstants.MAX_TEMPERATURE_RISE, 0, 1 );
     } );
 
-    this.mutate( options );
+    // The bands follow the resistance. Present for the lifetime of the simulation; no need to dispose.
+    var colorBandsTypeProperty = options.colorBandsTypeProperty || new Property( ColorBandsType.NONE );
+    var standardSeriesProperty = options.standardSeriesProperty || new Property( StandardSeries.NONE );
+    Property.multilink( [ resistanceProperty, colorBandsTypeProperty, standardSeriesProperty ],
+      function( resistance, colorBandsType, standardSeries ) {
+        bands = getBands( resistance, colorBandsType, standardSeries );
+        updateBands();
+      } );
+
+    // a11y - Present for the lifetime of the simulation; no need to unlink.
+    Property.multilink( [ resistanceProperty, temperatureProperty, colorBandsTypeProperty, standardSeriesProperty ],
+      function( resistance, temperature ) {
+        self.accessibleLabelAsHTML = self.getResistanceDescription( resistance, temperature, bands );
+      } );
+
+    this.mutate( _.omit( options, 'temperatureProperty', 'resistorBuilderEnabledProperty', 'resistorLengthProperty',
+      'resistorAreaProperty', 'resistivityProperty', 'colorBandsTypeProperty', 'standardSeriesProperty' ) );
   }
 
   ohmsLaw.register( 'ResistorNode', ResistorNode );
@@ -152,16 +355,38 @@ define( function( require ) {
   return inherit( Node, ResistorNode, {
 
     /**
-     * Get a description of the resistance based on the value of the resistance.
+     * Get a description of the resistance based on the value of the resistance, or the color bands on the resistor,
+     * and the temperature of the resistor once it has heated up.
+     * @param {number} resistance
+     * @param {number} [temperature] - in degrees Celsius
+     * @param {string[]|null} [bands] - colors of the bands, values of ResistorColorCode
      * @return {string} resistance
      */
-    getResistanceDescription: function( resistance ) {
+    getResistanceDescription: function( resistance, temperature, bands ) {
+      var heated = temperature !== undefined &&
+                   temperature - OhmsLawConstants.AMBIENT_TEMPERATURE > DESCRIBED_TEMPERATURE_RISE;
+
+      if ( bands ) {
+        return StringUtils.fillIn( heated ? colorBandsTemperaturePatternString : colorBandsPatternString, {
+          bands: bands.map( function( color ) { return BAND_COLOR_STRINGS[ color ]; } ).join( colorBandsSeparatorString ),
+          temperature: heated ? Util.toFixed( temperature, 0 ) : null
+        } );
+      }
+
       var range = OhmsLawConstants.RESISTANCE_RANGE;
 
-      // map the normalied value to one of the resistance descriptions
-      var index = Util.roundSymmetric( Util.linear( range.min, range.max, 0, IMPURITIES_STRINGS.length - 1, resistance ) );
+      // map the normalied value to one of the resistance descriptions, the resistance of a heated resistor can leave
+      // the range of the slider
+      var index = Util.roundSymmetric( Util.linear( range.min, range.max, 0, IMPURITIES_STRINGS.length - 1,
+        range.constrainValue( resistance ) ) );
       var numDotsDescription = IMPURITIES_STRINGS[ index ];
 
+      if ( heated ) {
+        return StringUtils.fillIn( resistanceDotsTemperaturePatternString, {
+          impurities: numDotsDescription,
+          temperature: Util.toFixed( temperature, 0 )
+        } );
+      }
       return StringUtils.fillIn( resistanceDotsPatternString, {
         impurities: numDotsDescription
       } );
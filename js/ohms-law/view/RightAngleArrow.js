@@ -2,7 +2,7 @@
 
 /**
  * View for a right angled arrow around WireBox
- * The arrow points down and then to the left.
+ * The arrow points down and then to the left, and the other way around while the current is reversed.
  *
  * @author Vasily Shakhov (Mlearner)
  * @author Anton Ulyanov (Mlearner)
@@ -13,6 +13,7 @@ define( function( require ) {
   // modules
   var inherit = require( 'PHET_CORE/inherit' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
   var Path = require( 'SCENERY/nodes/Path' );
   var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
   var Shape = require( 'KITE/Shape' );
@@ -32,8 +33,16 @@ define( function( require ) {
     new Vector2( 5, 5 ) // inner corner
   ];
 
+  // the same arrow with its head and tail swapped, mirrored across the diagonal through its corner
+  var REVERSED_POINTS = POINTS.map( function( point ) {
+    return new Vector2( point.y, point.x );
+  } );
+
+  // maps the current in milliamps to the value that the scale of the arrow grows with, 90 at the max current
+  var CURRENT_TO_SCALE = 90 / OhmsLawConstants.CURRENT_RANGE.max;
+
   /**
-   * @param {Property.<number>} currentProperty
+   * @param {Property.<number>} currentProperty - negative while the current is reversed
    * @param {Tandem} tandem
    * @param {Object} options
    * @constructor
@@ -41,8 +50,9 @@ define( function( require ) {
   function RightAngleArrow( currentProperty, tandem, options ) {
     var self = this;
 
-    // create the shape of the arrow
+    // create the shapes of the arrow
     var arrowShape = new Shape().polygon( POINTS );
+    var reversedArrowShape = new Shape().polygon( REVERSED_POINTS );
 
     Path.call( this, arrowShape, {
       stroke: '#000',
@@ -58,9 +68,17 @@ define( function( require ) {
     // Present for the lifetime of the simulation
     currentProperty.lazyLink( function( current ) {
 
-      // Scale the arrows based on the value of the current.
+      // there is no arrow for no current, as an AC source reverses it
+      self.visible = ( current !== 0 );
+      if ( current === 0 ) {
+        return;
+      }
+      self.shape = current > 0 ? arrowShape : reversedArrowShape;
+
+      // Scale the arrows based on the value of the current, relative to the max current so that the arrows are as big
+      // at the max current whatever the ranges of the voltage and resistance.
       // Exponential scaling algorithm.  Linear makes the changes too big.
-      var scale = Math.pow( ( current * 0.1 ), 0.7 );
+      var scale = Math.pow( ( Math.abs( current ) * CURRENT_TO_SCALE ), 0.7 );
 
       self.setScaleMagnitude( scale );
     } );
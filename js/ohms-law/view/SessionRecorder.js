@@ -0,0 +1,386 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Records a session as a timestamped log of the changes to named Properties and of named actions, like Reset All, and
+ * plays it back at an adjustable speed. The Properties and actions are added by the screen view, from the model and the
+ * view, and are looked up by name when a recording is played, so a recording is a plain JSON document that can be
+ * exported and imported again:
+ *
+ * {
+ *   "version": 1,
+ *   "duration": 12.5,
+ *   "initialValues": { "voltage": 4.5, ... },
+ *   "events": [ { "time": 0.4, "property": "voltage", "value": 4.6 }, { "time": 3.2, "action": "resetAll" }, ... ]
+ * }
+ *
+ * Times are in seconds from the start of the recording. The changes that an action makes are not recorded, since playing
+ * the action makes them again.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var inherit = require( 'PHET_CORE/inherit' );
+  var NumberProperty = require( 'AXON/NumberProperty' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var Property = require( 'AXON/Property' );
+  var PropertyIO = require( 'AXON/PropertyIO' );
+  var RecorderState = require( 'OHMS_LAW/ohms-law/view/RecorderState' );
+  var StringIO = require( 'ifphetio!PHET_IO/types/StringIO' );
+
+  // constants
+  var VERSION = 1; // increase when a recording of the old version can no longer be played as the new one
+  var PLAYBACK_SPEEDS = [ 0.5, 1, 2, 4 ];
+
+  /**
+   * Whether a value is a finite number.
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isFiniteNumber( value ) {
+    return typeof value === 'number' && isFinite( value );
+  }
+
+  /**
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function SessionRecorder( tandem ) {
+
+    // @public (read-only) {Property.<string>} - one of RecorderState.VALUES
+    this.stateProperty = new Property( RecorderState.IDLE, {
+      tandem: tandem.createTandem( 'stateProperty' ),
+      phetioType: PropertyIO( StringIO ),
+      validValues: RecorderState.VALUES
+    } );
+
+    // @public {Property.<number>} - how many times faster than it was recorded a recording is played
+    this.playbackSpeedProperty = new NumberProperty( 1, {
+      tandem: tandem.createTandem( 'playbackSpeedProperty' ),
+      validValues: PLAYBACK_SPEEDS
+    } );
+
+    // @public (read-only) {Property.<number>} - in seconds, how long the recording has been recorded or played for
+    this.timeProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'timeProperty' ),
+      units: 'seconds'
+    } );
+
+    // @public (read-only) {Property.<Object|null>} - the last recording that was made or imported, see the header for
+    // its fields
+    this.recordingProperty = new Property( null );
+
+    // @private {Object[]} - the Properties that are recorded, in the order their initial values are set, see addProperty
+    this.recordedProperties = [];
+
+    // @private {Object} - the callbacks of the actions, keyed by name
+    this.actions = {};
+
+    // @private {Object[]} - events of the recording that is being made
+    this.events = [];
+
+    // @private {Object} - values of the recorded Properties when the recording that is being made started
+    this.initialValues = {};
+
+    // @private {number} - index of the next event of the recording that is being played
+    this.nextEventIndex = 0;
+
+    // @private {boolean} - set while an action is done, so that the changes it makes are not recorded
+    this.doingAction = false;
+  }
+
+  ohmsLaw.register( 'SessionRecorder', SessionRecorder );
+
+  return inherit( Object, SessionRecorder, {
+
+    /**
+     * Record the changes to a Property. Properties whose initial values depend on others, like the values of the
+     * quantities on what is solved for, should be added after them. A value from an imported recording must be one of
+     * validValues if they are given, or else of the type of the value that the Property has now, and in range if it is
+     * a number, unless isValidJSON is given to check it instead.
+     * @public
+     *
+     * @param {string} name - unique, what the Property is called in a recording
+     * @param {Property.<*>} property
+     * @param {Object} [options]
+     */
+    addProperty: function( name, property, options ) {
+      assert && assert( !_.some( this.recordedProperties, { name: name } ), 'Property already added: ' + name );
+
+      var self = this;
+
+      options = _.extend( {
+        toJSON: _.identity, // {function(*):*} - the value of the Property as it is recorded
+        fromJSON: _.identity, // {function(*):*} - the value of the Property from a value in a recording
+        validValues: null, // {Array.<*>|null} - the values that the Property can have
+        range: null, // {Range|null} - the values that a number Property can have
+        isValidJSON: null, // {function(*):boolean|null} - whether a value from a recording can be played
+
+        // {function():boolean} - whether a change is recorded, for Properties that are also set by the model itself
+        isRecorded: function() { return true; }
+      }, options );
+
+      var valueType = typeof property.get();
+      assert && assert( options.isValidJSON || options.validValues ||
+                        valueType === 'boolean' || valueType === 'number' || valueType === 'string',
+        'the values of ' + name + ' need validValues or isValidJSON' );
+
+      this.recordedProperties.push( {
+        name: name,
+        property: property,
+        toJSON: options.toJSON,
+        fromJSON: options.fromJSON,
+        isValidJSON: options.isValidJSON || function( value ) {
+          if ( options.validValues ) {
+            return options.validValues.indexOf( value ) >= 0;
+          }
+          if ( typeof value !== valueType ) {
+            return false;
+          }
+          return valueType !== 'number' || ( isFinite( value ) && ( !options.range || options.range.contains( value ) ) );
+        }
+      } );
+
+      // Present for the lifetime of the sim; no need to unlink.
+      property.lazyLink( function( value ) {
+        if ( self.stateProperty.get() === RecorderState.RECORDING && !self.doingAction && options.isRecorded() ) {
+          self.events.push( { time: self.timeProperty.get(), property: name, value: options.toJSON( value ) } );
+        }
+      } );
+    },
+
+    /**
+     * Add an action, like Reset All, that is recorded and played back as a whole.
+     * @public
+     *
+     * @param {string} name - unique, what the action is called in a recording
+     * @param {function} callback - does the action
+     * @returns {function} - to be called instead of callback when the user does the action
+     */
+    addAction: function( name, callback ) {
+      assert && assert( !this.actions.hasOwnProperty( name ), 'action already added: ' + name );
+
+      var self = this;
+      this.actions[ name ] = callback;
+
+      return function() {
+
+        // the user takes over from a recording that is being played
+        if ( self.stateProperty.get() === RecorderState.PLAYING ) {
+          self.stop();
+        }
+        if ( self.stateProperty.get() === RecorderState.RECORDING ) {
+          self.events.push( { time: self.timeProperty.get(), action: name } );
+        }
+        self.doAction( name );
+      };
+    },
+
+    /**
+     * Start recording, from the present values of the recorded Properties.
+     * @public
+     */
+    record: function() {
+      assert && assert( this.stateProperty.get() === RecorderState.IDLE, 'already recording or playing' );
+
+      var initialValues = {};
+      this.recordedProperties.forEach( function( recordedProperty ) {
+        initialValues[ recordedProperty.name ] = recordedProperty.toJSON( recordedProperty.property.get() );
+      } );
+      this.initialValues = initialValues;
+      this.events = [];
+      this.timeProperty.reset();
+      this.stateProperty.set( RecorderState.RECORDING );
+    },
+
+    /**
+     * Play the last recording from the start, setting the recorded Properties to their initial values first.
+     * @public
+     */
+    play: function() {
+      assert && assert( this.stateProperty.get() === RecorderState.IDLE, 'already recording or playing' );
+      assert && assert( this.recordingProperty.get() !== null, 'nothing to play' );
+
+      var initialValues = this.recordingProperty.get().initialValues;
+      this.recordedProperties.forEach( function( recordedProperty ) {
+        if ( initialValues.hasOwnProperty( recordedProperty.name ) ) {
+          recordedProperty.property.set( recordedProperty.fromJSON( initialValues[ recordedProperty.name ] ) );
+        }
+      } );
+      this.nextEventIndex = 0;
+      this.timeProperty.reset();
+      this.stateProperty.set( RecorderState.PLAYING );
+      this.playEvents();
+    },
+
+    /**
+     * Stop recording, which keeps the recording, or stop playing, which leaves everything as it was played up to then.
+     * @public
+     */
+    stop: function() {
+      if ( this.stateProperty.get() === RecorderState.RECORDING ) {
+        this.recordingProperty.set( {
+          version: VERSION,
+          duration: this.timeProperty.get(),
+          initialValues: this.initialValues,
+          events: this.events
+        } );
+        this.events = [];
+      }
+      this.stateProperty.set( RecorderState.IDLE );
+    },
+
+    /**
+     * Move the time of the recording forward.
+     * @public
+     *
+     * @param {number} dt - in seconds
+     */
+    step: function( dt ) {
+      var state = this.stateProperty.get();
+      if ( state === RecorderState.RECORDING ) {
+        this.timeProperty.set( this.timeProperty.get() + dt );
+      }
+      else if ( state === RecorderState.PLAYING ) {
+        var duration = this.recordingProperty.get().duration;
+        this.timeProperty.set( Math.min( this.timeProperty.get() + dt * this.playbackSpeedProperty.get(), duration ) );
+        this.playEvents();
+        if ( this.timeProperty.get() >= duration ) {
+          this.stop();
+        }
+      }
+    },
+
+    /**
+     * Get the last recording as JSON, for a file.
+     * @public
+     *
+     * @returns {string}
+     */
+    toJSON: function() {
+      assert && assert( this.recordingProperty.get() !== null, 'nothing to export' );
+      return JSON.stringify( this.recordingProperty.get(), null, 2 );
+    },
+
+    /**
+     * Make a recording from a file the last recording, so that it can be played. Throws an Error with a message that
+     * says what is wrong with a recording that can't be played, without changing the last recording.
+     * @public
+     *
+     * @param {string} json
+     */
+    setJSON: function( json ) {
+      var self = this;
+
+      var recording;
+      try {
+        recording = JSON.parse( json );
+      }
+      catch( error ) {
+        throw new Error( 'The recording is not valid JSON.' );
+      }
+      if ( !_.isPlainObject( recording ) ) {
+        throw new Error( 'The recording must be a JSON object.' );
+      }
+      if ( recording.version !== VERSION ) {
+        throw new Error( 'The recording has version ' + recording.version + ', but only version ' + VERSION +
+                         ' can be played.' );
+      }
+      if ( !isFiniteNumber( recording.duration ) || recording.duration < 0 ) {
+        throw new Error( 'The duration of the recording is not a number of seconds.' );
+      }
+      if ( !_.isPlainObject( recording.initialValues ) ) {
+        throw new Error( 'The recording has no initial values.' );
+      }
+      _.keys( recording.initialValues ).forEach( function( name ) {
+        self.checkValue( name, recording.initialValues[ name ] );
+      } );
+      if ( !Array.isArray( recording.events ) ) {
+        throw new Error( 'The recording has no events.' );
+      }
+      var lastTime = 0;
+      recording.events.forEach( function( event, index ) {
+        var description = 'Event ' + ( index + 1 ) + ' of the recording';
+        if ( !_.isPlainObject( event ) || !isFiniteNumber( event.time ) ) {
+          throw new Error( description + ' has no time.' );
+        }
+        if ( event.time < lastTime || event.time > recording.duration ) {
+          throw new Error( description + ' is out of order.' );
+        }
+        lastTime = event.time;
+        if ( event.hasOwnProperty( 'action' ) ) {
+          if ( !self.actions.hasOwnProperty( event.action ) ) {
+            throw new Error( description + ' has an unknown action, ' + event.action + '.' );
+          }
+        }
+        else if ( event.hasOwnProperty( 'property' ) ) {
+          self.checkValue( event.property, event.value );
+        }
+        else {
+          throw new Error( description + ' is neither an action nor a change.' );
+        }
+      } );
+
+      this.recordingProperty.set( {
+        version: VERSION,
+        duration: recording.duration,
+        initialValues: recording.initialValues,
+        events: recording.events
+      } );
+    },
+
+    /**
+     * Throw an Error if a value from a recording can't be played for a Property.
+     * @private
+     *
+     * @param {string} name - of the Property
+     * @param {*} value - from the recording
+     */
+    checkValue: function( name, value ) {
+      var recordedProperty = _.find( this.recordedProperties, { name: name } );
+      if ( !recordedProperty ) {
+        throw new Error( 'The recording changes something unknown, ' + name + '.' );
+      }
+      if ( !recordedProperty.isValidJSON( value ) ) {
+        throw new Error( 'The recording has a value for ' + name + ' that can\'t be played, ' +
+                         JSON.stringify( value ) + '.' );
+      }
+    },
+
+    /**
+     * Play the events of the recording up to the present time.
+     * @private
+     */
+    playEvents: function() {
+      var events = this.recordingProperty.get().events;
+      while ( this.nextEventIndex < events.length && events[ this.nextEventIndex ].time <= this.timeProperty.get() ) {
+        var event = events[ this.nextEventIndex++ ];
+        if ( event.hasOwnProperty( 'action' ) ) {
+          this.doAction( event.action );
+        }
+        else {
+          var recordedProperty = _.find( this.recordedProperties, { name: event.property } );
+          recordedProperty.property.set( recordedProperty.fromJSON( event.value ) );
+        }
+      }
+    },
+
+    /**
+     * Do an action, without recording the changes that it makes.
+     * @private
+     *
+     * @param {string} name
+     */
+    doAction: function( name ) {
+      this.doingAction = true;
+      this.actions[ name ]();
+      this.doingAction = false;
+    }
+  }, {
+
+    // @public {number[]} - the speeds that a recording can be played at
+    PLAYBACK_SPEEDS: PLAYBACK_SPEEDS
+  } );
+} );
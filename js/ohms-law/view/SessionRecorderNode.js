@@ -0,0 +1,258 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Controls of the session recorder, to record a session, play it back at a chosen speed, and export and import it as
+ * a JSON file, with a line that says what the recorder is doing. See SessionRecorder.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var AquaRadioButton = require( 'SUN/AquaRadioButton' );
+  var FileUtils = require( 'OHMS_LAW/ohms-law/view/FileUtils' );
+  var HBox = require( 'SCENERY/nodes/HBox' );
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var RecorderState = require( 'OHMS_LAW/ohms-law/view/RecorderState' );
+  var SessionRecorder = require( 'OHMS_LAW/ohms-law/view/SessionRecorder' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  var Util = require( 'DOT/Util' );
+  var VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  var exportJSONString = require( 'string!OHMS_LAW/exportJSON' );
+  var fileErrorPatternString = require( 'string!OHMS_LAW/fileErrorPattern' );
+  var importJSONString = require( 'string!OHMS_LAW/importJSON' );
+  var noRecordingString = require( 'string!OHMS_LAW/noRecording' );
+  var playbackSpeedPatternString = require( 'string!OHMS_LAW/playbackSpeedPattern' );
+  var playbackSpeedString = require( 'string!OHMS_LAW/playbackSpeed' );
+  var playingTimePatternString = require( 'string!OHMS_LAW/playingTimePattern' );
+  var playString = require( 'string!OHMS_LAW/play' );
+  var recordingSummaryPatternString = require( 'string!OHMS_LAW/recordingSummaryPattern' );
+  var recordingTimePatternString = require( 'string!OHMS_LAW/recordingTimePattern' );
+  var recordString = require( 'string!OHMS_LAW/record' );
+  var stopString = require( 'string!OHMS_LAW/stop' );
+
+  // a11y strings
+  var sessionRecordingDescriptionString = OhmsLawA11yStrings.sessionRecordingDescriptionString;
+  var recordSessionLabelString = OhmsLawA11yStrings.recordSessionLabelString;
+  var recordSessionDescriptionString = OhmsLawA11yStrings.recordSessionDescriptionString;
+  var stopLabelString = OhmsLawA11yStrings.stopLabelString;
+  var stopDescriptionString = OhmsLawA11yStrings.stopDescriptionString;
+  var playLabelString = OhmsLawA11yStrings.playLabelString;
+  var playDescriptionString = OhmsLawA11yStrings.playDescriptionString;
+  var playbackSpeedLabelString = OhmsLawA11yStrings.playbackSpeedLabelString;
+  var playbackSpeedA11yPatternString = OhmsLawA11yStrings.playbackSpeedPatternString;
+  var exportRecordingLabelString = OhmsLawA11yStrings.exportRecordingLabelString;
+  var exportRecordingDescriptionString = OhmsLawA11yStrings.exportRecordingDescriptionString;
+  var importRecordingLabelString = OhmsLawA11yStrings.importRecordingLabelString;
+  var importRecordingDescriptionString = OhmsLawA11yStrings.importRecordingDescriptionString;
+  var recordingStartedAlertString = OhmsLawA11yStrings.recordingStartedAlertString;
+  var recordingStoppedAlertPatternString = OhmsLawA11yStrings.recordingStoppedAlertPatternString;
+  var playbackStartedAlertString = OhmsLawA11yStrings.playbackStartedAlertString;
+  var playbackEndedAlertString = OhmsLawA11yStrings.playbackEndedAlertString;
+  var recordingImportedAlertPatternString = OhmsLawA11yStrings.recordingImportedAlertPatternString;
+  var fileErrorAlertPatternString = OhmsLawA11yStrings.fileErrorAlertPatternString;
+
+  // constants
+  var FONT = new PhetFont( 14 );
+  var MAX_BUTTON_TEXT_WIDTH = 80;
+  var MAX_STATUS_WIDTH = 280;
+
+  /**
+   * @param {Object} recording - see SessionRecorder
+   * @param {string} patternString - with {{duration}} and {{count}}
+   * @returns {string}
+   */
+  function describeRecording( recording, patternString ) {
+    return StringUtils.fillIn( patternString, {
+      duration: Util.toFixed( recording.duration, 1 ),
+      count: recording.events.length
+    } );
+  }
+
+  /**
+   * @param {SessionRecorder} sessionRecorder
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function SessionRecorderNode( sessionRecorder, tandem, options ) {
+
+    options = _.extend( {
+      spacing: 8,
+      align: 'left',
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      accessibleDescription: sessionRecordingDescriptionString
+    }, options );
+
+    var recordButton = new TextPushButton( recordString, {
+      font: FONT,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      maxTextWidth: MAX_BUTTON_TEXT_WIDTH,
+      listener: function() { sessionRecorder.record(); },
+      tandem: tandem.createTandem( 'recordButton' ),
+
+      // a11y
+      accessibleLabel: recordSessionLabelString,
+      accessibleDescription: recordSessionDescriptionString
+    } );
+
+    var stopButton = new TextPushButton( stopString, {
+      font: FONT,
+      baseColor: 'white',
+      maxTextWidth: MAX_BUTTON_TEXT_WIDTH,
+      listener: function() { sessionRecorder.stop(); },
+      tandem: tandem.createTandem( 'stopButton' ),
+
+      // a11y
+      accessibleLabel: stopLabelString,
+      accessibleDescription: stopDescriptionString
+    } );
+
+    var playButton = new TextPushButton( playString, {
+      font: FONT,
+      baseColor: 'white',
+      maxTextWidth: MAX_BUTTON_TEXT_WIDTH,
+      listener: function() { sessionRecorder.play(); },
+      tandem: tandem.createTandem( 'playButton' ),
+
+      // a11y
+      accessibleLabel: playLabelString,
+      accessibleDescription: playDescriptionString
+    } );
+
+    var speedRadioButtons = SessionRecorder.PLAYBACK_SPEEDS.map( function( speed ) {
+      return new AquaRadioButton( sessionRecorder.playbackSpeedProperty, speed, new Text(
+        StringUtils.fillIn( playbackSpeedPatternString, { speed: speed } ), { font: FONT, maxWidth: 40 }
+      ), {
+        radius: 7,
+        tandem: tandem.createTandem( 'speed' + ( '' + speed ).replace( '.', '_' ) + 'RadioButton' ),
+
+        // a11y
+        accessibleLabel: StringUtils.fillIn( playbackSpeedA11yPatternString, { speed: speed } )
+      } );
+    } );
+
+    var speedBox = new HBox( {
+      spacing: 10,
+      children: [ new Text( playbackSpeedString, { font: FONT, maxWidth: 60 } ) ].concat( speedRadioButtons ),
+
+      // a11y - contain the radio buttons in a list
+      tagName: 'ul',
+      labelTagName: 'h4',
+      prependLabels: true,
+      accessibleLabel: playbackSpeedLabelString
+    } );
+
+    var statusText = new Text( '', {
+      font: FONT,
+      maxWidth: MAX_STATUS_WIDTH,
+      tandem: tandem.createTandem( 'statusText' )
+    } );
+
+    var exportButton = new TextPushButton( exportJSONString, {
+      font: FONT,
+      baseColor: 'white',
+      maxTextWidth: MAX_BUTTON_TEXT_WIDTH,
+      listener: function() {
+        FileUtils.download( sessionRecorder.toJSON(), 'ohms-law-session.json', 'application/json' );
+      },
+      tandem: tandem.createTandem( 'exportButton' ),
+
+      // a11y
+      accessibleLabel: exportRecordingLabelString,
+      accessibleDescription: exportRecordingDescriptionString
+    } );
+
+    var importButton = new TextPushButton( importJSONString, {
+      font: FONT,
+      baseColor: 'white',
+      maxTextWidth: MAX_BUTTON_TEXT_WIDTH,
+      listener: function() {
+        FileUtils.open( '.json,application/json', function( json ) {
+          try {
+            sessionRecorder.setJSON( json );
+
+            // a11y
+            utteranceQueue.addToBack( new Utterance( describeRecording( sessionRecorder.recordingProperty.get(),
+              recordingImportedAlertPatternString ), { typeId: 'sessionRecorderAlert' } ) );
+          }
+          catch( error ) {
+            statusText.text = StringUtils.fillIn( fileErrorPatternString, { message: error.message } );
+            statusText.fill = PhetColorScheme.RED_COLORBLIND;
+
+            // a11y
+            utteranceQueue.addToBack( new Utterance( StringUtils.fillIn( fileErrorAlertPatternString, {
+              message: error.message
+            } ), { typeId: 'sessionRecorderAlert' } ) );
+          }
+        } );
+      },
+      tandem: tandem.createTandem( 'importButton' ),
+
+      // a11y
+      accessibleLabel: importRecordingLabelString,
+      accessibleDescription: importRecordingDescriptionString
+    } );
+
+    // Only what can be done in the state of the recorder is enabled, and the line says what it is doing. Present for
+    // the lifetime of the sim; no need to unlink.
+    Property.multilink( [ sessionRecorder.stateProperty, sessionRecorder.timeProperty, sessionRecorder.recordingProperty ],
+      function( state, time, recording ) {
+        var idle = ( state === RecorderState.IDLE );
+        recordButton.enabled = idle;
+        stopButton.enabled = !idle;
+        playButton.enabled = idle && recording !== null;
+        exportButton.enabled = idle && recording !== null;
+        importButton.enabled = idle;
+
+        statusText.fill = 'black';
+        statusText.text = state === RecorderState.RECORDING ?
+                          StringUtils.fillIn( recordingTimePatternString, { time: Util.toFixed( time, 1 ) } ) :
+                          state === RecorderState.PLAYING ?
+                          StringUtils.fillIn( playingTimePatternString, {
+                            time: Util.toFixed( time, 1 ),
+                            duration: Util.toFixed( recording.duration, 1 )
+                          } ) :
+                          recording === null ? noRecordingString :
+                          describeRecording( recording, recordingSummaryPatternString );
+      } );
+
+    // a11y - announce when the recorder starts and stops. Present for the lifetime of the sim; no need to unlink.
+    sessionRecorder.stateProperty.lazyLink( function( state, oldState ) {
+      var alert = state === RecorderState.RECORDING ? recordingStartedAlertString :
+                  state === RecorderState.PLAYING ? playbackStartedAlertString :
+                  oldState === RecorderState.RECORDING ?
+                  describeRecording( sessionRecorder.recordingProperty.get(), recordingStoppedAlertPatternString ) :
+                  playbackEndedAlertString;
+      utteranceQueue.addToBack( new Utterance( alert, { typeId: 'sessionRecorderAlert' } ) );
+    } );
+
+    options.children = [
+      new HBox( { spacing: 8, children: [ recordButton, stopButton, playButton ] } ),
+      speedBox,
+      new HBox( { spacing: 8, children: [ exportButton, importButton ] } ),
+      statusText
+    ];
+
+    VBox.call( this, options );
+  }
+
+  ohmsLaw.register( 'SessionRecorderNode', SessionRecorderNode );
+
+  return inherit( VBox, SessionRecorderNode );
+} );
@@ -0,0 +1,161 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Button that puts a link to the setup of the circuit in the address bar and copies it, with a line that says what
+ * happened. The sim opens at the setup in the fragment of such a link, see ModelState, and says why if it can't.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var inherit = require( 'PHET_CORE/inherit' );
+  var ModelState = require( 'OHMS_LAW/ohms-law/model/ModelState' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+
+  // strings
+  var linkCopiedString = require( 'string!OHMS_LAW/linkCopied' );
+  var linkErrorPatternString = require( 'string!OHMS_LAW/linkErrorPattern' );
+  var linkInAddressBarString = require( 'string!OHMS_LAW/linkInAddressBar' );
+  var shareLinkString = require( 'string!OHMS_LAW/shareLink' );
+
+  // a11y strings
+  var shareLinkLabelString = OhmsLawA11yStrings.shareLinkLabelString;
+  var shareLinkDescriptionString = OhmsLawA11yStrings.shareLinkDescriptionString;
+  var linkCopiedAlertString = OhmsLawA11yStrings.linkCopiedAlertString;
+  var linkInAddressBarAlertString = OhmsLawA11yStrings.linkInAddressBarAlertString;
+  var linkErrorAlertPatternString = OhmsLawA11yStrings.linkErrorAlertPatternString;
+
+  // constants
+  var FONT = new PhetFont( 14 );
+  var MAX_STATUS_WIDTH = 400;
+
+  /**
+   * @param {OhmsLawModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function ShareLinkNode( model, tandem, options ) {
+
+    var self = this;
+
+    options = _.extend( {
+      tandem: tandem
+    }, options );
+
+    var shareLinkButton = new TextPushButton( shareLinkString, {
+      font: FONT,
+      baseColor: 'white',
+      maxTextWidth: 150,
+      listener: function() { self.shareLink(); },
+      tandem: tandem.createTandem( 'shareLinkButton' ),
+
+      // a11y
+      accessibleLabel: shareLinkLabelString,
+      accessibleDescription: shareLinkDescriptionString
+    } );
+
+    // @private - says whether the link was copied, or why a link couldn't be opened. Empty until then, and lined up
+    // with the right of the button below it each time it is set.
+    this.statusText = new Text( '', {
+      font: FONT,
+      maxWidth: MAX_STATUS_WIDTH,
+      tandem: tandem.createTandem( 'statusText' )
+    } );
+
+    // @private
+    this.model = model;
+    this.shareLinkButton = shareLinkButton;
+
+    options.children = [ shareLinkButton, this.statusText ];
+
+    Node.call( this, options );
+
+    // Open the setup of the link that the sim was started with, and of any link that is typed into the address bar
+    // while it runs. Present for the lifetime of the sim; no need to remove the listener.
+    this.openLink();
+    window.addEventListener( 'hashchange', this.openLink.bind( this ) );
+  }
+
+  ohmsLaw.register( 'ShareLinkNode', ShareLinkNode );
+
+  return inherit( Node, ShareLinkNode, {
+
+    /**
+     * Clear the line that says what happened.
+     * @public
+     */
+    reset: function() {
+      this.statusText.text = '';
+    },
+
+    /**
+     * Put a link to the setup in the address bar, without opening it again, and copy it if the browser allows.
+     * @private
+     */
+    shareLink: function() {
+      var self = this;
+
+      window.history.replaceState( null, '', '#' + ModelState.toFragment( this.model.toStateJSON() ) );
+      this.setStatus( linkInAddressBarString, 'black', linkInAddressBarAlertString );
+
+      if ( window.navigator.clipboard ) {
+        window.navigator.clipboard.writeText( window.location.href ).then( function() {
+          self.setStatus( linkCopiedString, 'black', linkCopiedAlertString );
+        } ).catch( function() {
+
+          // the browser can refuse, like when the document isn't focused, and then the link is copied by hand
+          self.setStatus( linkInAddressBarString, 'black', linkInAddressBarAlertString );
+        } );
+      }
+    },
+
+    /**
+     * Set up the model from the fragment of the address, if it holds a state.
+     * @private
+     */
+    openLink: function() {
+      var json = ModelState.fromFragment( window.location.hash );
+      if ( json === null ) {
+        return;
+      }
+      try {
+        this.model.setStateJSON( json );
+        this.reset();
+      }
+      catch( error ) {
+        this.setStatus( StringUtils.fillIn( linkErrorPatternString, { message: error.message } ),
+          PhetColorScheme.RED_COLORBLIND,
+          StringUtils.fillIn( linkErrorAlertPatternString, { message: error.message } ) );
+      }
+    },
+
+    /**
+     * Say what happened, on the screen and to a screen reader.
+     * @private
+     *
+     * @param {string} status
+     * @param {Color|string} fill
+     * @param {string} alert - a11y
+     */
+    setStatus: function( status, fill, alert ) {
+      this.statusText.text = status;
+      this.statusText.fill = fill;
+      this.statusText.rightTop = this.shareLinkButton.rightBottom.plusXY( 0, 5 );
+
+      // a11y
+      utteranceQueue.addToBack( new Utterance( alert, { typeId: 'shareLinkAlert' } ) );
+    }
+  } );
+} );
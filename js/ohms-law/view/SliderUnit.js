@@ -1,27 +1,50 @@
 // Copyright 2017, University of Colorado Boulder
 
 /**
- * Slider unit with a vertical slider, a label above the slider and a readout display below the slider.
+ * Slider unit with a vertical slider, a label above the slider and a readout display below the slider. The readout and
+ * the keyboard steps of the slider follow the precision in the global options. Pressing the readout opens a keypad to
+ * type an exact value, which is set as if the slider had been moved to it.
  * @author Martin Veillette (Berea College)
  */
 define( function( require ) {
   'use strict';
 
   // modules
+  var ButtonListener = require( 'SCENERY/input/ButtonListener' );
   var Dimension2 = require( 'DOT/Dimension2' );
   var HSlider = require( 'SUN/HSlider' );
   var inherit = require( 'PHET_CORE/inherit' );
+  var KeyboardUtil = require( 'SCENERY/accessibility/KeyboardUtil' );
   var Node = require( 'SCENERY/nodes/Node' );
+  var NumberEntryDialog = require( 'OHMS_LAW/ohms-law/view/NumberEntryDialog' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Precision = require( 'OHMS_LAW/ohms-law/model/Precision' );
+  var Property = require( 'AXON/Property' );
   var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   var Text = require( 'SCENERY/nodes/Text' );
-  var Util = require( 'DOT/Util' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
   var VBox = require( 'SCENERY/nodes/VBox' );
 
+  // a11y strings
+  var enterExactValuePatternString = OhmsLawA11yStrings.enterExactValuePatternString;
+  var enterExactValueDescriptionString = OhmsLawA11yStrings.enterExactValueDescriptionString;
+
   // constants
   var READOUT_SPACING = 6;
 
+  // directions of the keys that step the slider, the slider is vertical but also steps with left and right
+  var KEY_DIRECTIONS = {};
+  KEY_DIRECTIONS[ KeyboardUtil.KEY_UP_ARROW ] = 1;
+  KEY_DIRECTIONS[ KeyboardUtil.KEY_RIGHT_ARROW ] = 1;
+  KEY_DIRECTIONS[ KeyboardUtil.KEY_PAGE_UP ] = 1;
+  KEY_DIRECTIONS[ KeyboardUtil.KEY_DOWN_ARROW ] = -1;
+  KEY_DIRECTIONS[ KeyboardUtil.KEY_LEFT_ARROW ] = -1;
+  KEY_DIRECTIONS[ KeyboardUtil.KEY_PAGE_DOWN ] = -1;
+
   /**
    * @param {Property.<number>} property
    * @param {RangeWithValue} range
@@ -38,14 +61,35 @@ define( function( require ) {
     options = _.extend( {
       tandem: tandem,
       accessibleDecimalPlaces: 0,
-      keyboardStep: 1,
-      shiftKeyboardStep: 0.1,
+      keyboardStep: 1, // at normal precision
+      shiftKeyboardStep: 0.1, // at normal precision
       accessibleValuePattern: '{{value}}', // string pattern used for formating the value read by the screen reader
       endDrag: function() {}, // called at end of drag by HSlider
-      startDrag: function() {}
+      startDrag: function() {},
+      constrainValue: _.identity, // called by HSlider before the value is set, to snap it to allowed values
+
+      // {Property.<boolean>} - whether the slider and the keypad can be used, by mouse, touch or keyboard
+      enabledProperty: new Property( true ),
+
+      // {function(number)|null} - called when a press of an arrow or page key doesn't move the slider, because
+      // constrainValue snaps the value back to where it was, with the direction of the step, 1 up or -1 down
+      keyboardStepHeld: null,
+
+      // {UnitFormatter|null} - if provided, the readout and the value read by the screen reader are shown with units
+      // that change with the size of the value, instead of with unitString, accessibleDecimalPlaces and
+      // accessibleValuePattern
+      formatter: null
     }, options );
 
     Node.call( this );
+    var self = this;
+
+    // {number} - the value before the last change, see keyboardStepHeld. The slider sets it in constrainValue just
+    // before it sets a value, and changes made elsewhere, like by the model, set it when they are made.
+    var valueBeforeChange = property.get();
+
+    // {number|null} - the value that the slider is setting, so that its own change isn't taken as one made elsewhere
+    var sliderValue = null;
 
     var slider = new HSlider( property, range, {
       trackFillEnabled: 'black',
@@ -58,6 +102,12 @@ define( function( require ) {
 
       startDrag: options.startDrag,
       endDrag: options.endDrag,
+      enabledProperty: options.enabledProperty,
+      constrainValue: function( value ) {
+        valueBeforeChange = property.get();
+        sliderValue = options.constrainValue( value );
+        return sliderValue;
+      },
 
       // a11y
       keyboardStep: options.keyboardStep,
@@ -70,6 +120,31 @@ define( function( require ) {
       prependLabels: true
     } );
 
+    // @private
+    this.slider = slider;
+
+    // The slider handles the key first, so a step that was held in place has left the value as it was. Present for the
+    // lifetime of the simulation; no need to remove.
+    if ( options.keyboardStepHeld ) {
+      property.lazyLink( function( value ) {
+        if ( value !== sliderValue ) {
+          valueBeforeChange = value;
+        }
+      } );
+      slider.addAccessibleInputListener( {
+        keydown: function( event ) {
+          var direction = KEY_DIRECTIONS[ event.keyCode ];
+          if ( direction && slider.enabledProperty.get() && property.get() === valueBeforeChange ) {
+            options.keyboardStepHeld( direction );
+          }
+        }
+      } );
+    }
+
+    // @private {number} - keyboard steps at normal precision, see setKeyboardSteps
+    this.keyboardStep = options.keyboardStep;
+    this.shiftKeyboardStep = options.shiftKeyboardStep;
+
     var symbolText = new Text( symbolString, {
       font: OhmsLawConstants.SYMBOL_FONT,
       fill: OhmsLawConstants.BLUE_COLOR,
@@ -84,13 +159,21 @@ define( function( require ) {
       tandem: tandem.createTandem( 'nameText' )
     } );
 
+    // @private
+    this.nameText = nameText;
+
     // We want these two close together, like one head unit
     var headerNode = new VBox( {
       spacing: -5, // empirically determined
       children: [ symbolText, nameText ]
     } );
 
-    var valueText = new Text( Util.toFixed( range.max, options.accessibleDecimalPlaces ), {
+    var formatValue = function( value ) {
+      return options.formatter ? options.formatter.formatValue( value ) :
+             UnitFormatter.toFixed( value, options.accessibleDecimalPlaces );
+    };
+
+    var valueText = new Text( formatValue( range.max ), {
       font: OhmsLawConstants.READOUT_FONT,
       fill: OhmsLawConstants.BLACK_COLOR,
       tandem: tandem.createTandem( 'valueText' )
@@ -115,10 +198,58 @@ define( function( require ) {
     // This ensures that both the value and the unit are on the same line, even if unit has a letter that dips "below" a writing line.
     valueText.y = unitText.y;
 
-    // Background for centering
+    // Background for centering, which is also the button that opens the keypad
     var readoutBackground = Rectangle.bounds( readout.bounds, {
       children: [ readout ],
-      maxWidth: OhmsLawConstants.SLIDER_WIDTH
+      maxWidth: OhmsLawConstants.SLIDER_WIDTH,
+
+      // a11y
+      tagName: 'button',
+      accessibleLabel: StringUtils.fillIn( enterExactValuePatternString, { label: accessibleLabel } ),
+      accessibleDescription: enterExactValueDescriptionString
+    } );
+    readoutBackground.mouseArea = readoutBackground.localBounds;
+    readoutBackground.touchArea = readoutBackground.localBounds;
+
+    // @private
+    this.readoutBackground = readoutBackground;
+
+    // A value from the keypad is set like a change made with the slider, so that it is constrained, and the callbacks
+    // at the start and end of a drag describe it.
+    var entryDialog = new NumberEntryDialog( range, nameString, unitString, function( value ) {
+      options.startDrag();
+      property.set( options.constrainValue( value ) );
+      options.endDrag();
+      readoutBackground.focus();
+    }, tandem.createTandem( 'entryDialog' ), {
+      formatAccessible: options.formatter ? options.formatter.formatAccessible.bind( options.formatter ) :
+                        function( value ) { return value + ' ' + unitString; }
+    } );
+
+    // @private
+    this.entryDialog = entryDialog;
+
+    // The keypad only opens while the slider is enabled, the readout stays visible either way
+    var showEntryDialog = function() {
+      if ( options.enabledProperty.get() ) {
+        entryDialog.show();
+      }
+    };
+    readoutBackground.addInputListener( new ButtonListener( {
+      fire: showEntryDialog
+    } ) );
+
+    // a11y - the button is pressed with the keyboard
+    readoutBackground.addAccessibleInputListener( {
+      click: showEntryDialog
+    } );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    options.enabledProperty.link( function( enabled ) {
+      readoutBackground.cursor = enabled ? 'pointer' : null;
+
+      // a11y
+      readoutBackground.setAccessibleAttribute( 'aria-disabled', !enabled );
     } );
 
     // Add components in a vertically spaced stack
@@ -128,10 +259,27 @@ define( function( require ) {
     } ) );
 
     // Update value of the readout. Present for the lifetime of the simulation; no need to unlink.
-    property.link( function( value ) {
-      valueText.text = Util.toFixed( value, options.accessibleDecimalPlaces );
+    var updateReadout = function() {
+      var value = property.get();
+      valueText.text = formatValue( value );
+      if ( options.formatter ) {
+        unitText.text = options.formatter.getUnits( value );
+
+        // a11y - replaces the value text that the slider creates from accessibleValuePattern, which can't change units
+        slider.setAccessibleAttribute( 'aria-valuetext', options.formatter.formatAccessible( value ) );
+      }
       valueText.right = unitText.left - READOUT_SPACING;
       readout.centerX = readoutBackground.selfBounds.centerX;
+    };
+    property.link( updateReadout );
+    if ( options.formatter ) {
+      options.formatter.prefixProperty.lazyLink( updateReadout );
+    }
+    OhmsLawGlobalOptions.precisionProperty.lazyLink( updateReadout );
+
+    // Present for the lifetime of the simulation; no need to unlink.
+    OhmsLawGlobalOptions.precisionProperty.link( function() {
+      self.setKeyboardSteps( self.keyboardStep, self.shiftKeyboardStep );
     } );
 
     this.mutate( options );
@@ -139,5 +287,39 @@ define( function( require ) {
 
   ohmsLaw.register( 'SliderUnit', SliderUnit );
 
-  return inherit( Node, SliderUnit );
+  return inherit( Node, SliderUnit, {
+
+    /**
+     * Set how far the slider moves for each press of an arrow key at normal precision. The steps are scaled for the
+     * precision in the global options.
+     * @public
+     *
+     * @param {number} keyboardStep
+     * @param {number} shiftKeyboardStep - while the shift key is down
+     */
+    setKeyboardSteps: function( keyboardStep, shiftKeyboardStep ) {
+      this.keyboardStep = keyboardStep;
+      this.shiftKeyboardStep = shiftKeyboardStep;
+      var stepScale = Precision.getStepScale( OhmsLawGlobalOptions.precisionProperty.get() );
+      this.slider.setKeyboardStep( stepScale * keyboardStep );
+      this.slider.setShiftKeyboardStep( stepScale * shiftKeyboardStep );
+    },
+
+    /**
+     * Set the name shown under the symbol and the label read by a screen reader, for a quantity that goes by another
+     * name, like the amplitude of the AC source.
+     * @public
+     *
+     * @param {string} nameString
+     * @param {string} accessibleLabel
+     */
+    setLabels: function( nameString, accessibleLabel ) {
+      this.nameText.text = nameString;
+      this.slider.accessibleLabel = accessibleLabel;
+      this.readoutBackground.accessibleLabel = StringUtils.fillIn( enterExactValuePatternString, {
+        label: accessibleLabel
+      } );
+      this.entryDialog.setName( nameString );
+    }
+  } );
 } );
\ No newline at end of file
@@ -0,0 +1,193 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * Formats the value of a quantity with a metric prefix on its units, like 150 µA, 4.50 V or 1.20 kΩ. The prefix is
+ * picked so that the value is at least 1 in the shown units, unless it is locked to one prefix in the global options.
+ * Values are shown with the same number of significant figures whatever the prefix, more or fewer of them with the
+ * precision in the global options.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var inherit = require( 'PHET_CORE/inherit' );
+  var MetricPrefix = require( 'OHMS_LAW/ohms-law/model/MetricPrefix' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Precision = require( 'OHMS_LAW/ohms-law/model/Precision' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Util = require( 'DOT/Util' );
+
+  // strings
+  var ampUnitsString = require( 'string!OHMS_LAW/ampUnits' );
+  var currentUnitsString = require( 'string!OHMS_LAW/currentUnits' );
+  var kilohmUnitsString = require( 'string!OHMS_LAW/kilohmUnits' );
+  var megohmUnitsString = require( 'string!OHMS_LAW/megohmUnits' );
+  var microampUnitsString = require( 'string!OHMS_LAW/microampUnits' );
+  var millivoltUnitsString = require( 'string!OHMS_LAW/millivoltUnits' );
+  var resistanceUnitsString = require( 'string!OHMS_LAW/resistanceUnits' );
+  var voltageUnitsString = require( 'string!OHMS_LAW/voltageUnits' );
+
+  // a11y strings
+  var valueUnitsPatternString = OhmsLawA11yStrings.valueUnitsPatternString;
+  var voltsString = OhmsLawA11yStrings.voltsString;
+  var millivoltsString = OhmsLawA11yStrings.millivoltsString;
+  var ampsString = OhmsLawA11yStrings.ampsString;
+  var milliampsString = OhmsLawA11yStrings.milliampsString;
+  var microampsString = OhmsLawA11yStrings.microampsString;
+  var ohmsString = OhmsLawA11yStrings.ohmsString;
+  var kilohmsString = OhmsLawA11yStrings.kilohmsString;
+  var megohmsString = OhmsLawA11yStrings.megohmsString;
+
+  /**
+   * Get the number of significant figures that values are shown with, at the precision in the global options.
+   * @returns {number}
+   */
+  function getSignificantFigures() {
+    return Precision.getSignificantFigures( OhmsLawGlobalOptions.precisionProperty.get(),
+      OhmsLawConstants.SIGNIFICANT_FIGURES );
+  }
+
+  /**
+   * Get the power of ten of the leading digit of a value once it is rounded to the significant figures, so that 9.996
+   * rounds up to 10.0 and has a magnitude of 1.
+   * @param {number} value - not zero
+   * @returns {number}
+   */
+  function getMagnitude( value ) {
+    var roundedValue = Math.abs( Number( value.toPrecision( getSignificantFigures() ) ) );
+
+    // allow for the error of log10, which gives 2.9999999999999996 for 1000
+    return Math.floor( Util.log10( roundedValue ) + 1E-9 );
+  }
+
+  /**
+   * @param {string} modelPrefix - the prefix of the units that the model uses for the quantity, one of
+   *                               MetricPrefix.VALUES
+   * @param {Property.<string>} prefixProperty - the prefix that the units are locked to, or MetricPrefix.AUTO
+   * @param {Object} unitsStrings - units for each prefix that the quantity can be shown with, keyed by prefix
+   * @param {Object} accessibleUnitsStrings - units read by a screen reader, keyed by prefix
+   * @constructor
+   */
+  function UnitFormatter( modelPrefix, prefixProperty, unitsStrings, accessibleUnitsStrings ) {
+
+    // @public (read-only) {Property.<string>} - link to it to update anything formatted when the prefix is locked
+    this.prefixProperty = prefixProperty;
+
+    // @public (read-only) {Property.<string>} - link to it to update anything formatted when the precision changes
+    this.precisionProperty = OhmsLawGlobalOptions.precisionProperty;
+
+    // @public (read-only) {Object} - units for each prefix, keyed by prefix
+    this.unitsStrings = unitsStrings;
+    this.accessibleUnitsStrings = accessibleUnitsStrings;
+
+    // @private
+    this.modelPrefix = modelPrefix;
+
+    // @public (read-only) {string[]} - the prefixes that the quantity can be shown with, from smallest to largest
+    this.prefixes = MetricPrefix.VALUES.filter( function( prefix ) {
+      return unitsStrings.hasOwnProperty( prefix );
+    } );
+  }
+
+  inherit( Object, UnitFormatter, {
+
+    /**
+     * Get the prefix that a value is shown with, the largest prefix that keeps the value at least 1 unless the prefix
+     * is locked. Zero is shown in the units of the model.
+     * @public
+     *
+     * @param {number} value - in the units of the model
+     * @returns {string} - one of MetricPrefix.VALUES
+     */
+    getPrefix: function( value ) {
+      var lockedPrefix = this.prefixProperty.get();
+      if ( lockedPrefix !== MetricPrefix.AUTO ) {
+        return lockedPrefix;
+      }
+      if ( value === 0 ) {
+        return this.modelPrefix;
+      }
+      var magnitude = getMagnitude( value ) + MetricPrefix.getExponent( this.modelPrefix );
+      return _.findLast( this.prefixes, function( prefix ) {
+        return MetricPrefix.getExponent( prefix ) <= magnitude;
+      } ) || this.prefixes[ 0 ];
+    },
+
+    /**
+     * Get the value as a string in the units that it is shown with, see getUnits.
+     * @public
+     *
+     * @param {number} value - in the units of the model
+     * @returns {string}
+     */
+    formatValue: function( value ) {
+      var shift = MetricPrefix.getExponent( this.modelPrefix ) - MetricPrefix.getExponent( this.getPrefix( value ) );
+      var shiftedValue = value * Math.pow( 10, shift );
+      var significantFigures = getSignificantFigures();
+      var decimalPlaces = value === 0 ? significantFigures - 1 :
+                          Math.max( 0, significantFigures - 1 - getMagnitude( shiftedValue ) );
+      return Util.toFixed( shiftedValue, decimalPlaces );
+    },
+
+    /**
+     * Get the units that a value is shown with, like 'mA'.
+     * @public
+     *
+     * @param {number} value - in the units of the model
+     * @returns {string}
+     */
+    getUnits: function( value ) {
+      return this.unitsStrings[ this.getPrefix( value ) ];
+    },
+
+    /**
+     * a11y - Get the value with its units as read by a screen reader, like '150 microamps'.
+     * @public
+     *
+     * @param {number} value - in the units of the model
+     * @returns {string}
+     */
+    formatAccessible: function( value ) {
+      return StringUtils.fillIn( valueUnitsPatternString, {
+        value: this.formatValue( value ),
+        units: this.accessibleUnitsStrings[ this.getPrefix( value ) ]
+      } );
+    }
+  } );
+
+  /**
+   * Format a value that is shown with a fixed number of decimal places and no metric prefix, like the power in
+   * milliwatts, with more or fewer decimal places for the precision in the global options. Anything formatted this way
+   * should link to OhmsLawGlobalOptions.precisionProperty.
+   * @public
+   *
+   * @param {number} value
+   * @param {number} decimalPlaces - at normal precision
+   * @returns {string}
+   */
+  UnitFormatter.toFixed = function( value, decimalPlaces ) {
+    var precision = OhmsLawGlobalOptions.precisionProperty.get();
+    return Util.toFixed( value, Precision.getDecimalPlaces( precision, decimalPlaces ) );
+  };
+
+  // @public {UnitFormatter} - formatters for the quantities in the formula, in the units that the model uses
+  UnitFormatter.VOLTAGE = new UnitFormatter( MetricPrefix.NONE, OhmsLawGlobalOptions.voltagePrefixProperty,
+    _.zipObject( OhmsLawConstants.VOLTAGE_PREFIXES, [ millivoltUnitsString, voltageUnitsString ] ),
+    _.zipObject( OhmsLawConstants.VOLTAGE_PREFIXES, [ millivoltsString, voltsString ] ) );
+  UnitFormatter.CURRENT = new UnitFormatter( MetricPrefix.MILLI, OhmsLawGlobalOptions.currentPrefixProperty,
+    _.zipObject( OhmsLawConstants.CURRENT_PREFIXES, [ microampUnitsString, currentUnitsString, ampUnitsString ] ),
+    _.zipObject( OhmsLawConstants.CURRENT_PREFIXES, [ microampsString, milliampsString, ampsString ] ) );
+  UnitFormatter.RESISTANCE = new UnitFormatter( MetricPrefix.NONE, OhmsLawGlobalOptions.resistancePrefixProperty,
+    _.zipObject( OhmsLawConstants.RESISTANCE_PREFIXES, [ resistanceUnitsString, kilohmUnitsString,
+      megohmUnitsString ] ),
+    _.zipObject( OhmsLawConstants.RESISTANCE_PREFIXES, [ ohmsString, kilohmsString, megohmsString ] ) );
+
+  ohmsLaw.register( 'UnitFormatter', UnitFormatter );
+
+  return UnitFormatter;
+} );
@@ -0,0 +1,254 @@
+// Copyright 2018, University of Colorado Boulder
+
+/**
+ * View of the voltmeter, with a body that shows the reading and a red and a black probe on cables. The body and each
+ * probe can be dragged on their own, and the reading comes from the Voltmeter model.
+ *
+ * @author Martin Veillette (Berea College)
+ */
+define( function( require ) {
+  'use strict';
+
+  // modules
+  var inherit = require( 'PHET_CORE/inherit' );
+  var MeterPartNode = require( 'OHMS_LAW/ohms-law/view/MeterPartNode' );
+  var Node = require( 'SCENERY/nodes/Node' );
+  var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
+  var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
+  var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var Path = require( 'SCENERY/nodes/Path' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
+  var Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  var Shape = require( 'KITE/Shape' );
+  var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
+  var Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  var utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+
+  // strings
+  var meterReadingPatternString = require( 'string!OHMS_LAW/meterReadingPattern' );
+  var voltageUnitsString = require( 'string!OHMS_LAW/voltageUnits' );
+  var voltmeterString = require( 'string!OHMS_LAW/voltmeter' );
+
+  // a11y strings
+  var voltmeterLabelString = OhmsLawA11yStrings.voltmeterLabelString;
+  var voltmeterDescriptionString = OhmsLawA11yStrings.voltmeterDescriptionString;
+  var redProbeLabelString = OhmsLawA11yStrings.redProbeLabelString;
+  var blackProbeLabelString = OhmsLawA11yStrings.blackProbeLabelString;
+  var voltmeterReadingPatternString = OhmsLawA11yStrings.voltmeterReadingPatternString;
+  var voltmeterNoReadingString = OhmsLawA11yStrings.voltmeterNoReadingString;
+  var voltmeterReadingHiddenString = OhmsLawA11yStrings.voltmeterReadingHiddenString;
+
+  // constants
+  var BODY_WIDTH = 90;
+  var BODY_HEIGHT = 48;
+  var PROBE_LENGTH = 40; // from the tip to the end of the handle, which points up from the tip
+  var NO_READING = '\u2014'; // shown until both probes touch the circuit, not translated
+  var HIDDEN_READING = '?'; // shown while the reading gives away the current that is hidden, not translated
+  var TITLE_FONT = new PhetFont( 12 );
+  var READING_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+  var RED_COLOR = '#d00';
+  var BLACK_COLOR = '#222';
+
+  /**
+   * Create the content of a probe, with the tip at the origin and the handle above it.
+   * @param {string} color
+   * @returns {Node}
+   */
+  function createProbe( color ) {
+    return new Node( {
+      children: [
+        new Rectangle( -5, -PROBE_LENGTH, 10, PROBE_LENGTH - 12, 3, 3, { fill: color, stroke: '#000' } ),
+        new Path( new Shape().moveTo( 0, 0 ).lineTo( -3, -12 ).lineTo( 3, -12 ).close(), {
+          fill: '#aaa',
+          stroke: '#000'
+        } )
+      ]
+    } );
+  }
+
+  /**
+   * @param {Voltmeter} voltmeter
+   * @param {OhmsLawModel} model
+   * @param {ModelViewTransform2} modelViewTransform - from the coordinates of the circuit to the view
+   * @param {Bounds2} dragBounds - in the coordinates of the circuit
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function VoltmeterNode( voltmeter, model, modelViewTransform, dragBounds, tandem, options ) {
+
+    options = _.extend( {
+
+      // {Property.<boolean>} - whether the parts can be dragged, by mouse, touch or keyboard
+      enabledProperty: new Property( true )
+    }, options );
+
+    Node.call( this, {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      labelTagName: 'h3',
+      accessibleLabel: voltmeterLabelString,
+      accessibleDescription: voltmeterDescriptionString
+    } );
+
+    // While the batteries have internal resistance, the voltages in the circuit change with the current, so the reading
+    // is hidden while the change of the current is predicted.
+    var isReadingHidden = function() {
+      return model.internalResistanceEnabledProperty.get() && !model.currentPrediction.currentVisibleProperty.get();
+    };
+
+    // a11y - announce the reading when a probe is released
+    var alertReading = function() {
+      utteranceQueue.addToBack( new Utterance( getReadingDescription( voltmeter.voltageProperty.get(),
+        isReadingHidden() ), {
+        typeId: 'voltmeterAlert'
+      } ) );
+    };
+
+    var readingText = new Text( NO_READING, {
+      font: READING_FONT,
+      maxWidth: BODY_WIDTH - 20,
+      tandem: tandem.createTandem( 'readingText' )
+    } );
+    var readingBackground = new Rectangle( 0, 0, BODY_WIDTH - 14, 24, 3, 3, {
+      fill: '#fff',
+      stroke: '#555',
+      centerX: 0,
+      bottom: BODY_HEIGHT / 2 - 6
+    } );
+    var bodyNode = new MeterPartNode( voltmeter.bodyPositionProperty, modelViewTransform, dragBounds,
+      tandem.createTandem( 'bodyNode' ), {
+        enabledProperty: options.enabledProperty,
+        children: [
+          new Rectangle( -BODY_WIDTH / 2, -BODY_HEIGHT / 2, BODY_WIDTH, BODY_HEIGHT, 6, 6, {
+            fill: '#f5d33b',
+            stroke: '#000'
+          } ),
+          new Text( voltmeterString, {
+            font: TITLE_FONT,
+            maxWidth: BODY_WIDTH - 10,
+            centerX: 0,
+            top: -BODY_HEIGHT / 2 + 2,
+            tandem: tandem.createTandem( 'titleText' )
+          } ),
+          readingBackground,
+          readingText
+        ],
+
+        // a11y
+        accessibleLabel: voltmeterLabelString
+      } );
+
+    var redProbeNode = new MeterPartNode( voltmeter.redProbePositionProperty, modelViewTransform, dragBounds,
+      tandem.createTandem( 'redProbeNode' ), {
+        enabledProperty: options.enabledProperty,
+        children: [ createProbe( RED_COLOR ) ],
+        endDrag: alertReading,
+
+        // a11y
+        accessibleLabel: redProbeLabelString
+      } );
+    var blackProbeNode = new MeterPartNode( voltmeter.blackProbePositionProperty, modelViewTransform, dragBounds,
+      tandem.createTandem( 'blackProbeNode' ), {
+        enabledProperty: options.enabledProperty,
+        children: [ createProbe( BLACK_COLOR ) ],
+        endDrag: alertReading,
+
+        // a11y
+        accessibleLabel: blackProbeLabelString
+      } );
+
+    // cables from the bottom of the body to the end of each handle, sagging below both
+    var redCablePath = new Path( null, { stroke: RED_COLOR, lineWidth: 2 } );
+    var blackCablePath = new Path( null, { stroke: BLACK_COLOR, lineWidth: 2 } );
+    var updateCable = function( cablePath, probePosition, bodyPosition ) {
+      var start = modelViewTransform.modelToViewPosition( bodyPosition ).plusXY( 0, BODY_HEIGHT / 2 );
+      var end = modelViewTransform.modelToViewPosition( probePosition ).plusXY( 0, -PROBE_LENGTH );
+      cablePath.shape = new Shape().moveTo( start.x, start.y )
+        .cubicCurveTo( start.x, start.y + 40, end.x, end.y - 40, end.x, end.y );
+    };
+
+    // Present for the lifetime of the sim; no need to dispose.
+    Property.multilink( [ voltmeter.redProbePositionProperty, voltmeter.bodyPositionProperty ],
+      function( probePosition, bodyPosition ) {
+        updateCable( redCablePath, probePosition, bodyPosition );
+      } );
+    Property.multilink( [ voltmeter.blackProbePositionProperty, voltmeter.bodyPositionProperty ],
+      function( probePosition, bodyPosition ) {
+        updateCable( blackCablePath, probePosition, bodyPosition );
+      } );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    Property.multilink( [
+      voltmeter.voltageProperty,
+      model.internalResistanceEnabledProperty,
+      model.currentPrediction.currentVisibleProperty,
+      OhmsLawGlobalOptions.precisionProperty
+    ], function( voltage ) {
+      var hidden = isReadingHidden();
+      if ( voltage === null ) {
+        readingText.text = NO_READING;
+      }
+      else if ( hidden ) {
+        readingText.text = HIDDEN_READING;
+      }
+      else {
+        readingText.text = StringUtils.fillIn( meterReadingPatternString, {
+          value: UnitFormatter.toFixed( voltage, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+          units: voltageUnitsString
+        } );
+      }
+      readingText.center = readingBackground.center;
+
+      // a11y
+      bodyNode.accessibleDescription = getReadingDescription( voltage, hidden );
+    } );
+
+    // a11y - describe where each probe is, which changes with the number of batteries and the length of the load
+    Property.multilink( [
+      voltmeter.redProbePositionProperty,
+      voltmeter.blackProbePositionProperty,
+      model.voltageProperty,
+      model.resistorBuilderEnabledProperty,
+      model.resistorLengthProperty,
+      model.loadTypeProperty
+    ], function( redProbePosition, blackProbePosition ) {
+      redProbeNode.accessibleDescription = MeterPartNode.getProbeLocationDescription(
+        model.getCircuitSegment( redProbePosition ) );
+      blackProbeNode.accessibleDescription = MeterPartNode.getProbeLocationDescription(
+        model.getCircuitSegment( blackProbePosition ) );
+    } );
+
+    this.children = [ redCablePath, blackCablePath, bodyNode, redProbeNode, blackProbeNode ];
+
+    this.mutate( _.omit( options, 'enabledProperty' ) );
+  }
+
+  /**
+   * Describe the reading of the voltmeter.
+   * @param {number|null} voltage - in volts, null when there is no reading
+   * @param {boolean} hidden - true while the reading would give away the current that is hidden to be predicted
+   * @returns {string}
+   */
+  function getReadingDescription( voltage, hidden ) {
+    if ( voltage === null ) {
+      return voltmeterNoReadingString;
+    }
+    if ( hidden ) {
+      return voltmeterReadingHiddenString;
+    }
+    return StringUtils.fillIn( voltmeterReadingPatternString, {
+      voltage: UnitFormatter.toFixed( voltage, OhmsLawConstants.VOLTAGE_SIG_FIGS )
+    } );
+  }
+
+  ohmsLaw.register( 'VoltmeterNode', VoltmeterNode );
+
+  return inherit( Node, VoltmeterNode );
+} );
@@ -1,7 +1,8 @@
 // Copyright 2013-2017, University of Colorado Boulder
 
 /**
- * View circuit with a resistor, a battery pack, two current arrows and a current readout panel
+ * View circuit with a resistor (or a load that is not ohmic), a battery pack, an optional fuse, two current arrows and a
+ * current readout panel
  * @author Vasily Shakhov (Mlearner)
  * @author Anton Ulyanov (Mlearner)
  */
@@ -9,38 +10,73 @@ define( function( require ) {
   'use strict';
 
   // modules
+  var AcSourceNode = require( 'OHMS_LAW/ohms-law/view/AcSourceNode' );
   var BatteriesView = require( 'OHMS_LAW/ohms-law/view/BatteriesView' );
+  var ChargeCarriersNode = require( 'OHMS_LAW/ohms-law/view/ChargeCarriersNode' );
+  var ChargeType = require( 'OHMS_LAW/ohms-law/model/ChargeType' );
+  var DiodeNode = require( 'OHMS_LAW/ohms-law/view/DiodeNode' );
+  var FilamentLampNode = require( 'OHMS_LAW/ohms-law/view/FilamentLampNode' );
+  var FuseNode = require( 'OHMS_LAW/ohms-law/view/FuseNode' );
   var inherit = require( 'PHET_CORE/inherit' );
+  var LoadType = require( 'OHMS_LAW/ohms-law/model/LoadType' );
   var Node = require( 'SCENERY/nodes/Node' );
   var ohmsLaw = require( 'OHMS_LAW/ohmsLaw' );
   var OhmsLawA11yStrings = require( 'OHMS_LAW/ohms-law/OhmsLawA11yStrings' );
   var OhmsLawConstants = require( 'OHMS_LAW/ohms-law/OhmsLawConstants' );
+  var OhmsLawGlobalOptions = require( 'OHMS_LAW/ohms-law/OhmsLawGlobalOptions' );
+  var PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  var Property = require( 'AXON/Property' );
   var ReadoutPanel = require( 'OHMS_LAW/ohms-law/view/ReadoutPanel' );
   var Rectangle = require( 'SCENERY/nodes/Rectangle' );
   var ResistorNode = require( 'OHMS_LAW/ohms-law/view/ResistorNode' );
   var RightAngleArrow = require( 'OHMS_LAW/ohms-law/view/RightAngleArrow' );
   var StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  var Text = require( 'SCENERY/nodes/Text' );
+  var UnitFormatter = require( 'OHMS_LAW/ohms-law/view/UnitFormatter' );
   var Util = require( 'DOT/Util' );
 
+  // strings
+  var emfTerminalVoltagePatternString = require( 'string!OHMS_LAW/emfTerminalVoltagePattern' );
+  var voltageUnitsString = require( 'string!OHMS_LAW/voltageUnits' );
+
   // a11y strings
   var circuitLabelString = OhmsLawA11yStrings.circuitLabelString;
   var circuitDescriptionString = OhmsLawA11yStrings.circuitDescriptionString;
+  var electronsFlowDescriptionString = OhmsLawA11yStrings.electronsFlowDescriptionString;
+  var conventionalChargesFlowDescriptionString = OhmsLawA11yStrings.conventionalChargesFlowDescriptionString;
   var currentDescriptionPatternString = OhmsLawA11yStrings.currentDescriptionPatternString;
+  var alternatingCurrentDescriptionPatternString = OhmsLawA11yStrings.alternatingCurrentDescriptionPatternString;
+  var currentHiddenDescriptionString = OhmsLawA11yStrings.currentHiddenDescriptionString;
+  var powerDescriptionPatternString = OhmsLawA11yStrings.powerDescriptionPatternString;
+  var terminalVoltagePatternString = OhmsLawA11yStrings.terminalVoltagePatternString;
+  var terminalVoltageSagPatternString = OhmsLawA11yStrings.terminalVoltageSagPatternString;
+  var terminalVoltageHiddenPatternString = OhmsLawA11yStrings.terminalVoltageHiddenPatternString;
 
   // constants
   var WIDTH = OhmsLawConstants.WIRE_WIDTH;
   var HEIGHT = OhmsLawConstants.WIRE_HEIGHT;
   var WIRE_THICKNESS = 10;
   var OFFSET = 10;  // position offset for the RightAngleArrow
+  var TERMINAL_VOLTAGE_FONT = new PhetFont( 16 );
+  var HIDDEN_VALUE = '?'; // shown for the terminal voltage while the current is hidden to be predicted, not translated
+
+  // a11y - fraction of the EMF lost across the internal resistance at which the batteries are described as sagging
+  var SAG_THRESHOLD = 0.1;
 
   /**
    * @param {OhmsLawModel} model
    * @param {Tandem} tandem
-   * @param {Object} options
+   * @param {Object} [options]
    * @constructor
    */
   function WireBox( model, tandem, options ) {
 
+    options = _.extend( {
+
+      // {Property.<boolean>|null} - whether the readout of the quantity that is solved for is shown, always if null
+      readoutVisibleProperty: null
+    }, options );
+
     Node.call( this, {
 
       tandem: tandem,
@@ -63,29 +99,109 @@ define( function( require ) {
     this.addChild( wireFrame );
 
     var batteriesView = new BatteriesView( model.voltageProperty, tandem.createTandem( 'batteriesView' ), {
+      batteries: model.batteries,
+      depletionEnabledProperty: model.batteryDepletionEnabledProperty,
+      sourceTypeProperty: model.sourceTypeProperty,
       left: OhmsLawConstants.BATTERIES_OFFSET, // Slightly to the right of the wire
       centerY: 0
     } );
     this.addChild( batteriesView );
 
+    // takes the place of the batteries in AC mode
+    var acSourceNode = new AcSourceNode( model.voltageProperty, model.acFrequencyProperty, model.acPhaseProperty,
+      tandem.createTandem( 'acSourceNode' ), {
+        left: OhmsLawConstants.BATTERIES_OFFSET,
+        centerY: 0
+      } );
+    this.addChild( acSourceNode );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    model.acModeEnabledProperty.link( function( acModeEnabled ) {
+      batteriesView.visible = !acModeEnabled;
+      acSourceNode.visible = acModeEnabled;
+    } );
+
     var resistorNode = new ResistorNode( model.resistanceProperty, tandem.createTandem( 'resistorNode' ), {
       centerX: WIDTH / 2,
       centerY: HEIGHT,
+      temperatureProperty: model.temperatureProperty,
+      resistorBuilderEnabledProperty: model.resistorBuilderEnabledProperty,
+      resistorLengthProperty: model.resistorLengthProperty,
+      resistorAreaProperty: model.resistorAreaProperty,
+      resistivityProperty: model.resistivityProperty,
+      colorBandsTypeProperty: model.colorBandsTypeProperty,
+      standardSeriesProperty: model.standardSeriesProperty,
 
       // a11y
       tagName: 'li'
     } );
     this.addChild( resistorNode );
 
+    // loads that can replace the resistor
+    var filamentLampNode = new FilamentLampNode( model, tandem.createTandem( 'filamentLampNode' ), {
+      centerX: WIDTH / 2,
+      centerY: HEIGHT,
+
+      // a11y
+      tagName: 'li'
+    } );
+    this.addChild( filamentLampNode );
+
+    var diodeNode = new DiodeNode( model, tandem.createTandem( 'diodeNode' ), {
+      centerX: WIDTH / 2,
+      centerY: HEIGHT,
+
+      // a11y
+      tagName: 'li'
+    } );
+    this.addChild( diodeNode );
+
+    // Show the load that is connected to the batteries. Present for the lifetime of the sim; no need to unlink.
+    model.loadTypeProperty.link( function( loadType ) {
+      resistorNode.visible = ( loadType === LoadType.RESISTOR );
+      filamentLampNode.visible = ( loadType === LoadType.FILAMENT_LAMP );
+      diodeNode.visible = ( loadType === LoadType.DIODE );
+    } );
+
+    // fuse on the wire from the positive terminal, between the load and the right corner
+    var fuseNode = new FuseNode( model.fuseRatingProperty, model.fuseBlownProperty, tandem.createTandem( 'fuseNode' ), {
+      centerX: OhmsLawConstants.FUSE_CENTER_X,
+      centerY: HEIGHT
+    } );
+    this.addChild( fuseNode );
+
+    // Present for the lifetime of the sim; no need to unlink.
+    model.fuseEnabledProperty.linkAttribute( fuseNode, 'visible' );
+
+    // charges that move around the circuit with the current, over the batteries and the load
+    var chargeCarriersNode = new ChargeCarriersNode( model, tandem.createTandem( 'chargeCarriersNode' ) );
+    this.addChild( chargeCarriersNode );
+
+    // a11y - accessible description of the charges, present while they are shown
+    var accessibleChargeCarriersNode = new Node( { tagName: 'li' } );
+    this.addChild( accessibleChargeCarriersNode );
+
+    // Present for the lifetime of the sim; no need to dispose.
+    Property.multilink( [ model.chargeCarriers.visibleProperty, model.chargeCarriers.chargeTypeProperty ],
+      function( visible, chargeType ) {
+        accessibleChargeCarriersNode.visible = visible;
+        accessibleChargeCarriersNode.accessibleLabelAsHTML = chargeType === ChargeType.ELECTRONS ?
+                                                             electronsFlowDescriptionString :
+                                                             conventionalChargesFlowDescriptionString;
+      } );
+
     // @private
-    this.bottomLeftArrow = new RightAngleArrow( model.currentProperty, tandem.createTandem( 'bottomLeftArrow' ), {
+    // The arrows show the current at this instant, so that they reverse with an AC source. They keep their size while
+    // the current is hidden to be predicted.
+    var shownCurrentProperty = model.currentPrediction.shownInstantaneousCurrentProperty;
+    this.bottomLeftArrow = new RightAngleArrow( shownCurrentProperty, tandem.createTandem( 'bottomLeftArrow' ), {
       x: -OFFSET,
       y: HEIGHT + OFFSET,
       rotation: Math.PI / 2
     } );
     this.addChild( this.bottomLeftArrow );
 
-    var bottomRightArrow = new RightAngleArrow( model.currentProperty, tandem.createTandem( 'bottomRightArrow' ), {
+    var bottomRightArrow = new RightAngleArrow( shownCurrentProperty, tandem.createTandem( 'bottomRightArrow' ), {
       x: WIDTH + OFFSET,
       y: HEIGHT + OFFSET,
       rotation: 0
@@ -96,12 +212,74 @@ define( function( require ) {
     var accessibleCurrentNode = new Node( { tagName: 'li' } );
     this.addChild( accessibleCurrentNode );
 
+    // Shows the EMF and the terminal voltage of the batteries while they have internal resistance, between the
+    // batteries and the readout panel. In AC mode, these are the amplitudes. The terminal voltage is hidden while the
+    // current is hidden to be predicted, since the drop across the internal resistance gives the current away.
+    var terminalVoltageText = new Text( '', {
+      font: TERMINAL_VOLTAGE_FONT,
+      maxWidth: WIDTH - 2 * OhmsLawConstants.BATTERIES_OFFSET,
+      tandem: tandem.createTandem( 'terminalVoltageText' )
+    } );
+    this.addChild( terminalVoltageText );
+
+    // a11y - accessible description of the terminal voltage, present while the batteries have internal resistance
+    var accessibleTerminalVoltageNode = new Node( { tagName: 'li' } );
+    this.addChild( accessibleTerminalVoltageNode );
+
+    // Present for the lifetime of the sim; no need to dispose.
+    Property.multilink( [
+      model.internalResistanceEnabledProperty,
+      model.internalResistanceProperty,
+      model.emfProperty,
+      model.terminalVoltageProperty,
+      model.sourceTypeProperty,
+      model.acModeEnabledProperty,
+      model.fuseBlownProperty,
+      model.currentPrediction.currentVisibleProperty,
+      OhmsLawGlobalOptions.precisionProperty
+    ], function( internalResistanceEnabled, internalResistance, emf ) {
+      terminalVoltageText.visible = internalResistanceEnabled;
+      accessibleTerminalVoltageNode.visible = internalResistanceEnabled;
+
+      if ( internalResistanceEnabled ) {
+        var formattedEMF = UnitFormatter.toFixed( emf, OhmsLawConstants.VOLTAGE_SIG_FIGS );
+        var formattedTerminalVoltage = UnitFormatter.toFixed( model.getTerminalVoltage(),
+          OhmsLawConstants.VOLTAGE_SIG_FIGS );
+        var drop = model.getInternalVoltageDrop();
+        var currentVisible = model.currentPrediction.currentVisibleProperty.get();
+
+        terminalVoltageText.text = StringUtils.fillIn( emfTerminalVoltagePatternString, {
+          emf: formattedEMF,
+          terminalVoltage: currentVisible ? formattedTerminalVoltage : HIDDEN_VALUE,
+          units: voltageUnitsString
+        } );
+        terminalVoltageText.centerX = WIDTH / 2;
+        terminalVoltageText.top = model.getSourceHeight() / 2 + 2;
+
+        // the drop across the internal resistance is only significant when the resistor is small
+        var patternString = !currentVisible ? terminalVoltageHiddenPatternString :
+                            drop > emf * SAG_THRESHOLD ? terminalVoltageSagPatternString :
+                            terminalVoltagePatternString;
+        accessibleTerminalVoltageNode.accessibleLabelAsHTML = StringUtils.fillIn( patternString, {
+          internalResistance: Util.toFixed( internalResistance, 1 ),
+          terminalVoltage: formattedTerminalVoltage,
+          drop: UnitFormatter.toFixed( drop, OhmsLawConstants.VOLTAGE_SIG_FIGS ),
+          emf: formattedEMF
+        } );
+      }
+    } );
+
     var currentReadoutPanel = new ReadoutPanel( model, tandem.createTandem( 'currentReadoutPanel' ), {
       centerY: HEIGHT / 2,
       centerX: WIDTH / 2
     } );
     this.addChild( currentReadoutPanel );
 
+    // Present for the lifetime of the sim; no need to unlink.
+    if ( options.readoutVisibleProperty ) {
+      options.readoutVisibleProperty.linkAttribute( currentReadoutPanel, 'visible' );
+    }
+
     model.voltageProperty.set( OhmsLawConstants.VOLTAGE_RANGE.min );
     model.resistanceProperty.set( OhmsLawConstants.RESISTANCE_RANGE.max );
 
@@ -111,20 +289,49 @@ define( function( require ) {
     // reset the model after using to get height of arrows
     model.reset();
 
-    // a11y - when the current changes, update the accessible description
-    model.currentProperty.link( function( current ) {
-      var formattedCurrent = Util.toFixed( current, OhmsLawConstants.CURRENT_SIG_FIGS );
+    // a11y - when the current changes, update the accessible description. In AC mode, the arrows change size all the
+    // time, so the current is described by its amplitude and RMS value instead. The current is not described while it
+    // is hidden to be predicted.
+    var updateCurrentDescription = function() {
+      if ( !model.currentPrediction.currentVisibleProperty.get() ) {
+        accessibleCurrentNode.accessibleLabelAsHTML = currentHiddenDescriptionString;
+      }
+      else if ( model.acModeEnabledProperty.get() ) {
+        accessibleCurrentNode.accessibleLabelAsHTML = StringUtils.fillIn( alternatingCurrentDescriptionPatternString, {
+          value: UnitFormatter.CURRENT.formatAccessible( model.currentProperty.get() ),
+          rms: UnitFormatter.CURRENT.formatAccessible( model.rmsCurrentProperty.get() )
+        } );
+      }
+      else {
+        accessibleCurrentNode.accessibleLabelAsHTML = StringUtils.fillIn( currentDescriptionPatternString, {
+          arrowSize: self.getArrowSizeDescription(),
+          value: UnitFormatter.CURRENT.formatAccessible( model.currentProperty.get() )
+        } );
+      }
+    };
+    model.currentProperty.link( updateCurrentDescription );
+    model.rmsCurrentProperty.lazyLink( updateCurrentDescription );
+    model.acModeEnabledProperty.lazyLink( updateCurrentDescription );
+    model.currentPrediction.currentVisibleProperty.lazyLink( updateCurrentDescription );
+    UnitFormatter.CURRENT.prefixProperty.lazyLink( updateCurrentDescription );
+    UnitFormatter.CURRENT.precisionProperty.lazyLink( updateCurrentDescription );
 
-      accessibleCurrentNode.accessibleLabelAsHTML = StringUtils.fillIn( currentDescriptionPatternString, {
-        arrowSize: self.getArrowSizeDescription(),
-        value: formattedCurrent
+    // a11y - accessible description for the power used by the resistor, averaged over a cycle in AC mode, which is
+    // left out while the current is hidden to be predicted, since the power changes with the current
+    var accessiblePowerNode = new Node( { tagName: 'li' } );
+    this.addChild( accessiblePowerNode );
+    Property.multilink( [ model.averagePowerProperty, OhmsLawGlobalOptions.precisionProperty ], function( power ) {
+      accessiblePowerNode.accessibleLabelAsHTML = StringUtils.fillIn( powerDescriptionPatternString, {
+        value: UnitFormatter.toFixed( power, OhmsLawConstants.POWER_SIG_FIGS )
       } );
     } );
+    model.currentPrediction.currentVisibleProperty.linkAttribute( accessiblePowerNode, 'visible' );
 
-    // a11y - the order of descriptions should be batteries, resistance, then current
-    this.accessibleOrder = [ batteriesView, resistorNode, accessibleCurrentNode ];
+    // a11y - the order of descriptions should be the source, terminal voltage, load, fuse, current, charges, then power
+    this.accessibleOrder = [ batteriesView, acSourceNode, accessibleTerminalVoltageNode, resistorNode, filamentLampNode, diodeNode,
+      fuseNode, accessibleCurrentNode, accessibleChargeCarriersNode, accessiblePowerNode ];
 
-    this.mutate( options );
+    this.mutate( _.omit( options, 'readoutVisibleProperty' ) );
   }
 
   ohmsLaw.register( 'WireBox', WireBox );